@@ -212,31 +212,66 @@ class ArrayStructure {
   get() {
     return this.array;
   }
+
+  /**
+   * Iterator Protocol
+   *
+   * Reasoning:
+   * Iterating the structure visits its elements from first to last, so it can be
+   * spread or used in for...of and stopped early.
+   *
+   * Time Complexity: O(1) per step, O(n) for a full pass.
+   * Space Complexity: O(1)
+   */
+  *[Symbol.iterator]() {
+    yield* this.array;
+  }
+
+  /**
+   * Reverse Iteration
+   *
+   * Reasoning:
+   * Visits the elements from last to first without copying or reversing the
+   * underlying array.
+   *
+   * Time Complexity: O(1) per step, O(n) for a full pass.
+   * Space Complexity: O(1)
+   */
+  *reverse() {
+    for (let i = this.array.length - 1; i >= 0; i--) {
+      yield this.array[i];
+    }
+  }
 }
 
+module.exports = { ArrayStructure };
+
 // Example usage
-let arr = new ArrayStructure();
-arr.add(64);
-arr.add(34);
-arr.add(25);
-arr.add(12);
-arr.add(22);
-arr.add(11);
-arr.add(90);
-
-console.log("Original array:", arr.get());
-console.log("Linear search for 25:", arr.linearSearch(25));
-arr.bubbleSort();
-console.log("After bubble sort:", arr.get());
-console.log("Binary search for 25:", arr.binarySearch(25));
-arr.add(-2);
-arr.add(1);
-arr.add(-3);
-arr.add(4);
-arr.add(-1);
-arr.add(2);
-arr.add(1);
-arr.add(-5);
-arr.add(4);
-console.log("Array for Kadane's algorithm:", arr.get());
-console.log("Maximum subarray sum:", arr.kadanesAlgorithm());
+if (require.main === module) {
+  let arr = new ArrayStructure();
+  arr.add(64);
+  arr.add(34);
+  arr.add(25);
+  arr.add(12);
+  arr.add(22);
+  arr.add(11);
+  arr.add(90);
+
+  console.log("Original array:", arr.get());
+  console.log("Linear search for 25:", arr.linearSearch(25));
+  arr.bubbleSort();
+  console.log("After bubble sort:", arr.get());
+  console.log("Binary search for 25:", arr.binarySearch(25));
+  console.log("Largest first:", [...arr.reverse()]);
+  arr.add(-2);
+  arr.add(1);
+  arr.add(-3);
+  arr.add(4);
+  arr.add(-1);
+  arr.add(2);
+  arr.add(1);
+  arr.add(-5);
+  arr.add(4);
+  console.log("Array for Kadane's algorithm:", arr.get());
+  console.log("Maximum subarray sum:", arr.kadanesAlgorithm());
+}
@@ -15,18 +15,33 @@
  */
 
 class RBNode {
-  constructor(key, color = "RED") {
+  constructor(key, value, color = "RED") {
     this.key = key; // The key stored in the node
+    this.value = value; // The value stored under the key
     this.color = color; // Color of the node (RED or BLACK)
     this.left = null; // Left child
     this.right = null; // Right child
     this.parent = null; // Parent node
+    this.size = 1; // Number of nodes in the subtree rooted here
   }
 }
 
 class RedBlackTree {
-  constructor() {
+  // The comparator returns a negative number, zero or a positive number
+  // when a is less than, equal to or greater than b
+  constructor(comparator = (a, b) => (a < b ? -1 : a > b ? 1 : 0)) {
     this.root = null; // Root of the tree
+    this.comparator = comparator; // Comparison function used to order keys
+  }
+
+  // Number of nodes in a subtree, the whole tree by default
+  size(node = this.root) {
+    return node ? node.size : 0;
+  }
+
+  // Recompute the subtree size of a node from its children
+  updateSize(node) {
+    node.size = 1 + this.size(node.left) + this.size(node.right);
   }
 
   // Left rotate the subtree rooted with x
@@ -40,6 +55,8 @@ class RedBlackTree {
     else x.parent.right = y;
     y.left = x;
     x.parent = y;
+    this.updateSize(x);
+    this.updateSize(y);
   }
 
   // Right rotate the subtree rooted with x
@@ -53,27 +70,37 @@ class RedBlackTree {
     else x.parent.left = y;
     y.right = x;
     x.parent = y;
+    this.updateSize(x);
+    this.updateSize(y);
   }
 
-  // Insert a key into the tree
-  insert(key) {
-    let node = new RBNode(key);
+  // Insert a key-value pair into the tree, replacing the value of an existing key
+  insert(key, value = key) {
     let parent = null;
     let current = this.root;
+    let cmp = 0;
 
     // Find the parent node
     while (current) {
+      cmp = this.comparator(key, current.key);
+      if (cmp === 0) {
+        current.value = value;
+        return;
+      }
       parent = current;
-      if (node.key < current.key) current = current.left;
-      else current = current.right;
+      current = cmp < 0 ? current.left : current.right;
     }
 
     // Set the parent of the new node
+    let node = new RBNode(key, value);
     node.parent = parent;
     if (!parent) this.root = node;
-    else if (node.key < parent.key) parent.left = node;
+    else if (cmp < 0) parent.left = node;
     else parent.right = node;
 
+    // Every ancestor's subtree gained one node
+    for (let p = parent; p; p = p.parent) p.size++;
+
     // Fix the tree to maintain Red-Black properties
     this.fixInsert(node);
   }
@@ -122,13 +149,313 @@ class RedBlackTree {
     this.root.color = "BLACK";
   }
 
+  // Replace the subtree rooted at u with the subtree rooted at v
+  transplant(u, v) {
+    if (!u.parent) this.root = v;
+    else if (u === u.parent.left) u.parent.left = v;
+    else u.parent.right = v;
+    if (v) v.parent = u.parent;
+  }
+
+  // Delete a key from the tree
+  delete(key) {
+    let z = this.search(key);
+    if (!z) return;
+
+    // y is the node actually removed from its position, x the node that
+    // moves into y's place (possibly null) and xParent the parent of x
+    let y = z;
+    let yColor = y.color;
+    let x, xParent;
+
+    if (!z.left) {
+      x = z.right;
+      xParent = z.parent;
+      this.transplant(z, z.right);
+    } else if (!z.right) {
+      x = z.left;
+      xParent = z.parent;
+      this.transplant(z, z.left);
+    } else {
+      // Two children: the inorder successor takes z's place and color
+      y = z.right;
+      while (y.left) y = y.left;
+      yColor = y.color;
+      x = y.right;
+      if (y.parent === z) {
+        xParent = y;
+      } else {
+        xParent = y.parent;
+        this.transplant(y, y.right);
+        y.right = z.right;
+        y.right.parent = y;
+      }
+      this.transplant(z, y);
+      y.left = z.left;
+      y.left.parent = y;
+      y.color = z.color;
+    }
+
+    // Every node from xParent up to the root lost one node from its subtree
+    for (let p = xParent; p; p = p.parent) this.updateSize(p);
+
+    // Removing a black node leaves x "double black"
+    if (yColor === "BLACK") this.fixDelete(x, xParent);
+  }
+
+  // Fix the Red-Black Tree after deletion
+  fixDelete(node, parent) {
+    const isBlack = (n) => !n || n.color === "BLACK";
+
+    while (node !== this.root && isBlack(node)) {
+      if (node === parent.left) {
+        let sibling = parent.right;
+        if (sibling.color === "RED") {
+          // Case 1: Sibling is red
+          sibling.color = "BLACK";
+          parent.color = "RED";
+          this.rotateLeft(parent);
+          sibling = parent.right;
+        }
+        if (isBlack(sibling.left) && isBlack(sibling.right)) {
+          // Case 2: Sibling is black with two black children
+          sibling.color = "RED";
+          node = parent;
+          parent = node.parent;
+        } else {
+          if (isBlack(sibling.right)) {
+            // Case 3: Sibling is black with a red left child
+            sibling.left.color = "BLACK";
+            sibling.color = "RED";
+            this.rotateRight(sibling);
+            sibling = parent.right;
+          }
+          // Case 4: Sibling is black with a red right child
+          sibling.color = parent.color;
+          parent.color = "BLACK";
+          sibling.right.color = "BLACK";
+          this.rotateLeft(parent);
+          node = this.root;
+        }
+      } else {
+        // Same as above, with "left" and "right" exchanged
+        let sibling = parent.left;
+        if (sibling.color === "RED") {
+          sibling.color = "BLACK";
+          parent.color = "RED";
+          this.rotateRight(parent);
+          sibling = parent.left;
+        }
+        if (isBlack(sibling.left) && isBlack(sibling.right)) {
+          sibling.color = "RED";
+          node = parent;
+          parent = node.parent;
+        } else {
+          if (isBlack(sibling.left)) {
+            sibling.right.color = "BLACK";
+            sibling.color = "RED";
+            this.rotateLeft(sibling);
+            sibling = parent.left;
+          }
+          sibling.color = parent.color;
+          parent.color = "BLACK";
+          sibling.left.color = "BLACK";
+          this.rotateRight(parent);
+          node = this.root;
+        }
+      }
+    }
+    if (node) node.color = "BLACK";
+  }
+
+  /**
+   * Verify the Red-Black properties: keys in order, parent pointers
+   * consistent, a black root, no red node with a red child and the same
+   * number of black nodes on every root-to-leaf path, plus correct subtree sizes
+   * @returns {boolean} - true if the tree is valid
+   * @throws {Error} - Describing the first violation found
+   */
+  checkInvariants() {
+    if (this.root && this.root.color !== "BLACK") {
+      throw new Error("Root is not black");
+    }
+    const check = (node, parent, lower, upper) => {
+      if (!node) return 1;
+      if (node.parent !== parent) {
+        throw new Error(`Node ${node.key} has a wrong parent pointer`);
+      }
+      if (
+        (lower !== undefined && this.comparator(node.key, lower) <= 0) ||
+        (upper !== undefined && this.comparator(node.key, upper) >= 0)
+      ) {
+        throw new Error(`Key ${node.key} is out of order`);
+      }
+      if (
+        node.color === "RED" &&
+        ((node.left && node.left.color === "RED") ||
+          (node.right && node.right.color === "RED"))
+      ) {
+        throw new Error(`Red node ${node.key} has a red child`);
+      }
+      const leftBlackHeight = check(node.left, node, lower, node.key);
+      const rightBlackHeight = check(node.right, node, node.key, upper);
+      if (leftBlackHeight !== rightBlackHeight) {
+        throw new Error(`Node ${node.key} has unequal black heights`);
+      }
+      if (node.size !== 1 + this.size(node.left) + this.size(node.right)) {
+        throw new Error(`Node ${node.key} has a stale size`);
+      }
+      return leftBlackHeight + (node.color === "BLACK" ? 1 : 0);
+    };
+    check(this.root, null);
+    return true;
+  }
+
+  // Count the keys smaller than key, which need not be in the tree
+  rank(key) {
+    let rank = 0;
+    let node = this.root;
+    while (node) {
+      if (this.comparator(key, node.key) <= 0) {
+        node = node.left;
+      } else {
+        rank += this.size(node.left) + 1;
+        node = node.right;
+      }
+    }
+    return rank;
+  }
+
+  // Find the key with k smaller keys (0-based), or null if k is out of range
+  select(k) {
+    if (k < 0 || k >= this.size()) return null;
+    let node = this.root;
+    while (node) {
+      const leftSize = this.size(node.left);
+      if (k < leftSize) {
+        node = node.left;
+      } else if (k > leftSize) {
+        k -= leftSize + 1;
+        node = node.right;
+      } else {
+        return node.key;
+      }
+    }
+    return null;
+  }
+
+  // Largest key <= key, or null
+  floor(key) {
+    return this._closest(key, true, true);
+  }
+
+  // Smallest key >= key, or null
+  ceiling(key) {
+    return this._closest(key, false, true);
+  }
+
+  // Largest key < key, or null
+  predecessor(key) {
+    return this._closest(key, true, false);
+  }
+
+  // Smallest key > key, or null
+  successor(key) {
+    return this._closest(key, false, false);
+  }
+
+  // Walk down from the root remembering the closest key seen on the
+  // requested side (below or above), optionally accepting the key itself
+  _closest(key, below, inclusive) {
+    let best = null;
+    let node = this.root;
+    while (node) {
+      const cmp = this.comparator(node.key, key);
+      if (cmp === 0 && inclusive) return node.key;
+      if (below ? cmp < 0 : cmp > 0) {
+        best = node.key;
+        node = below ? node.right : node.left;
+      } else {
+        node = below ? node.left : node.right;
+      }
+    }
+    return best;
+  }
+
   // Search for a key in the tree
   search(key, node = this.root) {
-    if (!node || key === node.key) return node;
-    if (key < node.key) return this.search(key, node.left);
+    if (!node) return node;
+    const cmp = this.comparator(key, node.key);
+    if (cmp === 0) return node;
+    if (cmp < 0) return this.search(key, node.left);
     return this.search(key, node.right);
   }
 
+  // Get the value stored under a key, or null if the key is not in the tree
+  get(key) {
+    const node = this.search(key);
+    return node ? node.value : null;
+  }
+
+  // Make the tree iterable with for...of, yielding keys in ascending order
+  [Symbol.iterator]() {
+    return this.inorder();
+  }
+
+  // Lazily yield the keys in ascending order
+  *inorder() {
+    for (const node of this._inorderNodes()) yield node.key;
+  }
+
+  // Lazily yield the keys in descending order
+  *reverse() {
+    for (const node of this._inorderNodes(true)) yield node.key;
+  }
+
+  // Lazily yield the keys in preorder (node, left subtree, right subtree)
+  *preorder() {
+    const stack = this.root ? [this.root] : [];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      yield node.key;
+      if (node.right) stack.push(node.right);
+      if (node.left) stack.push(node.left);
+    }
+  }
+
+  // Lazily yield the keys level by level, from the root down
+  *levelOrder() {
+    const queue = this.root ? [this.root] : [];
+    for (let i = 0; i < queue.length; i++) {
+      const node = queue[i];
+      yield node.key;
+      if (node.left) queue.push(node.left);
+      if (node.right) queue.push(node.right);
+    }
+  }
+
+  // Lazily yield [key, value] pairs in ascending key order
+  *entries() {
+    for (const node of this._inorderNodes()) yield [node.key, node.value];
+  }
+
+  // Walk the nodes in order (descending if reverse is true) without recursion
+  *_inorderNodes(reverse = false) {
+    const first = reverse ? "right" : "left";
+    const second = reverse ? "left" : "right";
+    const stack = [];
+    let node = this.root;
+    while (node || stack.length > 0) {
+      while (node) {
+        stack.push(node);
+        node = node[first];
+      }
+      node = stack.pop();
+      yield node;
+      node = node[second];
+    }
+  }
+
   /**
    * Perform an inorder traversal of the tree
    * @param {Node} node - The current node in the traversal
@@ -136,16 +463,29 @@ class RedBlackTree {
   inorderTraversal(node) {
     if (node !== null) {
       this.inorderTraversal(node.left);
-      console.log(`${node.data} (${node.color})`);
+      console.log(`${node.key} (${node.color})`);
       this.inorderTraversal(node.right);
     }
   }
 }
 
+module.exports = { RBNode, RedBlackTree };
+
 // Example usage
-let rbTree = new RedBlackTree();
-[7, 3, 18, 10, 22, 8, 11, 26].forEach((key) => rbTree.insert(key));
-console.log("Inorder traversal of the Red-Black Tree:");
-rbt.inorderTraversal(rbt.root);
-console.log(rbTree.search(11) ? "Found 11" : "Not found 11");
-console.log(rbTree.search(15) ? "Found 15" : "Not found 15");
+if (require.main === module) {
+  let rbTree = new RedBlackTree();
+  [7, 3, 18, 10, 22, 8, 11, 26].forEach((key) => rbTree.insert(key));
+  console.log("Inorder traversal of the Red-Black Tree:");
+  rbTree.inorderTraversal(rbTree.root);
+  console.log(rbTree.search(11) ? "Found 11" : "Not found 11");
+  console.log(rbTree.search(15) ? "Found 15" : "Not found 15");
+
+  [18, 7, 11].forEach((key) => rbTree.delete(key));
+  console.log("Inorder traversal after deleting 18, 7 and 11:");
+  rbTree.inorderTraversal(rbTree.root);
+  console.log("Valid:", rbTree.checkInvariants());
+  console.log("Preorder:", [...rbTree.preorder()]);
+  console.log("Rank of 22:", rbTree.rank(22)); // 3
+  console.log("Key with rank 1:", rbTree.select(1)); // 8
+  console.log("Floor and ceiling of 15:", rbTree.floor(15), rbTree.ceiling(15)); // 10 22
+}
@@ -2,9 +2,13 @@
  * Node class for Skip List
  */
 class Node {
-  constructor(value, level) {
+  constructor(key, value, level) {
+    this.key = key;
     this.value = value;
     this.forward = new Array(level + 1).fill(null);
+    // span[i] is the number of bottom-level nodes forward[i] skips over,
+    // which lets ranks be summed along a search path
+    this.span = new Array(level + 1).fill(0);
   }
 }
 
@@ -12,13 +16,36 @@ class Node {
  * Skip List Data Structure
  * A Skip List is a probabilistic data structure that allows for fast search, insertion, and deletion operations.
  * It's an alternative to balanced trees and can achieve O(log n) average time complexity for these operations.
+ * Being a list rather than a tree, it has no preorder() or levelOrder() traversal: its
+ * only orders are ascending (inorder() or for...of) and descending (reverse()).
  */
 class SkipList {
-  constructor(maxLevel, p) {
+  /**
+   * @param {number} maxLevel - The highest level a node can be promoted to
+   * @param {number} p - The probability of promoting a node to the next level
+   * @param {function} comparator - Returns a negative number, zero or a positive number
+   * when a is less than, equal to or greater than b
+   */
+  constructor(
+    maxLevel,
+    p,
+    comparator = (a, b) => (a < b ? -1 : a > b ? 1 : 0)
+  ) {
     this.maxLevel = maxLevel;
     this.p = p;
-    this.header = new Node(-1, maxLevel);
+    this.comparator = comparator;
+    this.header = new Node(null, null, maxLevel);
     this.level = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Get the number of keys in the Skip List
+   * @returns {number} - The number of keys
+   * @time O(1)
+   */
+  size() {
+    return this.length;
   }
 
   /**
@@ -34,21 +61,45 @@ class SkipList {
   }
 
   /**
-   * Insert a value into the Skip List
-   * @param {*} value - The value to insert
-   * @time Average case: O(log n), Worst case: O(n)
+   * Find the last node on each level whose key is less than the given key
+   * @param {*} key - The key to locate
+   * @returns {{update: Node[], rank: number[]}} - The predecessor of the key on
+   * every level, and how many keys come before (and including) each predecessor
    */
-  insert(value) {
+  _findPredecessors(key) {
     let update = new Array(this.maxLevel + 1).fill(null);
+    let rank = new Array(this.maxLevel + 1).fill(0);
     let current = this.header;
 
-    // Find the position to insert
     for (let i = this.level; i >= 0; i--) {
-      while (current.forward[i] !== null && current.forward[i].value < value) {
+      rank[i] = i === this.level ? 0 : rank[i + 1];
+      while (
+        current.forward[i] !== null &&
+        this.comparator(current.forward[i].key, key) < 0
+      ) {
+        rank[i] += current.span[i];
         current = current.forward[i];
       }
       update[i] = current;
     }
+    return { update, rank };
+  }
+
+  /**
+   * Insert a key-value pair into the Skip List, replacing the value of an existing key
+   * @param {*} key - The key to insert
+   * @param {*} [value=key] - The value stored under the key
+   * @time Average case: O(log n), Worst case: O(n)
+   */
+  insert(key, value = key) {
+    // Find the position to insert
+    let { update, rank } = this._findPredecessors(key);
+
+    let next = update[0].forward[0];
+    if (next !== null && this.comparator(next.key, key) === 0) {
+      next.value = value;
+      return;
+    }
 
     // Generate a random level for the new node
     let newLevel = this.randomLevel();
@@ -56,68 +107,97 @@ class SkipList {
     // If the new level is greater than the current level, update the header
     if (newLevel > this.level) {
       for (let i = this.level + 1; i <= newLevel; i++) {
+        rank[i] = 0;
         update[i] = this.header;
+        update[i].span[i] = this.length;
       }
       this.level = newLevel;
     }
 
-    // Create and insert the new node
-    let newNode = new Node(value, newLevel);
+    // Create and insert the new node, splitting each predecessor's span
+    // into the part before the new node and the part after it
+    let newNode = new Node(key, value, newLevel);
     for (let i = 0; i <= newLevel; i++) {
       newNode.forward[i] = update[i].forward[i];
       update[i].forward[i] = newNode;
+      newNode.span[i] = update[i].span[i] - (rank[0] - rank[i]);
+      update[i].span[i] = rank[0] - rank[i] + 1;
+    }
+
+    // Higher levels now jump over one more node
+    for (let i = newLevel + 1; i <= this.level; i++) {
+      update[i].span[i]++;
     }
+    this.length++;
   }
 
   /**
-   * Search for a value in the Skip List
-   * @param {*} value - The value to search for
-   * @returns {boolean} - True if the value is found, false otherwise
+   * Find the node holding a key
+   * @param {*} key - The key to search for
+   * @returns {Node|null} - The node holding the key, or null if not found
    * @time Average case: O(log n), Worst case: O(n)
    */
-  search(value) {
+  _findNode(key) {
     let current = this.header;
 
     for (let i = this.level; i >= 0; i--) {
-      while (current.forward[i] !== null && current.forward[i].value < value) {
+      while (
+        current.forward[i] !== null &&
+        this.comparator(current.forward[i].key, key) < 0
+      ) {
         current = current.forward[i];
       }
     }
 
     current = current.forward[0];
 
-    if (current !== null && current.value === value) {
-      return true;
-    } else {
-      return false;
+    if (current !== null && this.comparator(current.key, key) === 0) {
+      return current;
     }
+    return null;
   }
 
   /**
-   * Delete a value from the Skip List
-   * @param {*} value - The value to delete
+   * Search for a key in the Skip List
+   * @param {*} key - The key to search for
+   * @returns {boolean} - True if the key is found, false otherwise
    * @time Average case: O(log n), Worst case: O(n)
    */
-  delete(value) {
-    let update = new Array(this.maxLevel + 1).fill(null);
-    let current = this.header;
+  search(key) {
+    return this._findNode(key) !== null;
+  }
 
-    for (let i = this.level; i >= 0; i--) {
-      while (current.forward[i] !== null && current.forward[i].value < value) {
-        current = current.forward[i];
-      }
-      update[i] = current;
-    }
+  /**
+   * Get the value stored under a key
+   * @param {*} key - The key to look up
+   * @returns {*} - The stored value, or null if the key is not in the Skip List
+   * @time Average case: O(log n), Worst case: O(n)
+   */
+  get(key) {
+    const node = this._findNode(key);
+    return node ? node.value : null;
+  }
 
-    current = current.forward[0];
+  /**
+   * Delete a key from the Skip List
+   * @param {*} key - The key to delete
+   * @time Average case: O(log n), Worst case: O(n)
+   */
+  delete(key) {
+    let { update } = this._findPredecessors(key);
+    let current = update[0].forward[0];
 
-    if (current !== null && current.value === value) {
+    if (current !== null && this.comparator(current.key, key) === 0) {
       for (let i = 0; i <= this.level; i++) {
-        if (update[i].forward[i] !== current) {
-          break;
+        if (update[i].forward[i] === current) {
+          update[i].span[i] += current.span[i] - 1;
+          update[i].forward[i] = current.forward[i];
+        } else {
+          // This level jumps over the removed node
+          update[i].span[i]--;
         }
-        update[i].forward[i] = current.forward[i];
       }
+      this.length--;
 
       while (this.level > 0 && this.header.forward[this.level] === null) {
         this.level--;
@@ -125,6 +205,136 @@ class SkipList {
     }
   }
 
+  /**
+   * Count the keys smaller than a given key by summing spans along the search path
+   * @param {*} key - The key to rank, which need not be in the Skip List
+   * @returns {number} - The number of keys less than key
+   * @time Average case: O(log n), Worst case: O(n)
+   */
+  rank(key) {
+    return this._findPredecessors(key).rank[0];
+  }
+
+  /**
+   * Find the key with a given rank, so that select(rank(key)) === key
+   * @param {number} k - The 0-based rank of the key
+   * @returns {*} - The key with k smaller keys, or null if k is out of range
+   * @time Average case: O(log n), Worst case: O(n)
+   */
+  select(k) {
+    if (k < 0 || k >= this.length) return null;
+    let current = this.header;
+    let traversed = 0;
+
+    // Take the longest jumps that do not overshoot position k + 1
+    for (let i = this.level; i >= 0; i--) {
+      while (
+        current.forward[i] !== null &&
+        traversed + current.span[i] <= k + 1
+      ) {
+        traversed += current.span[i];
+        current = current.forward[i];
+      }
+      if (traversed === k + 1) return current.key;
+    }
+    return null;
+  }
+
+  /**
+   * Find the largest key less than or equal to a given key
+   * @param {*} key - The key to compare against
+   * @returns {*} - The floor key, or null if every key is greater
+   * @time Average case: O(log n), Worst case: O(n)
+   */
+  floor(key) {
+    const node = this._findNode(key);
+    return node ? node.key : this.predecessor(key);
+  }
+
+  /**
+   * Find the smallest key greater than or equal to a given key
+   * @param {*} key - The key to compare against
+   * @returns {*} - The ceiling key, or null if every key is smaller
+   * @time Average case: O(log n), Worst case: O(n)
+   */
+  ceiling(key) {
+    const next = this._findPredecessors(key).update[0].forward[0];
+    return next !== null ? next.key : null;
+  }
+
+  /**
+   * Find the largest key strictly less than a given key
+   * @param {*} key - The key to compare against
+   * @returns {*} - The predecessor key, or null if there is none
+   * @time Average case: O(log n), Worst case: O(n)
+   */
+  predecessor(key) {
+    const prev = this._findPredecessors(key).update[0];
+    return prev !== this.header ? prev.key : null;
+  }
+
+  /**
+   * Find the smallest key strictly greater than a given key
+   * @param {*} key - The key to compare against
+   * @returns {*} - The successor key, or null if there is none
+   * @time Average case: O(log n), Worst case: O(n)
+   */
+  successor(key) {
+    let next = this._findPredecessors(key).update[0].forward[0];
+    if (next !== null && this.comparator(next.key, key) === 0) {
+      next = next.forward[0];
+    }
+    return next !== null ? next.key : null;
+  }
+
+  /**
+   * Lazily iterate over the keys in ascending order along the bottom level
+   * @yields {*} Each key, smallest first
+   * @time O(1) per key
+   */
+  *[Symbol.iterator]() {
+    for (const [key] of this.entries()) yield key;
+  }
+
+  /**
+   * Lazily iterate over the [key, value] pairs in ascending key order
+   * @yields {Array} Each [key, value] pair
+   * @time O(1) per pair
+   */
+  *entries() {
+    let current = this.header.forward[0];
+    while (current !== null) {
+      yield [current.key, current.value];
+      current = current.forward[0];
+    }
+  }
+
+  /**
+   * Lazily iterate over the keys in ascending order; the same as iterating over the list
+   * @yields {*} Each key, smallest first
+   * @time O(1) per key
+   */
+  *inorder() {
+    yield* this;
+  }
+
+  /**
+   * Lazily iterate over the keys in descending order. Nodes only link forwards,
+   * so each step searches for the predecessor of the last key from the top level.
+   * @yields {*} Each key, largest first
+   * @time Average case: O(log n) per key
+   */
+  *reverse() {
+    let current = this.header;
+    for (let i = this.level; i >= 0; i--) {
+      while (current.forward[i] !== null) current = current.forward[i];
+    }
+    while (current !== this.header) {
+      yield current.key;
+      current = this._findPredecessors(current.key).update[0];
+    }
+  }
+
   /**
    * Display the Skip List
    */
@@ -133,7 +343,7 @@ class SkipList {
       let current = this.header.forward[i];
       console.log(`Level ${i}: `);
       while (current !== null) {
-        process.stdout.write(`${current.value} `);
+        process.stdout.write(`${current.key} `);
         current = current.forward[i];
       }
       console.log();
@@ -141,6 +351,8 @@ class SkipList {
   }
 }
 
+module.exports = { Node, SkipList };
+
 /**
  * Test function to demonstrate Skip List operations
  */
@@ -166,8 +378,16 @@ function testSkipList() {
 
   console.log("\nUpdated Skip List structure:");
   sl.display();
+
+  console.log("\nKeys in order:", [...sl].join(" "));
+  console.log("Keys in descending order:", [...sl.reverse()].join(" "));
+  console.log("Rank of 21:", sl.rank(21)); // 6
+  console.log("Key with rank 3:", sl.select(3)); // 9
+  console.log("Floor of 20:", sl.floor(20), "ceiling of 20:", sl.ceiling(20)); // 17 21
 }
 // The Skip List provides an interesting alternative to balanced trees,
 // offering similar average-case performance with a simpler implementation.
 // Run the test function
-testSkipList();
+if (require.main === module) {
+  testSkipList();
+}
@@ -57,6 +57,8 @@ class DisjointSet {
   }
 }
 
+module.exports = { DisjointSet };
+
 /**
  * Test function to demonstrate Disjoint Set operations
  */
@@ -94,4 +96,6 @@ function testDisjointSet() {
 // Both of these structures have important applications in algorithm design and problem-solving,
 // particularly in areas like graph theory, network analysis, and optimization problems.
 // Run the test function
-testDisjointSet();
+if (require.main === module) {
+  testDisjointSet();
+}
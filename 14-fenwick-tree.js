@@ -107,19 +107,230 @@ class FenwickTree {
   }
 }
 
+/**
+ * Range-Update / Range-Query Fenwick Tree
+ *
+ * @description
+ * Supports adding a value to every element of a range and querying range sums,
+ * both in O(log n), using two Fenwick Trees over the difference array (a "dual BIT").
+ *
+ * @reasoning
+ * Adding d to [l, r] sets diff[l] += d and diff[r + 1] -= d. The prefix sum up to i is
+ * then sum over p <= i of diff[p] * (i - p + 1) = (i + 1) * sum(diff[p]) - sum(diff[p] * p),
+ * so one tree holds diff[p] and the other diff[p] * p.
+ *
+ * @complexity
+ * Time complexity: O(log n) for rangeUpdate, query and rangeQuery
+ * Space complexity: O(n)
+ */
+class RangeFenwickTree {
+  constructor(n) {
+    this.size = n;
+    this.diff = new FenwickTree(n); // diff[p]
+    this.weightedDiff = new FenwickTree(n); // diff[p] * p
+  }
+
+  // Add delta to every element from left to right (inclusive, 0-based)
+  rangeUpdate(left, right, delta) {
+    this.diff.update(left, delta);
+    this.diff.update(right + 1, -delta);
+    this.weightedDiff.update(left, delta * left);
+    this.weightedDiff.update(right + 1, -delta * (right + 1));
+  }
+
+  // Add delta to a single element
+  update(index, delta) {
+    this.rangeUpdate(index, index, delta);
+  }
+
+  // Get the sum from index 0 to index (inclusive)
+  query(index) {
+    return (
+      (index + 1) * this.diff.query(index) - this.weightedDiff.query(index)
+    );
+  }
+
+  // Get the sum from left to right (inclusive)
+  rangeQuery(left, right) {
+    return this.query(right) - this.query(left - 1);
+  }
+
+  // Get the current value of a single element
+  get(index) {
+    return this.diff.query(index);
+  }
+}
+
+/**
+ * 2D Fenwick Tree
+ *
+ * @description
+ * A Fenwick Tree over a grid: point updates and sums over any rectangle of cells.
+ * Each dimension is walked like the 1D tree, so operations cost O(log rows * log cols).
+ *
+ * @complexity
+ * Time complexity: O(log n * log m) for update and query operations
+ * Space complexity: O(n * m)
+ */
+class FenwickTree2D {
+  constructor(rows, cols) {
+    this.rows = rows;
+    this.cols = cols;
+    // 1-indexed in both dimensions
+    this.tree = Array.from({ length: rows + 1 }, () =>
+      new Array(cols + 1).fill(0)
+    );
+  }
+
+  // Add delta to the cell at (row, col)
+  update(row, col, delta) {
+    for (let i = row + 1; i <= this.rows; i += i & -i) {
+      for (let j = col + 1; j <= this.cols; j += j & -j) {
+        this.tree[i][j] += delta;
+      }
+    }
+  }
+
+  // Get the sum of the rectangle from (0, 0) to (row, col) (inclusive)
+  query(row, col) {
+    let sum = 0;
+    for (let i = row + 1; i > 0; i -= i & -i) {
+      for (let j = col + 1; j > 0; j -= j & -j) {
+        sum += this.tree[i][j];
+      }
+    }
+    return sum;
+  }
+
+  // Get the sum of the rectangle from (row1, col1) to (row2, col2) (inclusive)
+  rangeQuery(row1, col1, row2, col2) {
+    return (
+      this.query(row2, col2) -
+      this.query(row1 - 1, col2) -
+      this.query(row2, col1 - 1) +
+      this.query(row1 - 1, col1 - 1)
+    );
+  }
+}
+
+/**
+ * Range-Update / Range-Query 2D Fenwick Tree
+ *
+ * @description
+ * Adds a value to every cell of a rectangle and returns sums over rectangles, both in
+ * O(log n * log m). This is the 2D version of RangeFenwickTree and is handy for heatmaps
+ * that receive rectangular increments.
+ *
+ * @reasoning
+ * A rectangle increment becomes four corner updates of a 2D difference array d. The sum
+ * of the rectangle (0, 0)..(x, y) is the sum over p <= x, q <= y of
+ * d[p][q] * (x - p + 1) * (y - q + 1), which expands into four 2D trees holding
+ * d, d * p, d * q and d * p * q.
+ *
+ * @complexity
+ * Time complexity: O(log n * log m) for rangeUpdate and rangeQuery
+ * Space complexity: O(n * m)
+ */
+class RangeFenwickTree2D {
+  constructor(rows, cols) {
+    this.rows = rows;
+    this.cols = cols;
+    this.d = new FenwickTree2D(rows, cols); // d[p][q]
+    this.dp = new FenwickTree2D(rows, cols); // d[p][q] * p
+    this.dq = new FenwickTree2D(rows, cols); // d[p][q] * q
+    this.dpq = new FenwickTree2D(rows, cols); // d[p][q] * p * q
+  }
+
+  // Add delta at one corner of the difference array
+  _addCorner(row, col, delta) {
+    this.d.update(row, col, delta);
+    this.dp.update(row, col, delta * row);
+    this.dq.update(row, col, delta * col);
+    this.dpq.update(row, col, delta * row * col);
+  }
+
+  // Add delta to every cell from (row1, col1) to (row2, col2) (inclusive)
+  rangeUpdate(row1, col1, row2, col2, delta) {
+    this._addCorner(row1, col1, delta);
+    this._addCorner(row1, col2 + 1, -delta);
+    this._addCorner(row2 + 1, col1, -delta);
+    this._addCorner(row2 + 1, col2 + 1, delta);
+  }
+
+  // Add delta to a single cell
+  update(row, col, delta) {
+    this.rangeUpdate(row, col, row, col, delta);
+  }
+
+  // Get the sum of the rectangle from (0, 0) to (row, col) (inclusive)
+  query(row, col) {
+    if (row < 0 || col < 0) return 0;
+    return (
+      (row + 1) * (col + 1) * this.d.query(row, col) -
+      (col + 1) * this.dp.query(row, col) -
+      (row + 1) * this.dq.query(row, col) +
+      this.dpq.query(row, col)
+    );
+  }
+
+  // Get the sum of the rectangle from (row1, col1) to (row2, col2) (inclusive)
+  rangeQuery(row1, col1, row2, col2) {
+    return (
+      this.query(row2, col2) -
+      this.query(row1 - 1, col2) -
+      this.query(row2, col1 - 1) +
+      this.query(row1 - 1, col1 - 1)
+    );
+  }
+
+  // Get the current value of a single cell
+  get(row, col) {
+    return this.d.query(row, col);
+  }
+}
+
+module.exports = {
+  FenwickTree,
+  RangeFenwickTree,
+  FenwickTree2D,
+  RangeFenwickTree2D,
+};
+
 // Example usage
-let fenwick = new FenwickTree(10);
-[3, 2, -1, 6, 5, 4, -3, 3, 7, 2].forEach((val, idx) =>
-  fenwick.update(idx, val)
-);
-console.log("Sum of first 5 elements:", fenwick.query(4)); // 15
-console.log("Sum of elements 3 to 7:", fenwick.rangeQuery(2, 6)); // 11
-console.log("Smallest index with sum 10:", fenwick.findSmallestIndex(10)); // 3
-console.log("Sum of range [1, 3]:", fenwick.rangeSum(1, 3));
-console.log("Sum of range [2, 5]:", fenwick.rangeSum(2, 5));
-
-console.log("\nUpdating index 3 to 6");
-fenwick.update(3, 6 - arr[2]); // Update the difference
-
-console.log("Sum of range [1, 3] aftker update:", fenwick.rangeSum(1, 3));
-console.log("Sum of range [2, 5] after update:", fenwick.rangeSum(2, 5));
+if (require.main === module) {
+  let arr = [3, 2, -1, 6, 5, 4, -3, 3, 7, 2];
+  let fenwick = new FenwickTree(arr.length);
+  arr.forEach((val, idx) => fenwick.update(idx, val));
+  console.log("Sum of first 5 elements:", fenwick.query(4)); // 15
+  console.log("Sum of elements 3 to 7:", fenwick.rangeQuery(2, 6)); // 11
+  console.log("Smallest index with sum 10:", fenwick.findSmallestIndex(10)); // 3
+  console.log("Sum of range [1, 3]:", fenwick.rangeSum(1, 3));
+  console.log("Sum of range [2, 5]:", fenwick.rangeSum(2, 5));
+
+  console.log("\nUpdating index 2 to 6");
+  fenwick.update(2, 6 - arr[2]); // Update the difference
+
+  console.log("Sum of range [1, 3] after update:", fenwick.rangeSum(1, 3));
+  console.log("Sum of range [2, 5] after update:", fenwick.rangeSum(2, 5));
+
+  console.log("\nRange updates with RangeFenwickTree");
+  let rangeFenwick = new RangeFenwickTree(10);
+  rangeFenwick.rangeUpdate(2, 6, 3); // [0, 0, 3, 3, 3, 3, 3, 0, 0, 0]
+  rangeFenwick.rangeUpdate(5, 9, 1); // [0, 0, 3, 3, 3, 4, 4, 1, 1, 1]
+  console.log("Sum of elements 4 to 7:", rangeFenwick.rangeQuery(4, 7)); // 12
+  console.log("Value at index 5:", rangeFenwick.get(5)); // 4
+
+  console.log("\nRectangle updates with RangeFenwickTree2D");
+  let heatmap = new RangeFenwickTree2D(4, 5);
+  heatmap.rangeUpdate(0, 0, 2, 2, 1); // 3x3 block of 1s
+  heatmap.rangeUpdate(1, 1, 3, 4, 2); // 3x4 block of 2s overlapping it
+  console.log("Sum of whole grid:", heatmap.rangeQuery(0, 0, 3, 4)); // 33
+  console.log("Sum of (1, 1)-(2, 2):", heatmap.rangeQuery(1, 1, 2, 2)); // 12
+  console.log("Value at (2, 2):", heatmap.get(2, 2)); // 3
+
+  let grid = new FenwickTree2D(3, 3);
+  grid.update(0, 0, 5);
+  grid.update(1, 2, 4);
+  grid.update(2, 1, 7);
+  console.log("Sum of (1, 1)-(2, 2):", grid.rangeQuery(1, 1, 2, 2)); // 11
+}
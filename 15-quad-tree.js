@@ -10,15 +10,24 @@
  * Quadtrees are particularly useful for spatial indexing, image compression, and collision detection
  * in two-dimensional spaces.
  *
+ * @assumptions
+ * - Each point can carry arbitrary user data (`point.data`), which is returned with it by every query.
+ * - remove/update identify a point by object identity, so keep the Point that was inserted.
+ * - A node keeps up to `capacity` points of its own, even after it has been divided; once a
+ *   subtree holds no more than `capacity` points in total it is collapsed back into one node.
+ *
  * @complexity
- * Time complexity: O(log n) for insertion and search operations (average case)
+ * Time complexity: O(log n) for insertion, removal, update and search operations (average case)
  * Space complexity: O(n)
  */
 
+const { Heap } = require("./8.1-heap.js");
+
 class Point {
-  constructor(x, y) {
+  constructor(x, y, data = null) {
     this.x = x; // x-coordinate
     this.y = y; // y-coordinate
+    this.data = data; // User data carried with the point
   }
 }
 
@@ -49,6 +58,33 @@ class Rectangle {
       range.y + range.h < this.y - this.h
     );
   }
+
+  // Distance from a point to the closest point of this rectangle (0 if inside)
+  distanceTo(point) {
+    let dx = Math.max(Math.abs(point.x - this.x) - this.w, 0);
+    let dy = Math.max(Math.abs(point.y - this.y) - this.h, 0);
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+}
+
+class Circle {
+  constructor(x, y, r) {
+    this.x = x; // Center x-coordinate
+    this.y = y; // Center y-coordinate
+    this.r = r; // Radius
+  }
+
+  // Check if this circle contains a point (boundary included)
+  contains(point) {
+    let dx = point.x - this.x;
+    let dy = point.y - this.y;
+    return dx * dx + dy * dy <= this.r * this.r;
+  }
+
+  // Check if this circle intersects a rectangle
+  intersects(rect) {
+    return rect.distanceTo(this) <= this.r;
+  }
 }
 
 class Quadtree {
@@ -57,6 +93,12 @@ class Quadtree {
     this.capacity = capacity; // Maximum number of points before splitting
     this.points = []; // Array to store points
     this.divided = false; // Flag to indicate if this node has been divided
+    this.count = 0; // Number of points in this node and all of its children
+  }
+
+  // Number of points stored in this quadtree
+  size() {
+    return this.count;
   }
 
   // Insert a point into the quadtree
@@ -67,6 +109,7 @@ class Quadtree {
 
     if (this.points.length < this.capacity) {
       this.points.push(point);
+      this.count++;
       return true;
     }
 
@@ -75,12 +118,94 @@ class Quadtree {
     }
 
     // Try to insert into children
-    return (
+    let inserted =
       this.northeast.insert(point) ||
       this.northwest.insert(point) ||
       this.southeast.insert(point) ||
-      this.southwest.insert(point)
-    );
+      this.southwest.insert(point);
+    if (inserted) this.count++;
+    return inserted;
+  }
+
+  /**
+   * Remove a point from the quadtree
+   *
+   * Only the quadrants containing the point's position are searched. On the way back
+   * up, any subtree left with no more than `capacity` points is collapsed into its root.
+   *
+   * @param {Point} point - The point object that was inserted
+   * @returns {boolean} True if the point was found and removed
+   */
+  remove(point) {
+    if (!this.boundary.contains(point)) return false;
+
+    let index = this.points.indexOf(point);
+    if (index !== -1) {
+      this.points.splice(index, 1);
+    } else if (
+      !this.divided ||
+      !this.children().some((child) => child.remove(point))
+    ) {
+      return false;
+    }
+
+    this.count--;
+    if (this.divided && this.count <= this.capacity) {
+      this.collapse();
+    }
+    return true;
+  }
+
+  /**
+   * Move a point to a new position, keeping its data
+   *
+   * If the node holding the point also contains the new position the point is moved in
+   * place; otherwise it is removed (collapsing emptied quadrants) and inserted again.
+   *
+   * @param {Point} point - The point object that was inserted
+   * @param {{x: number, y: number}} newPos - The new position
+   * @returns {boolean} False if the point is not in the tree or newPos is outside it
+   */
+  update(point, newPos) {
+    if (!this.boundary.contains(newPos)) return false;
+
+    let holder = this.findNode(point);
+    if (!holder) return false;
+
+    if (holder.boundary.contains(newPos)) {
+      point.x = newPos.x;
+      point.y = newPos.y;
+      return true;
+    }
+
+    this.remove(point);
+    point.x = newPos.x;
+    point.y = newPos.y;
+    return this.insert(point);
+  }
+
+  // Find the node whose own points include the given point object
+  findNode(point) {
+    if (!this.boundary.contains(point)) return null;
+    if (this.points.includes(point)) return this;
+    if (!this.divided) return null;
+    for (let child of this.children()) {
+      let node = child.findNode(point);
+      if (node) return node;
+    }
+    return null;
+  }
+
+  // Pull every point of the subtree into this node and drop the children
+  collapse() {
+    this.points = [...this];
+    this.divided = false;
+    this.northeast = this.northwest = this.southeast = this.southwest = null;
+  }
+
+  // The four quadrants of a divided node
+  children() {
+    return [this.northwest, this.northeast, this.southwest, this.southeast];
   }
 
   // Create four children that fully divide this quadtree
@@ -105,9 +230,9 @@ class Quadtree {
     this.divided = true;
   }
 
-  // Find all points that appear within a range
+  // Find all points that appear within a range (a Rectangle or a Circle)
   query(range, found = []) {
-    if (!this.boundary.intersects(range)) {
+    if (!range.intersects(this.boundary)) {
       return found; // If range doesn't intersect boundary, return empty array
     }
 
@@ -129,56 +254,79 @@ class Quadtree {
     return found;
   }
 
-  // Find the nearest neighbor to a given point
-  nearestNeighbor(point) {
-    if (this.points.length === 0 && !this.divided) {
-      return null; // Empty tree
-    }
+  // Find all points within `radius` of a center point
+  queryRadius(center, radius) {
+    return this.query(new Circle(center.x, center.y, radius));
+  }
 
-    let best = null;
-    let bestDistance = Infinity;
+  /**
+   * Find the k points closest to a given point
+   *
+   * @description
+   * Depth-first search that visits quadrants nearest-first and keeps the k best points
+   * in a max-heap keyed by distance. A quadrant is skipped once the heap is full and
+   * the closest edge of the quadrant is farther than the current k-th best point.
+   *
+   * @param {{x: number, y: number}} point - The query position
+   * @param {number} k - Number of neighbors to return
+   * @returns {Point[]} Up to k points, closest first
+   *
+   * @complexity
+   * Time complexity: O(log n + k log k) on average for evenly spread points
+   */
+  kNearest(point, k) {
+    if (k <= 0) return [];
+    let best = new Heap((a, b) => b.distance - a.distance);
+    this.searchNearest(point, k, best);
 
-    // Check all points at this quad level
+    let result = [];
+    while (!best.isEmpty()) result.push(best.extract().point);
+    return result.reverse();
+  }
+
+  searchNearest(point, k, best) {
     for (let p of this.points) {
-      let d = this.distance(point, p);
-      if (d < bestDistance) {
-        best = p;
-        bestDistance = d;
+      let distance = this.distance(point, p);
+      if (best.size() < k) {
+        best.insert({ point: p, distance });
+      } else if (distance < best.peek().distance) {
+        best.extract();
+        best.insert({ point: p, distance });
       }
     }
 
-    // If this quadtree has been subdivided, check children
-    if (this.divided) {
-      let quadrants = [
-        this.northwest,
-        this.northeast,
-        this.southwest,
-        this.southeast,
-      ];
-      // Sort quadrants by distance to point
-      quadrants.sort(
-        (a, b) =>
-          this.distance(point, this.centerOf(a.boundary)) -
-          this.distance(point, this.centerOf(b.boundary))
-      );
-
-      for (let quadrant of quadrants) {
-        if (
-          this.distance(point, this.centerOf(quadrant.boundary)) < bestDistance
-        ) {
-          let candidate = quadrant.nearestNeighbor(point);
-          if (candidate) {
-            let d = this.distance(point, candidate);
-            if (d < bestDistance) {
-              best = candidate;
-              bestDistance = d;
-            }
-          }
-        }
-      }
+    if (!this.divided) return;
+
+    // Visit the closest quadrants first so the heap tightens quickly
+    let quadrants = this.children()
+      .filter((quadrant) => quadrant.count > 0)
+      .map((quadrant) => ({
+        quadrant,
+        distance: quadrant.boundary.distanceTo(point),
+      }))
+      .sort((a, b) => a.distance - b.distance);
+
+    for (let { quadrant, distance } of quadrants) {
+      if (best.size() === k && distance >= best.peek().distance) break;
+      quadrant.searchNearest(point, k, best);
     }
+  }
 
-    return best;
+  // Find the nearest neighbor to a given point
+  nearestNeighbor(point) {
+    let [nearest] = this.kNearest(point, 1);
+    return nearest || null;
+  }
+
+  // Lazily yield every point, this node's points before its children's
+  *[Symbol.iterator]() {
+    yield* this.points;
+    if (this.divided) {
+      yield* this.northwest;
+      yield* this.northeast;
+      yield* this.southwest;
+      yield* this.southeast;
+    }
   }
 
   // Calculate Euclidean distance between two points
@@ -187,29 +335,57 @@ class Quadtree {
     let dy = p1.y - p2.y;
     return Math.sqrt(dx * dx + dy * dy);
   }
-
-  // Get the center point of a rectangle
-  centerOf(rect) {
-    return new Point(rect.x, rect.y);
-  }
 }
 
+module.exports = { Point, Rectangle, Circle, Quadtree };
+
 // Example usage
-let boundary = new Rectangle(0, 0, 100, 100); // 200x200 space centered at (0,0)
-let qt = new Quadtree(boundary, 4); // Quadtree with capacity 4 points per quad
+if (require.main === module) {
+  let boundary = new Rectangle(0, 0, 100, 100); // 200x200 space centered at (0,0)
+  let qt = new Quadtree(boundary, 4); // Quadtree with capacity 4 points per quad
 
-// Insert some random points
-for (let i = 0; i < 20; i++) {
-  let p = new Point(Math.random() * 200 - 100, Math.random() * 200 - 100);
-  qt.insert(p);
-}
+  // Insert some random points, each carrying an entity id
+  let entities = [];
+  for (let i = 0; i < 20; i++) {
+    let p = new Point(Math.random() * 200 - 100, Math.random() * 200 - 100, {
+      id: i,
+    });
+    entities.push(p);
+    qt.insert(p);
+  }
 
-// Query points within a range
-let range = new Rectangle(0, 0, 50, 50);
-let pointsInRange = qt.query(range);
-console.log("Points within range:", pointsInRange.length);
+  // Query points within a range
+  let range = new Rectangle(0, 0, 50, 50);
+  let pointsInRange = qt.query(range);
+  console.log("Points within range:", pointsInRange.length);
 
-// Find nearest neighbor
-let testPoint = new Point(10, 10);
-let nearest = qt.nearestNeighbor(testPoint);
-console.log("Nearest neighbor to (10, 10):", nearest);
+  // Query points within a circle
+  let pointsInCircle = qt.queryRadius(new Point(0, 0), 50);
+  console.log("Points within 50 of the origin:", pointsInCircle.length);
+
+  // Find nearest neighbor
+  let testPoint = new Point(10, 10);
+  let nearest = qt.nearestNeighbor(testPoint);
+  console.log("Nearest neighbor to (10, 10):", nearest);
+
+  // Find the three nearest neighbors
+  let nearestIds = qt.kNearest(testPoint, 3).map((p) => p.data.id);
+  console.log("Ids of the 3 nearest neighbors to (10, 10):", nearestIds);
+
+  // Move every entity a little, then remove half of them
+  for (let p of entities) {
+    let x = Math.max(-100, Math.min(99, p.x + Math.random() * 10 - 5));
+    let y = Math.max(-100, Math.min(99, p.y + Math.random() * 10 - 5));
+    qt.update(p, { x, y });
+  }
+  entities.slice(0, 10).forEach((p) => qt.remove(p));
+  console.log("Points left after removing 10:", qt.size()); // 10
+
+  // Iterate over all points, stopping at the first one in the top-right quadrant
+  for (let p of qt) {
+    if (p.x > 0 && p.y > 0) {
+      console.log("First point found with x > 0 and y > 0:", p);
+      break;
+    }
+  }
+}
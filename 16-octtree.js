@@ -6,24 +6,107 @@
  * Octrees are the three-dimensional analog of Quadtrees and are used to partition a
  * three-dimensional space.
  *
+ * A loose octree (LooseOctree) stores objects with extents (boxes) instead of points. Each
+ * node accepts objects whose center lies in its cell and whose box fits inside the cell
+ * grown by a `looseness` factor, so objects never have to be split across nodes.
+ *
  * @reasoning
  * Octrees are particularly useful for 3D spatial indexing, collision detection in 3D spaces,
- * and 3D graphics applications.
+ * and 3D graphics applications: ray casting (picking, line of sight), frustum culling and
+ * nearest-neighbor lookups all skip whole subtrees whose bounds cannot contribute.
+ *
+ * @assumptions
+ * - Points can carry arbitrary user data (`point.data`); remove() matches by object identity.
+ * - Objects stored in a LooseOctree are any objects with Box fields (x, y, z, w, h, d).
+ * - Ray directions do not need to be normalized; hit distances are measured along the ray.
  *
  * @complexity
- * Time complexity: O(log n) for insertion and search operations (average case)
+ * Time complexity: O(log n) for insertion, removal and search operations (average case)
  * Space complexity: O(n)
  */
 
+const { Heap } = require("./8.1-heap.js");
+
 // Define a 3D point class
 class Point3D {
-  constructor(x, y, z) {
+  constructor(x, y, z, data = null) {
     this.x = x; // Store x-coordinate
     this.y = y; // Store y-coordinate
     this.z = z; // Store z-coordinate
+    this.data = data; // User data carried with the point
   }
 }
 
+// Distance from a point to the closest point of a box (0 if inside)
+function boxDistance(box, point) {
+  let dx = Math.max(Math.abs(point.x - box.x) - box.w, 0);
+  let dy = Math.max(Math.abs(point.y - box.y) - box.h, 0);
+  let dz = Math.max(Math.abs(point.z - box.z) - box.d, 0);
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Distance along a ray to where it enters a box (slab method)
+ *
+ * @param {Object} box - Box fields (x, y, z, w, h, d)
+ * @param {Point3D} origin - Ray origin
+ * @param {Point3D} direction - Normalized ray direction
+ * @param {number} padding - Grow the box by this much on every side
+ * @returns {number|null} 0 if the origin is inside, null if the ray misses
+ */
+function rayBoxDistance(box, origin, direction, padding = 0) {
+  let tMin = 0;
+  let tMax = Infinity;
+  for (let [axis, half] of [
+    ["x", box.w],
+    ["y", box.h],
+    ["z", box.d],
+  ]) {
+    let low = box[axis] - half - padding;
+    let high = box[axis] + half + padding;
+    if (direction[axis] === 0) {
+      // Parallel to this slab: must already be between its planes
+      if (origin[axis] < low || origin[axis] > high) return null;
+      continue;
+    }
+    let t1 = (low - origin[axis]) / direction[axis];
+    let t2 = (high - origin[axis]) / direction[axis];
+    tMin = Math.max(tMin, Math.min(t1, t2));
+    tMax = Math.min(tMax, Math.max(t1, t2));
+    if (tMin > tMax) return null;
+  }
+  return tMin;
+}
+
+/**
+ * Distance along a ray to where it enters a sphere of `radius` around a point
+ *
+ * @returns {number|null} 0 if the origin is inside, null if the ray misses
+ */
+function rayPointDistance(point, origin, direction, radius) {
+  let vx = point.x - origin.x;
+  let vy = point.y - origin.y;
+  let vz = point.z - origin.z;
+  let lengthSquared = vx * vx + vy * vy + vz * vz;
+  let radiusSquared = radius * radius;
+  if (lengthSquared <= radiusSquared) return 0;
+
+  // Closest approach along the ray
+  let t = vx * direction.x + vy * direction.y + vz * direction.z;
+  if (t < 0) return null;
+  let missSquared = lengthSquared - t * t;
+  if (missSquared > radiusSquared) return null;
+  return t - Math.sqrt(radiusSquared - missSquared);
+}
+
+function normalize(vector) {
+  let length = Math.sqrt(
+    vector.x * vector.x + vector.y * vector.y + vector.z * vector.z
+  );
+  if (length === 0) throw new Error("Ray direction must not be zero");
+  return new Point3D(vector.x / length, vector.y / length, vector.z / length);
+}
+
 // Define a 3D box class for representing octree boundaries
 class Box {
   constructor(x, y, z, w, h, d) {
@@ -81,6 +164,56 @@ class Box {
     // If the distance from the closest point to the center is less than the radius, they intersect
     return dx * dx + dy * dy + dz * dz <= radius * radius;
   }
+
+  // Check if another box lies completely inside this box
+  containsBox(box) {
+    return (
+      box.x - box.w >= this.x - this.w &&
+      box.x + box.w <= this.x + this.w &&
+      box.y - box.h >= this.y - this.h &&
+      box.y + box.h <= this.y + this.h &&
+      box.z - box.d >= this.z - this.d &&
+      box.z + box.d <= this.z + this.d
+    );
+  }
+
+  // Distance from a point to the closest point of this box (0 if inside)
+  distanceTo(point) {
+    return boxDistance(this, point);
+  }
+}
+
+/**
+ * A view frustum (or any convex region) given by planes facing inwards
+ *
+ * Each plane is `{ normal: {x, y, z}, offset }`; a point p is inside the plane when
+ * normal . p + offset >= 0, and inside the frustum when it is inside every plane.
+ * Frustums can be passed to Octree.query like a Box.
+ */
+class Frustum {
+  constructor(planes) {
+    this.planes = planes;
+  }
+
+  // Check if a point is inside every plane
+  contains(point) {
+    return this.planes.every(
+      ({ normal, offset }) =>
+        normal.x * point.x + normal.y * point.y + normal.z * point.z + offset >=
+        0
+    );
+  }
+
+  // Conservative box test: false only if the box is fully outside some plane
+  intersects(box) {
+    return this.planes.every(({ normal, offset }) => {
+      // The corner of the box furthest along the plane normal
+      let x = box.x + (normal.x >= 0 ? box.w : -box.w);
+      let y = box.y + (normal.y >= 0 ? box.h : -box.h);
+      let z = box.z + (normal.z >= 0 ? box.d : -box.d);
+      return normal.x * x + normal.y * y + normal.z * z + offset >= 0;
+    });
+  }
 }
 
 // Define the Octree class
@@ -90,6 +223,56 @@ class Octree {
     this.capacity = capacity; // Maximum number of points per node before splitting
     this.points = []; // Array to store points in this node
     this.divided = false; // Flag to indicate if this node has been subdivided
+    this.count = 0; // Number of points in this node and all of its children
+  }
+
+  // Number of points stored in this octree
+  size() {
+    return this.count;
+  }
+
+  // Create a node for one octant (LooseOctree overrides this)
+  createChild(box) {
+    return new Octree(box, this.capacity);
+  }
+
+  // The region used to prune searches: everything stored below this node is inside it
+  bounds() {
+    return this.boundary;
+  }
+
+  // Whether a point may be stored in this node or its children
+  accepts(point) {
+    return this.boundary.contains(point);
+  }
+
+  // Whether a stored point matches a query range (Box or Frustum)
+  itemInRange(range, point) {
+    return range.contains(point);
+  }
+
+  // Distance from a query position to a stored point
+  itemDistance(position, point) {
+    return this.distance(position, point);
+  }
+
+  // Distance along a ray to a stored point (within `radius` of the ray), or null
+  rayHit(origin, direction, point, radius) {
+    return rayPointDistance(point, origin, direction, radius);
+  }
+
+  // The eight octants of a divided node
+  children() {
+    return [
+      this.topNorthwest,
+      this.topNortheast,
+      this.topSouthwest,
+      this.topSoutheast,
+      this.bottomNorthwest,
+      this.bottomNortheast,
+      this.bottomSouthwest,
+      this.bottomSoutheast,
+    ];
   }
 
   // Subdivide this octree node into eight children
@@ -103,21 +286,21 @@ class Octree {
 
     // Create eight new octree nodes, one for each octant
     let topNW = new Box(x - w, y - h, z - d, w, h, d);
-    this.topNorthwest = new Octree(topNW, this.capacity);
+    this.topNorthwest = this.createChild(topNW);
     let topNE = new Box(x + w, y - h, z - d, w, h, d);
-    this.topNortheast = new Octree(topNE, this.capacity);
+    this.topNortheast = this.createChild(topNE);
     let topSW = new Box(x - w, y + h, z - d, w, h, d);
-    this.topSouthwest = new Octree(topSW, this.capacity);
+    this.topSouthwest = this.createChild(topSW);
     let topSE = new Box(x + w, y + h, z - d, w, h, d);
-    this.topSoutheast = new Octree(topSE, this.capacity);
+    this.topSoutheast = this.createChild(topSE);
     let bottomNW = new Box(x - w, y - h, z + d, w, h, d);
-    this.bottomNorthwest = new Octree(bottomNW, this.capacity);
+    this.bottomNorthwest = this.createChild(bottomNW);
     let bottomNE = new Box(x + w, y - h, z + d, w, h, d);
-    this.bottomNortheast = new Octree(bottomNE, this.capacity);
+    this.bottomNortheast = this.createChild(bottomNE);
     let bottomSW = new Box(x - w, y + h, z + d, w, h, d);
-    this.bottomSouthwest = new Octree(bottomSW, this.capacity);
+    this.bottomSouthwest = this.createChild(bottomSW);
     let bottomSE = new Box(x + w, y + h, z + d, w, h, d);
-    this.bottomSoutheast = new Octree(bottomSE, this.capacity);
+    this.bottomSoutheast = this.createChild(bottomSE);
 
     // Mark this node as divided
     this.divided = true;
@@ -126,13 +309,14 @@ class Octree {
   // Insert a point into the octree
   insert(point) {
     // If the point is not in this octree node's boundary, don't insert it
-    if (!this.boundary.contains(point)) {
+    if (!this.accepts(point)) {
       return false;
     }
 
     // If this node has capacity and hasn't been divided, add the point here
     if (this.points.length < this.capacity) {
       this.points.push(point);
+      this.count++;
       return true;
     }
 
@@ -142,28 +326,68 @@ class Octree {
     }
 
     // Try to insert the point into one of the eight child nodes
-    return (
-      this.topNorthwest.insert(point) ||
-      this.topNortheast.insert(point) ||
-      this.topSouthwest.insert(point) ||
-      this.topSoutheast.insert(point) ||
-      this.bottomNorthwest.insert(point) ||
-      this.bottomNortheast.insert(point) ||
-      this.bottomSouthwest.insert(point) ||
-      this.bottomSoutheast.insert(point)
-    );
+    let inserted = this.children().some((child) => child.insert(point));
+    if (inserted) this.count++;
+    return inserted;
   }
 
-  // Query points within a given 3D range
+  /**
+   * Remove a stored point (or object, in a LooseOctree)
+   *
+   * Only the nodes that could hold it are searched. On the way back up, any subtree
+   * left with no more than `capacity` entries is collapsed into its root.
+   *
+   * @param {Point3D|Object} item - The object that was inserted
+   * @returns {boolean} True if it was found and removed
+   */
+  remove(item) {
+    if (!this.accepts(item)) return false;
+
+    let index = this.points.indexOf(item);
+    if (index !== -1) {
+      this.points.splice(index, 1);
+    } else if (
+      !this.divided ||
+      !this.children().some((child) => child.remove(item))
+    ) {
+      return false;
+    }
+
+    this.count--;
+    if (this.divided && this.count <= this.capacity) {
+      this.collapse();
+    }
+    return true;
+  }
+
+  // Pull every entry of the subtree into this node and drop the children
+  collapse() {
+    this.points = [...this];
+    this.divided = false;
+    for (let name of [
+      "topNorthwest",
+      "topNortheast",
+      "topSouthwest",
+      "topSoutheast",
+      "bottomNorthwest",
+      "bottomNortheast",
+      "bottomSouthwest",
+      "bottomSoutheast",
+    ]) {
+      this[name] = null;
+    }
+  }
+
+  // Query points within a given 3D range (a Box or a Frustum)
   query(range, found = []) {
     // If the range doesn't intersect this octree node, return the empty result
-    if (!this.boundary.intersects(range)) {
+    if (!range.intersects(this.bounds())) {
       return found;
     }
 
     // Check all points in this node
     for (let p of this.points) {
-      if (range.contains(p)) {
+      if (this.itemInRange(range, p)) {
         found.push(p);
       }
     }
@@ -189,13 +413,13 @@ class Octree {
     let result = [];
 
     // If this node is too far away, return empty array
-    if (!this.boundary.intersectsSphere(center, radius)) {
+    if (!this.bounds().intersectsSphere(center, radius)) {
       return result;
     }
 
     // Check points in this node
     for (let point of this.points) {
-      if (this.distance(center, point) <= radius) {
+      if (this.itemDistance(center, point) <= radius) {
         result.push(point);
       }
     }
@@ -217,6 +441,163 @@ class Octree {
     return result;
   }
 
+  /**
+   * Find the k entries closest to a given position
+   *
+   * @description
+   * Depth-first search that visits octants nearest-first and keeps the k best entries
+   * in a max-heap keyed by distance. An octant is skipped once the heap is full and
+   * its bounds are farther away than the current k-th best entry.
+   *
+   * @param {Point3D} position - The query position
+   * @param {number} k - Number of neighbors to return
+   * @returns {Array} Up to k entries, closest first
+   *
+   * @complexity
+   * Time complexity: O(log n + k log k) on average for evenly spread points
+   */
+  kNearest(position, k) {
+    if (k <= 0) return [];
+    let best = new Heap((a, b) => b.distance - a.distance);
+    this.searchNearest(position, k, best);
+
+    let result = [];
+    while (!best.isEmpty()) result.push(best.extract().item);
+    return result.reverse();
+  }
+
+  searchNearest(position, k, best) {
+    for (let item of this.points) {
+      let distance = this.itemDistance(position, item);
+      if (best.size() < k) {
+        best.insert({ item, distance });
+      } else if (distance < best.peek().distance) {
+        best.extract();
+        best.insert({ item, distance });
+      }
+    }
+
+    if (!this.divided) return;
+
+    // Visit the closest octants first so the heap tightens quickly
+    let octants = this.children()
+      .filter((octant) => octant.count > 0)
+      .map((octant) => ({
+        octant,
+        distance: octant.bounds().distanceTo(position),
+      }))
+      .sort((a, b) => a.distance - b.distance);
+
+    for (let { octant, distance } of octants) {
+      if (best.size() === k && distance >= best.peek().distance) break;
+      octant.searchNearest(position, k, best);
+    }
+  }
+
+  /**
+   * Find every entry hit by a ray
+   *
+   * @param {Point3D} origin - Where the ray starts
+   * @param {Point3D} direction - Ray direction (any non-zero length)
+   * @param {number} [radius=0] - Thickness of the ray: points within this distance count
+   *   as hit (boxes are grown by it on every side)
+   * @param {number} [maxDistance=Infinity] - Ignore hits farther along the ray
+   * @returns {{item: *, distance: number}[]} Hits sorted by distance along the ray
+   */
+  raycastAll(origin, direction, radius = 0, maxDistance = Infinity) {
+    let hits = [];
+    this.collectRayHits(
+      origin,
+      normalize(direction),
+      radius,
+      maxDistance,
+      hits
+    );
+    return hits.sort((a, b) => a.distance - b.distance);
+  }
+
+  collectRayHits(origin, direction, radius, maxDistance, hits) {
+    let entry = rayBoxDistance(this.bounds(), origin, direction, radius);
+    if (entry === null || entry > maxDistance) return;
+
+    for (let item of this.points) {
+      let distance = this.rayHit(origin, direction, item, radius);
+      if (distance !== null && distance <= maxDistance) {
+        hits.push({ item, distance });
+      }
+    }
+
+    if (this.divided) {
+      for (let child of this.children()) {
+        child.collectRayHits(origin, direction, radius, maxDistance, hits);
+      }
+    }
+  }
+
+  /**
+   * Find the first entry hit by a ray
+   *
+   * @description
+   * Visits octants in the order the ray enters them and stops as soon as the next
+   * octant starts beyond the closest hit found so far.
+   *
+   * @param {Point3D} origin - Where the ray starts
+   * @param {Point3D} direction - Ray direction (any non-zero length)
+   * @param {number} [radius=0] - Thickness of the ray, as in raycastAll
+   * @param {number} [maxDistance=Infinity] - Ignore hits farther along the ray
+   * @returns {{item: *, distance: number}|null} The closest hit, or null
+   */
+  raycast(origin, direction, radius = 0, maxDistance = Infinity) {
+    let best = { item: null, distance: Infinity };
+    this.firstRayHit(origin, normalize(direction), radius, maxDistance, best);
+    return best.item === null ? null : best;
+  }
+
+  firstRayHit(origin, direction, radius, maxDistance, best) {
+    for (let item of this.points) {
+      let distance = this.rayHit(origin, direction, item, radius);
+      if (
+        distance !== null &&
+        distance <= maxDistance &&
+        distance < best.distance
+      ) {
+        best.item = item;
+        best.distance = distance;
+      }
+    }
+
+    if (!this.divided) return;
+
+    let octants = this.children()
+      .filter((octant) => octant.count > 0)
+      .map((octant) => ({
+        octant,
+        entry: rayBoxDistance(octant.bounds(), origin, direction, radius),
+      }))
+      .filter(({ entry }) => entry !== null && entry <= maxDistance)
+      .sort((a, b) => a.entry - b.entry);
+
+    for (let { octant, entry } of octants) {
+      if (entry >= best.distance) break;
+      octant.firstRayHit(origin, direction, radius, maxDistance, best);
+    }
+  }
+
+  // Lazily yield every point, this node's points before its children's
+  *[Symbol.iterator]() {
+    yield* this.points;
+    if (this.divided) {
+      yield* this.topNorthwest;
+      yield* this.topNortheast;
+      yield* this.topSouthwest;
+      yield* this.topSoutheast;
+      yield* this.bottomNorthwest;
+      yield* this.bottomNortheast;
+      yield* this.bottomSouthwest;
+      yield* this.bottomSoutheast;
+    }
+  }
+
   // Calculate Euclidean distance between two points
   distance(p1, p2) {
     let dx = p1.x - p2.x;
@@ -226,21 +607,171 @@ class Octree {
   }
 }
 
+/**
+ * Loose Octree
+ *
+ * @description
+ * An octree for objects with extents. Every node has a loose bounding box: its cell
+ * grown by `looseness` (2 doubles each side), and an object is stored in the deepest
+ * node whose cell contains the object's center and whose loose box contains the whole
+ * object. Objects too large for any child stay in the parent, so nothing is duplicated.
+ *
+ * @reasoning
+ * With a plain octree, an object straddling a cell border has to stay high up in the
+ * tree (or be split); loose bounds let it sink to a node of roughly its own size, which
+ * keeps ray casts and range queries close to O(log n).
+ *
+ * @assumptions
+ * - Objects are Box instances or any objects with x, y, z (center) and w, h, d (half sizes).
+ * - A node splits when it holds more than `capacity` objects and is above `maxDepth`.
+ */
+class LooseOctree extends Octree {
+  constructor(boundary, capacity, looseness = 2, maxDepth = 8, depth = 0) {
+    super(boundary, capacity);
+    this.looseness = looseness;
+    this.maxDepth = maxDepth;
+    this.depth = depth;
+    this.looseBoundary = new Box(
+      boundary.x,
+      boundary.y,
+      boundary.z,
+      boundary.w * looseness,
+      boundary.h * looseness,
+      boundary.d * looseness
+    );
+  }
+
+  createChild(box) {
+    return new LooseOctree(
+      box,
+      this.capacity,
+      this.looseness,
+      this.maxDepth,
+      this.depth + 1
+    );
+  }
+
+  bounds() {
+    return this.looseBoundary;
+  }
+
+  // The object's center must be in this cell and its box inside the loose bounds
+  accepts(object) {
+    return (
+      this.boundary.contains(object) && this.looseBoundary.containsBox(object)
+    );
+  }
+
+  itemInRange(range, object) {
+    return range.intersects(object);
+  }
+
+  itemDistance(position, object) {
+    return boxDistance(object, position);
+  }
+
+  rayHit(origin, direction, object, radius) {
+    return rayBoxDistance(object, origin, direction, radius);
+  }
+
+  // Insert an object with extents
+  insert(object) {
+    if (!this.accepts(object)) return false;
+    this.count++;
+
+    // Sink into the one child that can take it, if any
+    if (this.divided) {
+      let child = this.children().find((octant) => octant.accepts(object));
+      if (child) return child.insert(object);
+    }
+
+    this.points.push(object);
+    if (
+      !this.divided &&
+      this.points.length > this.capacity &&
+      this.depth < this.maxDepth
+    ) {
+      this.subdivide();
+      // Push down every object that fits in a child
+      let kept = [];
+      for (let item of this.points) {
+        let child = this.children().find((octant) => octant.accepts(item));
+        if (child) {
+          child.insert(item);
+        } else {
+          kept.push(item);
+        }
+      }
+      this.points = kept;
+    }
+    return true;
+  }
+}
+
+module.exports = { Point3D, Box, Frustum, Octree, LooseOctree };
+
 // Example usage
-let boundary = new Box(0, 0, 0, 100, 100, 100); // Create a 200x200x200 space centered at (0,0,0)
-let octree = new Octree(boundary, 4); // Create an octree with capacity 4 points per node
-
-// Insert 1000 random points
-for (let i = 0; i < 1000; i++) {
-  let p = new Point3D(
-    Math.random() * 200 - 100, // Random x between -100 and 100
-    Math.random() * 200 - 100, // Random y between -100 and 100
-    Math.random() * 200 - 100 // Random z between -100 and 100
+if (require.main === module) {
+  let boundary = new Box(0, 0, 0, 100, 100, 100); // Create a 200x200x200 space centered at (0,0,0)
+  let octree = new Octree(boundary, 4); // Create an octree with capacity 4 points per node
+
+  // Insert 1000 random points
+  for (let i = 0; i < 1000; i++) {
+    let p = new Point3D(
+      Math.random() * 200 - 100, // Random x between -100 and 100
+      Math.random() * 200 - 100, // Random y between -100 and 100
+      Math.random() * 200 - 100 // Random z between -100 and 100
+    );
+    octree.insert(p);
+  }
+
+  let center = new Point3D(0, 0, 0); // Center point for our radius search
+  let radius = 50; // Search radius
+  let pointsInRadius = octree.pointsWithinRadius(center, radius);
+  console.log("Points within radius:", pointsInRadius.length);
+  console.log("Points stored:", [...octree].length);
+
+  // Nearest neighbors and ray casts
+  let nearest = octree.kNearest(center, 3);
+  console.log(
+    "Distances to the 3 nearest points:",
+    nearest.map((p) => octree.distance(center, p).toFixed(2))
   );
-  octree.insert(p);
-}
+  let origin = new Point3D(-100, 0, 0);
+  let direction = new Point3D(1, 0, 0);
+  let firstHit = octree.raycast(origin, direction, 5);
+  console.log(
+    "First point within 5 of the x-axis ray, at distance:",
+    firstHit && firstHit.distance.toFixed(2)
+  );
+  console.log(
+    "All hits along that ray:",
+    octree.raycastAll(origin, direction, 5).length
+  );
+
+  // Remove the nearest points again
+  nearest.forEach((p) => octree.remove(p));
+  console.log("Points stored after removing 3:", octree.size()); // 997
 
-let center = new Point3D(0, 0, 0); // Center point for our radius search
-let radius = 50; // Search radius
-let pointsInRadius = octree.pointsWithinRadius(center, radius);
-console.log("Points within radius:", pointsInRadius.length);
+  // Objects with extents go into a loose octree
+  let scene = new LooseOctree(boundary, 4);
+  let crate = new Box(20, 0, 0, 5, 5, 5);
+  let wall = new Box(60, 0, 0, 2, 50, 50);
+  scene.insert(crate);
+  scene.insert(wall);
+  let hit = scene.raycast(origin, direction);
+  console.log(
+    "Ray hits the crate first:",
+    hit.item === crate,
+    "at distance",
+    hit.distance
+  ); // true 115
+  console.log(
+    "Objects along the ray:",
+    scene.raycastAll(origin, direction).length
+  ); // 2
+
+  // Frustum culling: keep what is in front of x = 40 (a single plane)
+  let inFront = new Frustum([{ normal: { x: 1, y: 0, z: 0 }, offset: -40 }]);
+  console.log("Objects beyond x = 40:", scene.query(inFront).length); // 1
+}
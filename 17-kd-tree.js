@@ -0,0 +1,377 @@
+/**
+ * K-d Tree Implementation
+ *
+ * @description
+ * A k-d tree is a binary tree that partitions k-dimensional space. Each node stores one
+ * point and splits the remaining points by one coordinate: smaller values go left,
+ * larger values go right, and values equal to the split may end up on either side.
+ * The splitting axis cycles with the depth.
+ *
+ * The interfaces follow the Quadtree in 15-quad-tree.js, generalized to any number of
+ * dimensions: PointND carries coordinates plus user data, RectangleND (center and
+ * half-sizes) and SphereND are ranges with `contains(point)` and `intersects(rect)`,
+ * and any such range can be passed to `query`.
+ *
+ * @reasoning
+ * Quadtrees and octrees split every dimension at once, so they need 2^k children per
+ * node and become impractical beyond three dimensions. A k-d tree splits one dimension
+ * at a time and stays a binary tree, which makes nearest-neighbor and range search work
+ * for feature vectors, colors, or any other multi-dimensional data.
+ *
+ * @assumptions
+ * - All points in a tree have the same number of dimensions.
+ * - Each node also keeps the bounding box of its subtree, which is what searches prune on.
+ *   Pruning never relies on which side of a split a tie went to, so duplicate
+ *   coordinates are always found.
+ * - Bulk building from an array gives a balanced tree; later inserts do not rebalance.
+ *
+ * @complexity
+ * Time complexity:
+ *   - Build: O(n log^2 n) (sorting at every level)
+ *   - Insert: O(log n) on average
+ *   - Nearest neighbors, radius and range queries: O(log n + m) on average for well spread
+ *     points in low dimensions, where m is the number of results; O(n) in the worst case
+ * Space complexity: O(n)
+ */
+
+const { Heap } = require("./8.1-heap.js");
+
+class PointND {
+  constructor(coords, data = null) {
+    this.coords = coords; // Coordinates, one per dimension
+    this.data = data; // User data carried with the point
+  }
+}
+
+class RectangleND {
+  constructor(center, halfSizes) {
+    this.center = center; // Center coordinates
+    this.halfSizes = halfSizes; // Half of the size along each dimension
+  }
+
+  // Build the smallest rectangle containing every given point
+  static around(points) {
+    let min = [...points[0].coords];
+    let max = [...points[0].coords];
+    for (let point of points) {
+      point.coords.forEach((value, axis) => {
+        if (value < min[axis]) min[axis] = value;
+        if (value > max[axis]) max[axis] = value;
+      });
+    }
+    return new RectangleND(
+      min.map((low, axis) => (low + max[axis]) / 2),
+      min.map((low, axis) => (max[axis] - low) / 2)
+    );
+  }
+
+  // Check if this rectangle contains a point
+  contains(point) {
+    return point.coords.every(
+      (value, axis) =>
+        value >= this.center[axis] - this.halfSizes[axis] &&
+        value < this.center[axis] + this.halfSizes[axis]
+    );
+  }
+
+  // Check if this rectangle intersects another rectangle
+  intersects(range) {
+    return this.center.every(
+      (center, axis) =>
+        !(
+          range.center[axis] - range.halfSizes[axis] >
+            center + this.halfSizes[axis] ||
+          range.center[axis] + range.halfSizes[axis] <
+            center - this.halfSizes[axis]
+        )
+    );
+  }
+
+  // Distance from a point to the closest point of this rectangle (0 if inside)
+  distanceTo(point) {
+    let sum = 0;
+    point.coords.forEach((value, axis) => {
+      let gap = Math.max(
+        Math.abs(value - this.center[axis]) - this.halfSizes[axis],
+        0
+      );
+      sum += gap * gap;
+    });
+    return Math.sqrt(sum);
+  }
+
+  // Return a copy of this rectangle grown just enough to contain a point
+  including(point) {
+    let min = this.center.map((c, axis) =>
+      Math.min(c - this.halfSizes[axis], point.coords[axis])
+    );
+    let max = this.center.map((c, axis) =>
+      Math.max(c + this.halfSizes[axis], point.coords[axis])
+    );
+    return new RectangleND(
+      min.map((low, axis) => (low + max[axis]) / 2),
+      min.map((low, axis) => (max[axis] - low) / 2)
+    );
+  }
+}
+
+class SphereND {
+  constructor(center, radius) {
+    this.center = center; // Center coordinates
+    this.radius = radius; // Radius
+  }
+
+  // Check if this sphere contains a point (boundary included)
+  contains(point) {
+    return distance(point.coords, this.center) <= this.radius;
+  }
+
+  // Check if this sphere intersects a rectangle
+  intersects(rect) {
+    return rect.distanceTo({ coords: this.center }) <= this.radius;
+  }
+}
+
+// Euclidean distance between two coordinate arrays
+function distance(a, b) {
+  let sum = 0;
+  for (let axis = 0; axis < a.length; axis++) {
+    let d = a[axis] - b[axis];
+    sum += d * d;
+  }
+  return Math.sqrt(sum);
+}
+
+class KDNode {
+  constructor(point, axis) {
+    this.point = point; // The point stored at this node
+    this.axis = axis; // The coordinate this node splits on
+    this.left = null; // Points with a smaller or equal coordinate on `axis`
+    this.right = null; // Points with a greater or equal coordinate on `axis`
+    this.bounds = new RectangleND(
+      [...point.coords],
+      point.coords.map(() => 0)
+    ); // Bounding box of the subtree
+  }
+}
+
+class KDTree {
+  /**
+   * @param {PointND[]} [points=[]] - Points to bulk build the tree from
+   * @param {number} [dimensions] - Number of dimensions; defaults to that of the first point
+   */
+  constructor(
+    points = [],
+    dimensions = points.length ? points[0].coords.length : undefined
+  ) {
+    if (dimensions === undefined) {
+      throw new Error("Dimensions are required to create an empty KDTree");
+    }
+    this.dimensions = dimensions;
+    points.forEach((point) => this.checkDimensions(point));
+    this.count = points.length;
+    this.root = this.build([...points], 0);
+  }
+
+  // Number of points in the tree
+  size() {
+    return this.count;
+  }
+
+  checkDimensions(point) {
+    if (point.coords.length !== this.dimensions) {
+      throw new Error(
+        `Point has ${point.coords.length} dimensions, expected ${this.dimensions}`
+      );
+    }
+  }
+
+  /**
+   * Build a balanced subtree by splitting at the median of the current axis
+   *
+   * @param {PointND[]} points - Points of the subtree (reordered in place)
+   * @param {number} depth - Depth of the subtree root
+   * @returns {KDNode|null} The subtree root
+   */
+  build(points, depth) {
+    if (points.length === 0) return null;
+
+    let axis = depth % this.dimensions;
+    points.sort((a, b) => a.coords[axis] - b.coords[axis]);
+    // Split at the median index even when neighbours tie with it, so duplicate
+    // coordinates still halve the points and the depth stays logarithmic
+    let median = Math.floor(points.length / 2);
+
+    let node = new KDNode(points[median], axis);
+    node.left = this.build(points.slice(0, median), depth + 1);
+    node.right = this.build(points.slice(median + 1), depth + 1);
+    node.bounds = RectangleND.around(points);
+    return node;
+  }
+
+  // Insert a single point (the tree is not rebalanced)
+  insert(point) {
+    this.checkDimensions(point);
+    this.count++;
+
+    if (!this.root) {
+      this.root = new KDNode(point, 0);
+      return;
+    }
+
+    let node = this.root;
+    while (true) {
+      node.bounds = node.bounds.including(point);
+      let side =
+        point.coords[node.axis] < node.point.coords[node.axis]
+          ? "left"
+          : "right";
+      if (!node[side]) {
+        node[side] = new KDNode(point, (node.axis + 1) % this.dimensions);
+        return;
+      }
+      node = node[side];
+    }
+  }
+
+  /**
+   * Find the k points closest to a target
+   *
+   * @description
+   * Searches the side of each split that contains the target first, keeping the k best
+   * points in a max-heap. A subtree is skipped once the heap is full and the subtree's
+   * bounding box is farther away than the current k-th best point.
+   *
+   * @param {PointND} target - The query point
+   * @param {number} k - Number of neighbors to return
+   * @returns {PointND[]} Up to k points, closest first
+   */
+  kNearest(target, k) {
+    this.checkDimensions(target);
+    if (k <= 0) return [];
+    let best = new Heap((a, b) => b.distance - a.distance);
+    this.searchNearest(this.root, target, k, best);
+
+    let result = [];
+    while (!best.isEmpty()) result.push(best.extract().point);
+    return result.reverse();
+  }
+
+  searchNearest(node, target, k, best) {
+    if (!node) return;
+    if (
+      best.size() === k &&
+      node.bounds.distanceTo(target) >= best.peek().distance
+    ) {
+      return;
+    }
+
+    let d = distance(node.point.coords, target.coords);
+    if (best.size() < k) {
+      best.insert({ point: node.point, distance: d });
+    } else if (d < best.peek().distance) {
+      best.extract();
+      best.insert({ point: node.point, distance: d });
+    }
+
+    let goLeftFirst = target.coords[node.axis] < node.point.coords[node.axis];
+    let [near, far] = goLeftFirst
+      ? [node.left, node.right]
+      : [node.right, node.left];
+    this.searchNearest(near, target, k, best);
+    this.searchNearest(far, target, k, best);
+  }
+
+  // Find the closest point to a target
+  nearestNeighbor(target) {
+    let [nearest] = this.kNearest(target, 1);
+    return nearest || null;
+  }
+
+  // Find all points that appear within a range (a RectangleND, a SphereND or any range
+  // with contains(point) and intersects(rect))
+  query(range, node = this.root, found = []) {
+    if (!node || !range.intersects(node.bounds)) return found;
+    if (range.contains(node.point)) found.push(node.point);
+    this.query(range, node.left, found);
+    this.query(range, node.right, found);
+    return found;
+  }
+
+  // Find all points within `radius` of a center point
+  queryRadius(center, radius) {
+    this.checkDimensions(center);
+    return this.query(new SphereND(center.coords, radius));
+  }
+
+  // Lazily yield every point in preorder
+  *[Symbol.iterator]() {
+    let stack = this.root ? [this.root] : [];
+    while (stack.length > 0) {
+      let node = stack.pop();
+      yield node.point;
+      if (node.right) stack.push(node.right);
+      if (node.left) stack.push(node.left);
+    }
+  }
+}
+
+module.exports = { PointND, RectangleND, SphereND, KDTree };
+
+// Example usage
+if (require.main === module) {
+  // Colors as points in RGB space, each carrying its name
+  let colors = [
+    new PointND([255, 0, 0], "red"),
+    new PointND([0, 255, 0], "green"),
+    new PointND([0, 0, 255], "blue"),
+    new PointND([255, 255, 0], "yellow"),
+    new PointND([0, 255, 255], "cyan"),
+    new PointND([255, 0, 255], "magenta"),
+    new PointND([255, 165, 0], "orange"),
+    new PointND([128, 0, 128], "purple"),
+    new PointND([255, 255, 255], "white"),
+    new PointND([0, 0, 0], "black"),
+  ];
+  let tree = new KDTree(colors);
+
+  let target = new PointND([250, 120, 10]);
+  console.log("Closest color:", tree.nearestNeighbor(target).data); // orange
+  console.log(
+    "3 closest colors:",
+    tree.kNearest(target, 3).map((p) => p.data)
+  ); // [ 'orange', 'red', 'yellow' ]
+
+  let dark = tree.queryRadius(new PointND([0, 0, 0]), 200);
+  console.log(
+    "Colors within 200 of black:",
+    dark.map((p) => p.data)
+  ); // [ 'purple', 'black' ]
+
+  // Orthogonal range: red channel above 200, any green, blue below 50
+  let warm = tree.query(new RectangleND([228, 128, 25], [28, 128, 25]));
+  console.log(
+    "Warm colors:",
+    warm.map((p) => p.data)
+  ); // red, yellow, orange in tree order
+
+  tree.insert(new PointND([250, 128, 114], "salmon"));
+  console.log("Closest color after insert:", tree.nearestNeighbor(target).data); // orange
+  console.log("Points stored:", tree.size()); // 11
+
+  // Duplicate points: ties on the split coordinate go to both sides, so the tree stays
+  // balanced and every copy is still found
+  let duplicates = Array.from(
+    { length: 20000 },
+    (_, i) => new PointND(i % 4 === 0 ? [2, 2] : [1, 1], i)
+  );
+  let duplicateTree = new KDTree(duplicates);
+  console.log(
+    "Copies within 0 of [1, 1]:",
+    duplicateTree.queryRadius(new PointND([1, 1]), 0).length
+  ); // 15000
+  console.log(
+    "Nearest 3 to [2, 2]:",
+    duplicateTree.kNearest(new PointND([2, 2]), 3).map((p) => p.coords)
+  ); // [ [ 2, 2 ], [ 2, 2 ], [ 2, 2 ] ]
+}
@@ -87,6 +87,79 @@ class CartesianTree {
     return y;
   }
 
+  /**
+   * Make the tree iterable with for...of, yielding values in ascending order
+   */
+  [Symbol.iterator]() {
+    return this.inorder();
+  }
+
+  /**
+   * Lazily iterate over the values in ascending order
+   * @yields {*} - Each value, smallest first
+   */
+  *inorder() {
+    for (const node of this._inorderNodes()) yield node.value;
+  }
+
+  /**
+   * Lazily iterate over the values in descending order
+   * @yields {*} - Each value, largest first
+   */
+  *reverse() {
+    for (const node of this._inorderNodes(true)) yield node.value;
+  }
+
+  /**
+   * Lazily iterate over the values in preorder (node, left subtree, right subtree)
+   * @yields {*} - Each value
+   */
+  *preorder() {
+    const stack = this.root ? [this.root] : [];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      yield node.value;
+      if (node.right) stack.push(node.right);
+      if (node.left) stack.push(node.left);
+    }
+  }
+
+  /**
+   * Lazily iterate over the values level by level, from the root down
+   * @yields {*} - Each value
+   */
+  *levelOrder() {
+    const queue = this.root ? [this.root] : [];
+    for (let i = 0; i < queue.length; i++) {
+      const node = queue[i];
+      yield node.value;
+      if (node.left) queue.push(node.left);
+      if (node.right) queue.push(node.right);
+    }
+  }
+
+  /**
+   * Walk the nodes in order without recursion, so iteration can stop early
+   * and deep trees cannot overflow the call stack
+   * @param {boolean} reverse - Visit the nodes in descending order instead
+   * @yields {CartesianNode} - Each node of the tree
+   */
+  *_inorderNodes(reverse = false) {
+    const first = reverse ? "right" : "left";
+    const second = reverse ? "left" : "right";
+    const stack = [];
+    let node = this.root;
+    while (node || stack.length > 0) {
+      while (node) {
+        stack.push(node);
+        node = node[first];
+      }
+      node = stack.pop();
+      yield node;
+      node = node[second];
+    }
+  }
+
   /**
    * Perform an inorder traversal of the Cartesian tree
    * @param {CartesianNode} node - The current node in the traversal
@@ -99,17 +172,22 @@ class CartesianTree {
     }
   }
 }
+module.exports = { CartesianNode, CartesianTree };
+
 //   The Cartesian tree maintains both BST property for values and heap property for priorities,
 //  making it useful for various algorithms and data structures.
 // Test Cartesian Tree
-const ct = new CartesianTree();
-[
-  [5, 30],
-  [2, 20],
-  [6, 50],
-  [1, 10],
-  [4, 40],
-  [3, 25],
-].forEach(([val, pri]) => ct.insert(val, pri));
-console.log("Cartesian Tree Inorder Traversal:");
-ct.inorderTraversal();
+if (require.main === module) {
+  const ct = new CartesianTree();
+  [
+    [5, 30],
+    [2, 20],
+    [6, 50],
+    [1, 10],
+    [4, 40],
+    [3, 25],
+  ].forEach(([val, pri]) => ct.insert(val, pri));
+  console.log("Cartesian Tree Inorder Traversal:");
+  ct.inorderTraversal();
+  console.log("Level order (highest priority first):", [...ct.levelOrder()]);
+}
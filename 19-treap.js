@@ -1,13 +1,17 @@
+const { SegmentOperations } = require("./9.5-segment-tree.js");
+
 /**
  * Treap Node
  * A Treap is a randomized binary search tree. It's a combination of a BST and a heap.
  */
 class TreapNode {
-  constructor(value) {
-    this.value = value; // The node's value (BST property)
+  constructor(key, value) {
+    this.key = key; // The node's key (BST property)
+    this.value = value; // The value stored under the key
     this.priority = Math.random(); // Random priority (heap property)
     this.left = null; // Left child
     this.right = null; // Right child
+    this.size = 1; // Number of nodes in the subtree rooted here
   }
 }
 
@@ -15,8 +19,30 @@ class TreapNode {
  * Treap implementation
  */
 class Treap {
-  constructor() {
+  /**
+   * @param {function} comparator - Returns a negative number, zero or a positive number
+   * when a is less than, equal to or greater than b
+   */
+  constructor(comparator = (a, b) => (a < b ? -1 : a > b ? 1 : 0)) {
     this.root = null; // Root of the Treap
+    this.comparator = comparator; // Comparison function used to order keys
+  }
+
+  /**
+   * Get the number of nodes in a subtree
+   * @param {TreapNode} node - The root of the subtree, the whole Treap by default
+   * @returns {number} - The number of nodes, or 0 if the node is null
+   */
+  size(node = this.root) {
+    return node ? node.size : 0;
+  }
+
+  /**
+   * Recompute the subtree size of a node from its children
+   * @param {TreapNode} node - The node to update
+   */
+  updateSize(node) {
+    node.size = 1 + this.size(node.left) + this.size(node.right);
   }
 
   /**
@@ -28,6 +54,8 @@ class Treap {
     let x = y.left;
     y.left = x.right;
     x.right = y;
+    this.updateSize(y);
+    this.updateSize(x);
     return x;
   }
 
@@ -40,31 +68,39 @@ class Treap {
     let y = x.right;
     x.right = y.left;
     y.left = x;
+    this.updateSize(x);
+    this.updateSize(y);
     return y;
   }
 
   /**
-   * Insert a value into the Treap
-   * @param {*} value - The value to insert
+   * Insert a key-value pair into the Treap
+   * @param {*} key - The key to insert
+   * @param {*} [value=key] - The value stored under the key
    */
-  insert(value) {
-    this.root = this._insert(this.root, value);
+  insert(key, value = key) {
+    this.root = this._insert(this.root, key, value);
   }
 
   /**
-   * Recursive helper function to insert a value
+   * Recursive helper function to insert a key-value pair
    * @param {TreapNode} node - The current node in the recursion
-   * @param {*} value - The value to insert
+   * @param {*} key - The key to insert
+   * @param {*} value - The value stored under the key
    * @returns {TreapNode} - The new root of the modified subtree
    */
-  _insert(node, value) {
+  _insert(node, key, value) {
     // If we've reached a null node, create a new node here
-    if (!node) return new TreapNode(value);
+    if (!node) return new TreapNode(key, value);
 
-    // Perform standard BST insert
-    if (value < node.value) {
+    const cmp = this.comparator(key, node.key);
+    if (cmp === 0) {
+      // Key already present, replace the stored value
+      node.value = value;
+    } else if (cmp < 0) {
       // Insert into left subtree
-      node.left = this._insert(node.left, value);
+      node.left = this._insert(node.left, key, value);
+      this.updateSize(node);
       // Check if heap property is violated
       if (node.left.priority > node.priority) {
         // Rotate right to fix the violation
@@ -72,7 +108,8 @@ class Treap {
       }
     } else {
       // Insert into right subtree
-      node.right = this._insert(node.right, value);
+      node.right = this._insert(node.right, key, value);
+      this.updateSize(node);
       // Check if heap property is violated
       if (node.right.priority > node.priority) {
         // Rotate left to fix the violation
@@ -84,28 +121,29 @@ class Treap {
   }
 
   /**
-   * Delete a value from the Treap
-   * @param {*} value - The value to delete
+   * Delete a key from the Treap
+   * @param {*} key - The key to delete
    */
-  delete(value) {
-    this.root = this._delete(this.root, value);
+  delete(key) {
+    this.root = this._delete(this.root, key);
   }
 
   /**
-   * Recursive helper function to delete a value
+   * Recursive helper function to delete a key
    * @param {TreapNode} node - The current node in the recursion
-   * @param {*} value - The value to delete
+   * @param {*} key - The key to delete
    * @returns {TreapNode} - The new root of the modified subtree
    */
-  _delete(node, value) {
+  _delete(node, key) {
     if (!node) return null;
 
-    if (value < node.value) {
-      // Value is in left subtree
-      node.left = this._delete(node.left, value);
-    } else if (value > node.value) {
-      // Value is in right subtree
-      node.right = this._delete(node.right, value);
+    const cmp = this.comparator(key, node.key);
+    if (cmp < 0) {
+      // Key is in left subtree
+      node.left = this._delete(node.left, key);
+    } else if (cmp > 0) {
+      // Key is in right subtree
+      node.right = this._delete(node.right, key);
     } else {
       // Node to delete found
       // Case 1: Node is a leaf
@@ -120,35 +158,312 @@ class Treap {
       // Move the node down by rotating
       if (node.left.priority > node.right.priority) {
         node = this.rotateRight(node);
-        node.right = this._delete(node.right, value);
+        node.right = this._delete(node.right, key);
       } else {
         node = this.rotateLeft(node);
-        node.left = this._delete(node.left, value);
+        node.left = this._delete(node.left, key);
       }
     }
+    this.updateSize(node);
     return node;
   }
 
   /**
-   * Search for a value in the Treap
-   * @param {*} value - The value to search for
-   * @returns {boolean} - True if the value is found, false otherwise
+   * Split the Treap into the keys less than a key and the keys greater than
+   * or equal to it. The nodes move into the two returned Treaps, leaving
+   * this one empty.
+   * @param {*} key - The key to split at
+   * @returns {Treap[]} - [Treap of keys < key, Treap of keys >= key]
+   * @complexity O(log n) expected
+   */
+  split(key) {
+    const [left, right] = this._split(this.root, key);
+    this.root = null;
+    return [this._wrap(left), this._wrap(right)];
+  }
+
+  /**
+   * Merge two Treaps where every key of the left one is smaller than every
+   * key of the right one. The nodes move into the returned Treap, leaving
+   * both arguments empty.
+   * @param {Treap} left - The Treap holding the smaller keys
+   * @param {Treap} right - The Treap holding the larger keys
+   * @returns {Treap} - A Treap holding the keys of both
+   * @complexity O(log n) expected
+   */
+  static merge(left, right) {
+    const merged = left._wrap(left._merge(left.root, right.root));
+    left.root = null;
+    right.root = null;
+    return merged;
+  }
+
+  /**
+   * Recursive helper function to split a subtree by key
+   * @param {TreapNode} node - The root of the subtree
+   * @param {*} key - The key to split at
+   * @returns {TreapNode[]} - [root of keys < key, root of keys >= key]
+   */
+  _split(node, key) {
+    if (!node) return [null, null];
+    if (this.comparator(node.key, key) < 0) {
+      // node and its left subtree belong to the left part
+      const [left, right] = this._split(node.right, key);
+      node.right = left;
+      this.updateSize(node);
+      return [node, right];
+    }
+    const [left, right] = this._split(node.left, key);
+    node.left = right;
+    this.updateSize(node);
+    return [left, node];
+  }
+
+  /**
+   * Recursive helper function to merge two subtrees, keeping the node with
+   * the higher priority on top
+   * @param {TreapNode} left - Root of the subtree with the smaller keys
+   * @param {TreapNode} right - Root of the subtree with the larger keys
+   * @returns {TreapNode} - The root of the merged subtree
+   */
+  _merge(left, right) {
+    if (!left) return right;
+    if (!right) return left;
+    if (left.priority > right.priority) {
+      left.right = this._merge(left.right, right);
+      this.updateSize(left);
+      return left;
+    }
+    right.left = this._merge(left, right.left);
+    this.updateSize(right);
+    return right;
+  }
+
+  /**
+   * Create a Treap with the same comparator around an existing subtree
+   * @param {TreapNode} root - The root of the subtree
+   * @returns {Treap} - The new Treap
+   */
+  _wrap(root) {
+    const treap = new Treap(this.comparator);
+    treap.root = root;
+    return treap;
+  }
+
+  /**
+   * Count the keys smaller than a given key
+   * @param {*} key - The key to rank, which need not be in the Treap
+   * @returns {number} - The number of keys less than key
+   * @complexity O(log n) expected
    */
-  search(value) {
-    return this._search(this.root, value);
+  rank(key) {
+    let rank = 0;
+    let node = this.root;
+    while (node) {
+      if (this.comparator(key, node.key) <= 0) {
+        node = node.left;
+      } else {
+        rank += this.size(node.left) + 1;
+        node = node.right;
+      }
+    }
+    return rank;
+  }
+
+  /**
+   * Find the key with a given rank, so that select(rank(key)) === key
+   * @param {number} k - The 0-based rank of the key
+   * @returns {*} - The key with k smaller keys, or null if k is out of range
+   * @complexity O(log n) expected
+   */
+  select(k) {
+    if (k < 0 || k >= this.size()) return null;
+    let node = this.root;
+    while (node) {
+      const leftSize = this.size(node.left);
+      if (k < leftSize) {
+        node = node.left;
+      } else if (k > leftSize) {
+        k -= leftSize + 1;
+        node = node.right;
+      } else {
+        return node.key;
+      }
+    }
+    return null;
   }
 
   /**
-   * Recursive helper function to search for a value
+   * Find the largest key less than or equal to a given key
+   * @param {*} key - The key to compare against
+   * @returns {*} - The floor key, or null if every key is greater
+   */
+  floor(key) {
+    return this._closest(key, true, true);
+  }
+
+  /**
+   * Find the smallest key greater than or equal to a given key
+   * @param {*} key - The key to compare against
+   * @returns {*} - The ceiling key, or null if every key is smaller
+   */
+  ceiling(key) {
+    return this._closest(key, false, true);
+  }
+
+  /**
+   * Find the largest key strictly less than a given key
+   * @param {*} key - The key to compare against
+   * @returns {*} - The predecessor key, or null if there is none
+   */
+  predecessor(key) {
+    return this._closest(key, true, false);
+  }
+
+  /**
+   * Find the smallest key strictly greater than a given key
+   * @param {*} key - The key to compare against
+   * @returns {*} - The successor key, or null if there is none
+   */
+  successor(key) {
+    return this._closest(key, false, false);
+  }
+
+  /**
+   * Walk down from the root remembering the closest key seen on one side
+   * @param {*} key - The key to compare against
+   * @param {boolean} below - Look below the key (floor/predecessor) instead of above
+   * @param {boolean} inclusive - Whether the key itself is an acceptable answer
+   * @returns {*} - The closest key on the requested side, or null
+   */
+  _closest(key, below, inclusive) {
+    let best = null;
+    let node = this.root;
+    while (node) {
+      const cmp = this.comparator(node.key, key);
+      if (cmp === 0 && inclusive) return node.key;
+      if (below ? cmp < 0 : cmp > 0) {
+        best = node.key;
+        node = below ? node.right : node.left;
+      } else {
+        node = below ? node.left : node.right;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Search for a key in the Treap
+   * @param {*} key - The key to search for
+   * @returns {boolean} - True if the key is found, false otherwise
+   */
+  search(key) {
+    return this._find(this.root, key) !== null;
+  }
+
+  /**
+   * Get the value stored under a key
+   * @param {*} key - The key to look up
+   * @returns {*} - The stored value, or null if the key is not in the Treap
+   */
+  get(key) {
+    const node = this._find(this.root, key);
+    return node ? node.value : null;
+  }
+
+  /**
+   * Recursive helper function to find the node holding a key
    * @param {TreapNode} node - The current node in the recursion
-   * @param {*} value - The value to search for
-   * @returns {boolean} - True if the value is found, false otherwise
+   * @param {*} key - The key to search for
+   * @returns {TreapNode|null} - The node holding the key, or null if not found
+   */
+  _find(node, key) {
+    if (!node) return null;
+    const cmp = this.comparator(key, node.key);
+    if (cmp === 0) return node;
+    if (cmp < 0) return this._find(node.left, key);
+    return this._find(node.right, key);
+  }
+
+  /**
+   * Make the tree iterable with for...of, yielding keys in ascending order
    */
-  _search(node, value) {
-    if (!node) return false;
-    if (node.value === value) return true;
-    if (value < node.value) return this._search(node.left, value);
-    return this._search(node.right, value);
+  [Symbol.iterator]() {
+    return this.inorder();
+  }
+
+  /**
+   * Lazily iterate over the keys in ascending order
+   * @yields {*} - Each key, smallest first
+   */
+  *inorder() {
+    for (const node of this._inorderNodes()) yield node.key;
+  }
+
+  /**
+   * Lazily iterate over the keys in descending order
+   * @yields {*} - Each key, largest first
+   */
+  *reverse() {
+    for (const node of this._inorderNodes(true)) yield node.key;
+  }
+
+  /**
+   * Lazily iterate over the keys in preorder (node, left subtree, right subtree)
+   * @yields {*} - Each key
+   */
+  *preorder() {
+    const stack = this.root ? [this.root] : [];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      yield node.key;
+      if (node.right) stack.push(node.right);
+      if (node.left) stack.push(node.left);
+    }
+  }
+
+  /**
+   * Lazily iterate over the keys level by level, from the root down
+   * @yields {*} - Each key
+   */
+  *levelOrder() {
+    const queue = this.root ? [this.root] : [];
+    for (let i = 0; i < queue.length; i++) {
+      const node = queue[i];
+      yield node.key;
+      if (node.left) queue.push(node.left);
+      if (node.right) queue.push(node.right);
+    }
+  }
+
+  /**
+   * Lazily iterate over the [key, value] pairs in ascending key order
+   * @yields {Array} - Each [key, value] pair
+   */
+  *entries() {
+    for (const node of this._inorderNodes()) yield [node.key, node.value];
+  }
+
+  /**
+   * Walk the nodes in order without recursion, so iteration can stop early
+   * and deep trees cannot overflow the call stack
+   * @param {boolean} reverse - Visit the nodes in descending order instead
+   * @yields {TreapNode} - Each node of the tree
+   */
+  *_inorderNodes(reverse = false) {
+    const first = reverse ? "right" : "left";
+    const second = reverse ? "left" : "right";
+    const stack = [];
+    let node = this.root;
+    while (node || stack.length > 0) {
+      while (node) {
+        stack.push(node);
+        node = node[first];
+      }
+      node = stack.pop();
+      yield node;
+      node = node[second];
+    }
   }
 
   /**
@@ -158,13 +473,355 @@ class Treap {
   inorderTraversal(node = this.root) {
     if (node) {
       this.inorderTraversal(node.left);
-      console.log(
-        `Value: ${node.value}, Priority: ${node.priority.toFixed(4)}`
-      );
+      console.log(`Key: ${node.key}, Priority: ${node.priority.toFixed(4)}`);
       this.inorderTraversal(node.right);
     }
   }
 }
+/**
+ * Implicit Treap Node
+ * Holds one element of a sequence; its position is implied by the sizes of
+ * the subtrees around it rather than stored as a key.
+ */
+class ImplicitTreapNode {
+  constructor(value) {
+    this.value = value; // The element stored at this position
+    this.priority = Math.random(); // Random priority (heap property)
+    this.left = null; // Left child (earlier elements)
+    this.right = null; // Right child (later elements)
+    this.size = 1; // Number of elements in the subtree
+    this.aggregate = undefined; // Elements of the subtree combined by the treap's operation
+    this.reversed = false; // Lazy flag: the subtree still has to be reversed
+  }
+}
+
+/**
+ * Implicit Treap implementation
+ *
+ * A Treap keyed by position instead of by value, usable as a sequence or
+ * rope: elements can be inserted, removed and read at any index, and any
+ * index range can be reversed or aggregated, all in O(log n) expected time.
+ * Every operation splits out the range it needs and merges the pieces back.
+ * Range reversal only flips a flag on the range's root; the flag is pushed
+ * down to the children the next time the node is visited.
+ *
+ * Ranges are half-open, like Array.prototype.slice: [start, end).
+ *
+ * Range queries combine the elements with an operation from SegmentOperations
+ * (9.5-segment-tree.js), or any object with the same `combine`/`identity` (and
+ * optional `leaf`). Without one, as for a text buffer, no aggregate is kept and
+ * rangeQuery is unavailable. Reversal does not recompute aggregates, so
+ * `combine` must be commutative as well as associative (sum, min, max and gcd are).
+ */
+class ImplicitTreap {
+  /**
+   * @param {Array} values - Initial elements of the sequence
+   * @param {Object|null} [operation=null] - How to combine elements for rangeQuery
+   */
+  constructor(values = [], operation = null) {
+    this.root = null; // Root of the Implicit Treap
+    this.operation = operation; // Aggregate operation, or null for none
+    values.forEach((value) => this.push(value));
+  }
+
+  /**
+   * Get the number of elements in a subtree
+   * @param {ImplicitTreapNode} node - The root of the subtree, the whole sequence by default
+   * @returns {number} - The number of elements, or 0 if the node is null
+   */
+  size(node = this.root) {
+    return node ? node.size : 0;
+  }
+
+  /**
+   * Recompute the size and aggregate of a node from its children
+   * @param {ImplicitTreapNode} node - The node to update
+   */
+  _update(node) {
+    node.size = 1 + this.size(node.left) + this.size(node.right);
+    if (this.operation) {
+      const { combine, identity, leaf } = this.operation;
+      node.aggregate = combine(
+        combine(
+          node.left ? node.left.aggregate : identity,
+          leaf ? leaf(node.value) : node.value
+        ),
+        node.right ? node.right.aggregate : identity
+      );
+    }
+  }
+
+  /**
+   * Create a node for an element, with its aggregate set
+   * @param {*} value - The element
+   * @returns {ImplicitTreapNode} - The new node
+   */
+  _createNode(value) {
+    const node = new ImplicitTreapNode(value);
+    this._update(node);
+    return node;
+  }
+
+  /**
+   * Apply a pending reversal to a node and hand it down to its children
+   * @param {ImplicitTreapNode} node - The node to update
+   */
+  _push(node) {
+    if (node && node.reversed) {
+      [node.left, node.right] = [node.right, node.left];
+      if (node.left) node.left.reversed = !node.left.reversed;
+      if (node.right) node.right.reversed = !node.right.reversed;
+      node.reversed = false;
+    }
+  }
+
+  /**
+   * Recursive helper function to split off the first count elements
+   * @param {ImplicitTreapNode} node - The root of the subtree
+   * @param {number} count - Number of elements that go to the left part
+   * @returns {ImplicitTreapNode[]} - [root of the first count elements, root of the rest]
+   */
+  _split(node, count) {
+    if (!node) return [null, null];
+    this._push(node);
+    if (this.size(node.left) < count) {
+      const [left, right] = this._split(
+        node.right,
+        count - this.size(node.left) - 1
+      );
+      node.right = left;
+      this._update(node);
+      return [node, right];
+    }
+    const [left, right] = this._split(node.left, count);
+    node.left = right;
+    this._update(node);
+    return [left, node];
+  }
+
+  /**
+   * Recursive helper function to concatenate two subtrees
+   * @param {ImplicitTreapNode} left - Root of the elements that come first
+   * @param {ImplicitTreapNode} right - Root of the elements that come after
+   * @returns {ImplicitTreapNode} - The root of the concatenated subtree
+   */
+  _merge(left, right) {
+    if (!left) return right;
+    if (!right) return left;
+    if (left.priority > right.priority) {
+      this._push(left);
+      left.right = this._merge(left.right, right);
+      this._update(left);
+      return left;
+    }
+    this._push(right);
+    right.left = this._merge(left, right.left);
+    this._update(right);
+    return right;
+  }
+
+  /**
+   * Check that a half-open range lies inside the sequence
+   * @param {number} start - First index of the range
+   * @param {number} end - One past the last index of the range
+   * @throws {Error} If the range is out of bounds
+   */
+  _checkRange(start, end) {
+    if (start < 0 || end > this.size() || start > end) {
+      throw new Error("Index out of bounds");
+    }
+  }
+
+  /**
+   * Run a callback on the subtree holding the range [start, end), then
+   * merge the sequence back together
+   * @param {number} start - First index of the range
+   * @param {number} end - One past the last index of the range
+   * @param {function} callback - Receives the root of the range (or null)
+   * @returns {*} - Whatever the callback returns
+   */
+  _withRange(start, end, callback) {
+    this._checkRange(start, end);
+    const [before, rest] = this._split(this.root, start);
+    const [range, after] = this._split(rest, end - start);
+    const result = callback(range);
+    this.root = this._merge(this._merge(before, range), after);
+    return result;
+  }
+
+  /**
+   * Insert an element so that it ends up at the given index
+   * @param {number} index - Position of the new element (0 to size)
+   * @param {*} value - The element to insert
+   */
+  insertAt(index, value) {
+    this._checkRange(index, index);
+    const [before, after] = this._split(this.root, index);
+    const node = this._createNode(value);
+    this.root = this._merge(this._merge(before, node), after);
+  }
+
+  /**
+   * Append an element to the end of the sequence
+   * @param {*} value - The element to append
+   */
+  push(value) {
+    this.root = this._merge(this.root, this._createNode(value));
+  }
+
+  /**
+   * Remove the element at the given index
+   * @param {number} index - Position of the element to remove
+   * @returns {*} - The removed element
+   */
+  removeAt(index) {
+    this._checkRange(index, index + 1);
+    const [before, rest] = this._split(this.root, index);
+    const [node, after] = this._split(rest, 1);
+    this.root = this._merge(before, after);
+    return node.value;
+  }
+
+  /**
+   * Get the element at the given index
+   * @param {number} index - Position of the element
+   * @returns {*} - The element at that position
+   */
+  get(index) {
+    this._checkRange(index, index + 1);
+    let node = this.root;
+    while (node) {
+      this._push(node);
+      const leftSize = this.size(node.left);
+      if (index < leftSize) {
+        node = node.left;
+      } else if (index > leftSize) {
+        index -= leftSize + 1;
+        node = node.right;
+      } else {
+        return node.value;
+      }
+    }
+  }
+
+  /**
+   * Reverse the order of the elements in [start, end)
+   * @param {number} start - First index of the range
+   * @param {number} end - One past the last index of the range
+   */
+  reverse(start = 0, end = this.size()) {
+    this._withRange(start, end, (range) => {
+      if (range) range.reversed = !range.reversed;
+    });
+  }
+
+  /**
+   * Combine the elements in [start, end) with the sequence's operation
+   * @param {number} start - First index of the range
+   * @param {number} end - One past the last index of the range
+   * @returns {*} - The combined value, or the operation's identity for an empty range
+   */
+  rangeQuery(start, end) {
+    if (!this.operation) {
+      throw new Error("Range queries need a sequence built with an operation");
+    }
+    return this._withRange(start, end, (range) =>
+      range ? range.aggregate : this.operation.identity
+    );
+  }
+
+  /**
+   * Sum the elements in [start, end)
+   * @param {number} start - First index of the range
+   * @param {number} end - One past the last index of the range
+   * @returns {number} - The sum, or 0 for an empty range
+   */
+  rangeSum(start, end) {
+    if (this.operation !== SegmentOperations.sum) {
+      throw new Error(
+        "rangeSum needs a sequence built with SegmentOperations.sum"
+      );
+    }
+    return this.rangeQuery(start, end);
+  }
+
+  /**
+   * Split the sequence into its first count elements and the rest. The
+   * nodes move into the two returned sequences, leaving this one empty.
+   * @param {number} count - Number of elements in the first part
+   * @returns {ImplicitTreap[]} - [first count elements, remaining elements]
+   */
+  split(count) {
+    this._checkRange(count, count);
+    const [left, right] = this._split(this.root, count);
+    this.root = null;
+    return [
+      ImplicitTreap._wrap(left, this.operation),
+      ImplicitTreap._wrap(right, this.operation),
+    ];
+  }
+
+  /**
+   * Concatenate two sequences, leaving both arguments empty
+   * @param {ImplicitTreap} left - The elements that come first
+   * @param {ImplicitTreap} right - The elements that come after
+   * @returns {ImplicitTreap} - The concatenated sequence
+   */
+  static merge(left, right) {
+    if (left.operation !== right.operation) {
+      throw new Error("Sequences must have the same operation to be merged");
+    }
+    const merged = ImplicitTreap._wrap(
+      left._merge(left.root, right.root),
+      left.operation
+    );
+    left.root = null;
+    right.root = null;
+    return merged;
+  }
+
+  /**
+   * Create a sequence around an existing subtree
+   * @param {ImplicitTreapNode} root - The root of the subtree
+   * @param {Object|null} operation - The operation its aggregates were built with
+   * @returns {ImplicitTreap} - The new sequence
+   */
+  static _wrap(root, operation) {
+    const sequence = new ImplicitTreap([], operation);
+    sequence.root = root;
+    return sequence;
+  }
+
+  /**
+   * Lazily iterate over the elements in sequence order
+   * @yields {*} - Each element, first to last
+   */
+  *[Symbol.iterator]() {
+    const stack = [];
+    let node = this.root;
+    while (node || stack.length > 0) {
+      while (node) {
+        this._push(node);
+        stack.push(node);
+        node = node.left;
+      }
+      node = stack.pop();
+      yield node.value;
+      node = node.right;
+    }
+  }
+
+  /**
+   * Copy the sequence into an array
+   * @returns {Array} - The elements in order
+   */
+  toArray() {
+    return [...this];
+  }
+}
+
+module.exports = { TreapNode, Treap, ImplicitTreapNode, ImplicitTreap };
+
 // This Treap implementation provides the following key features:
 // Random Priorities: Each node is assigned a random priority when created. This randomness helps in maintaining balance.
 // BST Property: The tree maintains the binary search tree property based on the node values.
@@ -183,15 +840,43 @@ class Treap {
 // while still providing good average-case performance. The random priorities make it resistant to worst-case
 // scenarios that can occur with deterministic data structures.
 // Test Treap
-const treap = new Treap();
-[5, 2, 6, 1, 4, 3].forEach((val) => treap.insert(val));
-console.log("Treap after insertions:");
-treap.inorderTraversal();
-
-console.log("\nSearching for 4:", treap.search(4));
-console.log("Searching for 7:", treap.search(7));
-
-console.log("\nDeleting 4");
-treap.delete(4);
-console.log("Treap after deletion:");
-treap.inorderTraversal();
+if (require.main === module) {
+  const treap = new Treap();
+  [5, 2, 6, 1, 4, 3].forEach((val) => treap.insert(val));
+  console.log("Treap after insertions:");
+  treap.inorderTraversal();
+
+  console.log("\nSearching for 4:", treap.search(4));
+  console.log("Searching for 7:", treap.search(7));
+
+  console.log("\nDeleting 4");
+  treap.delete(4);
+  console.log("Treap after deletion:");
+  treap.inorderTraversal();
+  console.log("Rank of 7:", treap.rank(7), "Key with rank 2:", treap.select(2));
+  for (const [key, value] of treap.entries()) {
+    if (key > 5) break;
+    console.log(`Entry ${key} -> ${value}`);
+  }
+
+  console.log("\nSplitting at 3");
+  const [small, large] = treap.split(3);
+  console.log("Keys < 3:", [...small], "Keys >= 3:", [...large]);
+  console.log("Merged back:", [...Treap.merge(small, large)]);
+
+  console.log("\nImplicit Treap as a text buffer");
+  const buffer = new ImplicitTreap([..."hello world"]);
+  buffer.insertAt(5, ",");
+  buffer.reverse(0, 5);
+  console.log(buffer.toArray().join("")); // olleh, world
+  buffer.removeAt(5);
+  console.log(buffer.toArray().join("")); // olleh world
+
+  const numbers = new ImplicitTreap([1, 2, 3, 4, 5, 6], SegmentOperations.sum);
+  numbers.reverse(1, 5);
+  console.log(numbers.toArray(), "sum of [2, 5):", numbers.rangeSum(2, 5)); // [1, 5, 4, 3, 2, 6] 9
+
+  const lows = new ImplicitTreap([7, 3, 9, 1, 8], SegmentOperations.min);
+  lows.removeAt(3);
+  console.log("min of [1, 4):", lows.rangeQuery(1, 4)); // 3
+}
@@ -269,43 +269,71 @@ class LinkedList {
     }
   }
 
-  print() {
+  /**
+   * Iterator Protocol
+   *
+   * Reasoning:
+   * Yielding the data of one node at a time lets callers walk the list with
+   * `for...of` or spread it into an array, and stop early without visiting
+   * the remaining nodes.
+   *
+   * Assumptions:
+   * - The list does not contain a cycle (otherwise the iteration never ends).
+   *
+   * Time Complexity: O(1) per step, O(n) for a full pass.
+   * Space Complexity: O(1)
+   */
+  *[Symbol.iterator]() {
     let current = this.head;
-    let result = [];
     while (current) {
-      result.push(current.data);
+      yield current.data;
       current = current.next;
     }
-    console.log(result.join(" -> "));
   }
-}
 
-// Example usage
-let list = new LinkedList();
-list.insert(1);
-list.insert(2);
-list.insert(3);
-list.insert(2);
-list.insert(4);
-
-console.log("Original List:");
-list.print();
+  print() {
+    console.log([...this].join(" -> "));
+  }
+}
 
-console.log("After deleting 2:");
-list.delete(2);
-list.print();
+module.exports = { Node, LinkedList };
 
-console.log("Searching for 3:", list.search(3));
-console.log("Searching for 5:", list.search(5));
+// Example usage
+if (require.main === module) {
+  let list = new LinkedList();
+  list.insert(1);
+  list.insert(2);
+  list.insert(3);
+  list.insert(2);
+  list.insert(4);
+
+  console.log("Original List:");
+  list.print();
+
+  console.log("After deleting 2:");
+  list.delete(2);
+  list.print();
+
+  console.log("Searching for 3:", list.search(3));
+  console.log("Searching for 5:", list.search(5));
+
+  // Stop iterating at the first element greater than 2
+  for (const data of list) {
+    if (data > 2) {
+      console.log("First element greater than 2:", data);
+      break;
+    }
+  }
 
-console.log("Reversed List:");
-list.reverse();
-list.print();
+  console.log("Reversed List:");
+  list.reverse();
+  list.print();
 
-console.log("Has Cycle:", list.hasCycle());
+  console.log("Has Cycle:", list.hasCycle());
 
-console.log("Middle Element:", list.findMiddle());
+  console.log("Middle Element:", list.findMiddle());
 
-console.log("After removing duplicates:");
-list.removeDuplicates();
-list.print();
+  console.log("After removing duplicates:");
+  list.removeDuplicates();
+  list.print();
+}
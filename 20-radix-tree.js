@@ -0,0 +1,318 @@
+/**
+ * Radix Tree (Compressed Trie / Patricia Trie) Implementation
+ *
+ * @description
+ * A radix tree is a trie in which every chain of nodes with a single child is merged into
+ * one edge. Edges are labelled with whole substrings instead of single characters, so a
+ * node only exists where words branch or end.
+ *
+ * The interface follows the Trie in 8.2-trie.js: `insert`, `search`, `startsWith`,
+ * `autoComplete`, `delete`, `set`/`get`, iteration and `size`, plus `longestPrefixMatch`
+ * for routing-style lookups.
+ *
+ * @reasoning
+ * A plain trie allocates one node per character, which wastes a lot of memory on long
+ * keys with shared prefixes such as URLs, routes or file paths. Compressing the edges
+ * bounds the number of nodes by twice the number of words, whatever their length, while
+ * lookups still follow the key from the root.
+ *
+ * @assumptions
+ * - Children are keyed by the first character of their edge label; no two edges leaving
+ *   a node start with the same character.
+ * - Except for the root, every node either ends a word or has at least two children.
+ *   Insert splits edges and delete merges them back to keep it that way.
+ *
+ * @complexity
+ * Time complexity:
+ *   - Insert, search, delete: O(m), where m is the length of the key
+ *   - Longest prefix match: O(m), where m is the length of the text
+ *   - Prefix enumeration: O(p + k), where p is the length of the prefix and k is the
+ *     total length of the words found
+ * Space complexity: O(n) nodes for n words, plus the total length of the edge labels
+ */
+
+class RadixNode {
+  constructor(label = "") {
+    this.label = label; // Substring on the edge leading to this node
+    this.children = {}; // First character of a child's label -> child
+    this.isEndOfWord = false; // Whether the path to this node spells a stored word
+    this.value = undefined; // Value stored with that word
+  }
+}
+
+// Length of the longest common prefix of a and b
+function commonPrefixLength(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  return i;
+}
+
+class RadixTree {
+  constructor() {
+    this.root = new RadixNode();
+    this.count = 0;
+  }
+
+  // Number of words in the tree
+  size() {
+    return this.count;
+  }
+
+  /**
+   * Insert a word
+   * @param {string} word - The word to insert
+   */
+  insert(word) {
+    this._insertNode(word);
+  }
+
+  /**
+   * Store a value under a word, inserting the word if needed
+   * @param {string} word - The key
+   * @param {*} value - The value to store
+   * @returns {RadixTree} The tree, so calls can be chained
+   */
+  set(word, value) {
+    this._insertNode(word).value = value;
+    return this;
+  }
+
+  /**
+   * Get the value stored under a word
+   * @param {string} word - The key
+   * @returns {*} The value, or undefined if the word is not in the tree
+   */
+  get(word) {
+    let node = this._findNode(word);
+    return node && node.isEndOfWord ? node.value : undefined;
+  }
+
+  /**
+   * Check if a word is in the tree
+   * @param {string} word - The word to search for
+   * @returns {boolean} True if the word was inserted
+   */
+  search(word) {
+    let node = this._findNode(word);
+    return node !== null && node.isEndOfWord;
+  }
+
+  /**
+   * Check if any word in the tree starts with a prefix
+   * @param {string} prefix - The prefix to search for
+   * @returns {boolean} True if some word has the given prefix
+   */
+  startsWith(prefix) {
+    return this._locatePrefix(prefix) !== null;
+  }
+
+  /**
+   * Find all words with a prefix
+   * @param {string} prefix - The prefix to search for
+   * @returns {string[]} The words with the given prefix
+   */
+  autoComplete(prefix) {
+    return [...this.wordsWithPrefix(prefix)];
+  }
+
+  /**
+   * Lazily yield the words with a prefix
+   * @param {string} prefix - The prefix to search for
+   * @yields {string} Each word with the given prefix
+   */
+  *wordsWithPrefix(prefix) {
+    let found = this._locatePrefix(prefix);
+    if (found) yield* this._collectWords(found.node, found.path);
+  }
+
+  *_collectWords(node, path) {
+    if (node.isEndOfWord) yield path;
+    for (let char in node.children) {
+      let child = node.children[char];
+      yield* this._collectWords(child, path + child.label);
+    }
+  }
+
+  // Iterate over every word in the tree
+  [Symbol.iterator]() {
+    return this.wordsWithPrefix("");
+  }
+
+  /**
+   * Find the longest stored word that is a prefix of a text
+   *
+   * @description
+   * Follows the text down the tree and remembers the last node that ends a word. This is
+   * the lookup used by routers and IP routing tables.
+   *
+   * @param {string} text - The text to match
+   * @returns {string|null} The longest matching word, or null if no word is a prefix
+   */
+  longestPrefixMatch(text) {
+    let node = this.root;
+    let i = 0;
+    let best = node.isEndOfWord ? "" : null;
+    while (i < text.length) {
+      let child = node.children[text[i]];
+      if (!child || !text.startsWith(child.label, i)) break;
+      i += child.label.length;
+      node = child;
+      if (node.isEndOfWord) best = text.slice(0, i);
+    }
+    return best;
+  }
+
+  /**
+   * Delete a word
+   *
+   * @description
+   * Unmarks the word's node, removes it if it became a leaf, and merges any node left
+   * with a single child and no word of its own into that child so edges stay compressed.
+   *
+   * @param {string} word - The word to delete
+   * @returns {boolean} True if the word was deleted, false if it wasn't found
+   */
+  delete(word) {
+    let parent = null;
+    let node = this.root;
+    let rest = word;
+    while (rest.length > 0) {
+      let child = node.children[rest[0]];
+      if (!child || !rest.startsWith(child.label)) return false;
+      rest = rest.slice(child.label.length);
+      parent = node;
+      node = child;
+    }
+    if (!node.isEndOfWord) return false;
+
+    node.isEndOfWord = false;
+    node.value = undefined;
+    this.count--;
+
+    if (node === this.root) return true;
+    if (Object.keys(node.children).length === 0) {
+      delete parent.children[node.label[0]];
+      // Removing the leaf may leave its parent as a pass-through node
+      if (parent !== this.root && !parent.isEndOfWord) this._mergeChild(parent);
+    } else {
+      this._mergeChild(node);
+    }
+    return true;
+  }
+
+  // Merge a node that ends no word into its only child, if it has exactly one
+  _mergeChild(node) {
+    let keys = Object.keys(node.children);
+    if (keys.length !== 1) return;
+    let child = node.children[keys[0]];
+    node.label += child.label;
+    node.children = child.children;
+    node.isEndOfWord = child.isEndOfWord;
+    node.value = child.value;
+  }
+
+  // Create the path for a word, splitting edges where needed, and return its node
+  _insertNode(word) {
+    let node = this.root;
+    let rest = word;
+    while (rest.length > 0) {
+      let child = node.children[rest[0]];
+      if (!child) {
+        // No edge starts with this character: hang the whole rest on a new leaf
+        child = new RadixNode(rest);
+        node.children[rest[0]] = child;
+        node = child;
+        break;
+      }
+
+      let common = commonPrefixLength(child.label, rest);
+      if (common < child.label.length) {
+        // The word leaves the edge part way: split it at the divergence point
+        let middle = new RadixNode(child.label.slice(0, common));
+        child.label = child.label.slice(common);
+        middle.children[child.label[0]] = child;
+        node.children[rest[0]] = middle;
+        child = middle;
+      }
+      node = child;
+      rest = rest.slice(common);
+    }
+
+    if (!node.isEndOfWord) {
+      node.isEndOfWord = true;
+      this.count++;
+    }
+    return node;
+  }
+
+  // Follow a whole word from the root; returns its node, or null
+  _findNode(word) {
+    let node = this.root;
+    let rest = word;
+    while (rest.length > 0) {
+      let child = node.children[rest[0]];
+      if (!child || !rest.startsWith(child.label)) return null;
+      rest = rest.slice(child.label.length);
+      node = child;
+    }
+    return node;
+  }
+
+  // Follow a prefix that may end inside an edge; returns the node below it and the
+  // full string spelled down to that node, or null if no word has the prefix
+  _locatePrefix(prefix) {
+    let node = this.root;
+    let path = "";
+    let rest = prefix;
+    while (rest.length > 0) {
+      let child = node.children[rest[0]];
+      if (!child) return null;
+      if (child.label.startsWith(rest)) {
+        return { node: child, path: path + child.label };
+      }
+      if (!rest.startsWith(child.label)) return null;
+      rest = rest.slice(child.label.length);
+      path += child.label;
+      node = child;
+    }
+    return { node, path };
+  }
+}
+
+module.exports = { RadixNode, RadixTree };
+
+// Example usage
+if (require.main === module) {
+  let routes = new RadixTree();
+  routes
+    .set("/api/users", "listUsers")
+    .set("/api/users/search", "searchUsers")
+    .set("/api/orders", "listOrders")
+    .set("/about", "about");
+
+  console.log(routes.search("/api/users")); // true
+  console.log(routes.search("/api/user")); // false
+  console.log(routes.startsWith("/api/us")); // true
+  console.log(routes.get("/api/orders")); // listOrders
+  console.log(routes.autoComplete("/api/")); // [ '/api/users', '/api/users/search', '/api/orders' ]
+
+  // Route the request to the handler of its longest registered prefix
+  let match = routes.longestPrefixMatch("/api/users/42/profile");
+  console.log(match, routes.get(match)); // /api/users listUsers
+
+  routes.delete("/api/users");
+  console.log([...routes]); // [ '/api/users/search', '/api/orders', '/about' ]
+  console.log(routes.size()); // 3
+
+  // Edge compression: nodes needed for the same words in a Trie and a RadixTree
+  const { Trie } = require("./8.2-trie.js");
+  let countNodes = (node) =>
+    1 +
+    Object.values(node.children).reduce(
+      (sum, child) => sum + countNodes(child),
+      0
+    );
+  let trie = new Trie();
+  [...routes].forEach((route) => trie.insert(route));
+  console.log(countNodes(trie.root), countNodes(routes.root)); // 28 6
+}
@@ -16,10 +16,19 @@ class BPlusTreeNode {
  * A self-balancing tree structure optimized for systems that read and write large blocks of data
  */
 class BPlusTree {
-  constructor(minimumDegree) {
+  /**
+   * @param {number} minimumDegree - Minimum degree of the B+tree
+   * @param {Function} [comparator] - Returns a negative number, zero or a positive
+   *   number when its first argument is less than, equal to or greater than its second
+   */
+  constructor(
+    minimumDegree,
+    comparator = (a, b) => (a < b ? -1 : a > b ? 1 : 0)
+  ) {
     this.root = null; // Root node of the B+tree
     this.minimumDegree = minimumDegree; // Minimum degree of the B+tree (determines node capacity)
     this.maxKeysPerNode = 2 * minimumDegree - 1; // Maximum number of keys a node can hold
+    this.comparator = comparator; // Comparison function used to order keys
   }
 
   /**
@@ -43,20 +52,10 @@ class BPlusTree {
    * @returns {*} - The associated data if the key is found, null otherwise
    */
   _recursiveSearch(currentNode, keyToFind) {
-    let keyIndex = 0;
-    while (
-      keyIndex < currentNode.keys.length &&
-      keyToFind > currentNode.keys[keyIndex]
-    ) {
-      keyIndex++;
-    }
-
     if (currentNode.isLeaf) {
       // If we're at a leaf, check if we found an exact match
-      if (
-        keyIndex < currentNode.keys.length &&
-        keyToFind === currentNode.keys[keyIndex]
-      ) {
+      const keyIndex = this._leafKeyIndex(currentNode, keyToFind);
+      if (keyIndex !== -1) {
         return currentNode.childPointers[keyIndex]; // Return the associated data
       }
       return null; // Key not found
@@ -64,17 +63,65 @@ class BPlusTree {
 
     // If it's not a leaf, recurse to the appropriate child node
     return this._recursiveSearch(
-      currentNode.childPointers[keyIndex],
+      currentNode.childPointers[this._childIndex(currentNode, keyToFind)],
       keyToFind
     );
   }
 
   /**
-   * Insert a key-value pair into the B+tree
+   * Get the data associated with a key (alias of search, matching the other ordered trees)
+   * @param {*} keyToFind - The key to look up
+   * @returns {*} - The associated data if the key is found, null otherwise
+   */
+  get(keyToFind) {
+    return this.search(keyToFind);
+  }
+
+  /**
+   * Helper function to pick the child of an internal node that covers a key.
+   * Each separator is the smallest key of the subtree to its right, so keys
+   * equal to a separator belong to the right-hand child.
+   * @param {BPlusTreeNode} currentNode - An internal node
+   * @param {*} key - The key to locate
+   * @returns {number} - Index into currentNode.childPointers
+   */
+  _childIndex(currentNode, key) {
+    let keyIndex = 0;
+    while (
+      keyIndex < currentNode.keys.length &&
+      this.comparator(key, currentNode.keys[keyIndex]) >= 0
+    ) {
+      keyIndex++;
+    }
+    return keyIndex;
+  }
+
+  /**
+   * Helper function to find the position of a key within a leaf node
+   * @param {BPlusTreeNode} leafNode - A leaf node
+   * @param {*} key - The key to locate
+   * @returns {number} - Index of the key, or -1 if the leaf does not hold it
+   */
+  _leafKeyIndex(leafNode, key) {
+    return leafNode.keys.findIndex((k) => this.comparator(key, k) === 0);
+  }
+
+  /**
+   * Insert a key-value pair into the B+tree, replacing the value of an existing key
    * @param {*} keyToInsert - The key to insert
    * @param {*} valueToInsert - The value associated with the key
    */
-  insert(keyToInsert, valueToInsert) {
+  insert(keyToInsert, valueToInsert = keyToInsert) {
+    // If the key is already present, only its value changes
+    if (this.root !== null) {
+      const leafNode = this._findLeafNode(this.root, keyToInsert);
+      const keyIndex = this._leafKeyIndex(leafNode, keyToInsert);
+      if (keyIndex !== -1) {
+        leafNode.childPointers[keyIndex] = valueToInsert;
+        return;
+      }
+    }
+
     // If the tree is empty, create a new root node
     if (this.root === null) {
       this.root = new BPlusTreeNode(true);
@@ -109,15 +156,17 @@ class BPlusTree {
       childNode.keys[this.minimumDegree - 1]
     );
 
-    newNode.keys = childNode.keys.splice(this.minimumDegree - 1);
-
     if (!childNode.isLeaf) {
-      // For internal nodes, move half of the children to the new node
+      // For internal nodes, the middle key moves up to the parent and
+      // half of the keys and children move to the new node
+      newNode.keys = childNode.keys.splice(this.minimumDegree);
+      childNode.keys.pop();
       newNode.childPointers = childNode.childPointers.splice(
         this.minimumDegree
       );
     } else {
-      // For leaf nodes, copy the last key to the parent and link the leaves
+      // For leaf nodes, copy the middle key to the parent and link the leaves
+      newNode.keys = childNode.keys.splice(this.minimumDegree - 1);
       newNode.childPointers = childNode.childPointers.splice(
         this.minimumDegree - 1
       );
@@ -139,7 +188,10 @@ class BPlusTree {
       // Insert into leaf node
       currentNode.keys.push(null);
       currentNode.childPointers.push(null);
-      while (keyIndex >= 0 && keyToInsert < currentNode.keys[keyIndex]) {
+      while (
+        keyIndex >= 0 &&
+        this.comparator(keyToInsert, currentNode.keys[keyIndex]) < 0
+      ) {
         currentNode.keys[keyIndex + 1] = currentNode.keys[keyIndex];
         currentNode.childPointers[keyIndex + 1] =
           currentNode.childPointers[keyIndex];
@@ -149,15 +201,12 @@ class BPlusTree {
       currentNode.childPointers[keyIndex + 1] = valueToInsert;
     } else {
       // Insert into internal node
-      while (keyIndex >= 0 && keyToInsert < currentNode.keys[keyIndex]) {
-        keyIndex--;
-      }
-      keyIndex++;
+      keyIndex = this._childIndex(currentNode, keyToInsert);
       if (
         currentNode.childPointers[keyIndex].keys.length === this.maxKeysPerNode
       ) {
         this._splitChild(currentNode, keyIndex);
-        if (keyToInsert > currentNode.keys[keyIndex]) {
+        if (this.comparator(keyToInsert, currentNode.keys[keyIndex]) >= 0) {
           keyIndex++;
         }
       }
@@ -169,6 +218,214 @@ class BPlusTree {
     }
   }
 
+  /**
+   * Delete a key and its data from the B+tree
+   * @param {*} keyToDelete - The key to delete
+   */
+  delete(keyToDelete) {
+    if (this.root === null) {
+      return;
+    }
+    this._deleteFromNode(this.root, keyToDelete);
+
+    // Shrink the tree when the root runs out of keys
+    if (this.root.keys.length === 0) {
+      this.root = this.root.isLeaf ? null : this.root.childPointers[0];
+    }
+  }
+
+  /**
+   * Recursive helper function to delete a key from a subtree.
+   * Separator keys in internal nodes are left as they are: a separator that
+   * no longer exists in a leaf still divides the keys of its two subtrees.
+   * @param {BPlusTreeNode} currentNode - The root of the subtree
+   * @param {*} keyToDelete - The key to delete
+   */
+  _deleteFromNode(currentNode, keyToDelete) {
+    if (currentNode.isLeaf) {
+      const keyIndex = this._leafKeyIndex(currentNode, keyToDelete);
+      if (keyIndex !== -1) {
+        currentNode.keys.splice(keyIndex, 1);
+        currentNode.childPointers.splice(keyIndex, 1);
+      }
+      return;
+    }
+
+    const childIndex = this._childIndex(currentNode, keyToDelete);
+    const childNode = currentNode.childPointers[childIndex];
+    this._deleteFromNode(childNode, keyToDelete);
+
+    // Fix the child if it dropped below the minimum number of keys
+    if (childNode.keys.length < this.minimumDegree - 1) {
+      this._fixUnderflow(currentNode, childIndex);
+    }
+  }
+
+  /**
+   * Helper function to refill a child that has too few keys, by borrowing a
+   * key from a sibling that can spare one or else merging with a sibling
+   * @param {BPlusTreeNode} parentNode - The parent of the underflowing child
+   * @param {number} childIndex - Index of the underflowing child
+   */
+  _fixUnderflow(parentNode, childIndex) {
+    const childNode = parentNode.childPointers[childIndex];
+    const leftSibling =
+      childIndex > 0 ? parentNode.childPointers[childIndex - 1] : null;
+    const rightSibling =
+      childIndex < parentNode.keys.length
+        ? parentNode.childPointers[childIndex + 1]
+        : null;
+
+    if (leftSibling && leftSibling.keys.length > this.minimumDegree - 1) {
+      if (childNode.isLeaf) {
+        // Move the last entry of the left leaf to the front of the child
+        childNode.keys.unshift(leftSibling.keys.pop());
+        childNode.childPointers.unshift(leftSibling.childPointers.pop());
+        parentNode.keys[childIndex - 1] = childNode.keys[0];
+      } else {
+        // Rotate a key through the parent
+        childNode.keys.unshift(parentNode.keys[childIndex - 1]);
+        childNode.childPointers.unshift(leftSibling.childPointers.pop());
+        parentNode.keys[childIndex - 1] = leftSibling.keys.pop();
+      }
+    } else if (
+      rightSibling &&
+      rightSibling.keys.length > this.minimumDegree - 1
+    ) {
+      if (childNode.isLeaf) {
+        // Move the first entry of the right leaf to the end of the child
+        childNode.keys.push(rightSibling.keys.shift());
+        childNode.childPointers.push(rightSibling.childPointers.shift());
+        parentNode.keys[childIndex] = rightSibling.keys[0];
+      } else {
+        // Rotate a key through the parent
+        childNode.keys.push(parentNode.keys[childIndex]);
+        childNode.childPointers.push(rightSibling.childPointers.shift());
+        parentNode.keys[childIndex] = rightSibling.keys.shift();
+      }
+    } else if (leftSibling) {
+      this._mergeChildren(parentNode, childIndex - 1);
+    } else {
+      this._mergeChildren(parentNode, childIndex);
+    }
+  }
+
+  /**
+   * Helper function to merge the child at index + 1 into the child at index
+   * @param {BPlusTreeNode} parentNode - The parent of both children
+   * @param {number} index - Index of the left child
+   */
+  _mergeChildren(parentNode, index) {
+    const leftNode = parentNode.childPointers[index];
+    const rightNode = parentNode.childPointers[index + 1];
+
+    if (leftNode.isLeaf) {
+      // Leaves hold every key, so the separator is simply dropped,
+      // and the merged leaf takes over the right leaf's place in the chain
+      leftNode.keys.push(...rightNode.keys);
+      leftNode.childPointers.push(...rightNode.childPointers);
+      leftNode.nextLeaf = rightNode.nextLeaf;
+    } else {
+      // Internal nodes pull the separator down between their keys
+      leftNode.keys.push(parentNode.keys[index], ...rightNode.keys);
+      leftNode.childPointers.push(...rightNode.childPointers);
+    }
+
+    parentNode.keys.splice(index, 1);
+    parentNode.childPointers.splice(index + 1, 1);
+  }
+
+  /**
+   * Make the B+tree iterable with for...of, yielding keys in ascending order
+   */
+  *[Symbol.iterator]() {
+    for (const [key] of this.entries()) yield key;
+  }
+
+  /**
+   * Lazily iterate over the [key, value] pairs in ascending key order by
+   * following the linked list of leaves
+   * @yields {Array} - Each [key, value] pair
+   */
+  *entries() {
+    if (this.root === null) {
+      return;
+    }
+    let leafNode = this.root;
+    while (!leafNode.isLeaf) {
+      leafNode = leafNode.childPointers[0];
+    }
+    while (leafNode !== null) {
+      for (let i = 0; i < leafNode.keys.length; i++) {
+        yield [leafNode.keys[i], leafNode.childPointers[i]];
+      }
+      leafNode = leafNode.nextLeaf;
+    }
+  }
+
+  /**
+   * Lazily iterate over the keys in ascending order; the same as iterating over the tree
+   * @yields {*} - Each key, smallest first
+   */
+  *inorder() {
+    yield* this;
+  }
+
+  /**
+   * Lazily iterate over the keys node by node: a node's keys, then each child subtree.
+   * Separator keys of internal nodes are yielded too, so keys can repeat.
+   * @param {BPlusTreeNode} currentNode - The root of the subtree to walk
+   * @yields {*} - The keys of each node, parents before children
+   */
+  *preorder(currentNode = this.root) {
+    if (currentNode === null) {
+      return;
+    }
+    yield* currentNode.keys;
+    if (!currentNode.isLeaf) {
+      for (const childNode of currentNode.childPointers) {
+        yield* this.preorder(childNode);
+      }
+    }
+  }
+
+  /**
+   * Lazily iterate over the keys level by level, from the root down to the leaves.
+   * Separator keys of internal nodes are yielded too, so keys can repeat.
+   * @yields {*} - The keys of each node, one level at a time
+   */
+  *levelOrder() {
+    if (this.root === null) {
+      return;
+    }
+    const queue = [this.root];
+    for (let i = 0; i < queue.length; i++) {
+      yield* queue[i].keys;
+      if (!queue[i].isLeaf) queue.push(...queue[i].childPointers);
+    }
+  }
+
+  /**
+   * Lazily iterate over the keys in descending order. Leaves are only linked
+   * forwards, so this walks the tree from its rightmost child instead.
+   * @param {BPlusTreeNode} currentNode - The root of the subtree to walk
+   * @yields {*} - Each key, largest first
+   */
+  *reverse(currentNode = this.root) {
+    if (currentNode === null) {
+      return;
+    }
+    if (currentNode.isLeaf) {
+      for (let i = currentNode.keys.length - 1; i >= 0; i--) {
+        yield currentNode.keys[i];
+      }
+      return;
+    }
+    for (let i = currentNode.childPointers.length - 1; i >= 0; i--) {
+      yield* this.reverse(currentNode.childPointers[i]);
+    }
+  }
+
   /**
    * Perform an inorder traversal of the B+tree
    */
@@ -210,19 +467,22 @@ class BPlusTree {
    */
   rangeQuery(startKey, endKey) {
     let result = [];
+    if (this.root === null) {
+      return result;
+    }
     let leafNode = this._findLeafNode(this.root, startKey);
 
     while (leafNode !== null) {
       for (let i = 0; i < leafNode.keys.length; i++) {
-        if (leafNode.keys[i] >= startKey && leafNode.keys[i] <= endKey) {
+        if (this.comparator(leafNode.keys[i], endKey) > 0) {
+          return result;
+        }
+        if (this.comparator(leafNode.keys[i], startKey) >= 0) {
           result.push({
             key: leafNode.keys[i],
             value: leafNode.childPointers[i],
           });
         }
-        if (leafNode.keys[i] > endKey) {
-          return result;
-        }
       }
       leafNode = leafNode.nextLeaf;
     }
@@ -241,25 +501,36 @@ class BPlusTree {
       return currentNode;
     }
 
-    let keyIndex = 0;
-    while (
-      keyIndex < currentNode.keys.length &&
-      keyToFind > currentNode.keys[keyIndex]
-    ) {
-      keyIndex++;
-    }
-
-    return this._findLeafNode(currentNode.childPointers[keyIndex], keyToFind);
+    return this._findLeafNode(
+      currentNode.childPointers[this._childIndex(currentNode, keyToFind)],
+      keyToFind
+    );
   }
 }
 
+module.exports = { BPlusTreeNode, BPlusTree };
+
 // Test B+tree
-const bPlusTree = new BPlusTree(3); // Minimum degree 3
-[3, 7, 1, 5, 11, 17, 13, 2, 19, 23].forEach((value, index) =>
-  bPlusTree.insert(value, `data${index}`)
-);
-console.log("B+tree inorder traversal:");
-bPlusTree.inorderTraversal();
-
-console.log("\nB+tree range query (5 to 15):");
-console.log(bPlusTree.rangeQuery(5, 15));
+if (require.main === module) {
+  const bPlusTree = new BPlusTree(3); // Minimum degree 3
+  [3, 7, 1, 5, 11, 17, 13, 2, 19, 23].forEach((value, index) =>
+    bPlusTree.insert(value, `data${index}`)
+  );
+  console.log("B+tree inorder traversal:");
+  bPlusTree.inorderTraversal();
+
+  console.log("\nB+tree range query (5 to 15):");
+  console.log(bPlusTree.rangeQuery(5, 15));
+
+  // Inserting an existing key replaces its data
+  bPlusTree.insert(11, "updated");
+  console.log("\nValue for 11:", bPlusTree.get(11));
+
+  [5, 7, 13].forEach((key) => bPlusTree.delete(key));
+  console.log("\nB+tree range query (5 to 15) after deleting 5, 7 and 13:");
+  console.log(bPlusTree.rangeQuery(5, 15));
+
+  console.log("\nKeys in descending order:", [...bPlusTree.reverse()]);
+  console.log("Keys node by node:", [...bPlusTree.preorder()]);
+  console.log("Keys level by level:", [...bPlusTree.levelOrder()]);
+}
@@ -63,13 +63,6 @@ function merge(leftArray, rightArray) {
   return result;
 }
 
-// Test cases
-console.log(mergeSort([64, 34, 25, 12, 22, 11, 90])); // Expected: [11, 12, 22, 25, 34, 64, 90]
-console.log(mergeSort([5, 2, 9, 1, 7, 6, 3])); // Expected: [1, 2, 3, 5, 6, 7, 9]
-console.log(mergeSort([3, 1, 4, 1, 5, 9, 2, 6, 5, 3])); // Expected: [1, 1, 2, 3, 3, 4, 5, 5, 6, 9]
-console.log(mergeSort([1])); // Expected: [1]
-console.log(mergeSort([])); // Expected: []
-
 // Explanation:
 // The mergeSort function is the main entry point of the algorithm:
 // It first checks if the array has 1 or fewer elements (base case for recursion).
@@ -95,10 +88,6 @@ console.log(mergeSort([])); // Expected: []
 // Sort an array of objects based on a specific property.
 // Let's implement solutions for these test problems:
 
-// Problem 1: Sort an array of integers in ascending order
-const numbers = [64, 34, 25, 12, 22, 11, 90];
-console.log("Sorted numbers:", mergeSort(numbers));
-
 // Problem 2: Sort an array of strings alphabetically
 function mergeSortStrings(arr) {
   if (arr.length <= 1) return arr;
@@ -126,9 +115,6 @@ function mergeStrings(left, right) {
   return result.concat(left.slice(leftIndex)).concat(right.slice(rightIndex));
 }
 
-const fruits = ["banana", "apple", "cherry", "date", "elderberry"];
-console.log("Sorted fruits:", mergeSortStrings(fruits));
-
 // Problem 3: Sort an array of objects based on a specific property
 function mergeSortObjects(arr, property) {
   if (arr.length <= 1) return arr;
@@ -160,10 +146,30 @@ function mergeObjects(left, right, property) {
   return result.concat(left.slice(leftIndex)).concat(right.slice(rightIndex));
 }
 
-const people = [
-  { name: "Alice", age: 30 },
-  { name: "Bob", age: 25 },
-  { name: "Charlie", age: 35 },
-  { name: "David", age: 28 },
-];
-console.log("Sorted people by age:", mergeSortObjects(people, "age"));
+module.exports = { mergeSort, mergeSortStrings, mergeSortObjects };
+
+if (require.main === module) {
+  // Test cases
+  console.log(mergeSort([64, 34, 25, 12, 22, 11, 90])); // Expected: [11, 12, 22, 25, 34, 64, 90]
+  console.log(mergeSort([5, 2, 9, 1, 7, 6, 3])); // Expected: [1, 2, 3, 5, 6, 7, 9]
+  console.log(mergeSort([3, 1, 4, 1, 5, 9, 2, 6, 5, 3])); // Expected: [1, 1, 2, 3, 3, 4, 5, 5, 6, 9]
+  console.log(mergeSort([1])); // Expected: [1]
+  console.log(mergeSort([])); // Expected: []
+
+  // Problem 1: Sort an array of integers in ascending order
+  const numbers = [64, 34, 25, 12, 22, 11, 90];
+  console.log("Sorted numbers:", mergeSort(numbers));
+
+  // Problem 2: Sort an array of strings alphabetically
+  const fruits = ["banana", "apple", "cherry", "date", "elderberry"];
+  console.log("Sorted fruits:", mergeSortStrings(fruits));
+
+  // Problem 3: Sort an array of objects based on a specific property
+  const people = [
+    { name: "Alice", age: 30 },
+    { name: "Bob", age: 25 },
+    { name: "Charlie", age: 35 },
+    { name: "David", age: 28 },
+  ];
+  console.log("Sorted people by age:", mergeSortObjects(people, "age"));
+}
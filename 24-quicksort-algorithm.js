@@ -29,13 +29,6 @@ function quickSort(arrayToSort) {
   return [...quickSort(leftArray), pivot, ...quickSort(rightArray)];
 }
 
-// Test cases
-console.log(quickSort([64, 34, 25, 12, 22, 11, 90])); // Expected: [11, 12, 22, 25, 34, 64, 90]
-console.log(quickSort([5, 2, 9, 1, 7, 6, 3])); // Expected: [1, 2, 3, 5, 6, 7, 9]
-console.log(quickSort([3, 1, 4, 1, 5, 9, 2, 6, 5, 3])); // Expected: [1, 1, 2, 3, 3, 4, 5, 5, 6, 9]
-console.log(quickSort([1])); // Expected: [1]
-console.log(quickSort([])); // Expected: []
-
 // Explanation:
 // The quickSort function is the main entry point of the algorithm:
 // It first checks if the array has 1 or fewer elements (base case for recursion).
@@ -101,10 +94,6 @@ function partition(arr, low, high) {
   return i + 1;
 }
 
-// Test in-place Quicksort
-const arr1 = [64, 34, 25, 12, 22, 11, 90];
-console.log("In-place Quicksort:", inPlaceQuickSort(arr1));
-
 /**
  * Find the k-th smallest element using Quicksort partitioning
  *
@@ -131,10 +120,6 @@ function quickSelectHelper(arr, low, high, k) {
   }
 }
 
-// Test quickSelect
-const arr2 = [3, 2, 1, 5, 6, 4];
-console.log("3rd smallest element:", quickSelect(arr2, 3)); // Expected: 3
-
 /**
  * 3-way partitioning Quicksort for arrays with many duplicates
  *
@@ -169,6 +154,30 @@ function threeWayQuickSort(arr, low = 0, high = arr.length - 1) {
   return arr;
 }
 
-// Test 3-way Quicksort
-const arr3 = [4, 9, 4, 4, 1, 9, 4, 4, 9, 4, 4, 1, 4];
-console.log("3-way Quicksort:", threeWayQuickSort(arr3));
+module.exports = {
+  quickSort,
+  inPlaceQuickSort,
+  quickSelect,
+  threeWayQuickSort,
+};
+
+if (require.main === module) {
+  // Test cases
+  console.log(quickSort([64, 34, 25, 12, 22, 11, 90])); // Expected: [11, 12, 22, 25, 34, 64, 90]
+  console.log(quickSort([5, 2, 9, 1, 7, 6, 3])); // Expected: [1, 2, 3, 5, 6, 7, 9]
+  console.log(quickSort([3, 1, 4, 1, 5, 9, 2, 6, 5, 3])); // Expected: [1, 1, 2, 3, 3, 4, 5, 5, 6, 9]
+  console.log(quickSort([1])); // Expected: [1]
+  console.log(quickSort([])); // Expected: []
+
+  // Test in-place Quicksort
+  const arr1 = [64, 34, 25, 12, 22, 11, 90];
+  console.log("In-place Quicksort:", inPlaceQuickSort(arr1));
+
+  // Test quickSelect
+  const arr2 = [3, 2, 1, 5, 6, 4];
+  console.log("3rd smallest element:", quickSelect(arr2, 3)); // Expected: 3
+
+  // Test 3-way Quicksort
+  const arr3 = [4, 9, 4, 4, 1, 9, 4, 4, 9, 4, 4, 1, 4];
+  console.log("3-way Quicksort:", threeWayQuickSort(arr3));
+}
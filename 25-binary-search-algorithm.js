@@ -32,11 +32,15 @@ function binarySearch(sortedArray, targetValue) {
   return -1;
 }
 
+module.exports = { binarySearch };
+
 // Test cases
-console.log(binarySearch([1, 3, 5, 7, 9], 5)); // Output: 2
-console.log(binarySearch([1, 3, 5, 7, 9], 6)); // Output: -1
-console.log(binarySearch([1, 3, 5, 7, 9], 1)); // Output: 0
-console.log(binarySearch([1, 3, 5, 7, 9], 9)); // Output: 4
+if (require.main === module) {
+  console.log(binarySearch([1, 3, 5, 7, 9], 5)); // Output: 2
+  console.log(binarySearch([1, 3, 5, 7, 9], 6)); // Output: -1
+  console.log(binarySearch([1, 3, 5, 7, 9], 1)); // Output: 0
+  console.log(binarySearch([1, 3, 5, 7, 9], 9)); // Output: 4
+}
 
 // Explanation:
 // The binarySearch function takes a sorted array and a target value as input.
@@ -68,15 +68,19 @@ function quickselect(arr, left, right, k) {
   return null;
 }
 
+module.exports = { quickselect };
+
 // Test the Quickselect Algorithm
-let arr = [10, 4, 5, 8, 6, 11, 26];
-let k = 3; // Find the 3rd smallest element
-let result = quickselect(arr, 0, arr.length - 1, k);
+if (require.main === module) {
+  let arr = [10, 4, 5, 8, 6, 11, 26];
+  let k = 3; // Find the 3rd smallest element
+  let result = quickselect(arr, 0, arr.length - 1, k);
 
-if (result !== null) {
-  console.log(`The ${k}th smallest element is: ${result}`);
-} else {
-  console.log(`Invalid k value`);
+  if (result !== null) {
+    console.log(`The ${k}th smallest element is: ${result}`);
+  } else {
+    console.log(`Invalid k value`);
+  }
 }
 
 // This implementation of the Quickselect Algorithm does the following:
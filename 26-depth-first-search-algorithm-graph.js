@@ -1,4 +1,4 @@
-import Graph from "./8-graph.js";
+const { Graph } = require("./6-graph.js");
 
 /**
  * Depth-First Search (DFS) on a Graph
@@ -28,18 +28,22 @@ function dfs(graph, startVertex) {
   return result;
 }
 
+module.exports = { dfs };
+
 // Test DFS
-const graph = new Graph();
-["A", "B", "C", "D", "E", "F"].forEach((vertex) => graph.addVertex(vertex));
-graph.addEdge("A", "B");
-graph.addEdge("A", "C");
-graph.addEdge("B", "D");
-graph.addEdge("C", "E");
-graph.addEdge("D", "E");
-graph.addEdge("D", "F");
-graph.addEdge("E", "F");
-
-console.log("DFS starting from 'A':", dfs(graph, "A"));
+if (require.main === module) {
+  const graph = new Graph();
+  ["A", "B", "C", "D", "E", "F"].forEach((vertex) => graph.addVertex(vertex));
+  graph.addEdge("A", "B");
+  graph.addEdge("A", "C");
+  graph.addEdge("B", "D");
+  graph.addEdge("C", "E");
+  graph.addEdge("D", "E");
+  graph.addEdge("D", "F");
+  graph.addEdge("E", "F");
+
+  console.log("DFS starting from 'A':", dfs(graph, "A"));
+}
 
 // Explanation:
 // The dfs function takes a Graph instance and a starting vertex as input.
@@ -53,19 +53,23 @@ class Graph {
   }
 }
 
+module.exports = { Graph };
+
 // Create a graph and add vertices and edges
-const graph = new Graph();
-["A", "B", "C", "D", "E", "F"].forEach((vertex) => graph.addVertex(vertex));
-graph.addEdge("A", "B");
-graph.addEdge("A", "C");
-graph.addEdge("B", "D");
-graph.addEdge("C", "E");
-graph.addEdge("D", "E");
-graph.addEdge("D", "F");
-graph.addEdge("E", "F");
+if (require.main === module) {
+  const graph = new Graph();
+  ["A", "B", "C", "D", "E", "F"].forEach((vertex) => graph.addVertex(vertex));
+  graph.addEdge("A", "B");
+  graph.addEdge("A", "C");
+  graph.addEdge("B", "D");
+  graph.addEdge("C", "E");
+  graph.addEdge("D", "E");
+  graph.addEdge("D", "F");
+  graph.addEdge("E", "F");
 
-// Perform BFS starting from vertex 'A'
-console.log("BFS starting from 'A':", graph.bfs("A"));
+  // Perform BFS starting from vertex 'A'
+  console.log("BFS starting from 'A':", graph.bfs("A"));
+}
 
 // Explanation:
 // The Graph class represents an undirected graph using an adjacency list.
@@ -44,19 +44,23 @@ function floydWarshall(graph) {
   return dist;
 }
 
+module.exports = { floydWarshall };
+
 // Test the Floyd Warshall Algorithm
-let graph = [
-  [0, 5, Infinity, 10],
-  [Infinity, 0, 3, Infinity],
-  [Infinity, Infinity, 0, 1],
-  [Infinity, Infinity, Infinity, 0],
-];
+if (require.main === module) {
+  let graph = [
+    [0, 5, Infinity, 10],
+    [Infinity, 0, 3, Infinity],
+    [Infinity, Infinity, 0, 1],
+    [Infinity, Infinity, Infinity, 0],
+  ];
 
-let shortestDistances = floydWarshall(graph);
+  let shortestDistances = floydWarshall(graph);
 
-console.log("Shortest distances between every pair of vertices:");
-for (let i = 0; i < shortestDistances.length; i++) {
-  console.log(shortestDistances[i]);
+  console.log("Shortest distances between every pair of vertices:");
+  for (let i = 0; i < shortestDistances.length; i++) {
+    console.log(shortestDistances[i]);
+  }
 }
 
 // This implementation of the Floyd Warshall Algorithm does the following:
@@ -109,22 +109,26 @@ function kruskalMST(vertices, edges) {
   return result;
 }
 
+module.exports = { Edge, DisjointSet, kruskalMST };
+
 // Test the Kruskal's Algorithm
-let vertices = 4;
-let edges = [
-  new Edge(0, 1, 10),
-  new Edge(0, 2, 6),
-  new Edge(0, 3, 5),
-  new Edge(1, 3, 15),
-  new Edge(2, 3, 4),
-];
-
-let mst = kruskalMST(vertices, edges);
-
-console.log("Edges in the Minimum Spanning Tree:");
-mst.forEach((edge) => {
-  console.log(`${edge.source} -- ${edge.destination} == ${edge.weight}`);
-});
+if (require.main === module) {
+  let vertices = 4;
+  let edges = [
+    new Edge(0, 1, 10),
+    new Edge(0, 2, 6),
+    new Edge(0, 3, 5),
+    new Edge(1, 3, 15),
+    new Edge(2, 3, 4),
+  ];
+
+  let mst = kruskalMST(vertices, edges);
+
+  console.log("Edges in the Minimum Spanning Tree:");
+  mst.forEach((edge) => {
+    console.log(`${edge.source} -- ${edge.destination} == ${edge.weight}`);
+  });
+}
 
 // This implementation of Kruskal's Algorithm does the following:
 // We define an Edge class to represent edges in the graph. Each edge has a source vertex, a destination vertex, and a weight.
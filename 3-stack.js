@@ -152,6 +152,22 @@ class Stack {
   print() {
     console.log(this.items.toString());
   }
+
+  /**
+   * Iterator Protocol
+   *
+   * Reasoning:
+   * Iterating a stack visits its elements in the order they would be popped,
+   * from the top down, without removing them.
+   *
+   * Time Complexity: O(1) per step, O(n) for a full pass.
+   * Space Complexity: O(1)
+   */
+  *[Symbol.iterator]() {
+    for (let i = this.items.length - 1; i >= 0; i--) {
+      yield this.items[i];
+    }
+  }
 }
 
 /**
@@ -201,19 +217,24 @@ function isBalancedParentheses(str) {
   return stack.isEmpty();
 }
 
+module.exports = { Stack, isBalancedParentheses };
+
 // Example usage
-let stack = new Stack();
-stack.push(10);
-stack.push(20);
-stack.push(30);
-console.log("Stack:");
-stack.print();
-console.log("Top element:", stack.peek());
-console.log("Popped element:", stack.pop());
-console.log("Stack size:", stack.size());
+if (require.main === module) {
+  let stack = new Stack();
+  stack.push(10);
+  stack.push(20);
+  stack.push(30);
+  console.log("Stack:");
+  stack.print();
+  console.log("Top element:", stack.peek());
+  console.log("Popped element:", stack.pop());
+  console.log("Stack size:", stack.size());
+  console.log("Top to bottom:", [...stack]);
 
-console.log(
-  "Balanced parentheses: ((){}[])",
-  isBalancedParentheses("((){}[])")
-);
-console.log("Balanced parentheses: (()", isBalancedParentheses("(()"));
+  console.log(
+    "Balanced parentheses: ((){}[])",
+    isBalancedParentheses("((){}[])")
+  );
+  console.log("Balanced parentheses: (()", isBalancedParentheses("(()"));
+}
@@ -35,11 +35,15 @@ function kadanesAlgorithm(arr) {
   return { maxSum, start, end };
 }
 
+module.exports = { kadanesAlgorithm };
+
 // Test the Kadane's Algorithm
-const testArray = [-2, 1, -3, 4, -1, 2, 1, -5, 4];
-const result = kadanesAlgorithm(testArray);
-console.log(`Maximum sum: ${result.maxSum}`);
-console.log(`Subarray: [${testArray.slice(result.start, result.end + 1)}]`);
+if (require.main === module) {
+  const testArray = [-2, 1, -3, 4, -1, 2, 1, -5, 4];
+  const result = kadanesAlgorithm(testArray);
+  console.log(`Maximum sum: ${result.maxSum}`);
+  console.log(`Subarray: [${testArray.slice(result.start, result.end + 1)}]`);
+}
 
 // This implementation of Kadane's Algorithm does the following:
 // We initialize variables to keep track of the maximum sum, current sum, and the start and end indices of the maximum subarray.
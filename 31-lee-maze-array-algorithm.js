@@ -100,19 +100,23 @@ function reconstructPath(distance, start, end) {
   return path;
 }
 
+module.exports = { leeAlgorithm };
+
 // Test the Lee Algorithm
-const maze = [
-  [0, 0, 0, 0, 1],
-  [1, 1, 0, 1, 0],
-  [0, 0, 0, 0, 0],
-  [0, 1, 1, 1, 0],
-  [0, 0, 0, 1, 0],
-];
-const start = [0, 0];
-const end = [4, 4];
-
-const shortestPath = leeAlgorithm(maze, start, end);
-console.log("Shortest path:", shortestPath);
+if (require.main === module) {
+  const maze = [
+    [0, 0, 0, 0, 1],
+    [1, 1, 0, 1, 0],
+    [0, 0, 0, 0, 0],
+    [0, 1, 1, 1, 0],
+    [0, 0, 0, 1, 0],
+  ];
+  const start = [0, 0];
+  const end = [4, 4];
+
+  const shortestPath = leeAlgorithm(maze, start, end);
+  console.log("Shortest path:", shortestPath);
+}
 
 // This implementation of Lee's Algorithm does the following:
 // We use a breadth-first search approach to explore the maze.
@@ -42,23 +42,27 @@ function floodFill(image, sr, sc, newColor) {
   return image;
 }
 
+module.exports = { floodFill };
+
 // Test the Flood Fill Algorithm
-const image = [
-  [1, 1, 1],
-  [1, 1, 0],
-  [1, 0, 1],
-];
-const sr = 1,
-  sc = 1,
-  newColor = 2;
+if (require.main === module) {
+  const image = [
+    [1, 1, 1],
+    [1, 1, 0],
+    [1, 0, 1],
+  ];
+  const sr = 1,
+    sc = 1,
+    newColor = 2;
 
-console.log("Original image:");
-console.log(image);
+  console.log("Original image:");
+  console.log(image);
 
-const filledImage = floodFill(image, sr, sc, newColor);
+  const filledImage = floodFill(image, sr, sc, newColor);
 
-console.log("Image after flood fill:");
-console.log(filledImage);
+  console.log("Image after flood fill:");
+  console.log(filledImage);
+}
 
 // This implementation of the Flood Fill Algorithm does the following:
 // We first check if the starting pixel is already the new color. If so, we return the image unchanged.
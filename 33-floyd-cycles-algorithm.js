@@ -68,18 +68,22 @@ function createLinkedListWithCycle(values, cycleIndex) {
   return head;
 }
 
+module.exports = { ListNode, floydCycleDetection, createLinkedListWithCycle };
+
 // Test Floyd's Cycle Detection Algorithm
-const values = [3, 2, 0, -4];
-const cycleIndex = 1;
-const head = createLinkedListWithCycle(values, cycleIndex);
+if (require.main === module) {
+  const values = [3, 2, 0, -4];
+  const cycleIndex = 1;
+  const head = createLinkedListWithCycle(values, cycleIndex);
 
-const cycleStart = floydCycleDetection(head);
-if (cycleStart) {
-  console.log(
-    `Cycle detected. It starts at node with value: ${cycleStart.val}`
-  );
-} else {
-  console.log("No cycle detected.");
+  const cycleStart = floydCycleDetection(head);
+  if (cycleStart) {
+    console.log(
+      `Cycle detected. It starts at node with value: ${cycleStart.val}`
+    );
+  } else {
+    console.log("No cycle detected.");
+  }
 }
 
 // This implementation of Floyd's Cycle Detection Algorithm does the following:
@@ -2,6 +2,13 @@
  * Dijkstra's Algorithm for Single-Source Shortest Path
  */
 
+const {
+  IndexedPriorityQueue,
+  DAryHeap,
+  PairingHeap,
+  FibonacciHeap,
+} = require("./8.1-heap.js");
+
 /**
  * Class to represent a vertex in the graph
  */
@@ -26,59 +33,30 @@ class Vertex {
   }
 }
 
-/**
- * Class to represent a priority queue for efficient vertex selection
- */
-class PriorityQueue {
-  constructor() {
-    this.elements = [];
-  }
-
-  /**
-   * Enqueue an element with a priority
-   * @param {Vertex} element - The element to enqueue
-   * @param {number} priority - The priority of the element
-   */
-  enqueue(element, priority) {
-    this.elements.push({ element, priority });
-    this.elements.sort((a, b) => a.priority - b.priority);
-  }
-
-  /**
-   * Dequeue the element with the highest priority (lowest numeric value)
-   * @return {Vertex} The dequeued element
-   */
-  dequeue() {
-    return this.elements.shift().element;
-  }
-
-  /**
-   * Check if the queue is empty
-   * @return {boolean} True if the queue is empty, false otherwise
-   */
-  isEmpty() {
-    return this.elements.length === 0;
-  }
-}
-
 /**
  * Implements Dijkstra's Algorithm
  * @param {Vertex[]} graph - The graph represented as an array of Vertex objects
  * @param {Vertex} source - The source vertex
+ * @param {function(): IndexedPriorityQueue} [createQueue] - Creates the priority queue; any heap from
+ *   8.1-heap.js (IndexedPriorityQueue, DAryHeap, PairingHeap, FibonacciHeap) can be used
  * @return {void} - The function updates the distance and previous properties of each vertex
  */
-function dijkstra(graph, source) {
+function dijkstra(
+  graph,
+  source,
+  createQueue = () => new IndexedPriorityQueue()
+) {
   // Initialize distances
   source.distance = 0;
 
-  // Create a priority queue and enqueue the source vertex
-  let pq = new PriorityQueue();
-  pq.enqueue(source, 0);
+  // Create a priority queue and insert the source vertex
+  let pq = createQueue();
+  pq.insert(source, 0);
 
   // Main loop of Dijkstra's algorithm
   while (!pq.isEmpty()) {
     // Get the vertex with the minimum distance
-    let currentVertex = pq.dequeue();
+    let currentVertex = pq.extract().element;
 
     // Explore all neighboring vertices
     for (let { vertex: neighbor, weight } of currentVertex.edges) {
@@ -90,8 +68,12 @@ function dijkstra(graph, source) {
         neighbor.distance = distance;
         neighbor.previous = currentVertex;
 
-        // Enqueue the neighbor with its new distance
-        pq.enqueue(neighbor, distance);
+        // Lower the neighbor's priority if it is already queued, otherwise queue it
+        if (pq.contains(neighbor)) {
+          pq.decreaseKey(neighbor, distance);
+        } else {
+          pq.insert(neighbor, distance);
+        }
       }
     }
   }
@@ -111,45 +93,67 @@ function getPath(vertex) {
   return path;
 }
 
+module.exports = { Vertex, dijkstra, getPath };
+
 // Test Dijkstra's Algorithm
-let vertices = [
-  new Vertex(0),
-  new Vertex(1),
-  new Vertex(2),
-  new Vertex(3),
-  new Vertex(4),
-  new Vertex(5),
-];
-
-// Add edges to create a graph
-vertices[0].addEdge(vertices[1], 4);
-vertices[0].addEdge(vertices[2], 2);
-vertices[1].addEdge(vertices[2], 1);
-vertices[1].addEdge(vertices[3], 5);
-vertices[2].addEdge(vertices[3], 8);
-vertices[2].addEdge(vertices[4], 10);
-vertices[3].addEdge(vertices[4], 2);
-vertices[3].addEdge(vertices[5], 6);
-vertices[4].addEdge(vertices[5], 3);
-
-// Run Dijkstra's algorithm with vertex 0 as the source
-dijkstra(vertices, vertices[0]);
-
-// Print the shortest distances and paths
-for (let i = 1; i < vertices.length; i++) {
-  console.log(`Shortest distance to vertex ${i}: ${vertices[i].distance}`);
-  console.log(
-    `Shortest path to vertex ${i}: ${getPath(vertices[i]).join(" -> ")}`
-  );
+if (require.main === module) {
+  let vertices = [
+    new Vertex(0),
+    new Vertex(1),
+    new Vertex(2),
+    new Vertex(3),
+    new Vertex(4),
+    new Vertex(5),
+  ];
+
+  // Add edges to create a graph
+  vertices[0].addEdge(vertices[1], 4);
+  vertices[0].addEdge(vertices[2], 2);
+  vertices[1].addEdge(vertices[2], 1);
+  vertices[1].addEdge(vertices[3], 5);
+  vertices[2].addEdge(vertices[3], 8);
+  vertices[2].addEdge(vertices[4], 10);
+  vertices[3].addEdge(vertices[4], 2);
+  vertices[3].addEdge(vertices[5], 6);
+  vertices[4].addEdge(vertices[5], 3);
+
+  // Run Dijkstra's algorithm with vertex 0 as the source
+  dijkstra(vertices, vertices[0]);
+
+  // Print the shortest distances and paths
+  for (let i = 1; i < vertices.length; i++) {
+    console.log(`Shortest distance to vertex ${i}: ${vertices[i].distance}`);
+    console.log(
+      `Shortest path to vertex ${i}: ${getPath(vertices[i]).join(" -> ")}`
+    );
+  }
+
+  // Any of the heap variants can be swapped in and gives the same distances
+  const queues = {
+    "4-ary heap": () => new DAryHeap(4),
+    "pairing heap": () => new PairingHeap(),
+    "Fibonacci heap": () => new FibonacciHeap(),
+  };
+  for (const [name, createQueue] of Object.entries(queues)) {
+    vertices.forEach((vertex) => {
+      vertex.distance = Infinity;
+      vertex.previous = null;
+    });
+    dijkstra(vertices, vertices[0], createQueue);
+    console.log(
+      `Distances with a ${name}: ${vertices.map((v) => v.distance).join(", ")}`
+    );
+  }
 }
 
 // This implementation of Dijkstra's Algorithm does the following:
 // We define a Vertex class to represent vertices in the graph. Each vertex has an ID, a list of edges,
 // a distance (initially set to infinity), and a reference to the previous vertex in the shortest path.
-// We implement a PriorityQueue class to efficiently select the vertex with the minimum distance in each iteration.
+// We use the IndexedPriorityQueue from 8.1-heap.js to efficiently select the vertex with the minimum distance in each iteration.
+// Because it supports decreaseKey, each vertex is queued at most once instead of once per improvement.
 // The dijkstra function implements the main algorithm:
-// We start by setting the distance of the source vertex to 0 and enqueueing it in the priority queue.
-// In each iteration, we dequeue the vertex with the minimum distance and explore its neighbors.
+// We start by setting the distance of the source vertex to 0 and inserting it into the priority queue.
+// In each iteration, we extract the vertex with the minimum distance and explore its neighbors.
 // For each neighbor, we calculate the distance through the current vertex and update it if it's shorter than the previously known distance.
 // We continue this process until the priority queue is empty.
 // The getPath helper function reconstructs the shortest path from the source to a given vertex by following the previous references.
@@ -68,30 +68,34 @@ function getPath(predecessors, destination) {
   return path;
 }
 
+module.exports = { Edge, bellmanFord, getPath };
+
 // Test the Bellman-Ford Algorithm
-let vertices = 5;
-let edges = [
-  new Edge(0, 1, -1),
-  new Edge(0, 2, 4),
-  new Edge(1, 2, 3),
-  new Edge(1, 3, 2),
-  new Edge(1, 4, 2),
-  new Edge(3, 2, 5),
-  new Edge(3, 1, 1),
-  new Edge(4, 3, -3),
-];
+if (require.main === module) {
+  let vertices = 5;
+  let edges = [
+    new Edge(0, 1, -1),
+    new Edge(0, 2, 4),
+    new Edge(1, 2, 3),
+    new Edge(1, 3, 2),
+    new Edge(1, 4, 2),
+    new Edge(3, 2, 5),
+    new Edge(3, 1, 1),
+    new Edge(4, 3, -3),
+  ];
 
-let source = 0;
-let result = bellmanFord(vertices, edges, source);
+  let source = 0;
+  let result = bellmanFord(vertices, edges, source);
 
-if (result) {
-  console.log("Vertex\tDistance from Source\tPath");
-  for (let i = 0; i < vertices; i++) {
-    let path = getPath(result.predecessors, i);
-    console.log(`${i}\t${result.distances[i]}\t\t\t${path.join(" -> ")}`);
+  if (result) {
+    console.log("Vertex\tDistance from Source\tPath");
+    for (let i = 0; i < vertices; i++) {
+      let path = getPath(result.predecessors, i);
+      console.log(`${i}\t${result.distances[i]}\t\t\t${path.join(" -> ")}`);
+    }
+  } else {
+    console.log("Graph contains a negative-weight cycle");
   }
-} else {
-  console.log("Graph contains a negative-weight cycle");
 }
 
 // This implementation of the Bellman-Ford Algorithm does the following:
@@ -69,30 +69,36 @@ function topologicalSort(graph) {
   return sortedOrder;
 }
 
+module.exports = { Vertex, topologicalSort };
+
 // Test the Topological Sort Algorithm
-let vertices = [
-  new Vertex(0),
-  new Vertex(1),
-  new Vertex(2),
-  new Vertex(3),
-  new Vertex(4),
-  new Vertex(5),
-];
-
-// Add edges to create a Directed Acyclic Graph (DAG)
-vertices[5].addEdge(vertices[2]);
-vertices[5].addEdge(vertices[0]);
-vertices[4].addEdge(vertices[0]);
-vertices[4].addEdge(vertices[1]);
-vertices[2].addEdge(vertices[3]);
-vertices[3].addEdge(vertices[1]);
-
-let sortedOrder = topologicalSort(vertices);
-
-if (sortedOrder) {
-  console.log("Topologically sorted order:", sortedOrder.join(" -> "));
-} else {
-  console.log("The graph contains a cycle and cannot be topologically sorted.");
+if (require.main === module) {
+  let vertices = [
+    new Vertex(0),
+    new Vertex(1),
+    new Vertex(2),
+    new Vertex(3),
+    new Vertex(4),
+    new Vertex(5),
+  ];
+
+  // Add edges to create a Directed Acyclic Graph (DAG)
+  vertices[5].addEdge(vertices[2]);
+  vertices[5].addEdge(vertices[0]);
+  vertices[4].addEdge(vertices[0]);
+  vertices[4].addEdge(vertices[1]);
+  vertices[2].addEdge(vertices[3]);
+  vertices[3].addEdge(vertices[1]);
+
+  let sortedOrder = topologicalSort(vertices);
+
+  if (sortedOrder) {
+    console.log("Topologically sorted order:", sortedOrder.join(" -> "));
+  } else {
+    console.log(
+      "The graph contains a cycle and cannot be topologically sorted."
+    );
+  }
 }
 
 // This implementation of the Topological Sort algorithm does the following:
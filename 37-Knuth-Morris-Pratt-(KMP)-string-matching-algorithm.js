@@ -73,16 +73,20 @@ function KMPSearch(text, pattern) {
   return matches;
 }
 
+module.exports = { computeLPSArray, KMPSearch };
+
 // Test the KMP Algorithm
-let text = "ABABDABACDABABCABAB";
-let pattern = "ABABCABAB";
+if (require.main === module) {
+  let text = "ABABDABACDABABCABAB";
+  let pattern = "ABABCABAB";
 
-let matches = KMPSearch(text, pattern);
+  let matches = KMPSearch(text, pattern);
 
-if (matches.length > 0) {
-  console.log(`Pattern found at indices: ${matches.join(", ")}`);
-} else {
-  console.log("Pattern not found in the text.");
+  if (matches.length > 0) {
+    console.log(`Pattern found at indices: ${matches.join(", ")}`);
+  } else {
+    console.log("Pattern not found in the text.");
+  }
 }
 
 // This implementation of the Knuth-Morris-Pratt (KMP) Algorithm does the following:
@@ -2,6 +2,8 @@
  * Huffman Coding Compression Algorithm
  */
 
+const { IndexedPriorityQueue } = require("./8.1-heap.js");
+
 // Node class for the Huffman tree
 class Node {
   constructor(char, freq) {
@@ -12,47 +14,26 @@ class Node {
   }
 }
 
-// Priority Queue implementation for Huffman tree construction
-class PriorityQueue {
-  constructor() {
-    this.queue = [];
-  }
-
-  enqueue(node) {
-    // Add node to queue
-    this.queue.push(node);
-    // Sort queue based on frequency (ascending order)
-    this.queue.sort((a, b) => a.freq - b.freq);
-  }
-
-  dequeue() {
-    // Remove and return the node with lowest frequency
-    return this.queue.shift();
-  }
-
-  size() {
-    return this.queue.length;
-  }
-}
-
 /**
  * Build the Huffman tree
  * @param {Object} freqMap - Frequency map of characters
- * @return {Node} - Root of the Huffman tree
+ * @return {Node|null} - Root of the Huffman tree, or null if the map is empty
  */
 function buildHuffmanTree(freqMap) {
-  let pq = new PriorityQueue();
+  // Nodes are queued by frequency (lowest first)
+  let pq = new IndexedPriorityQueue();
 
   // Create leaf nodes for each character and add to priority queue
   for (let char in freqMap) {
-    pq.enqueue(new Node(char, freqMap[char]));
+    let leaf = new Node(char, freqMap[char]);
+    pq.insert(leaf, leaf.freq);
   }
 
   // Build the Huffman tree
   while (pq.size() > 1) {
     // Get the two nodes with lowest frequencies
-    let left = pq.dequeue();
-    let right = pq.dequeue();
+    let left = pq.extract().element;
+    let right = pq.extract().element;
 
     // Create a new internal node with these two nodes as children
     // and frequency equal to the sum of the two nodes' frequencies
@@ -61,23 +42,23 @@ function buildHuffmanTree(freqMap) {
     internalNode.right = right;
 
     // Add this internal node back to the priority queue
-    pq.enqueue(internalNode);
+    pq.insert(internalNode, internalNode.freq);
   }
 
   // The remaining node is the root of the Huffman tree
-  return pq.dequeue();
+  return pq.size() > 0 ? pq.extract().element : null;
 }
 
 /**
  * Generate Huffman codes for each character
- * @param {Node} root - Root of the Huffman tree
+ * @param {Node|null} root - Root of the Huffman tree (null for no characters)
  * @return {Object} - Map of characters to their Huffman codes
  */
 function generateHuffmanCodes(root) {
   let codeMap = {};
 
   function traverse(node, code) {
-    if (node.char) {
+    if (node.char !== null) {
       // Leaf node: assign the current code to this character
       codeMap[node.char] = code;
     } else {
@@ -87,14 +68,23 @@ function generateHuffmanCodes(root) {
     }
   }
 
-  traverse(root, "");
+  if (root === null) {
+    // No characters, so no codes
+    return codeMap;
+  }
+  if (root.char !== null) {
+    // A single distinct character still needs a one-bit code
+    codeMap[root.char] = "0";
+  } else {
+    traverse(root, "");
+  }
   return codeMap;
 }
 
 /**
  * Huffman coding compression
- * @param {string} text - Input text to compress
- * @return {Object} - Compressed binary string and Huffman codes
+ * @param {string} text - Input text to compress; may be empty
+ * @return {Object} - Compressed binary string and Huffman codes (both empty for "")
  */
 function huffmanCompress(text) {
   // Count frequency of each character
@@ -118,16 +108,308 @@ function huffmanCompress(text) {
   return { encodedText, codeMap };
 }
 
+/**
+ * Rebuild the Huffman tree from a code map, for decoding
+ * @param {Object} codeMap - Map of characters to their Huffman codes
+ * @return {Node} - Root of a tree whose leaves hold the characters
+ */
+function buildDecodingTree(codeMap) {
+  let root = new Node(null, 0);
+  for (let char in codeMap) {
+    let node = root;
+    for (let bit of codeMap[char]) {
+      let side = bit === "0" ? "left" : "right";
+      if (!node[side]) node[side] = new Node(null, 0);
+      node = node[side];
+    }
+    node.char = char;
+  }
+  return root;
+}
+
+/**
+ * Huffman coding decompression
+ * @param {Object} compressed - The result of huffmanCompress
+ * @param {string} compressed.encodedText - Binary string of '0' and '1'
+ * @param {Object} compressed.codeMap - Map of characters to their Huffman codes
+ * @return {string} - The original text
+ */
+function huffmanDecompress({ encodedText, codeMap }) {
+  let root = buildDecodingTree(codeMap);
+  let text = "";
+  let node = root;
+  for (let bit of encodedText) {
+    node = bit === "0" ? node.left : node.right;
+    if (!node) throw new Error("Invalid Huffman code");
+    if (node.char !== null) {
+      // Leaf node: emit the character and start again from the root
+      text += node.char;
+      node = root;
+    }
+  }
+  if (node !== root) throw new Error("Encoded text ends inside a code");
+  return text;
+}
+
+/**
+ * Assign canonical Huffman codes from code lengths
+ *
+ * Symbols are sorted by code length, then by symbol, and receive consecutive codes;
+ * moving to a longer length appends zeros. The codes depend only on the lengths, so a
+ * header only needs to store one length per symbol for the decoder to rebuild them.
+ *
+ * @param {Object} codeLengths - Map of symbols (byte values) to code lengths
+ * @return {Object} - Map of symbols to their canonical codes as '0'/'1' strings
+ */
+function canonicalHuffmanCodes(codeLengths) {
+  let symbols = Object.keys(codeLengths).sort(
+    (a, b) => codeLengths[a] - codeLengths[b] || a - b
+  );
+  let codeMap = {};
+  let code = 0;
+  let length = 0;
+  for (let symbol of symbols) {
+    // Shift left by the difference in length before assigning the next code
+    code *= 2 ** (codeLengths[symbol] - length);
+    length = codeLengths[symbol];
+    codeMap[symbol] = code.toString(2).padStart(length, "0");
+    code++;
+  }
+  return codeMap;
+}
+
+/**
+ * Writes individual bits into bytes, most significant bit first
+ */
+class BitWriter {
+  constructor() {
+    this.bytes = []; // Completed bytes
+    this.current = 0; // Bits of the byte being filled
+    this.bitCount = 0; // Number of bits in the byte being filled
+  }
+
+  /**
+   * Append one bit
+   * @param {number} bit - 0 or 1
+   */
+  writeBit(bit) {
+    this.current = (this.current << 1) | bit;
+    this.bitCount++;
+    if (this.bitCount === 8) {
+      this.bytes.push(this.current);
+      this.current = 0;
+      this.bitCount = 0;
+    }
+  }
+
+  /**
+   * Append an unsigned integer using a fixed number of bits
+   * @param {number} value - The value to write
+   * @param {number} count - Number of bits, at most 32
+   */
+  writeBits(value, count) {
+    for (let i = count - 1; i >= 0; i--) {
+      this.writeBit((value >>> i) & 1);
+    }
+  }
+
+  // Number of bits written so far
+  get bitLength() {
+    return this.bytes.length * 8 + this.bitCount;
+  }
+
+  /**
+   * Pad the last byte with zeros and return everything written
+   * @return {Uint8Array} - The packed bytes
+   */
+  finish() {
+    let bytes = Uint8Array.from(this.bytes);
+    if (this.bitCount === 0) return bytes;
+    let result = new Uint8Array(bytes.length + 1);
+    result.set(bytes);
+    result[bytes.length] = this.current << (8 - this.bitCount);
+    return result;
+  }
+}
+
+/**
+ * Reads individual bits from bytes written by BitWriter
+ */
+class BitReader {
+  /**
+   * @param {Uint8Array} bytes - The packed bytes
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.position = 0; // Index of the next bit
+  }
+
+  /**
+   * Read one bit
+   * @return {number} - 0 or 1
+   */
+  readBit() {
+    let byteIndex = this.position >>> 3;
+    if (byteIndex >= this.bytes.length) {
+      throw new Error("Unexpected end of data");
+    }
+    let bit = (this.bytes[byteIndex] >> (7 - (this.position & 7))) & 1;
+    this.position++;
+    return bit;
+  }
+
+  /**
+   * Read an unsigned integer written with a fixed number of bits
+   * @param {number} count - Number of bits, at most 32
+   * @return {number} - The value
+   */
+  readBits(count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      value = value * 2 + this.readBit();
+    }
+    return value;
+  }
+}
+
+// Container layout: "HUF", version, flags, then the rest as described in huffmanEncode
+const HUFFMAN_MAGIC = [0x48, 0x55, 0x46];
+const HUFFMAN_VERSION = 1;
+const FLAG_STRING = 1;
+
+/**
+ * Compress text or bytes into a self-contained binary container
+ *
+ * Layout (all integers big-endian, bits packed most significant first):
+ *   - 3 bytes magic "HUF", 1 byte version, 1 byte flags (1 = input was a string)
+ *   - 4 bytes: number of input bytes (strings are encoded as UTF-8 first)
+ *   - 2 bytes: number of distinct byte values, then for each in canonical order
+ *     1 byte value and 1 byte code length
+ *   - the canonical Huffman codes of the input bytes, padded with zeros to a whole byte
+ *
+ * @param {string|Uint8Array} data - The payload to compress
+ * @return {Uint8Array} - The compressed container
+ */
+function huffmanEncode(data) {
+  let isString = typeof data === "string";
+  let bytes = isString ? new TextEncoder().encode(data) : data;
+
+  // Count frequency of each byte value
+  let freqMap = {};
+  for (let byte of bytes) {
+    freqMap[byte] = (freqMap[byte] || 0) + 1;
+  }
+
+  // Only the code lengths come from the tree; the codes themselves are canonical
+  // (an empty payload has no symbols, so the header stores a count of 0)
+  let codeLengths = {};
+  let treeCodes = generateHuffmanCodes(buildHuffmanTree(freqMap));
+  for (let symbol in treeCodes) codeLengths[symbol] = treeCodes[symbol].length;
+  let codeMap = canonicalHuffmanCodes(codeLengths);
+  let symbols = Object.keys(codeMap);
+
+  let writer = new BitWriter();
+  HUFFMAN_MAGIC.forEach((byte) => writer.writeBits(byte, 8));
+  writer.writeBits(HUFFMAN_VERSION, 8);
+  writer.writeBits(isString ? FLAG_STRING : 0, 8);
+  writer.writeBits(bytes.length, 32);
+  writer.writeBits(symbols.length, 16);
+  for (let symbol of symbols) {
+    writer.writeBits(Number(symbol), 8);
+    writer.writeBits(codeLengths[symbol], 8);
+  }
+
+  for (let byte of bytes) {
+    for (let bit of codeMap[byte]) writer.writeBit(bit === "1" ? 1 : 0);
+  }
+  return writer.finish();
+}
+
+/**
+ * Decompress a container produced by huffmanEncode
+ * @param {Uint8Array} container - The compressed container
+ * @return {string|Uint8Array} - The original payload, of the same type it was given as
+ */
+function huffmanDecode(container) {
+  let reader = new BitReader(container);
+  if (HUFFMAN_MAGIC.some((byte) => reader.readBits(8) !== byte)) {
+    throw new Error("Not a Huffman container");
+  }
+  let version = reader.readBits(8);
+  if (version !== HUFFMAN_VERSION) {
+    throw new Error(`Unsupported Huffman container version ${version}`);
+  }
+  let flags = reader.readBits(8);
+  let length = reader.readBits(32);
+
+  let codeLengths = {};
+  let symbolCount = reader.readBits(16);
+  for (let i = 0; i < symbolCount; i++) {
+    let symbol = reader.readBits(8);
+    codeLengths[symbol] = reader.readBits(8);
+  }
+  let root = buildDecodingTree(canonicalHuffmanCodes(codeLengths));
+
+  let bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    let node = root;
+    while (node.char === null) {
+      node = reader.readBit() === 0 ? node.left : node.right;
+      if (!node) throw new Error("Invalid Huffman code");
+    }
+    bytes[i] = Number(node.char);
+  }
+
+  return flags & FLAG_STRING ? new TextDecoder().decode(bytes) : bytes;
+}
+
+module.exports = {
+  Node,
+  buildHuffmanTree,
+  generateHuffmanCodes,
+  huffmanCompress,
+  huffmanDecompress,
+  canonicalHuffmanCodes,
+  BitWriter,
+  BitReader,
+  huffmanEncode,
+  huffmanDecode,
+};
+
 // Test the Huffman Coding Algorithm
-let text = "this is an example for huffman encoding";
-let compressed = huffmanCompress(text);
+if (require.main === module) {
+  let text = "this is an example for huffman encoding";
+  let compressed = huffmanCompress(text);
+
+  console.log("Original text:", text);
+  console.log("Compressed binary string:", compressed.encodedText);
+  console.log("Huffman Codes:", compressed.codeMap);
+  console.log("Decompressed:", huffmanDecompress(compressed) === text); // true
+
+  // Binary container with bit packing and a canonical code header
+  let payload = text.repeat(50);
+  let container = huffmanEncode(payload);
+  let ratio = container.length / new TextEncoder().encode(payload).length;
+  console.log(
+    `Packed ${payload.length} characters into ${
+      container.length
+    } bytes (ratio ${ratio.toFixed(3)})`
+  );
+  console.log("Round trip:", huffmanDecode(container) === payload); // true
 
-console.log("Original text:", text);
-console.log("Compressed binary string:", compressed.encodedText);
-console.log("Huffman Codes:", compressed.codeMap);
+  let bytes = Uint8Array.from([0, 0, 0, 0, 255, 255, 7]);
+  console.log("Bytes round trip:", huffmanDecode(huffmanEncode(bytes))); // Uint8Array [0, 0, 0, 0, 255, 255, 7]
+
+  // Empty input: no codes, and a container with a length and symbol count of 0
+  console.log(huffmanDecompress(huffmanCompress("")) === ""); // true
+  console.log(
+    huffmanEncode("").length,
+    huffmanDecode(huffmanEncode("")) === ""
+  ); // 11 true
+}
 
 // This implementation of the Huffman Coding Compression Algorithm does the following:
-// We define a Node class for the Huffman tree and a PriorityQueue class to assist in building the tree.
+// We define a Node class for the Huffman tree and use the IndexedPriorityQueue from 8.1-heap.js to assist in building the tree.
 // The buildHuffmanTree function constructs the Huffman tree:
 // It starts with leaf nodes for each character.
 // It repeatedly combines the two nodes with the lowest frequencies until only one node (the root) remains.
@@ -139,4 +421,8 @@ console.log("Huffman Codes:", compressed.codeMap);
 // Generates the Huffman codes.
 // Encodes the text using these codes.
 // We test the algorithm with a sample text and print the compressed binary string and the Huffman codes.
+// huffmanDecompress reverses huffmanCompress by rebuilding the tree from the code map and walking it bit by bit.
+// For real payloads, huffmanEncode works on bytes (strings are UTF-8 encoded), packs the bits into a Uint8Array
+// and stores canonical codes in the header: only each symbol's code length is written, since canonical codes
+// can be recomputed from the lengths alone. huffmanDecode reads the header back and decodes the payload.
 // Huffman Coding is particularly useful for lossless data compression, especially when some characters appear much more frequently than others in the input.
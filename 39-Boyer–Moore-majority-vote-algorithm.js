@@ -38,14 +38,18 @@ function findMajorityElement(arr) {
   return count > arr.length / 2 ? candidate : null;
 }
 
+module.exports = { findMajorityElement };
+
 // Test the Boyer–Moore Majority Vote Algorithm
-let arr = [2, 2, 1, 1, 1, 2, 2];
-let result = findMajorityElement(arr);
+if (require.main === module) {
+  let arr = [2, 2, 1, 1, 1, 2, 2];
+  let result = findMajorityElement(arr);
 
-if (result !== null) {
-  console.log(`The majority element is: ${result}`);
-} else {
-  console.log("No majority element found");
+  if (result !== null) {
+    console.log(`The majority element is: ${result}`);
+  } else {
+    console.log("No majority element found");
+  }
 }
 
 // This implementation of the Boyer–Moore Majority Vote Algorithm does the following:
@@ -132,6 +132,20 @@ class Queue {
   print() {
     console.log(this.items.toString());
   }
+
+  /**
+   * Iterator Protocol
+   *
+   * Reasoning:
+   * Iterating a queue visits its elements in the order they would be dequeued,
+   * from the front to the back, without removing them.
+   *
+   * Time Complexity: O(1) per step, O(n) for a full pass.
+   * Space Complexity: O(1)
+   */
+  *[Symbol.iterator]() {
+    yield* this.items;
+  }
 }
 
 /**
@@ -183,25 +197,30 @@ function bfs(graph, start) {
   return result;
 }
 
+module.exports = { Queue, bfs };
+
 // Example usage
-let queue = new Queue();
-queue.enqueue(10);
-queue.enqueue(20);
-queue.enqueue(30);
-console.log("Queue:");
-queue.print();
-console.log("Front element:", queue.front());
-console.log("Dequeued element:", queue.dequeue());
-console.log("Queue size:", queue.size());
-
-// Example graph for BFS
-let graph = {
-  A: ["B", "C"],
-  B: ["A", "D", "E"],
-  C: ["A", "F"],
-  D: ["B"],
-  E: ["B", "F"],
-  F: ["C", "E"],
-};
-
-console.log("BFS starting from vertex A:", bfs(graph, "A"));
+if (require.main === module) {
+  let queue = new Queue();
+  queue.enqueue(10);
+  queue.enqueue(20);
+  queue.enqueue(30);
+  console.log("Queue:");
+  queue.print();
+  console.log("Front element:", queue.front());
+  console.log("Dequeued element:", queue.dequeue());
+  console.log("Queue size:", queue.size());
+  console.log("Front to back:", [...queue]);
+
+  // Example graph for BFS
+  let graph = {
+    A: ["B", "C"],
+    B: ["A", "D", "E"],
+    C: ["A", "F"],
+    D: ["B"],
+    E: ["B", "F"],
+    F: ["C", "E"],
+  };
+
+  console.log("BFS starting from vertex A:", bfs(graph, "A"));
+}
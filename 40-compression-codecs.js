@@ -0,0 +1,627 @@
+/**
+ * Compression Codecs: Run-Length, LZSS, LZW and Burrows-Wheeler
+ *
+ * @description
+ * Lossless codecs that all turn a Uint8Array into a Uint8Array, so they can be run on the
+ * same inputs, compared, and chained (e.g. LZSS followed by Huffman, as DEFLATE does):
+ * - Run-length encoding (PackBits): runs of a repeated byte become a count and the byte.
+ * - LZSS: repeats of earlier data become (offset, length) references into a sliding window.
+ * - LZW: builds a dictionary of sequences seen so far and emits dictionary indices.
+ * - Burrows-Wheeler transform (BWT) and move-to-front (MTF): reversible transforms that
+ *   do not shrink the data but rearrange it so the codecs above compress it better.
+ *   Chained as BWT, MTF, RLE, Huffman they form a bzip2-like pipeline (`bzipLike`).
+ * Bit-level output uses the BitWriter/BitReader from 38-huffman-coding-algorithm.js, and
+ * `huffmanEncode`/`huffmanDecode` from the same file are available as a codec here too.
+ *
+ * @reasoning
+ * Each codec exploits a different kind of redundancy: RLE only long runs, LZ-style codecs
+ * repeated substrings, and Huffman skewed byte frequencies. Chaining a dictionary coder
+ * with an entropy coder captures both, which is why most real formats do it.
+ *
+ * @assumptions
+ * - Inputs are bytes; encode text first with `new TextEncoder().encode(text)`.
+ * - Each encoded stream records what its decoder needs (original length, parameters).
+ *
+ * @complexity
+ * Time complexity:
+ *   - RLE: O(n)
+ *   - LZSS: O(n * c * m) to encode, where c is the hash chain limit and m the maximum
+ *     match length; O(n) to decode
+ *   - LZW: O(n) Map operations to encode and decode
+ *   - BWT: O(n log^2 n) to encode (suffix array), O(n) to decode
+ *   - MTF: O(n * 256) in the worst case
+ * Space complexity: O(n) for the output, plus O(n) for the LZSS hash chains and O(d)
+ * for the LZW dictionary of d entries
+ */
+
+const {
+  BitWriter,
+  BitReader,
+  huffmanEncode,
+  huffmanDecode,
+} = require("./38-huffman-coding-algorithm.js");
+const { buildSuffixArray } = require("./8.5-suffix-array.js");
+
+/**
+ * Run-length encoding over bytes (PackBits)
+ *
+ * @description
+ * The output is a sequence of packets, each starting with a header byte h:
+ * - h in 0..127: the next h + 1 bytes are copied as is (a literal packet)
+ * - h in 129..255: the next byte is repeated 257 - h times (a run of 2..128)
+ * - h = 128: no operation
+ * Runs shorter than three bytes stay in literal packets, so data without runs grows by
+ * at most one byte per 128.
+ *
+ * @param {Uint8Array} bytes - The data to encode
+ * @returns {Uint8Array} The encoded data
+ */
+function runLengthEncode(bytes) {
+  const out = [];
+  const runLength = (i) => {
+    let j = i + 1;
+    while (j < bytes.length && j - i < 128 && bytes[j] === bytes[i]) j++;
+    return j - i;
+  };
+
+  let i = 0;
+  while (i < bytes.length) {
+    const run = runLength(i);
+    if (run >= 3) {
+      out.push(257 - run, bytes[i]);
+      i += run;
+      continue;
+    }
+    // Collect literals until a run worth encoding starts or the packet is full
+    let j = i;
+    while (j < bytes.length && j - i < 128 && (j === i || runLength(j) < 3)) {
+      j++;
+    }
+    out.push(j - i - 1, ...bytes.subarray(i, j));
+    i = j;
+  }
+  return Uint8Array.from(out);
+}
+
+/**
+ * Decode data produced by runLengthEncode
+ *
+ * @param {Uint8Array} bytes - The encoded data
+ * @returns {Uint8Array} The original data
+ */
+function runLengthDecode(bytes) {
+  const out = [];
+  let i = 0;
+  while (i < bytes.length) {
+    const header = bytes[i++];
+    if (header < 128) {
+      if (i + header + 1 > bytes.length) {
+        throw new Error("Unexpected end of data");
+      }
+      out.push(...bytes.subarray(i, i + header + 1));
+      i += header + 1;
+    } else if (header > 128) {
+      if (i >= bytes.length) throw new Error("Unexpected end of data");
+      for (let k = 0; k < 257 - header; k++) out.push(bytes[i]);
+      i++;
+    }
+  }
+  return Uint8Array.from(out);
+}
+
+// Shortest repeat LZSS encodes as a reference; shorter ones are cheaper as literals
+const LZSS_MIN_MATCH = 3;
+// Candidate positions checked per byte, trading compression for speed
+const LZSS_MAX_CHAIN = 64;
+
+/**
+ * LZSS compression
+ *
+ * @description
+ * Walks the input and, at each position, looks for the longest earlier occurrence of the
+ * upcoming bytes within the window. Earlier positions are found through hash chains on
+ * their first three bytes, most recent first. Each token is a flag bit followed by either
+ * a literal byte (flag 0) or an (offset, length) reference (flag 1). References may
+ * overlap the bytes they produce, which is how long runs are encoded.
+ *
+ * Layout: 32-bit original length, 8-bit offsetBits, 8-bit lengthBits, then the tokens.
+ *
+ * @param {Uint8Array} bytes - The data to compress
+ * @param {Object} [options]
+ * @param {number} [options.offsetBits=12] - Bits per offset; the window is 2^offsetBits bytes
+ * @param {number} [options.lengthBits=4] - Bits per length; matches are 3 to 2^lengthBits + 2 bytes
+ * @returns {Uint8Array} The compressed data
+ */
+function lzssEncode(bytes, { offsetBits = 12, lengthBits = 4 } = {}) {
+  const windowSize = 2 ** offsetBits;
+  const maxMatch = LZSS_MIN_MATCH + 2 ** lengthBits - 1;
+  const writer = new BitWriter();
+  writer.writeBits(bytes.length, 32);
+  writer.writeBits(offsetBits, 8);
+  writer.writeBits(lengthBits, 8);
+
+  // head: latest position of each 3-byte key; prev[p]: previous position with p's key
+  const head = new Map();
+  const prev = new Int32Array(bytes.length).fill(-1);
+  const key = (p) => bytes[p] | (bytes[p + 1] << 8) | (bytes[p + 2] << 16);
+  const addPosition = (p) => {
+    if (p + LZSS_MIN_MATCH > bytes.length) return;
+    const k = key(p);
+    if (head.has(k)) prev[p] = head.get(k);
+    head.set(k, p);
+  };
+
+  let i = 0;
+  while (i < bytes.length) {
+    let bestLength = 0;
+    let bestOffset = 0;
+    if (i + LZSS_MIN_MATCH <= bytes.length) {
+      let candidate = head.has(key(i)) ? head.get(key(i)) : -1;
+      for (
+        let steps = 0;
+        candidate >= 0 && i - candidate <= windowSize && steps < LZSS_MAX_CHAIN;
+        steps++
+      ) {
+        let length = 0;
+        while (
+          length < maxMatch &&
+          i + length < bytes.length &&
+          bytes[candidate + length] === bytes[i + length]
+        ) {
+          length++;
+        }
+        if (length > bestLength) {
+          bestLength = length;
+          bestOffset = i - candidate;
+          if (length === maxMatch) break;
+        }
+        candidate = prev[candidate];
+      }
+    }
+
+    let advance = 1;
+    if (bestLength >= LZSS_MIN_MATCH) {
+      writer.writeBit(1);
+      writer.writeBits(bestOffset - 1, offsetBits);
+      writer.writeBits(bestLength - LZSS_MIN_MATCH, lengthBits);
+      advance = bestLength;
+    } else {
+      writer.writeBit(0);
+      writer.writeBits(bytes[i], 8);
+    }
+    for (let p = i; p < i + advance; p++) addPosition(p);
+    i += advance;
+  }
+  return writer.finish();
+}
+
+/**
+ * Decompress data produced by lzssEncode
+ *
+ * @param {Uint8Array} data - The compressed data
+ * @returns {Uint8Array} The original data
+ */
+function lzssDecode(data) {
+  const reader = new BitReader(data);
+  const length = reader.readBits(32);
+  const offsetBits = reader.readBits(8);
+  const lengthBits = reader.readBits(8);
+
+  const out = new Uint8Array(length);
+  let pos = 0;
+  while (pos < length) {
+    if (reader.readBit() === 0) {
+      out[pos++] = reader.readBits(8);
+      continue;
+    }
+    const offset = reader.readBits(offsetBits) + 1;
+    const matchLength = reader.readBits(lengthBits) + LZSS_MIN_MATCH;
+    if (offset > pos || pos + matchLength > length) {
+      throw new Error("Corrupt LZSS data");
+    }
+    // Copy byte by byte: the source may overlap the bytes being written
+    for (let k = 0; k < matchLength; k++, pos++) out[pos] = out[pos - offset];
+  }
+  return out;
+}
+
+// Width of the next LZW code: enough bits for `size` entries, between 9 and maxBits
+function lzwCodeWidth(size, maxBits) {
+  return Math.min(maxBits, Math.max(9, size.toString(2).length));
+}
+
+/**
+ * LZW compression
+ *
+ * @description
+ * The dictionary starts with the 256 single bytes. The encoder extends the current
+ * sequence while it is in the dictionary; when it is not, it emits the code of the known
+ * part and adds the extended sequence as a new entry. Codes are written with a variable
+ * width that grows from 9 bits as the dictionary fills. Once the dictionary has
+ * 2^maxBits entries it is frozen.
+ *
+ * Layout: 32-bit original length, 8-bit maxBits, then the codes.
+ *
+ * @param {Uint8Array} bytes - The data to compress
+ * @param {Object} [options]
+ * @param {number} [options.maxBits=12] - Largest code width, from 9 to 24
+ * @returns {Uint8Array} The compressed data
+ */
+function lzwEncode(bytes, { maxBits = 12 } = {}) {
+  const writer = new BitWriter();
+  writer.writeBits(bytes.length, 32);
+  writer.writeBits(maxBits, 8);
+
+  // Sequences are keyed by strings with one char code per byte
+  const dictionary = new Map();
+  for (let b = 0; b < 256; b++) dictionary.set(String.fromCharCode(b), b);
+  const maxSize = 2 ** maxBits;
+
+  let current = "";
+  for (let byte of bytes) {
+    const extended = current + String.fromCharCode(byte);
+    if (dictionary.has(extended)) {
+      current = extended;
+      continue;
+    }
+    writer.writeBits(
+      dictionary.get(current),
+      lzwCodeWidth(dictionary.size, maxBits)
+    );
+    if (dictionary.size < maxSize) dictionary.set(extended, dictionary.size);
+    current = String.fromCharCode(byte);
+  }
+  if (current !== "") {
+    writer.writeBits(
+      dictionary.get(current),
+      lzwCodeWidth(dictionary.size, maxBits)
+    );
+  }
+  return writer.finish();
+}
+
+/**
+ * Decompress data produced by lzwEncode
+ *
+ * @description
+ * Rebuilds the same dictionary one step behind the encoder: the entry added after each
+ * code is the previous sequence plus the first byte of the current one. The only code
+ * that can refer to an entry the decoder does not have yet is the one being added, whose
+ * sequence is the previous one plus its own first byte.
+ *
+ * @param {Uint8Array} data - The compressed data
+ * @returns {Uint8Array} The original data
+ */
+function lzwDecode(data) {
+  const reader = new BitReader(data);
+  const length = reader.readBits(32);
+  const maxBits = reader.readBits(8);
+  const maxSize = 2 ** maxBits;
+
+  const dictionary = [];
+  for (let b = 0; b < 256; b++) dictionary.push(String.fromCharCode(b));
+
+  const out = new Uint8Array(length);
+  let pos = 0;
+  let previous = null;
+  while (pos < length) {
+    // The encoder had already added the entry this decoder adds after reading
+    const pending = previous !== null && dictionary.length < maxSize ? 1 : 0;
+    const code = reader.readBits(
+      lzwCodeWidth(dictionary.length + pending, maxBits)
+    );
+
+    let sequence;
+    if (code < dictionary.length) {
+      sequence = dictionary[code];
+    } else if (code === dictionary.length && previous !== null) {
+      sequence = previous + previous[0];
+    } else {
+      throw new Error("Corrupt LZW data");
+    }
+    if (pending) dictionary.push(previous + sequence[0]);
+
+    if (pos + sequence.length > length) throw new Error("Corrupt LZW data");
+    for (let k = 0; k < sequence.length; k++) {
+      out[pos++] = sequence.charCodeAt(k);
+    }
+    previous = sequence;
+  }
+  return out;
+}
+
+// One char per byte, so string algorithms can run on binary data
+function bytesToBinaryString(bytes) {
+  let text = "";
+  for (let i = 0; i < bytes.length; i += 8192) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  }
+  return text;
+}
+
+/**
+ * Burrows-Wheeler transform
+ *
+ * @description
+ * Sorts all rotations of the input followed by a unique end marker smaller than every byte,
+ * and outputs the last column of the sorted rotations. Bytes that precede similar contexts
+ * end up next to each other, turning repeated substrings into runs of equal bytes.
+ *
+ * Sorting rotations of text + marker is the same as sorting the suffixes of text, with
+ * the marker's own suffix first, so the suffix array from 8.5-suffix-array.js gives the
+ * order directly. The marker is not stored; instead the output records the row where it
+ * would appear.
+ *
+ * Layout: 32-bit index of the marker's row, then one byte per input byte.
+ *
+ * @param {Uint8Array} bytes - The data to transform
+ * @returns {Uint8Array} The transformed data
+ *
+ * @complexity
+ * Time complexity: O(n log^2 n) for the suffix array
+ * Space complexity: O(n)
+ */
+function bwtEncode(bytes) {
+  const n = bytes.length;
+  const sa = buildSuffixArray(bytesToBinaryString(bytes));
+  const out = new Uint8Array(n + 4);
+
+  // Row 0 is the marker's suffix; the byte before it is the last byte of the input
+  let markerRow = 0;
+  let k = 4;
+  if (n > 0) out[k++] = bytes[n - 1];
+  sa.forEach((start, i) => {
+    if (start === 0) markerRow = i + 1;
+    else out[k++] = bytes[start - 1];
+  });
+
+  new DataView(out.buffer).setUint32(0, markerRow);
+  return out;
+}
+
+/**
+ * Inverse Burrows-Wheeler transform
+ *
+ * @description
+ * Uses the LF mapping: the i-th occurrence of a byte in the last column is the i-th
+ * occurrence of that byte in the first column (the sorted bytes). Starting from the
+ * marker's suffix and jumping from the last column to the first rebuilds the input
+ * from back to front.
+ *
+ * @param {Uint8Array} data - The transformed data
+ * @returns {Uint8Array} The original data
+ *
+ * @complexity
+ * Time complexity: O(n)
+ * Space complexity: O(n)
+ */
+function bwtDecode(data) {
+  if (data.length < 4) throw new Error("Unexpected end of data");
+  const n = data.length - 4;
+  const markerRow = new DataView(data.buffer, data.byteOffset).getUint32(0);
+  if (n > 0 ? markerRow < 1 || markerRow > n : markerRow !== 0) {
+    throw new Error("Corrupt BWT data");
+  }
+
+  // Last column of the n + 1 sorted rotations, with -1 for the marker
+  const last = new Int16Array(n + 1);
+  for (let i = 0, k = 4; i <= n; i++) {
+    last[i] = i === markerRow ? -1 : data[k++];
+  }
+
+  // first[c]: row where rotations starting with byte c begin (the marker takes row 0)
+  const counts = new Array(256).fill(0);
+  for (let i = 4; i < data.length; i++) counts[data[i]]++;
+  const first = new Array(256);
+  for (let c = 0, row = 1; c < 256; c++) {
+    first[c] = row;
+    row += counts[c];
+  }
+
+  // lf[i]: row of the rotation that starts with the last byte of row i
+  const seen = new Array(256).fill(0);
+  const lf = new Int32Array(n + 1);
+  for (let i = 0; i <= n; i++) {
+    if (last[i] >= 0) lf[i] = first[last[i]] + seen[last[i]]++;
+  }
+
+  const out = new Uint8Array(n);
+  for (let k = n - 1, row = 0; k >= 0; k--) {
+    out[k] = last[row];
+    row = lf[row];
+  }
+  return out;
+}
+
+/**
+ * Move-to-front encoding
+ *
+ * @description
+ * Replaces each byte by its position in a list of all 256 byte values, then moves it to
+ * the front of the list. Recently used bytes get small numbers, so the runs produced by
+ * the BWT become runs of zeros that RLE and Huffman compress well.
+ *
+ * @param {Uint8Array} bytes - The data to encode
+ * @returns {Uint8Array} One list position per byte
+ *
+ * @complexity
+ * Time complexity: O(n * 256) in the worst case, close to O(n) after a BWT
+ * Space complexity: O(n)
+ */
+function moveToFrontEncode(bytes) {
+  const list = Array.from({ length: 256 }, (_, i) => i);
+  return bytes.map((byte) => {
+    const index = list.indexOf(byte);
+    list.splice(index, 1);
+    list.unshift(byte);
+    return index;
+  });
+}
+
+/**
+ * Decode data produced by moveToFrontEncode
+ *
+ * @param {Uint8Array} data - The list positions
+ * @returns {Uint8Array} The original data
+ */
+function moveToFrontDecode(data) {
+  const list = Array.from({ length: 256 }, (_, i) => i);
+  return data.map((index) => {
+    const byte = list[index];
+    list.splice(index, 1);
+    list.unshift(byte);
+    return byte;
+  });
+}
+
+/**
+ * The available codecs, each with `encode(bytes)` and `decode(bytes)`
+ */
+const CompressionCodecs = {
+  rle: { encode: runLengthEncode, decode: runLengthDecode },
+  lzss: { encode: (bytes) => lzssEncode(bytes), decode: lzssDecode },
+  lzw: { encode: (bytes) => lzwEncode(bytes), decode: lzwDecode },
+  huffman: { encode: huffmanEncode, decode: huffmanDecode },
+  bwt: { encode: bwtEncode, decode: bwtDecode },
+  mtf: { encode: moveToFrontEncode, decode: moveToFrontDecode },
+};
+
+/**
+ * Chain codecs into one: encoding applies them left to right, decoding right to left
+ *
+ * @param {...{encode: Function, decode: Function}} codecs - The codecs to chain
+ * @returns {{encode: Function, decode: Function}} The combined codec
+ */
+function chainCodecs(...codecs) {
+  return {
+    encode: (bytes) =>
+      codecs.reduce((data, codec) => codec.encode(data), bytes),
+    decode: (bytes) =>
+      codecs.reduceRight((data, codec) => codec.decode(data), bytes),
+  };
+}
+
+/**
+ * A bzip2-like pipeline: BWT groups similar contexts, MTF turns the resulting runs into
+ * runs of zeros, RLE shortens those and Huffman codes the rest
+ */
+const bzipLike = chainCodecs(
+  CompressionCodecs.bwt,
+  CompressionCodecs.mtf,
+  CompressionCodecs.rle,
+  CompressionCodecs.huffman
+);
+
+/**
+ * Run every codec on every input and measure size, speed and correctness
+ *
+ * @param {Object<string, Uint8Array>} inputs - Named inputs
+ * @param {Object<string, {encode: Function, decode: Function}>} [codecs=CompressionCodecs] - Named codecs
+ * @returns {Object[]} One row per input and codec, e.g. for console.table
+ */
+function compareCodecs(inputs, codecs = CompressionCodecs) {
+  const rows = [];
+  for (let [inputName, bytes] of Object.entries(inputs)) {
+    for (let [codecName, codec] of Object.entries(codecs)) {
+      const start = performance.now();
+      const encoded = codec.encode(bytes);
+      const middle = performance.now();
+      const decoded = codec.decode(encoded);
+      const end = performance.now();
+      rows.push({
+        input: inputName,
+        codec: codecName,
+        originalSize: bytes.length,
+        compressedSize: encoded.length,
+        ratio: Number((encoded.length / bytes.length).toFixed(3)),
+        encodeMs: Number((middle - start).toFixed(1)),
+        decodeMs: Number((end - middle).toFixed(1)),
+        roundTrip:
+          decoded.length === bytes.length &&
+          decoded.every((byte, i) => byte === bytes[i]),
+      });
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  runLengthEncode,
+  runLengthDecode,
+  lzssEncode,
+  lzssDecode,
+  lzwEncode,
+  lzwDecode,
+  bwtEncode,
+  bwtDecode,
+  moveToFrontEncode,
+  moveToFrontDecode,
+  CompressionCodecs,
+  chainCodecs,
+  bzipLike,
+  compareCodecs,
+};
+
+// Example usage
+if (require.main === module) {
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  const text = "TOBEORNOTTOBEORTOBEORNOT";
+  const bytes = encoder.encode(text);
+  console.log(decoder.decode(lzssDecode(lzssEncode(bytes))) === text); // true
+  console.log(decoder.decode(lzwDecode(lzwEncode(bytes))) === text); // true
+  console.log(runLengthEncode(Uint8Array.from([7, 7, 7, 7, 1, 2]))); // [253, 7, 1, 1, 2]
+
+  // BWT of "banana": last column "annb" + marker + "aa", marker row 4
+  const banana = bwtEncode(encoder.encode("banana"));
+  console.log(decoder.decode(banana.subarray(4)), banana[3]); // "annbaa" 4
+  console.log(moveToFrontEncode(encoder.encode("aaabbb"))); // [97, 0, 0, 98, 0, 0]
+
+  // Round trips through the bzip-like pipeline, including edge cases
+  const samples = [
+    new Uint8Array(0),
+    Uint8Array.from([42]),
+    new Uint8Array(1000).fill(7),
+    Uint8Array.from({ length: 1000 }, (_, i) => (i * i) % 251),
+    encoder.encode("abracadabra ".repeat(20)),
+  ];
+  console.log(
+    samples.every((sample) => {
+      const decoded = bzipLike.decode(bzipLike.encode(sample));
+      return (
+        decoded.length === sample.length &&
+        decoded.every((byte, i) => byte === sample[i])
+      );
+    })
+  ); // true
+
+  // DEFLATE-style: LZSS removes repeats, Huffman then shortens the remaining bytes
+  const deflateLike = chainCodecs(
+    CompressionCodecs.lzss,
+    CompressionCodecs.huffman
+  );
+
+  let prose = "";
+  for (let i = 0; i < 400; i++) {
+    prose += `Line ${i}: the quick brown fox jumps over the lazy dog.\n`;
+  }
+  let noise = new Uint8Array(20000);
+  let seed = 1;
+  for (let i = 0; i < noise.length; i++) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    noise[i] = seed >>> 23;
+  }
+  const inputs = {
+    prose: encoder.encode(prose),
+    runs: Uint8Array.from({ length: 20000 }, (_, i) => (i >> 9) & 3),
+    noise,
+  };
+  console.table(
+    compareCodecs(inputs, {
+      ...CompressionCodecs,
+      "lzss+huffman": deflateLike,
+      "bwt+mtf+rle+huffman": bzipLike,
+    })
+  );
+}
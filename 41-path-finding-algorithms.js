@@ -2,6 +2,8 @@
  * A* (A-star) Pathfinding Algorithm
  */
 
+const { IndexedPriorityQueue } = require("./8.1-heap.js");
+
 // Define a class for grid cells
 class Cell {
   constructor(row, col) {
@@ -36,21 +38,16 @@ function manhattanDistance(cellA, cellB) {
 
 // A* pathfinding function
 function findPathAStar(startCell, goalCell, grid) {
-  let openList = []; // Cells to be evaluated
-  let closedList = []; // Cells already evaluated
+  let openList = new IndexedPriorityQueue(); // Cells to be evaluated, keyed by total cost
+  let closedList = new Set(); // Cells already evaluated
   let finalPath = []; // The final path from start to goal
 
-  openList.push(startCell); // Add start cell to open list
+  openList.insert(startCell, startCell.totalCost); // Add start cell to open list
 
   // Main loop of A* algorithm
-  while (openList.length > 0) {
-    // Find the cell in openList with the lowest total cost
-    let currentCell = openList[0];
-    for (let i = 1; i < openList.length; i++) {
-      if (openList[i].totalCost < currentCell.totalCost) {
-        currentCell = openList[i];
-      }
-    }
+  while (!openList.isEmpty()) {
+    // Take the cell in openList with the lowest total cost
+    let currentCell = openList.extract().element;
 
     // If we've reached the goal, reconstruct and return the path
     if (currentCell === goalCell) {
@@ -63,14 +60,13 @@ function findPathAStar(startCell, goalCell, grid) {
       return finalPath.reverse(); // Reverse to get path from start to goal
     }
 
-    // Move current cell from openList to closedList
-    openList = openList.filter((cell) => cell !== currentCell);
-    closedList.push(currentCell);
+    // The current cell has left openList; mark it as evaluated
+    closedList.add(currentCell);
 
     // Check all neighbors of the current cell
     for (let neighbor of currentCell.neighbors) {
       // Skip this neighbor if it's already evaluated
-      if (closedList.includes(neighbor)) {
+      if (closedList.has(neighbor)) {
         continue;
       }
 
@@ -78,7 +74,7 @@ function findPathAStar(startCell, goalCell, grid) {
       let tentativeCostFromStart = currentCell.costFromStart + 1; // Assuming cost between adjacent cells is 1
 
       let isNewPath = false;
-      if (openList.includes(neighbor)) {
+      if (openList.contains(neighbor)) {
         // If this path to neighbor is better than previous one, update the neighbor
         if (tentativeCostFromStart < neighbor.costFromStart) {
           neighbor.costFromStart = tentativeCostFromStart;
@@ -88,15 +84,19 @@ function findPathAStar(startCell, goalCell, grid) {
         // Discover a new cell
         neighbor.costFromStart = tentativeCostFromStart;
         isNewPath = true;
-        openList.push(neighbor);
       }
 
-      // Update the neighbor's costs if we found a better path
+      // Update the neighbor's costs (and its place in openList) if we found a better path
       if (isNewPath) {
         neighbor.estimatedCostToGoal = manhattanDistance(neighbor, goalCell);
         neighbor.totalCost =
           neighbor.costFromStart + neighbor.estimatedCostToGoal;
         neighbor.cameFrom = currentCell;
+        if (openList.contains(neighbor)) {
+          openList.decreaseKey(neighbor, neighbor.totalCost);
+        } else {
+          openList.insert(neighbor, neighbor.totalCost);
+        }
       }
     }
   }
@@ -105,38 +105,6 @@ function findPathAStar(startCell, goalCell, grid) {
   return null;
 }
 
-// Create a grid for testing
-let gridSize = 10;
-let grid = [];
-for (let row = 0; row < gridSize; row++) {
-  grid[row] = [];
-  for (let col = 0; col < gridSize; col++) {
-    grid[row][col] = new Cell(row, col);
-  }
-}
-
-// Add neighbors for each cell
-for (let row = 0; row < gridSize; row++) {
-  for (let col = 0; col < gridSize; col++) {
-    grid[row][col].addNeighbors(grid);
-  }
-}
-
-// Define start and goal cells
-let startCell = grid[0][0];
-let goalCell = grid[9][9];
-
-// Run A* algorithm
-let path = findPathAStar(startCell, goalCell, grid);
-
-// Print the path
-if (path) {
-  console.log("Path found:");
-  path.forEach((cell) => console.log(`(${cell.row}, ${cell.col})`));
-} else {
-  console.log("No path found");
-}
-
 /**
  * Breadth-First Search (BFS) Pathfinding Algorithm
  */
@@ -181,19 +149,6 @@ function findPathBFS(startCell, goalCell, grid) {
   return null;
 }
 
-// We can reuse the grid creation and testing code from the A* implementation
-
-// Run BFS algorithm
-let bfsPath = findPathBFS(startCell, goalCell, grid);
-
-// Print the path
-if (bfsPath) {
-  console.log("BFS Path found:");
-  bfsPath.forEach((cell) => console.log(`(${cell.row}, ${cell.col})`));
-} else {
-  console.log("No BFS path found");
-}
-
 /**
  * Dijkstra's Pathfinding Algorithm
  */
@@ -208,23 +163,22 @@ class DijkstraCell extends Cell {
 
 // Dijkstra's pathfinding function
 function findPathDijkstra(startCell, goalCell, grid) {
-  let unvisitedCells = []; // List of all unvisited cells
+  let unvisitedCells = new IndexedPriorityQueue(); // All unvisited cells, keyed by distance
   let finalPath = []; // The final path from start to goal
 
-  // Initialize distances and unvisited list
+  // Initialize distances and unvisited queue
+  startCell.distanceFromStart = 0; // Start cell has distance 0
   for (let row of grid) {
     for (let cell of row) {
-      cell.distanceFromStart = Infinity;
-      unvisitedCells.push(cell);
+      if (cell !== startCell) cell.distanceFromStart = Infinity;
+      unvisitedCells.insert(cell, cell.distanceFromStart);
     }
   }
-  startCell.distanceFromStart = 0; // Start cell has distance 0
 
   // Main loop of Dijkstra's algorithm
-  while (unvisitedCells.length > 0) {
-    // Find the unvisited cell with the smallest distance
-    unvisitedCells.sort((a, b) => a.distanceFromStart - b.distanceFromStart);
-    let currentCell = unvisitedCells.shift(); // Remove and return the first (smallest) element
+  while (!unvisitedCells.isEmpty()) {
+    // Remove and return the unvisited cell with the smallest distance
+    let currentCell = unvisitedCells.extract().element;
 
     // If we've reached the goal, reconstruct and return the path
     if (currentCell === goalCell) {
@@ -245,6 +199,7 @@ function findPathDijkstra(startCell, goalCell, grid) {
       if (distanceThroughCurrent < neighbor.distanceFromStart) {
         neighbor.distanceFromStart = distanceThroughCurrent;
         neighbor.cameFrom = currentCell;
+        unvisitedCells.decreaseKey(neighbor, distanceThroughCurrent);
       }
     }
   }
@@ -253,37 +208,6 @@ function findPathDijkstra(startCell, goalCell, grid) {
   return null;
 }
 
-// Create a grid for testing (using DijkstraCell instead of Cell)
-let dijkstraGrid = [];
-for (let row = 0; row < gridSize; row++) {
-  dijkstraGrid[row] = [];
-  for (let col = 0; col < gridSize; col++) {
-    dijkstraGrid[row][col] = new DijkstraCell(row, col);
-  }
-}
-
-// Add neighbors for each cell
-for (let row = 0; row < gridSize; row++) {
-  for (let col = 0; col < gridSize; col++) {
-    dijkstraGrid[row][col].addNeighbors(dijkstraGrid);
-  }
-}
-
-// Define start and goal cells
-let dijkstraStart = dijkstraGrid[0][0];
-let dijkstraGoal = dijkstraGrid[9][9];
-
-// Run Dijkstra's algorithm
-let dijkstraPath = findPathDijkstra(dijkstraStart, dijkstraGoal, dijkstraGrid);
-
-// Print the path
-if (dijkstraPath) {
-  console.log("Dijkstra's Path found:");
-  dijkstraPath.forEach((cell) => console.log(`(${cell.row}, ${cell.col})`));
-} else {
-  console.log("No Dijkstra's path found");
-}
-
 // This Dijkstra's algorithm implementation is similar to A*, but without the heuristic.
 // It calculates the shortest path to all cells, which makes it more versatile but potentially
 // slower than A* for finding a path to a specific goal.
@@ -296,3 +220,94 @@ if (dijkstraPath) {
 //  making it typically faster for finding a path to a specific goal.
 // These implementations should be easier to read and understand, with more descriptive variable names
 // and exhaustive comments explaining each part of the algorithms.
+
+module.exports = {
+  Cell,
+  DijkstraCell,
+  manhattanDistance,
+  findPathAStar,
+  findPathBFS,
+  findPathDijkstra,
+};
+
+if (require.main === module) {
+  // Create a grid for testing
+  let gridSize = 10;
+  let grid = [];
+  for (let row = 0; row < gridSize; row++) {
+    grid[row] = [];
+    for (let col = 0; col < gridSize; col++) {
+      grid[row][col] = new Cell(row, col);
+    }
+  }
+
+  // Add neighbors for each cell
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      grid[row][col].addNeighbors(grid);
+    }
+  }
+
+  // Define start and goal cells
+  let startCell = grid[0][0];
+  let goalCell = grid[9][9];
+
+  // Run A* algorithm
+  let path = findPathAStar(startCell, goalCell, grid);
+
+  // Print the path
+  if (path) {
+    console.log("Path found:");
+    path.forEach((cell) => console.log(`(${cell.row}, ${cell.col})`));
+  } else {
+    console.log("No path found");
+  }
+
+  // We can reuse the grid creation and testing code from the A* implementation
+
+  // Run BFS algorithm
+  let bfsPath = findPathBFS(startCell, goalCell, grid);
+
+  // Print the path
+  if (bfsPath) {
+    console.log("BFS Path found:");
+    bfsPath.forEach((cell) => console.log(`(${cell.row}, ${cell.col})`));
+  } else {
+    console.log("No BFS path found");
+  }
+
+  // Create a grid for testing (using DijkstraCell instead of Cell)
+  let dijkstraGrid = [];
+  for (let row = 0; row < gridSize; row++) {
+    dijkstraGrid[row] = [];
+    for (let col = 0; col < gridSize; col++) {
+      dijkstraGrid[row][col] = new DijkstraCell(row, col);
+    }
+  }
+
+  // Add neighbors for each cell
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      dijkstraGrid[row][col].addNeighbors(dijkstraGrid);
+    }
+  }
+
+  // Define start and goal cells
+  let dijkstraStart = dijkstraGrid[0][0];
+  let dijkstraGoal = dijkstraGrid[9][9];
+
+  // Run Dijkstra's algorithm
+  let dijkstraPath = findPathDijkstra(
+    dijkstraStart,
+    dijkstraGoal,
+    dijkstraGrid
+  );
+
+  // Print the path
+  if (dijkstraPath) {
+    console.log("Dijkstra's Path found:");
+    dijkstraPath.forEach((cell) => console.log(`(${cell.row}, ${cell.col})`));
+  } else {
+    console.log("No Dijkstra's path found");
+  }
+}
@@ -1,16 +1,20 @@
 // File: BinarySearchTree.js
 
 class Node {
-  constructor(data) {
-    this.data = data;
+  constructor(key, value) {
+    this.key = key;
+    this.value = value;
     this.left = null;
     this.right = null;
   }
 }
 
 class BinarySearchTree {
-  constructor() {
+  // The comparator returns a negative number, zero or a positive number
+  // when a is less than, equal to or greater than b
+  constructor(comparator = (a, b) => (a < b ? -1 : a > b ? 1 : 0)) {
     this.root = null;
+    this.comparator = comparator;
   }
 
   /**
@@ -21,32 +25,37 @@ class BinarySearchTree {
    * are smaller, and all elements in its right subtree are larger.
    *
    * Assumptions:
-   * - The inserted value is unique (no duplicate values in the tree).
+   * - Keys are unique; inserting an existing key replaces its value.
+   * - The value defaults to the key, so the tree can also be used as an ordered set.
    * - The tree remains balanced enough to maintain efficiency (not guaranteed in basic BST).
    *
    * Algorithm:
    * 1. If the tree is empty, create a new node as the root.
    * 2. Otherwise, recursively traverse the tree:
-   *    - If the value is less than the current node, go to the left child.
-   *    - If the value is greater than the current node, go to the right child.
+   *    - If the key is less than the current node, go to the left child.
+   *    - If the key is greater than the current node, go to the right child.
+   *    - If the key is equal to the current node, update its value.
    * 3. When a null position is reached, insert the new node there.
    *
    * Time Complexity: O(h) where h is the height of the tree. In a balanced tree, this is O(log n).
    * Space Complexity: O(h) due to the recursive call stack.
    */
-  insert(data) {
-    this.root = this._insertRecursive(this.root, data);
+  insert(key, value = key) {
+    this.root = this._insertRecursive(this.root, key, value);
   }
 
-  _insertRecursive(node, data) {
+  _insertRecursive(node, key, value) {
     if (node === null) {
-      return new Node(data);
+      return new Node(key, value);
     }
 
-    if (data < node.data) {
-      node.left = this._insertRecursive(node.left, data);
-    } else if (data > node.data) {
-      node.right = this._insertRecursive(node.right, data);
+    const cmp = this.comparator(key, node.key);
+    if (cmp < 0) {
+      node.left = this._insertRecursive(node.left, key, value);
+    } else if (cmp > 0) {
+      node.right = this._insertRecursive(node.right, key, value);
+    } else {
+      node.value = value;
     }
 
     return node;
@@ -64,27 +73,45 @@ class BinarySearchTree {
    *
    * Algorithm:
    * 1. Start at the root.
-   * 2. If the tree is empty or the value is found, return.
-   * 3. If the value is less than the current node, search in the left subtree.
-   * 4. If the value is greater than the current node, search in the right subtree.
-   * 5. Repeat steps 2-4 until the value is found or a leaf is reached.
+   * 2. If the tree is empty or the key is found, return.
+   * 3. If the key is less than the current node, search in the left subtree.
+   * 4. If the key is greater than the current node, search in the right subtree.
+   * 5. Repeat steps 2-4 until the key is found or a leaf is reached.
    *
    * Time Complexity: O(h) where h is the height of the tree. In a balanced tree, this is O(log n).
    * Space Complexity: O(h) for recursive implementation due to the call stack.
    */
-  search(data) {
-    return this._searchRecursive(this.root, data);
+  search(key) {
+    return this._searchRecursive(this.root, key);
   }
 
-  _searchRecursive(node, data) {
-    if (node === null || node.data === data) {
-      return node;
+  _searchRecursive(node, key) {
+    if (node === null) {
+      return null;
     }
 
-    if (data < node.data) {
-      return this._searchRecursive(node.left, data);
+    const cmp = this.comparator(key, node.key);
+    if (cmp === 0) {
+      return node;
     }
-    return this._searchRecursive(node.right, data);
+    if (cmp < 0) {
+      return this._searchRecursive(node.left, key);
+    }
+    return this._searchRecursive(node.right, key);
+  }
+
+  /**
+   * Get Operation
+   *
+   * Reasoning:
+   * Lets the tree act as an ordered map by returning the value stored under a key.
+   *
+   * Time Complexity: O(h) where h is the height of the tree.
+   * Space Complexity: O(h) due to the recursive search.
+   */
+  get(key) {
+    const node = this.search(key);
+    return node ? node.value : null;
   }
 
   /**
@@ -98,38 +125,112 @@ class BinarySearchTree {
    * - The entire tree needs to be traversed.
    *
    * Algorithm:
-   * 1. Recursively traverse the left subtree.
-   * 2. Visit the current node.
-   * 3. Recursively traverse the right subtree.
+   * 1. Collect the keys yielded by the inorder() generator.
    *
    * Time Complexity: O(n) where n is the number of nodes in the tree.
-   * Space Complexity: O(h) due to the recursive call stack, where h is the height of the tree.
+   * Space Complexity: O(n) for the result array.
    */
   inOrderTraversal() {
-    const result = [];
-    this._inOrderRecursive(this.root, result);
-    return result;
+    return [...this.inorder()];
+  }
+
+  /**
+   * Traversal Generators
+   *
+   * Reasoning:
+   * Generators produce one key at a time, so large trees can be streamed
+   * with for...of and the walk can stop early without building an array.
+   * inorder() yields ascending keys (and backs [Symbol.iterator]), reverse()
+   * descending keys, preorder() node-left-right, levelOrder() breadth-first
+   * and entries() [key, value] pairs in key order.
+   *
+   * Assumptions:
+   * - The tree is not modified while an iteration is in progress.
+   *
+   * Algorithm:
+   * 1. Depth-first orders keep the path to the current node on an explicit
+   *    stack instead of the call stack.
+   * 2. Level order keeps the frontier in a queue.
+   *
+   * Time Complexity: O(1) amortized per key, O(n) for a full traversal.
+   * Space Complexity: O(h) for the depth-first orders, O(n) for level order.
+   */
+  [Symbol.iterator]() {
+    return this.inorder();
+  }
+
+  *inorder() {
+    for (const node of this._inorderNodes()) yield node.key;
+  }
+
+  *reverse() {
+    for (const node of this._inorderNodes(true)) yield node.key;
+  }
+
+  *preorder() {
+    const stack = this.root ? [this.root] : [];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      yield node.key;
+      if (node.right) stack.push(node.right);
+      if (node.left) stack.push(node.left);
+    }
   }
 
-  _inOrderRecursive(node, result) {
-    if (node !== null) {
-      this._inOrderRecursive(node.left, result);
-      result.push(node.data);
-      this._inOrderRecursive(node.right, result);
+  *levelOrder() {
+    const queue = this.root ? [this.root] : [];
+    for (let i = 0; i < queue.length; i++) {
+      const node = queue[i];
+      yield node.key;
+      if (node.left) queue.push(node.left);
+      if (node.right) queue.push(node.right);
+    }
+  }
+
+  *entries() {
+    for (const node of this._inorderNodes()) yield [node.key, node.value];
+  }
+
+  *_inorderNodes(reverse = false) {
+    const first = reverse ? "right" : "left";
+    const second = reverse ? "left" : "right";
+    const stack = [];
+    let node = this.root;
+    while (node || stack.length > 0) {
+      while (node) {
+        stack.push(node);
+        node = node[first];
+      }
+      node = stack.pop();
+      yield node;
+      node = node[second];
     }
   }
 }
 
+module.exports = { Node, BinarySearchTree };
+
 // Example usage
-const bst = new BinarySearchTree();
-bst.insert(50);
-bst.insert(30);
-bst.insert(70);
-bst.insert(20);
-bst.insert(40);
-bst.insert(60);
-bst.insert(80);
-
-console.log("In-order traversal:", bst.inOrderTraversal());
-console.log("Search for 40:", bst.search(40) ? "Found" : "Not Found");
-console.log("Search for 90:", bst.search(90) ? "Found" : "Not Found");
+if (require.main === module) {
+  const bst = new BinarySearchTree();
+  bst.insert(50);
+  bst.insert(30);
+  bst.insert(70);
+  bst.insert(20);
+  bst.insert(40);
+  bst.insert(60);
+  bst.insert(80);
+
+  console.log("In-order traversal:", bst.inOrderTraversal());
+  console.log("Pre-order traversal:", [...bst.preorder()]);
+  console.log("Level-order traversal:", [...bst.levelOrder()]);
+  console.log("Reverse order:", [...bst.reverse()]);
+  console.log("Search for 40:", bst.search(40) ? "Found" : "Not Found");
+  console.log("Search for 90:", bst.search(90) ? "Found" : "Not Found");
+
+  // Custom comparator: order dates and store a value under each key
+  const events = new BinarySearchTree((a, b) => a.getTime() - b.getTime());
+  events.insert(new Date("2024-03-01"), "release");
+  events.insert(new Date("2024-01-15"), "kickoff");
+  console.log("Value for 2024-01-15:", events.get(new Date("2024-01-15")));
+}
@@ -91,15 +91,19 @@ class Graph {
   }
 }
 
+module.exports = { Graph };
+
 // Example usage
-const graph = new Graph();
-graph.addVertex("A");
-graph.addVertex("B");
-graph.addVertex("C");
-graph.addVertex("D");
-graph.addEdge("A", "B");
-graph.addEdge("A", "C");
-graph.addEdge("B", "D");
-graph.addEdge("C", "D");
+if (require.main === module) {
+  const graph = new Graph();
+  graph.addVertex("A");
+  graph.addVertex("B");
+  graph.addVertex("C");
+  graph.addVertex("D");
+  graph.addEdge("A", "B");
+  graph.addEdge("A", "C");
+  graph.addEdge("B", "D");
+  graph.addEdge("C", "D");
 
-console.log("DFS starting from vertex A:", graph.dfs("A"));
+  console.log("DFS starting from vertex A:", graph.dfs("A"));
+}
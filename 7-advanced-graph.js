@@ -1,5 +1,7 @@
 // File: AdvancedGraph.js
 
+const { IndexedPriorityQueue } = require("./8.1-heap.js");
+
 class Graph {
   constructor() {
     this.adjacencyList = {};
@@ -116,33 +118,38 @@ class Graph {
    * 1. Initialize distances to all vertices as infinite and distance to start as 0.
    * 2. Create a priority queue and enqueue the start vertex with its distance.
    * 3. While the priority queue is not empty:
-   *    a. Dequeue the vertex with the minimum distance.
+   *    a. Extract the vertex with the minimum distance.
    *    b. For each neighbor of this vertex:
    *       - Calculate tentative distance through current vertex.
-   *       - If this distance is less than the known distance, update it.
+   *       - If this distance is less than the known distance, update it
+   *         and decrease the neighbor's key in the queue.
    *
-   * Time Complexity: O((V + E) log V) with a binary heap implementation.
+   * Time Complexity: O((V + E) log V) with a binary heap implementation,
+   * O(E + V log V) with a Fibonacci heap.
    * Space Complexity: O(V)
+   *
+   * `createQueue` can return any heap from 8.1-heap.js (IndexedPriorityQueue,
+   * DAryHeap, PairingHeap, FibonacciHeap) to compare them on the same graph.
    */
-  dijkstra(start, end) {
+  dijkstra(start, end, createQueue = () => new IndexedPriorityQueue()) {
     const distances = {};
     const previous = {};
-    const pq = new PriorityQueue();
+    const pq = createQueue();
 
     // Initialize distances
     for (let vertex in this.adjacencyList) {
       if (vertex === start) {
         distances[vertex] = 0;
-        pq.enqueue(vertex, 0);
+        pq.insert(vertex, 0);
       } else {
         distances[vertex] = Infinity;
-        pq.enqueue(vertex, Infinity);
+        pq.insert(vertex, Infinity);
       }
       previous[vertex] = null;
     }
 
     while (!pq.isEmpty()) {
-      let current = pq.dequeue().element;
+      let current = pq.extract().element;
       if (current === end) {
         // Construct the path
         let path = [];
@@ -160,7 +167,9 @@ class Graph {
           if (candidate < distances[neighbor.node]) {
             distances[neighbor.node] = candidate;
             previous[neighbor.node] = current;
-            pq.enqueue(neighbor.node, candidate);
+            if (pq.contains(neighbor.node)) {
+              pq.decreaseKey(neighbor.node, candidate);
+            }
           }
         }
       }
@@ -351,23 +360,27 @@ class Graph {
    *
    * Algorithm:
    * 1. Start with any vertex as the initial tree.
-   * 2. Repeatedly add the minimum weight edge that connects a vertex in the tree to a vertex outside the tree.
+   * 2. Keep every vertex outside the tree in an indexed priority queue, keyed by
+   *    the lightest edge connecting it to the tree seen so far.
+   * 3. Repeatedly extract the vertex with the smallest key, add it to the tree
+   *    and decrease the keys of its neighbors through the edges it brings in.
    *
-   * Time Complexity: O((V + E) log V) with a binary heap
+   * Time Complexity: O((V + E) log V) with a binary heap,
+   * O(E + V log V) with a Fibonacci heap.
    * Space Complexity: O(V + E)
+   *
+   * `createQueue` can return any heap from 8.1-heap.js, as in dijkstra().
    */
-  primMST() {
+  primMST(createQueue = () => new IndexedPriorityQueue()) {
     const startVertex = Object.keys(this.adjacencyList)[0];
-    const pq = new PriorityQueue();
+    const pq = createQueue();
     const inMST = new Set();
     const mst = [];
 
-    pq.enqueue({ node: startVertex, weight: 0 }, 0);
+    pq.insert(startVertex, 0);
 
     while (!pq.isEmpty()) {
-      const { node, weight } = pq.dequeue().element;
-
-      if (inMST.has(node)) continue;
+      const { element: node, priority: weight } = pq.extract();
 
       inMST.add(node);
       if (node !== startVertex) {
@@ -375,8 +388,11 @@ class Graph {
       }
 
       this.adjacencyList[node].forEach((neighbor) => {
-        if (!inMST.has(neighbor.node)) {
-          pq.enqueue(neighbor, neighbor.weight);
+        if (inMST.has(neighbor.node)) return;
+        if (!pq.contains(neighbor.node)) {
+          pq.insert(neighbor.node, neighbor.weight);
+        } else if (neighbor.weight < pq.getPriority(neighbor.node)) {
+          pq.decreaseKey(neighbor.node, neighbor.weight);
         }
       });
     }
@@ -1017,7 +1033,7 @@ class Graph {
    * @returns {Array|null} The least-cost path from start to goal, or null if no path exists
    */
   aStar(start, goal, heuristic) {
-    const openList = new PriorityQueue();
+    const openList = new IndexedPriorityQueue();
     const closedList = new Set();
     const gScore = {};
     const fScore = {};
@@ -1025,10 +1041,10 @@ class Graph {
 
     gScore[start] = 0;
     fScore[start] = heuristic(start, goal);
-    openList.enqueue(start, fScore[start]);
+    openList.insert(start, fScore[start]);
 
     while (!openList.isEmpty()) {
-      const current = openList.dequeue().element;
+      const current = openList.extract().element;
 
       if (current === goal) {
         return this.reconstructPath(cameFrom, current);
@@ -1047,10 +1063,10 @@ class Graph {
           fScore[neighbor.node] =
             gScore[neighbor.node] + heuristic(neighbor.node, goal);
 
-          if (!openList.includes(neighbor.node)) {
-            openList.enqueue(neighbor.node, fScore[neighbor.node]);
+          if (!openList.contains(neighbor.node)) {
+            openList.insert(neighbor.node, fScore[neighbor.node]);
           } else {
-            openList.updatePriority(neighbor.node, fScore[neighbor.node]);
+            openList.decreaseKey(neighbor.node, fScore[neighbor.node]);
           }
         }
       }
@@ -1067,43 +1083,6 @@ class Graph {
     }
     return totalPath;
   }
-}
-
-// Priority Queue for Dijkstra's and A* algorithms
-// Helper class for Dijkstra's algorithm
-class PriorityQueue {
-  constructor() {
-    this.values = [];
-  }
-
-  enqueue(element, priority) {
-    this.values.push({ element, priority });
-    this.sort();
-  }
-
-  dequeue() {
-    return this.values.shift();
-  }
-
-  sort() {
-    this.values.sort((a, b) => a.priority - b.priority);
-  }
-
-  isEmpty() {
-    return !this.values.length;
-  }
-  // Required for A* algorithm
-  includes(element) {
-    return this.values.some((entry) => entry.element === element);
-  }
-  // Required for A* algorithm
-  updatePriority(element, newPriority) {
-    const index = this.values.findIndex((entry) => entry.element === element);
-    if (index !== -1) {
-      this.values[index].priority = newPriority;
-      this.sort();
-    }
-  }
 
   /**
    * Hopcroft-Karp Algorithm for Maximum Bipartite Matching
@@ -1237,11 +1216,11 @@ class PriorityQueue {
         }
       }
 
-      if (nearestNeighbor) {
-        tour.push(nearestNeighbor);
-        visited.add(nearestNeighbor);
-        totalDistance += minDistance;
-      }
+      if (nearestNeighbor === null) break; // Dead end: no unvisited neighbor
+
+      tour.push(nearestNeighbor);
+      visited.add(nearestNeighbor);
+      totalDistance += minDistance;
     }
 
     // Return to the starting point
@@ -1389,6 +1368,7 @@ class PriorityQueue {
     return { path: null, type: "None" };
   }
 }
+
 // Define the UnionFind class for disjoint set operations
 class UnionFind {
   // Constructor initializes the data structure
@@ -1505,121 +1485,132 @@ class DisjointSet {
   }
 }
 
+module.exports = { Graph, UnionFind, DisjointSet };
+
 // Example usage
-const graph = new Graph();
-graph.addVertex("A");
-graph.addVertex("B");
-graph.addVertex("C");
-graph.addVertex("D");
-graph.addEdge("A", "B", 4);
-graph.addEdge("A", "C", 2);
-graph.addEdge("B", "D", 3);
-graph.addEdge("C", "D", 1);
-graph.addEdge("C", "E", 5);
-graph.addEdge("D", "E", 2);
-
-// Traversals (depth-first search, breadth-first search),
-console.log("BFS starting from vertex A:", graph.bfs("A"));
-console.log("DFS starting from vertex A:", graph.dfs("A"));
-
-// Shortest path (Dijkstra's algorithm, Bellman-Ford algorithm, A* algorithm)
-console.log("Shortest path from A to D:", graph.dijkstra("A", "D"));
-console.log("Bellman-Ford from A:", graph.bellmanFord("A"));
-// Simple heuristic function (could be more sophisticated in real applications)
-function heuristic(node, goal) {
-  const coordinates = {
-    A: { x: 0, y: 0 },
-    B: { x: 2, y: 2 },
-    C: { x: 1, y: 1 },
-    D: { x: 3, y: 1 },
-    E: { x: 4, y: 0 },
-  };
-
-  const dx = coordinates[node].x - coordinates[goal].x;
-  const dy = coordinates[node].y - coordinates[goal].y;
-  return Math.sqrt(dx * dx + dy * dy);
+if (require.main === module) {
+  const graph = new Graph();
+  graph.addVertex("A");
+  graph.addVertex("B");
+  graph.addVertex("C");
+  graph.addVertex("D");
+  graph.addVertex("E");
+  graph.addEdge("A", "B", 4);
+  graph.addEdge("A", "C", 2);
+  graph.addEdge("B", "D", 3);
+  graph.addEdge("C", "D", 1);
+  graph.addEdge("C", "E", 5);
+  graph.addEdge("D", "E", 2);
+
+  // Traversals (depth-first search, breadth-first search),
+  console.log("BFS starting from vertex A:", graph.bfs("A"));
+  console.log("DFS starting from vertex A:", graph.dfs("A"));
+
+  // Shortest path (Dijkstra's algorithm, Bellman-Ford algorithm, A* algorithm)
+  console.log("Shortest path from A to D:", graph.dijkstra("A", "D"));
+  console.log("Bellman-Ford from A:", graph.bellmanFord("A"));
+  // Simple heuristic function (could be more sophisticated in real applications)
+  function heuristic(node, goal) {
+    const coordinates = {
+      A: { x: 0, y: 0 },
+      B: { x: 2, y: 2 },
+      C: { x: 1, y: 1 },
+      D: { x: 3, y: 1 },
+      E: { x: 4, y: 0 },
+    };
+
+    const dx = coordinates[node].x - coordinates[goal].x;
+    const dy = coordinates[node].y - coordinates[goal].y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+  console.log("A* path from A to E:", graph.aStar("A", "E", heuristic));
+
+  // Topological sort
+  console.log("Topological Sort:", graph.topologicalSort());
+
+  // Union-Find (Disjoint Set) data structure
+  const unionFind = graph.unionFind();
+  console.log(
+    "Union-Find - Are A and C connected?",
+    unionFind.find("A") === unionFind.find("C")
+  );
+
+  // Minimum spanning tree (Prim's algorithm, Kruskal's algorithm, Boruvka's algorithm)
+  console.log("Prim's MST:", graph.primMST());
+  console.log("Kruskal's MST:", graph.kruskalMST());
+  console.log("Boruvka's MST:", graph.boruvkaMST());
+
+  // Shortest paths (Floyd-Warshall algorithm)
+  console.log(
+    "Floyd-Warshall All Pairs Shortest Paths:",
+    graph.floydWarshall()
+  );
+
+  // Graph properties Cycle Detection in Undirected Graph
+  console.log("Graph has cycle:", graph.hasCycle());
+
+  // Connectivity (Union-Find algorithm, Kosaraju's algorithm, Tarjan's algorithm)
+
+  // Articulation points and bridges
+  console.log("Articulation Points:", graph.findArticulationPoints());
+  console.log("Bridges:", graph.findBridges());
+
+  // Strongly connected components (Tarjan's algorithm and Kosaraju's algorithm)
+  // Tarjan's SCC
+  console.log(
+    "Tarjan's Strongly Connected Components:",
+    graph.tarjanStronglyConnectedComponents()
+  );
+  // Kosaraju's SCC
+  console.log(
+    "Kosaraju's Strongly Connected Components:",
+    graph.kosarajuStronglyConnectedComponents()
+  );
+
+  // Maximum Flow (Ford-Fulkerson Algorithm with Edmonds-Karp)
+  console.log("Max Flow from A to D:", graph.maxFlow("A", "D"));
+
+  // Test Hopcroft-Karp Bipartite Matching
+  // Note: This graph might not be bipartite, so let's create a bipartite graph for this test
+  const bipartiteGraph = new Graph();
+  bipartiteGraph.addVertex("A");
+  bipartiteGraph.addVertex("B");
+  bipartiteGraph.addVertex("C");
+  bipartiteGraph.addVertex("X");
+  bipartiteGraph.addVertex("Y");
+  bipartiteGraph.addVertex("Z");
+  bipartiteGraph.addEdge("A", "X");
+  bipartiteGraph.addEdge("A", "Y");
+  bipartiteGraph.addEdge("B", "Y");
+  bipartiteGraph.addEdge("C", "Y");
+  bipartiteGraph.addEdge("C", "Z");
+  console.log(
+    "Hopcroft-Karp Maximum Bipartite Matching:",
+    bipartiteGraph.hopcroftKarp()
+  );
+
+  // Test TSP Nearest Neighbor
+  console.log("TSP Nearest Neighbor Solution:", graph.tspNearestNeighbor());
+
+  // Test Eulerian Path/Circuit
+  // Let's create a graph with an Eulerian circuit for this test
+  const eulerianGraph = new Graph();
+  eulerianGraph.addVertex("A");
+  eulerianGraph.addVertex("B");
+  eulerianGraph.addVertex("C");
+  eulerianGraph.addVertex("D");
+  eulerianGraph.addEdge("A", "B");
+  eulerianGraph.addEdge("B", "C");
+  eulerianGraph.addEdge("C", "D");
+  eulerianGraph.addEdge("D", "A");
+  console.log(
+    "Eulerian Path/Circuit:",
+    eulerianGraph.findEulerianPathOrCircuit()
+  );
+
+  // Test Hamiltonian Path/Circuit
+  console.log(
+    "Hamiltonian Path/Circuit:",
+    graph.findHamiltonianPathOrCircuit()
+  );
 }
-console.log("A* path from A to E:", graph.aStar("A", "E", heuristic));
-
-// Topological sort
-console.log("Topological Sort:", graph.topologicalSort());
-
-// Union-Find (Disjoint Set) data structure
-const unionFind = graph.unionFind();
-console.log(
-  "Union-Find - Are A and C connected?",
-  unionFind.find("A") === unionFind.find("C")
-);
-
-// Minimum spanning tree (Prim's algorithm, Kruskal's algorithm, Boruvka's algorithm)
-console.log("Prim's MST:", graph.primMST());
-console.log("Kruskal's MST:", graph.kruskalMST());
-console.log("Boruvka's MST:", graph.boruvkaMST());
-
-// Shortest paths (Floyd-Warshall algorithm)
-console.log("Floyd-Warshall All Pairs Shortest Paths:", graph.floydWarshall());
-
-// Graph properties Cycle Detection in Undirected Graph
-console.log("Graph has cycle:", graph.hasCycle());
-
-// Connectivity (Union-Find algorithm, Kosaraju's algorithm, Tarjan's algorithm)
-
-// Articulation points and bridges
-console.log("Articulation Points:", graph.findArticulationPoints());
-console.log("Bridges:", graph.findBridges());
-
-// Strongly connected components (Tarjan's algorithm and Kosaraju's algorithm)
-// Tarjan's SCC
-console.log(
-  "Tarjan's Strongly Connected Components:",
-  graph.tarjanStronglyConnectedComponents()
-);
-// Kosaraju's SCC
-console.log(
-  "Kosaraju's Strongly Connected Components:",
-  graph.kosarajuStronglyConnectedComponents()
-);
-
-// Maximum Flow (Ford-Fulkerson Algorithm with Edmonds-Karp)
-console.log("Max Flow from A to D:", graph.maxFlow("A", "D"));
-
-// Test Hopcroft-Karp Bipartite Matching
-// Note: This graph might not be bipartite, so let's create a bipartite graph for this test
-const bipartiteGraph = new Graph();
-bipartiteGraph.addVertex("A");
-bipartiteGraph.addVertex("B");
-bipartiteGraph.addVertex("C");
-bipartiteGraph.addVertex("X");
-bipartiteGraph.addVertex("Y");
-bipartiteGraph.addVertex("Z");
-bipartiteGraph.addEdge("A", "X");
-bipartiteGraph.addEdge("A", "Y");
-bipartiteGraph.addEdge("B", "Y");
-bipartiteGraph.addEdge("C", "Y");
-bipartiteGraph.addEdge("C", "Z");
-console.log(
-  "Hopcroft-Karp Maximum Bipartite Matching:",
-  bipartiteGraph.hopcroftKarp()
-);
-
-// Test TSP Nearest Neighbor
-console.log("TSP Nearest Neighbor Solution:", graph.tspNearestNeighbor());
-
-// Test Eulerian Path/Circuit
-// Let's create a graph with an Eulerian circuit for this test
-const eulerianGraph = new Graph();
-eulerianGraph.addVertex("A");
-eulerianGraph.addVertex("B");
-eulerianGraph.addVertex("C");
-eulerianGraph.addVertex("D");
-eulerianGraph.addEdge("A", "B");
-eulerianGraph.addEdge("B", "C");
-eulerianGraph.addEdge("C", "D");
-eulerianGraph.addEdge("D", "A");
-console.log(
-  "Eulerian Path/Circuit:",
-  eulerianGraph.findEulerianPathOrCircuit()
-);
-
-// Test Hamiltonian Path/Circuit
-console.log("Hamiltonian Path/Circuit:", graph.findHamiltonianPathOrCircuit());
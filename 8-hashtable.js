@@ -114,6 +114,46 @@ class HashTable {
     return false;
   }
 
+  /**
+   * Iterates over the key-value pairs, bucket by bucket
+   * @yields {Array} Each [key, value] pair, in no particular order
+   */
+  *entries() {
+    for (let bucket of this.table) {
+      if (bucket) {
+        yield* bucket;
+      }
+    }
+  }
+
+  /**
+   * Iterates over the keys
+   * @yields {string} Each key, in no particular order
+   */
+  *keys() {
+    for (let [key] of this.entries()) {
+      yield key;
+    }
+  }
+
+  /**
+   * Iterates over the values
+   * @yields {*} Each value, in no particular order
+   */
+  *values() {
+    for (let [, value] of this.entries()) {
+      yield value;
+    }
+  }
+
+  /**
+   * Makes the hash table iterable with for...of, like a Map
+   * @returns {Iterator} An iterator over the [key, value] pairs
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
   /**
    * Resizes the hash table when the load factor threshold is exceeded
    */
@@ -222,6 +262,18 @@ class LinearProbingHashTable extends HashTable {
     }
     return false;
   }
+
+  /**
+   * Iterates over the key-value pairs stored in the occupied slots
+   * @yields {Array} Each [key, value] pair, in no particular order
+   */
+  *entries() {
+    for (let slot of this.table) {
+      if (slot !== undefined) {
+        yield slot;
+      }
+    }
+  }
 }
 
 /**
@@ -317,6 +369,18 @@ class QuadraticProbingHashTable extends HashTable {
     }
     return false;
   }
+
+  /**
+   * Iterates over the key-value pairs stored in the occupied slots
+   * @yields {Array} Each [key, value] pair, in no particular order
+   */
+  *entries() {
+    for (let slot of this.table) {
+      if (slot !== undefined) {
+        yield slot;
+      }
+    }
+  }
 }
 
 /**
@@ -439,6 +503,139 @@ class DoubleHashingHashTable extends HashTable {
     }
     return false;
   }
+
+  /**
+   * Iterates over the key-value pairs stored in the occupied slots
+   * @yields {Array} Each [key, value] pair, in no particular order
+   */
+  *entries() {
+    for (let slot of this.table) {
+      if (slot !== undefined) {
+        yield slot;
+      }
+    }
+  }
+}
+
+/**
+ * Hashing utilities shared by the probabilistic structures below
+ *
+ * @description
+ * `murmurHash3` is the 32-bit x86 variant of MurmurHash3: fast, well distributed and
+ * seedable. `doubleHashIndices` derives any number of indices from two such hashes as
+ * h1 + i * h2 (Kirsch and Mitzenmacher), which is as good as k independent hash
+ * functions for Bloom filters while hashing the element only twice.
+ *
+ * @assumptions
+ * - Elements are strings (hashed as UTF-8) or Uint8Arrays; other values are converted
+ *   with String() first.
+ */
+const textEncoder = new TextEncoder();
+
+// Bytes to hash for an element
+function elementBytes(element) {
+  if (element instanceof Uint8Array) return element;
+  return textEncoder.encode(String(element));
+}
+
+/**
+ * MurmurHash3 (x86, 32-bit)
+ * @param {string|Uint8Array} key - The data to hash
+ * @param {number} [seed=0] - Seed, to get independent hash functions
+ * @returns {number} An unsigned 32-bit hash
+ */
+function murmurHash3(key, seed = 0) {
+  const bytes = elementBytes(key);
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  const mixKey = (k) => {
+    k = Math.imul(k, c1);
+    k = (k << 15) | (k >>> 17);
+    return Math.imul(k, c2);
+  };
+
+  let h = seed >>> 0;
+  const tail = bytes.length & ~3;
+  // Body: mix in four bytes (little-endian) at a time
+  for (let i = 0; i < tail; i += 4) {
+    h ^= mixKey(
+      bytes[i] |
+        (bytes[i + 1] << 8) |
+        (bytes[i + 2] << 16) |
+        (bytes[i + 3] << 24)
+    );
+    h = (h << 13) | (h >>> 19);
+    h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+
+  // Tail: the remaining one to three bytes
+  let k = 0;
+  const remaining = bytes.length & 3;
+  if (remaining >= 3) k ^= bytes[tail + 2] << 16;
+  if (remaining >= 2) k ^= bytes[tail + 1] << 8;
+  if (remaining >= 1) h ^= mixKey(k ^ bytes[tail]);
+
+  // Finalization: force all bits to avalanche
+  h ^= bytes.length;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Derive `count` indices in [0, range) for an element by double hashing
+ * @param {string|Uint8Array} element - The element to hash
+ * @param {number} count - Number of indices
+ * @param {number} range - Exclusive upper bound of the indices
+ * @returns {number[]} The indices
+ */
+function doubleHashIndices(element, count, range) {
+  const bytes = elementBytes(element);
+  const h1 = murmurHash3(bytes, 0);
+  // An odd step never collapses to a single index when range is a power of two
+  const h2 = (murmurHash3(bytes, 0x9747b28c) | 1) >>> 0;
+  const indices = [];
+  for (let i = 0; i < count; i++) {
+    indices.push((h1 + i * h2) % range);
+  }
+  return indices;
+}
+
+/**
+ * Optimal Bloom filter shape for n elements at false positive rate p:
+ * m = -n ln(p) / (ln 2)^2 bits and k = (m / n) ln 2 hash functions
+ * @param {number} expectedItems - Number of elements the filter should hold
+ * @param {number} falsePositiveRate - Acceptable false positive rate, between 0 and 1
+ * @returns {{size: number, numHashes: number}} The bit count and hash count
+ */
+function optimalBloomParameters(expectedItems, falsePositiveRate) {
+  if (
+    !(expectedItems > 0) ||
+    !(falsePositiveRate > 0 && falsePositiveRate < 1)
+  ) {
+    throw new Error(
+      "Expected items must be positive and the false positive rate between 0 and 1"
+    );
+  }
+  const size = Math.ceil(
+    (-expectedItems * Math.log(falsePositiveRate)) / Math.LN2 ** 2
+  );
+  // Beyond 255 hashes (p below about 1e-77) more hashes barely change the rate
+  const numHashes = Math.min(
+    255,
+    Math.max(1, Math.round((size / expectedItems) * Math.LN2))
+  );
+  return { size, numHashes };
+}
+
+// Number of set bits in a 32-bit integer
+function popCount(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return (Math.imul((x + (x >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24) & 0xff;
 }
 
 /**
@@ -448,16 +645,22 @@ class DoubleHashingHashTable extends HashTable {
  * A Bloom filter is a space-efficient probabilistic data structure that is used to test whether an element is a member of a set.
  * False positive matches are possible, but false negatives are not – in other words, a query returns either "possibly in set" or "definitely not in set".
  *
+ * Each element sets k bits chosen by double hashing with MurmurHash3. The bits live in a
+ * Uint32Array, so filters of the same shape can be combined word by word and exported
+ * as bytes.
+ *
  * @reasoning
  * Bloom filters are useful when you need to quickly check if an element might be in a set, and where a small false positive rate is acceptable.
  * They are much more space-efficient than hash tables for large sets.
  *
  * @assumptions
  * - The hash functions used are independent and distribute elements uniformly.
- * - The desired false positive rate and expected number of elements are known in advance.
+ * - The desired false positive rate and expected number of elements are known in advance;
+ *   `BloomFilter.create` derives the size and number of hashes from them.
  *
  * @complexity
  * Time complexity: O(k) for both insertion and search, where k is the number of hash functions.
+ * O(m / 32) for union, intersection, estimated count and serialization.
  * Space complexity: O(m), where m is the size of the bit array.
  */
 class BloomFilter {
@@ -467,21 +670,46 @@ class BloomFilter {
    * @param {number} numHashes - The number of hash functions to use
    */
   constructor(size, numHashes) {
-    // Initialize the bit array with all bits set to 0
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error("Size must be a positive integer");
+    }
+    // toBytes stores the hash count in a single byte
+    if (!Number.isInteger(numHashes) || numHashes < 1 || numHashes > 255) {
+      throw new Error("Number of hashes must be an integer from 1 to 255");
+    }
+    // Initialize the bit array with all bits set to 0, 32 bits per word
     this.size = size;
-    this.bitArray = new Array(size).fill(0);
+    this.bits = new Uint32Array(Math.ceil(size / 32));
     this.numHashes = numHashes;
   }
 
+  /**
+   * Creates a Bloom filter sized for an expected number of elements
+   *
+   * @description
+   * Uses the optimal bit count m = -n ln(p) / (ln 2)^2 and hash count k = (m / n) ln 2,
+   * which keep the false positive rate at p once n elements have been added.
+   *
+   * @param {number} expectedItems - Number of elements the filter should hold
+   * @param {number} falsePositiveRate - Acceptable false positive rate, between 0 and 1
+   * @returns {BloomFilter} An empty filter
+   */
+  static create(expectedItems, falsePositiveRate) {
+    const { size, numHashes } = optimalBloomParameters(
+      expectedItems,
+      falsePositiveRate
+    );
+    return new BloomFilter(size, numHashes);
+  }
+
   /**
    * Adds an element to the Bloom filter
    * @param {string} element - The element to add
    */
   add(element) {
     // For each hash function, set the corresponding bit to 1
-    for (let i = 0; i < this.numHashes; i++) {
-      const index = this.hash(element, i);
-      this.bitArray[index] = 1;
+    for (let index of doubleHashIndices(element, this.numHashes, this.size)) {
+      this.bits[index >>> 5] |= 1 << (index & 31);
     }
   }
 
@@ -492,27 +720,586 @@ class BloomFilter {
    */
   mightContain(element) {
     // Check if all corresponding bits are set to 1
-    for (let i = 0; i < this.numHashes; i++) {
-      const index = this.hash(element, i);
-      if (this.bitArray[index] === 0) {
-        return false;
+    return doubleHashIndices(element, this.numHashes, this.size).every(
+      (index) => (this.bits[index >>> 5] & (1 << (index & 31))) !== 0
+    );
+  }
+
+  /**
+   * Combines two filters into one that contains the elements of either
+   * @param {BloomFilter} other - A filter with the same size and number of hashes
+   * @returns {BloomFilter} A new filter
+   */
+  union(other) {
+    return this._combine(other, (a, b) => a | b);
+  }
+
+  /**
+   * Combines two filters into one that contains the elements of both. Its false positive
+   * rate can be higher than that of a filter built from the common elements alone.
+   * @param {BloomFilter} other - A filter with the same size and number of hashes
+   * @returns {BloomFilter} A new filter
+   */
+  intersection(other) {
+    return this._combine(other, (a, b) => a & b);
+  }
+
+  _combine(other, operation) {
+    if (this.size !== other.size || this.numHashes !== other.numHashes) {
+      throw new Error(
+        "Bloom filters must have the same size and number of hashes"
+      );
+    }
+    const result = new BloomFilter(this.size, this.numHashes);
+    for (let i = 0; i < this.bits.length; i++) {
+      result.bits[i] = operation(this.bits[i], other.bits[i]);
+    }
+    return result;
+  }
+
+  /**
+   * Estimates how many distinct elements have been added
+   *
+   * @description
+   * With X of the m bits set, the expected number of elements is -(m / k) ln(1 - X / m).
+   *
+   * @returns {number} The estimated count (Infinity once every bit is set)
+   */
+  estimatedCount() {
+    const setBits = this._countSetBits();
+    return (-this.size / this.numHashes) * Math.log(1 - setBits / this.size);
+  }
+
+  /**
+   * Estimates the current false positive rate from the fraction of set bits
+   * @returns {number} The probability that a new element is reported as present
+   */
+  falsePositiveRate() {
+    return (this._countSetBits() / this.size) ** this.numHashes;
+  }
+
+  _countSetBits() {
+    let count = 0;
+    for (let word of this.bits) count += popCount(word);
+    return count;
+  }
+
+  /**
+   * Serializes the filter: 4 bytes size, 1 byte number of hashes, then the bit words,
+   * all big-endian
+   * @returns {Uint8Array} The serialized filter
+   */
+  toBytes() {
+    const bytes = new Uint8Array(5 + this.bits.length * 4);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, this.size);
+    view.setUint8(4, this.numHashes);
+    this.bits.forEach((word, i) => view.setUint32(5 + i * 4, word));
+    return bytes;
+  }
+
+  /**
+   * Restores a filter serialized with toBytes
+   * @param {Uint8Array} bytes - The serialized filter
+   * @returns {BloomFilter} The filter
+   */
+  static fromBytes(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 5 || view.getUint32(0) === 0 || view.getUint8(4) === 0) {
+      throw new Error("Invalid Bloom filter data");
+    }
+    const filter = new BloomFilter(view.getUint32(0), view.getUint8(4));
+    if (bytes.length !== 5 + filter.bits.length * 4) {
+      throw new Error("Invalid Bloom filter data");
+    }
+    for (let i = 0; i < filter.bits.length; i++) {
+      filter.bits[i] = view.getUint32(5 + i * 4);
+    }
+    return filter;
+  }
+}
+
+/**
+ * Counting Bloom Filter Implementation
+ *
+ * @description
+ * A Bloom filter whose cells are small counters instead of bits. Adding an element
+ * increments its k counters and removing it decrements them, so elements can be deleted
+ * without disturbing the others.
+ *
+ * @reasoning
+ * A plain Bloom filter cannot delete: clearing a bit might clear it for another element
+ * too, causing false negatives. Counters record how many elements share each cell, at the
+ * cost of 8 bits per cell instead of 1.
+ *
+ * @assumptions
+ * - Only elements that were added are removed; removing others can cause false negatives.
+ * - Counters saturate at 255 and then stay there, so heavily shared cells are never
+ *   decremented into false negatives.
+ *
+ * @complexity
+ * Time complexity: O(k) for add, remove and search, where k is the number of hash functions.
+ * Space complexity: O(m) bytes, where m is the number of counters.
+ */
+class CountingBloomFilter {
+  /**
+   * @param {number} size - The number of counters
+   * @param {number} numHashes - The number of hash functions to use
+   */
+  constructor(size, numHashes) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error("Size must be a positive integer");
+    }
+    if (!Number.isInteger(numHashes) || numHashes < 1) {
+      throw new Error("Number of hashes must be a positive integer");
+    }
+    this.size = size;
+    this.counters = new Uint8Array(size);
+    this.numHashes = numHashes;
+  }
+
+  /**
+   * Creates a counting Bloom filter sized for an expected number of elements
+   * @param {number} expectedItems - Number of elements the filter should hold
+   * @param {number} falsePositiveRate - Acceptable false positive rate, between 0 and 1
+   * @returns {CountingBloomFilter} An empty filter
+   */
+  static create(expectedItems, falsePositiveRate) {
+    const { size, numHashes } = optimalBloomParameters(
+      expectedItems,
+      falsePositiveRate
+    );
+    return new CountingBloomFilter(size, numHashes);
+  }
+
+  /**
+   * Adds an element
+   * @param {string} element - The element to add
+   */
+  add(element) {
+    for (let index of doubleHashIndices(element, this.numHashes, this.size)) {
+      if (this.counters[index] < 255) this.counters[index]++;
+    }
+  }
+
+  /**
+   * Removes an element that was added before
+   * @param {string} element - The element to remove
+   * @returns {boolean} True if the element might have been present and was removed,
+   *   false if it was definitely not in the filter
+   */
+  remove(element) {
+    const indices = doubleHashIndices(element, this.numHashes, this.size);
+    if (indices.some((index) => this.counters[index] === 0)) {
+      return false;
+    }
+    for (let index of indices) {
+      // A saturated counter no longer knows its true count, so it is left alone
+      if (this.counters[index] < 255) this.counters[index]--;
+    }
+    return true;
+  }
+
+  /**
+   * Checks if an element might be in the set
+   * @param {string} element - The element to check
+   * @returns {boolean} True if the element might be in the set, false if it's definitely not
+   */
+  mightContain(element) {
+    return doubleHashIndices(element, this.numHashes, this.size).every(
+      (index) => this.counters[index] > 0
+    );
+  }
+}
+
+/**
+ * Cuckoo Filter Implementation
+ *
+ * @description
+ * Stores a short fingerprint of each element in one of two candidate buckets. The second
+ * bucket is the first one XOR the hash of the fingerprint, so either bucket can be
+ * computed from the other and the fingerprint alone. When both buckets are full, a
+ * random fingerprint is evicted and moved to its other bucket, like cuckoo hashing.
+ *
+ * @reasoning
+ * Cuckoo filters support deletion like counting Bloom filters, but use less space for low
+ * false positive rates and look up only two buckets per query.
+ *
+ * @assumptions
+ * - Only elements that were added are removed; removing others can delete the
+ *   fingerprint of a different element.
+ * - The same element can be added a limited number of times (2 * bucketSize).
+ * - When an insertion fails after maxKicks evictions, the last evicted fingerprint is kept
+ *   aside so no element is lost, and `isFull()` becomes true. Further additions are
+ *   rejected until a removal frees a slot for it.
+ *
+ * @complexity
+ * Time complexity: O(b) for search and removal, where b is the bucket size;
+ * amortized O(1) for insertion until the filter is nearly full.
+ * False positive rate: about 2b / 2^f for f-bit fingerprints.
+ * Space complexity: O(n * f) bits.
+ */
+class CuckooFilter {
+  /**
+   * @param {number} capacity - Number of elements the filter should hold
+   * @param {number} [bucketSize=4] - Fingerprints per bucket
+   * @param {number} [fingerprintBits=16] - Bits per fingerprint, from 2 to 16
+   * @param {number} [maxKicks=500] - Evictions to try before declaring the filter full
+   */
+  constructor(capacity, bucketSize = 4, fingerprintBits = 16, maxKicks = 500) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error("Capacity must be a positive integer");
+    }
+    if (!Number.isInteger(bucketSize) || bucketSize < 1) {
+      throw new Error("Bucket size must be a positive integer");
+    }
+    if (!Number.isInteger(maxKicks) || maxKicks < 0) {
+      throw new Error("Max kicks must be a non-negative integer");
+    }
+    if (
+      !Number.isInteger(fingerprintBits) ||
+      fingerprintBits < 2 ||
+      fingerprintBits > 16
+    ) {
+      throw new Error("Fingerprint bits must be an integer from 2 to 16");
+    }
+    // A power of two number of buckets keeps the XOR of two bucket indices in range
+    this.numBuckets = 1;
+    while (this.numBuckets * bucketSize * 0.95 < capacity) this.numBuckets *= 2;
+    this.bucketSize = bucketSize;
+    this.fingerprintBits = fingerprintBits;
+    this.maxKicks = maxKicks;
+    // Slot value 0 means empty, so fingerprints are never 0
+    this.slots = new Uint16Array(this.numBuckets * bucketSize);
+    this.count = 0;
+    this.victim = null; // {index, fingerprint} that could not be placed
+  }
+
+  // Number of elements in the filter
+  size() {
+    return this.count;
+  }
+
+  // Whether a fingerprint is waiting for a free slot; no more elements can be added
+  isFull() {
+    return this.victim !== null;
+  }
+
+  /**
+   * Adds an element
+   * @param {string} element - The element to add
+   * @returns {boolean} True if the element was stored (check `isFull()` afterwards: the
+   *   last insertion may have filled the filter), false if the filter was already full
+   *   and the element was not added
+   */
+  add(element) {
+    if (this.victim) return false;
+    let [index, fingerprint] = this._locate(element);
+    this.count++;
+    if (this._insertInto(index, fingerprint)) return true;
+    index = this._altIndex(index, fingerprint);
+    if (this._insertInto(index, fingerprint)) return true;
+
+    // Both buckets are full: evict fingerprints along a random path
+    for (let kick = 0; kick < this.maxKicks; kick++) {
+      const slot =
+        index * this.bucketSize + Math.floor(Math.random() * this.bucketSize);
+      [fingerprint, this.slots[slot]] = [this.slots[slot], fingerprint];
+      index = this._altIndex(index, fingerprint);
+      if (this._insertInto(index, fingerprint)) return true;
+    }
+    // The element is stored, but an older fingerprint has no slot left: keep it aside
+    this.victim = { index, fingerprint };
+    return true;
+  }
+
+  /**
+   * Checks if an element might be in the set
+   * @param {string} element - The element to check
+   * @returns {boolean} True if the element might be in the set, false if it's definitely not
+   */
+  mightContain(element) {
+    const [index, fingerprint] = this._locate(element);
+    const altIndex = this._altIndex(index, fingerprint);
+    if (
+      this.victim &&
+      this.victim.fingerprint === fingerprint &&
+      (this.victim.index === index || this.victim.index === altIndex)
+    ) {
+      return true;
+    }
+    return (
+      this._findIn(index, fingerprint) !== -1 ||
+      this._findIn(altIndex, fingerprint) !== -1
+    );
+  }
+
+  /**
+   * Removes an element that was added before
+   * @param {string} element - The element to remove
+   * @returns {boolean} True if a matching fingerprint was removed
+   */
+  remove(element) {
+    const [index, fingerprint] = this._locate(element);
+    const altIndex = this._altIndex(index, fingerprint);
+    for (let bucket of [index, altIndex]) {
+      const slot = this._findIn(bucket, fingerprint);
+      if (slot !== -1) {
+        this.slots[slot] = 0;
+        this.count--;
+        this._placeVictim();
+        return true;
       }
     }
+    if (
+      this.victim &&
+      this.victim.fingerprint === fingerprint &&
+      (this.victim.index === index || this.victim.index === altIndex)
+    ) {
+      this.victim = null;
+      this.count--;
+      return true;
+    }
+    return false;
+  }
+
+  // First bucket index and fingerprint of an element
+  _locate(element) {
+    const bytes = elementBytes(element);
+    const index = murmurHash3(bytes, 0) & (this.numBuckets - 1);
+    const fingerprint =
+      (murmurHash3(bytes, 0x5bd1e995) % (2 ** this.fingerprintBits - 1)) + 1;
+    return [index, fingerprint];
+  }
+
+  // The other bucket of a fingerprint; applying it twice gives the original bucket
+  _altIndex(index, fingerprint) {
+    const hash = murmurHash3(
+      Uint8Array.of(fingerprint & 0xff, fingerprint >>> 8)
+    );
+    return (index ^ hash) & (this.numBuckets - 1);
+  }
+
+  _insertInto(index, fingerprint) {
+    const slot = this._findIn(index, 0);
+    if (slot === -1) return false;
+    this.slots[slot] = fingerprint;
     return true;
   }
 
+  // Slot holding a value in a bucket, or -1
+  _findIn(index, value) {
+    const start = index * this.bucketSize;
+    for (let slot = start; slot < start + this.bucketSize; slot++) {
+      if (this.slots[slot] === value) return slot;
+    }
+    return -1;
+  }
+
+  // After a removal, move the set-aside fingerprint into a free slot if it now fits
+  _placeVictim() {
+    if (!this.victim) return;
+    const { index, fingerprint } = this.victim;
+    if (
+      this._insertInto(index, fingerprint) ||
+      this._insertInto(this._altIndex(index, fingerprint), fingerprint)
+    ) {
+      this.victim = null;
+    }
+  }
+}
+
+/**
+ * Count-Min Sketch Implementation
+ *
+ * @description
+ * Estimates how often each element occurs in a stream using a fixed grid of counters:
+ * depth rows of width counters. Each element increments one counter per row, chosen by
+ * double hashing, and its estimate is the smallest of its counters.
+ *
+ * @reasoning
+ * Counting every distinct event exactly needs memory proportional to the number of
+ * distinct events. The sketch uses fixed memory; collisions can only add to a counter,
+ * so estimates never undercount, and taking the minimum over rows limits the overcount.
+ *
+ * @assumptions
+ * - Counts are non-negative (increments only).
+ *
+ * @complexity
+ * Time complexity: O(d) for update and estimate, where d is the depth.
+ * Error: with width = ceil(e / epsilon) and depth = ceil(ln(1 / delta)), an estimate
+ * exceeds the true count by more than epsilon * total with probability at most delta.
+ * Space complexity: O(w * d)
+ */
+class CountMinSketch {
   /**
-   * Hash function for the Bloom filter
-   * @param {string} element - The element to hash
-   * @param {number} seed - A seed value to generate different hash functions
-   * @returns {number} The hash value
+   * @param {number} width - Counters per row
+   * @param {number} depth - Number of rows
+   */
+  constructor(width, depth) {
+    if (!Number.isInteger(width) || width < 1) {
+      throw new Error("Width must be a positive integer");
+    }
+    if (!Number.isInteger(depth) || depth < 1) {
+      throw new Error("Depth must be a positive integer");
+    }
+    this.width = width;
+    this.depth = depth;
+    this.counters = new Float64Array(width * depth);
+    this.total = 0; // Sum of all counts added
+  }
+
+  /**
+   * Creates a sketch for an error bound
+   * @param {number} epsilon - Overcount allowed, as a fraction of the total count
+   * @param {number} delta - Probability of exceeding the allowed overcount
+   * @returns {CountMinSketch} An empty sketch
+   */
+  static create(epsilon, delta) {
+    if (!(epsilon > 0) || !(delta > 0 && delta < 1)) {
+      throw new Error(
+        "Epsilon must be positive and delta between 0 and 1 (exclusive)"
+      );
+    }
+    return new CountMinSketch(
+      Math.ceil(Math.E / epsilon),
+      Math.ceil(Math.log(1 / delta))
+    );
+  }
+
+  /**
+   * Records occurrences of an element
+   * @param {string} element - The element
+   * @param {number} [count=1] - Number of occurrences to add
+   */
+  update(element, count = 1) {
+    doubleHashIndices(element, this.depth, this.width).forEach((index, row) => {
+      this.counters[row * this.width + index] += count;
+    });
+    this.total += count;
+  }
+
+  /**
+   * Estimates how often an element occurred
+   * @param {string} element - The element
+   * @returns {number} An estimate that is never below the true count
+   */
+  estimate(element) {
+    let min = Infinity;
+    doubleHashIndices(element, this.depth, this.width).forEach((index, row) => {
+      min = Math.min(min, this.counters[row * this.width + index]);
+    });
+    return min;
+  }
+
+  /**
+   * Adds the counts of another sketch of the same shape, e.g. from another server
+   * @param {CountMinSketch} other - The sketch to merge in
    */
-  hash(element, seed) {
-    let hash = 0;
-    for (let i = 0; i < element.length; i++) {
-      hash = (hash * seed + element.charCodeAt(i)) % this.size;
+  merge(other) {
+    if (this.width !== other.width || this.depth !== other.depth) {
+      throw new Error("Sketches must have the same width and depth");
+    }
+    for (let i = 0; i < this.counters.length; i++) {
+      this.counters[i] += other.counters[i];
+    }
+    this.total += other.total;
+  }
+}
+
+/**
+ * HyperLogLog Implementation
+ *
+ * @description
+ * Estimates the number of distinct elements in a stream. The first p bits of an element's
+ * hash pick one of 2^p registers; the register keeps the largest number of leading zeros
+ * (plus one) seen in the remaining bits. Long runs of zeros are rare, so the registers
+ * reflect how many distinct hashes were seen, and a harmonic mean over them gives the
+ * estimate.
+ *
+ * @reasoning
+ * Counting distinct events exactly needs a set of all of them. HyperLogLog needs 2^p
+ * bytes for a standard error of about 1.04 / sqrt(2^p), e.g. 16 KB for 0.8%, whatever
+ * the number of events, and sketches from different streams can be merged.
+ *
+ * @assumptions
+ * - Hashes are 32-bit (MurmurHash3), which suits cardinalities up to a few hundred million.
+ *
+ * @complexity
+ * Time complexity: O(1) to add, O(2^p) to count or merge
+ * Space complexity: O(2^p)
+ */
+class HyperLogLog {
+  /**
+   * @param {number} [precision=14] - Number of index bits p, from 4 to 16
+   */
+  constructor(precision = 14) {
+    if (!Number.isInteger(precision) || precision < 4 || precision > 16) {
+      throw new Error("Precision must be an integer from 4 to 16");
+    }
+    this.precision = precision;
+    this.registers = new Uint8Array(2 ** precision);
+  }
+
+  /**
+   * Adds an element
+   * @param {string} element - The element to add
+   */
+  add(element) {
+    const hash = murmurHash3(element);
+    const index = hash >>> (32 - this.precision);
+    // Leading zeros of the remaining bits; a trailing 1 caps the rank when they are all 0
+    const rest = (hash << this.precision) | (1 << (this.precision - 1));
+    const rank = Math.clz32(rest) + 1;
+    if (rank > this.registers[index]) this.registers[index] = rank;
+  }
+
+  /**
+   * Estimates the number of distinct elements added
+   * @returns {number} The estimated cardinality
+   */
+  count() {
+    const m = this.registers.length;
+    const alpha =
+      m === 16
+        ? 0.673
+        : m === 32
+        ? 0.697
+        : m === 64
+        ? 0.709
+        : 0.7213 / (1 + 1.079 / m);
+
+    let sum = 0;
+    let zeros = 0;
+    for (let register of this.registers) {
+      sum += 2 ** -register;
+      if (register === 0) zeros++;
+    }
+    const estimate = (alpha * m * m) / sum;
+
+    // Small cardinalities: linear counting on the empty registers is more accurate
+    if (estimate <= 2.5 * m && zeros > 0) {
+      return m * Math.log(m / zeros);
+    }
+    // Large cardinalities: correct for collisions of 32-bit hashes
+    if (estimate > 2 ** 32 / 30) {
+      return -(2 ** 32) * Math.log(1 - estimate / 2 ** 32);
+    }
+    return estimate;
+  }
+
+  /**
+   * Merges another HyperLogLog of the same precision into this one, giving the
+   * cardinality of the union of both streams
+   * @param {HyperLogLog} other - The sketch to merge in
+   */
+  merge(other) {
+    if (this.precision !== other.precision) {
+      throw new Error("HyperLogLogs must have the same precision");
+    }
+    for (let i = 0; i < this.registers.length; i++) {
+      this.registers[i] = Math.max(this.registers[i], other.registers[i]);
     }
-    return hash;
   }
 }
 
@@ -537,9 +1324,11 @@ class BloomFilter {
  * @returns {Object} An object with methods to add words and check spelling
  */
 function createSpellChecker(dictionaryWords) {
-  // Create a Bloom filter with appropriate size and number of hash functions
-  // These values should be tuned based on the expected dictionary size and desired false positive rate
-  const bloomFilter = new BloomFilter(100000, 5);
+  // Size the Bloom filter for a 1% false positive rate, leaving room for added words
+  const bloomFilter = BloomFilter.create(
+    Math.max(1000, 2 * dictionaryWords.length),
+    0.01
+  );
 
   // Add all dictionary words to the Bloom filter
   for (let word of dictionaryWords) {
@@ -566,16 +1355,6 @@ function createSpellChecker(dictionaryWords) {
   };
 }
 
-// Example usage of the spell checker
-const dictionary = ["apple", "banana", "cherry", "date", "elderberry"];
-const spellChecker = createSpellChecker(dictionary);
-
-console.log(spellChecker.checkSpelling("apple")); // true
-console.log(spellChecker.checkSpelling("aple")); // false
-console.log(spellChecker.checkSpelling("banana")); // true
-spellChecker.addWord("grape");
-console.log(spellChecker.checkSpelling("grape")); // true
-
 /**
  * LRU Cache Implementation using a Hash Table and Doubly Linked List
  *
@@ -669,6 +1448,18 @@ class LRUCache {
     this.head.next.prev = node;
     this.head.next = node;
   }
+
+  // Yields [key, value] pairs from most to least recently used,
+  // without changing their recency
+  *entries() {
+    for (let node = this.head.next; node !== this.tail; node = node.next) {
+      yield [node.key, node.value];
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
 }
 
 class Node {
@@ -680,6 +1471,22 @@ class Node {
   }
 }
 
+module.exports = {
+  HashTable,
+  LinearProbingHashTable,
+  QuadraticProbingHashTable,
+  DoubleHashingHashTable,
+  murmurHash3,
+  doubleHashIndices,
+  BloomFilter,
+  CountingBloomFilter,
+  CuckooFilter,
+  CountMinSketch,
+  HyperLogLog,
+  createSpellChecker,
+  LRUCache,
+};
+
 /**
  * Test function for the HashTable implementation
  *
@@ -717,6 +1524,10 @@ function testHashTable() {
   console.log("Age after deletion:", ht.search("age")); // Expected: undefined
 
   console.log("Deleting non-existing key:", ht.delete("country")); // Expected: false
+
+  for (const [key, value] of ht) {
+    console.log(`Entry ${key}:`, value); // Expected: name and city, in bucket order
+  }
 }
 
 /**
@@ -751,8 +1562,111 @@ function testLRUCache() {
   console.log(cache.get(1)); // Expected: undefined
   console.log(cache.get(3)); // Expected: 3
   console.log(cache.get(4)); // Expected: 4
+  console.log([...cache]); // Expected: [[4, 4], [3, 3]]
+}
+
+/**
+ * Test function for the BloomFilter implementation
+ *
+ * @description
+ * Sizes a filter from the expected number of elements, checks the measured false positive
+ * rate against the target, and exercises union, intersection and serialization.
+ *
+ * @returns {void}
+ */
+function testBloomFilter() {
+  console.log("\nTesting Bloom Filter Implementation");
+  console.log(murmurHash3("hello").toString(16)); // Expected: 248bfa47
+
+  const filter = BloomFilter.create(1000, 0.01);
+  console.log(filter.size, filter.numHashes); // Expected: 9586 7
+  for (let i = 0; i < 1000; i++) filter.add(`user-${i}`);
+
+  let falsePositives = 0;
+  for (let i = 1000; i < 11000; i++) {
+    if (filter.mightContain(`user-${i}`)) falsePositives++;
+  }
+  console.log(falsePositives / 10000); // Expected: close to 0.01
+  console.log(Math.round(filter.estimatedCount())); // Expected: close to 1000
+
+  const a = BloomFilter.create(100, 0.01);
+  const b = BloomFilter.create(100, 0.01);
+  ["x", "y"].forEach((e) => a.add(e));
+  ["y", "z"].forEach((e) => b.add(e));
+  console.log(a.union(b).mightContain("z")); // Expected: true
+  console.log(a.intersection(b).mightContain("y")); // Expected: true
+
+  const restored = BloomFilter.fromBytes(filter.toBytes());
+  console.log(restored.mightContain("user-42")); // Expected: true
+}
+
+/**
+ * Test function for the filters that support removal
+ *
+ * @description
+ * Adds and removes elements from a counting Bloom filter and a Cuckoo filter, checking
+ * that removed elements disappear while the others stay.
+ *
+ * @returns {void}
+ */
+function testDeletableFilters() {
+  console.log("\nTesting Counting Bloom Filter and Cuckoo Filter");
+  const counting = CountingBloomFilter.create(100, 0.01);
+  const cuckoo = new CuckooFilter(100);
+  for (let filter of [counting, cuckoo]) {
+    ["alice", "bob", "carol"].forEach((name) => filter.add(name));
+    console.log(filter.remove("bob")); // Expected: true
+    console.log(filter.mightContain("alice"), filter.mightContain("bob")); // Expected: true false
+    console.log(filter.remove("dave")); // Expected: false
+  }
+  console.log(cuckoo.size()); // Expected: 2
+  console.log(cuckoo.isFull()); // Expected: false
+}
+
+/**
+ * Test function for the stream sketches
+ *
+ * @description
+ * Feeds a skewed stream of events to a Count-Min sketch and a HyperLogLog and compares
+ * their estimates with the exact answers.
+ *
+ * @returns {void}
+ */
+function testStreamSketches() {
+  console.log("\nTesting Count-Min Sketch and HyperLogLog");
+  const frequencies = CountMinSketch.create(0.001, 0.01);
+  const visitors = new HyperLogLog(12);
+  for (let i = 0; i < 50000; i++) {
+    // Page 0 gets a tenth of the traffic; the rest is spread over 5000 pages
+    const page = i % 10 === 0 ? "page-0" : `page-${i % 5000}`;
+    frequencies.update(page);
+    visitors.add(`visitor-${i % 20000}`);
+  }
+  console.log(frequencies.estimate("page-0")); // Expected: 5000 (never less)
+  console.log(frequencies.estimate("page-1")); // Expected: at least 9, and at most 9 + 0.001 * 50000 with 99% probability
+  console.log(Math.round(visitors.count())); // Expected: close to 20000 (within a few %)
+
+  const otherDay = new HyperLogLog(12);
+  for (let i = 10000; i < 30000; i++) otherDay.add(`visitor-${i}`);
+  visitors.merge(otherDay);
+  console.log(Math.round(visitors.count())); // Expected: close to 30000
 }
 
 // Run the test functions
-testHashTable();
-testLRUCache();
+if (require.main === module) {
+  // Example usage of the spell checker
+  const dictionary = ["apple", "banana", "cherry", "date", "elderberry"];
+  const spellChecker = createSpellChecker(dictionary);
+
+  console.log(spellChecker.checkSpelling("apple")); // true
+  console.log(spellChecker.checkSpelling("aple")); // false
+  console.log(spellChecker.checkSpelling("banana")); // true
+  spellChecker.addWord("grape");
+  console.log(spellChecker.checkSpelling("grape")); // true
+
+  testHashTable();
+  testLRUCache();
+  testBloomFilter();
+  testDeletableFilters();
+  testStreamSketches();
+}
@@ -128,10 +128,7 @@ class Heap {
       // If the element is in the correct order relative to its parent, stop
       if (this.comparator(this.heap[index], this.heap[parentIndex]) >= 0) break;
       // Otherwise, swap the element with its parent
-      [this.heap[index], this.heap[parentIndex]] = [
-        this.heap[parentIndex],
-        this.heap[index],
-      ];
+      this.swap(index, parentIndex);
       // Move up to the parent index
       index = parentIndex;
     }
@@ -176,15 +173,44 @@ class Heap {
       if (smallestIndex === index) break;
 
       // Otherwise, swap the element with the smallest child
-      [this.heap[index], this.heap[smallestIndex]] = [
-        this.heap[smallestIndex],
-        this.heap[index],
-      ];
+      this.swap(index, smallestIndex);
       // Move down to the smallest child index
       index = smallestIndex;
     }
   }
 
+  /**
+   * Swaps two elements of the heap array
+   *
+   * @description
+   * Every move made by bubbleUp and sinkDown goes through this method, so
+   * subclasses can override it to keep track of where each element lives.
+   *
+   * @param {number} i - Index of the first element
+   * @param {number} j - Index of the second element
+   */
+  swap(i, j) {
+    [this.heap[i], this.heap[j]] = [this.heap[j], this.heap[i]];
+  }
+
+  /**
+   * Returns the number of elements in the heap
+   *
+   * @returns {number} The number of elements
+   */
+  size() {
+    return this.heap.length;
+  }
+
+  /**
+   * Checks whether the heap is empty
+   *
+   * @returns {boolean} True if the heap holds no elements
+   */
+  isEmpty() {
+    return this.heap.length === 0;
+  }
+
   /**
    * Builds a heap from an array of elements
    *
@@ -209,6 +235,844 @@ class Heap {
       this.sinkDown(i);
     }
   }
+
+  /**
+   * Iterates over the elements in level order
+   *
+   * @description
+   * Yields the elements in the order they are stored in the heap array
+   * (root first, then each level left to right) without removing them.
+   * Only the first element is guaranteed to be the min/max; use extract()
+   * to consume the heap in sorted order.
+   *
+   * @complexity
+   * Time complexity: O(1) per element
+   */
+  *[Symbol.iterator]() {
+    yield* this.heap;
+  }
+}
+
+/**
+ * Indexed Priority Queue
+ *
+ * @description
+ * A binary-heap priority queue of distinct elements, each stored with its own
+ * priority. Besides insert/extract/peek it can look up, re-prioritise and
+ * remove any element that is currently queued, which is what Dijkstra, Prim
+ * and A* need to relax an edge without leaving stale duplicates in the heap.
+ *
+ * @reasoning
+ * The queue reuses Heap's sift operations on `{ element, priority }` entries
+ * and overrides swap() to record each element's array index in a Map. With the
+ * index known, decreaseKey and remove only have to sift a single entry instead
+ * of scanning or re-sorting the whole queue.
+ *
+ * @assumptions
+ * - Elements are compared by identity (Map keys), so each may be queued once.
+ * - The comparator orders priorities; the default gives a min-queue of numbers.
+ *
+ * @complexity
+ * Space complexity: O(n)
+ * Time complexity:
+ *   - insert, extract, decreaseKey, remove: O(log n)
+ *   - peek, contains, getPriority: O(1)
+ */
+class IndexedPriorityQueue extends Heap {
+  constructor(comparator = (a, b) => a - b) {
+    // The heap stores entries, so compare them by their priorities
+    super((a, b) => comparator(a.priority, b.priority));
+    // Compare two bare priorities (used by decreaseKey)
+    this.priorityComparator = comparator;
+    // Map from element to its current index in the heap array
+    this.positions = new Map();
+  }
+
+  /**
+   * Swaps two entries and updates their recorded positions
+   *
+   * @param {number} i - Index of the first entry
+   * @param {number} j - Index of the second entry
+   */
+  swap(i, j) {
+    super.swap(i, j);
+    this.positions.set(this.heap[i].element, i);
+    this.positions.set(this.heap[j].element, j);
+  }
+
+  /**
+   * Adds an element with the given priority
+   *
+   * @param {*} element - The element to queue; must not already be queued
+   * @param {*} priority - The priority of the element
+   * @throws {Error} If the element is already in the queue
+   *
+   * @complexity
+   * Time complexity: O(log n)
+   */
+  insert(element, priority) {
+    if (this.positions.has(element)) {
+      throw new Error("Element is already in the queue");
+    }
+    this.heap.push({ element, priority });
+    this.positions.set(element, this.heap.length - 1);
+    this.bubbleUp(this.heap.length - 1);
+  }
+
+  /**
+   * Removes and returns the entry with the best priority
+   *
+   * @returns {{element: *, priority: *}|null} The root entry, or null if empty
+   *
+   * @complexity
+   * Time complexity: O(log n)
+   */
+  extract() {
+    return this.heap.length === 0 ? null : this._removeAt(0);
+  }
+
+  /**
+   * Checks whether an element is currently queued
+   *
+   * @param {*} element - The element to look for
+   * @returns {boolean} True if the element is in the queue
+   */
+  contains(element) {
+    return this.positions.has(element);
+  }
+
+  /**
+   * Returns the priority of a queued element
+   *
+   * @param {*} element - The element to look up
+   * @returns {*} Its priority, or null if the element is not queued
+   */
+  getPriority(element) {
+    const index = this.positions.get(element);
+    return index === undefined ? null : this.heap[index].priority;
+  }
+
+  /**
+   * Lowers the priority of a queued element and restores the heap order
+   *
+   * @param {*} element - A queued element
+   * @param {*} priority - The new priority; must not be worse than the current one
+   * @throws {Error} If the element is not queued or the priority would increase
+   *
+   * @complexity
+   * Time complexity: O(log n)
+   *
+   * @algorithm
+   * 1. Find the element's entry through the position map.
+   * 2. Overwrite its priority.
+   * 3. Bubble the entry up, since it can only have moved towards the root.
+   */
+  decreaseKey(element, priority) {
+    const index = this.positions.get(element);
+    if (index === undefined) {
+      throw new Error("Element is not in the queue");
+    }
+    if (this.priorityComparator(priority, this.heap[index].priority) > 0) {
+      throw new Error("New priority is worse than the current priority");
+    }
+    this.heap[index].priority = priority;
+    this.bubbleUp(index);
+  }
+
+  /**
+   * Removes an arbitrary element from the queue
+   *
+   * @param {*} element - The element to remove
+   * @returns {boolean} True if the element was queued and has been removed
+   *
+   * @complexity
+   * Time complexity: O(log n)
+   */
+  remove(element) {
+    const index = this.positions.get(element);
+    if (index === undefined) return false;
+    this._removeAt(index);
+    return true;
+  }
+
+  /**
+   * Removes the entry at a heap index by filling the hole with the last entry
+   *
+   * @param {number} index - Index of the entry to remove
+   * @returns {{element: *, priority: *}} The removed entry
+   */
+  _removeAt(index) {
+    const last = this.heap.length - 1;
+    if (index !== last) this.swap(index, last);
+    const entry = this.heap.pop();
+    this.positions.delete(entry.element);
+    if (index < this.heap.length) {
+      // The moved entry may belong either above or below its new slot
+      this.bubbleUp(index);
+      this.sinkDown(index);
+    }
+    return entry;
+  }
+
+  /**
+   * Builds the queue from a list of entries
+   *
+   * @param {Array<{element: *, priority: *}>} entries - Entries with distinct elements
+   *
+   * @complexity
+   * Time complexity: O(n)
+   */
+  heapify(entries) {
+    this.positions = new Map();
+    entries.forEach(({ element }, index) => this.positions.set(element, index));
+    super.heapify(entries);
+  }
+
+  /**
+   * Moves every entry of another queue into this one
+   *
+   * @description
+   * Concatenates both entry arrays and rebuilds the heap bottom-up. The other
+   * queue is left empty.
+   *
+   * @param {IndexedPriorityQueue} other - A queue of the same kind
+   * @throws {Error} If both queues contain the same element
+   *
+   * @complexity
+   * Time complexity: O(n + m)
+   */
+  meld(other) {
+    for (const { element } of other.heap) {
+      if (this.positions.has(element)) {
+        throw new Error("Element is already in the queue");
+      }
+    }
+    this.heapify(this.heap.concat(other.heap));
+    other.heapify([]);
+  }
+}
+
+/**
+ * D-ary Heap
+ *
+ * @description
+ * An indexed priority queue whose nodes have `arity` children instead of two.
+ * It has the same interface as IndexedPriorityQueue, so it can replace it in
+ * any of the graph algorithms.
+ *
+ * @reasoning
+ * A wider tree is shallower, which makes insert and decreaseKey cheaper
+ * (O(log_d n)) while extract has to look at d children per level
+ * (O(d log_d n)). Dijkstra and Prim on dense graphs perform far more
+ * decreaseKey calls than extracts, so d around E / V is a good fit there.
+ *
+ * @assumptions
+ * - The root is at index 0 and the children of index i are at d*i + 1 ... d*i + d.
+ * - The parent of index i is at Math.floor((i - 1) / d).
+ *
+ * @complexity
+ * Space complexity: O(n)
+ * Time complexity:
+ *   - insert, decreaseKey: O(log_d n)
+ *   - extract, remove: O(d log_d n)
+ *   - peek, contains: O(1)
+ *   - meld: O(n + m)
+ */
+class DAryHeap extends IndexedPriorityQueue {
+  constructor(arity = 4, comparator = (a, b) => a - b) {
+    if (!Number.isInteger(arity) || arity < 2) {
+      throw new Error("Arity must be an integer of at least 2");
+    }
+    super(comparator);
+    this.arity = arity;
+  }
+
+  /**
+   * Moves an entry up towards the root while it beats its parent
+   *
+   * @param {number} index - The index of the entry to bubble up
+   */
+  bubbleUp(index) {
+    while (index > 0) {
+      const parentIndex = Math.floor((index - 1) / this.arity);
+      if (this.comparator(this.heap[index], this.heap[parentIndex]) >= 0) break;
+      this.swap(index, parentIndex);
+      index = parentIndex;
+    }
+  }
+
+  /**
+   * Moves an entry down while one of its children beats it
+   *
+   * @param {number} index - The index of the entry to sink down
+   */
+  sinkDown(index) {
+    const length = this.heap.length;
+    while (true) {
+      // Find the best of the entry and its (up to) d children
+      let bestIndex = index;
+      const firstChild = this.arity * index + 1;
+      const lastChild = Math.min(firstChild + this.arity, length);
+      for (let child = firstChild; child < lastChild; child++) {
+        if (this.comparator(this.heap[child], this.heap[bestIndex]) < 0) {
+          bestIndex = child;
+        }
+      }
+      if (bestIndex === index) break;
+      this.swap(index, bestIndex);
+      index = bestIndex;
+    }
+  }
+}
+
+/**
+ * Pairing Heap
+ *
+ * @description
+ * A heap-ordered multiway tree stored as "leftmost child, next sibling"
+ * links. Insert and meld just link two trees; extract merges the root's
+ * children in two passes. Elements are tracked in a Map so decreaseKey can
+ * cut a node out and link it back at the root.
+ *
+ * @reasoning
+ * Pairing heaps are simple to implement and in practice are usually faster
+ * than Fibonacci heaps, while still offering O(1) insert and meld.
+ *
+ * @assumptions
+ * - Elements are compared by identity (Map keys), so each may be queued once.
+ * - `prev` points to the parent for a leftmost child and to the left sibling
+ *   otherwise; it is null for the root.
+ *
+ * @complexity
+ * Space complexity: O(n)
+ * Time complexity:
+ *   - insert, peek, contains: O(1)
+ *   - meld: O(1) for the trees, plus moving the smaller element index
+ *   - extract: O(log n) amortized
+ *   - decreaseKey: o(log n) amortized (O(1) conjectured in practice)
+ */
+class PairingHeap {
+  constructor(comparator = (a, b) => a - b) {
+    this.comparator = comparator;
+    this.root = null;
+    // Map from element to its tree node
+    this.nodes = new Map();
+  }
+
+  size() {
+    return this.nodes.size;
+  }
+
+  isEmpty() {
+    return this.nodes.size === 0;
+  }
+
+  contains(element) {
+    return this.nodes.has(element);
+  }
+
+  getPriority(element) {
+    const node = this.nodes.get(element);
+    return node === undefined ? null : node.priority;
+  }
+
+  /**
+   * Adds an element with the given priority
+   *
+   * @param {*} element - The element to queue; must not already be queued
+   * @param {*} priority - The priority of the element
+   * @throws {Error} If the element is already in the queue
+   *
+   * @complexity
+   * Time complexity: O(1)
+   */
+  insert(element, priority) {
+    if (this.nodes.has(element)) {
+      throw new Error("Element is already in the queue");
+    }
+    const node = { element, priority, child: null, sibling: null, prev: null };
+    this.nodes.set(element, node);
+    this.root = this._link(this.root, node);
+  }
+
+  /**
+   * Returns the entry with the best priority without removing it
+   *
+   * @returns {{element: *, priority: *}|null} The root entry, or null if empty
+   */
+  peek() {
+    if (!this.root) return null;
+    return { element: this.root.element, priority: this.root.priority };
+  }
+
+  /**
+   * Removes and returns the entry with the best priority
+   *
+   * @returns {{element: *, priority: *}|null} The root entry, or null if empty
+   *
+   * @complexity
+   * Time complexity: O(log n) amortized
+   */
+  extract() {
+    if (!this.root) return null;
+    const { element, priority, child } = this.root;
+    this.nodes.delete(element);
+    this.root = this._mergePairs(child);
+    return { element, priority };
+  }
+
+  /**
+   * Lowers the priority of a queued element
+   *
+   * @param {*} element - A queued element
+   * @param {*} priority - The new priority; must not be worse than the current one
+   * @throws {Error} If the element is not queued or the priority would increase
+   *
+   * @algorithm
+   * 1. Update the node's priority.
+   * 2. If the node is not the root, detach it (with its subtree) from its
+   *    parent and siblings, then link it with the root.
+   */
+  decreaseKey(element, priority) {
+    const node = this.nodes.get(element);
+    if (node === undefined) {
+      throw new Error("Element is not in the queue");
+    }
+    if (this.comparator(priority, node.priority) > 0) {
+      throw new Error("New priority is worse than the current priority");
+    }
+    node.priority = priority;
+    if (node === this.root) return;
+    this._detach(node);
+    this.root = this._link(this.root, node);
+  }
+
+  /**
+   * Moves every element of another pairing heap into this one
+   *
+   * @param {PairingHeap} other - The heap to absorb; it is left empty
+   * @throws {Error} If both heaps contain the same element
+   *
+   * @complexity
+   * Time complexity: O(1) to link the trees, plus O(min(n, m)) to merge the
+   * element indexes (the smaller Map is copied into the larger one)
+   */
+  meld(other) {
+    const [large, small] =
+      this.nodes.size >= other.nodes.size
+        ? [this.nodes, other.nodes]
+        : [other.nodes, this.nodes];
+    for (const element of small.keys()) {
+      if (large.has(element)) {
+        throw new Error("Element is already in the queue");
+      }
+    }
+    for (const [element, node] of small) large.set(element, node);
+    this.nodes = large;
+    this.root = this._link(this.root, other.root);
+    other.root = null;
+    other.nodes = new Map();
+  }
+
+  /**
+   * Links two trees, making the root with the worse priority the leftmost
+   * child of the other
+   *
+   * @param {Object|null} a - Root of the first tree
+   * @param {Object|null} b - Root of the second tree
+   * @returns {Object|null} Root of the combined tree
+   */
+  _link(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    if (this.comparator(b.priority, a.priority) < 0) [a, b] = [b, a];
+    b.prev = a;
+    b.sibling = a.child;
+    if (a.child) a.child.prev = b;
+    a.child = b;
+    return a;
+  }
+
+  /**
+   * Unhooks a non-root node (with its subtree) from its parent and siblings
+   *
+   * @param {Object} node - The node to detach
+   */
+  _detach(node) {
+    if (node.prev.child === node) {
+      node.prev.child = node.sibling;
+    } else {
+      node.prev.sibling = node.sibling;
+    }
+    if (node.sibling) node.sibling.prev = node.prev;
+    node.prev = null;
+    node.sibling = null;
+  }
+
+  /**
+   * Merges a list of sibling trees into one tree using the two-pass method
+   *
+   * @param {Object|null} first - The leftmost tree in the sibling list
+   * @returns {Object|null} Root of the merged tree
+   *
+   * @algorithm
+   * 1. Link the siblings in pairs from left to right.
+   * 2. Link the resulting trees from right to left into a single tree.
+   */
+  _mergePairs(first) {
+    const pairs = [];
+    let node = first;
+    while (node) {
+      const a = node;
+      const b = node.sibling;
+      node = b ? b.sibling : null;
+      a.prev = a.sibling = null;
+      if (b) b.prev = b.sibling = null;
+      pairs.push(this._link(a, b));
+    }
+    let root = null;
+    for (let i = pairs.length - 1; i >= 0; i--) {
+      root = this._link(pairs[i], root);
+    }
+    return root;
+  }
+}
+
+/**
+ * Fibonacci Heap
+ *
+ * @description
+ * A collection of heap-ordered trees whose roots sit in a circular doubly
+ * linked list. Insert and meld only splice lists; the work of combining trees
+ * is deferred to extract, and decreaseKey cuts the node out of its tree,
+ * using "marks" to cascade cuts so trees stay bushy.
+ *
+ * @reasoning
+ * It gives the best known amortized bounds for Dijkstra and Prim
+ * (O(E + V log V)) because decreaseKey is O(1) amortized.
+ *
+ * @assumptions
+ * - Elements are compared by identity (Map keys), so each may be queued once.
+ * - `min` points to the root with the best priority.
+ *
+ * @complexity
+ * Space complexity: O(n)
+ * Time complexity:
+ *   - insert, peek, contains: O(1)
+ *   - meld: O(1) for the root lists, plus moving the smaller element index
+ *   - decreaseKey: O(1) amortized
+ *   - extract: O(log n) amortized
+ */
+class FibonacciHeap {
+  constructor(comparator = (a, b) => a - b) {
+    this.comparator = comparator;
+    this.min = null;
+    // Map from element to its tree node
+    this.nodes = new Map();
+  }
+
+  size() {
+    return this.nodes.size;
+  }
+
+  isEmpty() {
+    return this.nodes.size === 0;
+  }
+
+  contains(element) {
+    return this.nodes.has(element);
+  }
+
+  getPriority(element) {
+    const node = this.nodes.get(element);
+    return node === undefined ? null : node.priority;
+  }
+
+  /**
+   * Adds an element with the given priority as a new single-node tree
+   *
+   * @param {*} element - The element to queue; must not already be queued
+   * @param {*} priority - The priority of the element
+   * @throws {Error} If the element is already in the queue
+   *
+   * @complexity
+   * Time complexity: O(1)
+   */
+  insert(element, priority) {
+    if (this.nodes.has(element)) {
+      throw new Error("Element is already in the queue");
+    }
+    const node = {
+      element,
+      priority,
+      parent: null,
+      child: null,
+      degree: 0,
+      mark: false,
+    };
+    node.left = node.right = node;
+    this.nodes.set(element, node);
+    this._addRoot(node);
+  }
+
+  /**
+   * Returns the entry with the best priority without removing it
+   *
+   * @returns {{element: *, priority: *}|null} The minimum entry, or null if empty
+   */
+  peek() {
+    if (!this.min) return null;
+    return { element: this.min.element, priority: this.min.priority };
+  }
+
+  /**
+   * Removes and returns the entry with the best priority
+   *
+   * @returns {{element: *, priority: *}|null} The minimum entry, or null if empty
+   *
+   * @complexity
+   * Time complexity: O(log n) amortized
+   *
+   * @algorithm
+   * 1. Move every child of the minimum node to the root list.
+   * 2. Remove the minimum node from the root list.
+   * 3. Consolidate: link roots of equal degree until all degrees differ,
+   *    and find the new minimum.
+   */
+  extract() {
+    const z = this.min;
+    if (!z) return null;
+
+    // Promote the children of z to roots
+    if (z.child) {
+      for (const child of this._siblings(z.child)) {
+        child.parent = null;
+        child.mark = false;
+        this._splice(child, z);
+      }
+    }
+
+    // Unlink z from the root list
+    z.left.right = z.right;
+    z.right.left = z.left;
+    this.nodes.delete(z.element);
+
+    if (z.right === z) {
+      this.min = null;
+    } else {
+      this.min = z.right;
+      this._consolidate();
+    }
+    return { element: z.element, priority: z.priority };
+  }
+
+  /**
+   * Lowers the priority of a queued element
+   *
+   * @param {*} element - A queued element
+   * @param {*} priority - The new priority; must not be worse than the current one
+   * @throws {Error} If the element is not queued or the priority would increase
+   *
+   * @complexity
+   * Time complexity: O(1) amortized
+   *
+   * @algorithm
+   * 1. Update the node's priority.
+   * 2. If it now beats its parent, cut it into the root list and cascade:
+   *    a marked parent is cut as well, an unmarked one becomes marked.
+   * 3. Update the minimum pointer.
+   */
+  decreaseKey(element, priority) {
+    const node = this.nodes.get(element);
+    if (node === undefined) {
+      throw new Error("Element is not in the queue");
+    }
+    if (this.comparator(priority, node.priority) > 0) {
+      throw new Error("New priority is worse than the current priority");
+    }
+    node.priority = priority;
+
+    const parent = node.parent;
+    if (parent && this.comparator(node.priority, parent.priority) < 0) {
+      this._cut(node, parent);
+      this._cascadingCut(parent);
+    }
+    if (this.comparator(node.priority, this.min.priority) < 0) {
+      this.min = node;
+    }
+  }
+
+  /**
+   * Moves every element of another Fibonacci heap into this one
+   *
+   * @param {FibonacciHeap} other - The heap to absorb; it is left empty
+   * @throws {Error} If both heaps contain the same element
+   *
+   * @complexity
+   * Time complexity: O(1) to join the root lists, plus O(min(n, m)) to merge
+   * the element indexes (the smaller Map is copied into the larger one)
+   */
+  meld(other) {
+    const [large, small] =
+      this.nodes.size >= other.nodes.size
+        ? [this.nodes, other.nodes]
+        : [other.nodes, this.nodes];
+    for (const element of small.keys()) {
+      if (large.has(element)) {
+        throw new Error("Element is already in the queue");
+      }
+    }
+    for (const [element, node] of small) large.set(element, node);
+    this.nodes = large;
+
+    if (other.min) {
+      if (!this.min) {
+        this.min = other.min;
+      } else {
+        // Join the two circular root lists
+        const thisRight = this.min.right;
+        const otherLeft = other.min.left;
+        this.min.right = other.min;
+        other.min.left = this.min;
+        otherLeft.right = thisRight;
+        thisRight.left = otherLeft;
+        if (this.comparator(other.min.priority, this.min.priority) < 0) {
+          this.min = other.min;
+        }
+      }
+    }
+    other.min = null;
+    other.nodes = new Map();
+  }
+
+  /**
+   * Adds a detached node to the root list and updates the minimum
+   *
+   * @param {Object} node - A node whose left/right point to itself
+   */
+  _addRoot(node) {
+    if (!this.min) {
+      node.left = node.right = node;
+      this.min = node;
+      return;
+    }
+    this._splice(node, this.min);
+    if (this.comparator(node.priority, this.min.priority) < 0) {
+      this.min = node;
+    }
+  }
+
+  /**
+   * Inserts a node into a circular list to the right of another node
+   *
+   * @param {Object} node - The node to insert
+   * @param {Object} at - A node already in the list
+   */
+  _splice(node, at) {
+    node.left = at;
+    node.right = at.right;
+    at.right.left = node;
+    at.right = node;
+  }
+
+  /**
+   * Returns the nodes of a circular list as an array
+   *
+   * @param {Object} start - Any node of the list
+   * @returns {Object[]} The nodes, starting with `start`
+   */
+  _siblings(start) {
+    const list = [];
+    let node = start;
+    do {
+      list.push(node);
+      node = node.right;
+    } while (node !== start);
+    return list;
+  }
+
+  /**
+   * Links roots of equal degree until every root has a distinct degree
+   */
+  _consolidate() {
+    const byDegree = [];
+    for (let x of this._siblings(this.min)) {
+      let degree = x.degree;
+      while (byDegree[degree]) {
+        let y = byDegree[degree];
+        if (this.comparator(y.priority, x.priority) < 0) [x, y] = [y, x];
+        this._link(y, x);
+        byDegree[degree] = null;
+        degree++;
+      }
+      byDegree[degree] = x;
+    }
+
+    // Rebuild the root list from the surviving trees
+    this.min = null;
+    for (const root of byDegree) {
+      if (root) this._addRoot(root);
+    }
+  }
+
+  /**
+   * Makes root `y` a child of root `x`
+   *
+   * @param {Object} y - The root with the worse priority
+   * @param {Object} x - The root that becomes its parent
+   */
+  _link(y, x) {
+    y.left.right = y.right;
+    y.right.left = y.left;
+    y.parent = x;
+    y.mark = false;
+    if (x.child) {
+      this._splice(y, x.child);
+    } else {
+      y.left = y.right = y;
+      x.child = y;
+    }
+    x.degree++;
+  }
+
+  /**
+   * Moves `node` from the child list of `parent` to the root list
+   *
+   * @param {Object} node - The node to cut
+   * @param {Object} parent - Its parent
+   */
+  _cut(node, parent) {
+    if (node.right === node) {
+      parent.child = null;
+    } else {
+      node.left.right = node.right;
+      node.right.left = node.left;
+      if (parent.child === node) parent.child = node.right;
+    }
+    parent.degree--;
+    node.parent = null;
+    node.mark = false;
+    this._splice(node, this.min);
+  }
+
+  /**
+   * Cuts marked ancestors after a child has been cut, marking the first
+   * unmarked one
+   *
+   * @param {Object} node - The parent of the node that was just cut
+   */
+  _cascadingCut(node) {
+    let parent = node.parent;
+    while (parent) {
+      if (!node.mark) {
+        node.mark = true;
+        return;
+      }
+      this._cut(node, parent);
+      node = parent;
+      parent = node.parent;
+    }
+  }
 }
 
 /**
@@ -410,6 +1274,22 @@ function slidingWindowMaximum(nums, k) {
   return result;
 }
 
+// The browser demos (map-astar, map-a-star-variance) load this file with a
+// plain <script> tag, where `module` and `require` do not exist
+if (typeof module !== "undefined") {
+  module.exports = {
+    Heap,
+    IndexedPriorityQueue,
+    DAryHeap,
+    PairingHeap,
+    FibonacciHeap,
+    heapSort,
+    findKthLargest,
+    medianOfStream,
+    slidingWindowMaximum,
+  };
+}
+
 // Test functions
 
 function testHeap() {
@@ -424,6 +1304,38 @@ function testHeap() {
   console.log("Heap after extraction:", minHeap.heap);
 }
 
+function testIndexedPriorityQueue() {
+  console.log("\nTesting Indexed Priority Queue");
+  const pq = new IndexedPriorityQueue();
+  pq.insert("a", 5);
+  pq.insert("b", 3);
+  pq.insert("c", 8);
+  pq.decreaseKey("c", 1);
+  console.log("Peek after decreaseKey(c, 1):", pq.peek()); // { element: 'c', priority: 1 }
+  console.log("Remove b:", pq.remove("b")); // true
+  console.log("Contains b:", pq.contains("b")); // false
+  const order = [];
+  while (!pq.isEmpty()) order.push(pq.extract().element);
+  console.log("Extraction order:", order); // [ 'c', 'a' ]
+}
+
+function testHeapVariants() {
+  console.log("\nTesting D-ary, Pairing and Fibonacci Heaps");
+  for (const HeapClass of [DAryHeap, PairingHeap, FibonacciHeap]) {
+    const pq = new HeapClass();
+    const other = new HeapClass();
+    pq.insert("a", 5);
+    pq.insert("b", 3);
+    other.insert("c", 8);
+    other.insert("d", 4);
+    pq.meld(other);
+    pq.decreaseKey("c", 1);
+    const order = [];
+    while (!pq.isEmpty()) order.push(pq.extract().element);
+    console.log(`${HeapClass.name} extraction order:`, order); // [ 'c', 'b', 'd', 'a' ]
+  }
+}
+
 function testHeapSort() {
   console.log("\nTesting Heap Sort");
   const arr = [12, 11, 13, 5, 6, 7];
@@ -459,8 +1371,12 @@ function testSlidingWindowMaximum() {
 }
 
 // Run all tests
-testHeap();
-testHeapSort();
-testKthLargest();
-testMedianOfStream();
-testSlidingWindowMaximum();
+if (typeof require !== "undefined" && require.main === module) {
+  testHeap();
+  testIndexedPriorityQueue();
+  testHeapVariants();
+  testHeapSort();
+  testKthLargest();
+  testMedianOfStream();
+  testSlidingWindowMaximum();
+}
@@ -11,15 +11,34 @@
  * with a large set of strings with common prefixes. They excel in prefix-based
  * searches and can be used for auto-completion, spell-checking, and more.
  *
+ * The trie also works as a map from words to values (`set`/`get`), keeps a count of the
+ * words below every node so prefix counts are answered without walking the subtrie, and
+ * supports fuzzy search for all words within a given edit distance of a query.
+ *
+ * For weighted auto-completion every word has a score (0 by default) that can be set or
+ * bumped on use. Each node caches the best-scoring words below it, so the top
+ * completions for a prefix are read straight from the prefix's node.
+ *
  * @assumptions
  * - The strings contain only lowercase English letters (a-z).
  * - The end of a word is marked with a special property (isEndOfWord).
+ * - Words added with `insert` have an undefined value, like a Map entry set to undefined.
+ * - Only the best `cacheSize` completions are cached per node; asking for more falls
+ *   back to walking the subtrie.
  *
  * @complexity
  * Time complexity:
  *   - Insertion: O(m), where m is the length of the string
  *   - Search: O(m), where m is the length of the string
  *   - Deletion: O(m), where m is the length of the string
+ *   - Prefix count: O(p), where p is the length of the prefix
+ *   - Fuzzy search: O(n * q) in the worst case, where n is the number of nodes and q is
+ *     the length of the query; branches that cannot get within the distance are pruned
+ *   - Top-k completions: O(p + k) for k <= cacheSize
+ *   - Inserting a word or raising its score additionally merges it into the caches on its
+ *     path: O(m * K), where K is cacheSize
+ *   - Deleting a word or lowering its score only rebuilds the caches on its path that
+ *     held it: O(m * c * K) at worst, where c is the number of children per node
  * Space complexity: O(n * m), where n is the number of strings and m is the average length of the strings
  */
 class TrieNode {
@@ -28,13 +47,40 @@ class TrieNode {
     this.children = {};
     // Flag to mark the end of a word
     this.isEndOfWord = false;
+    // Value stored with the word ending at this node
+    this.value = undefined;
+    // Number of words that end at or below this node
+    this.prefixCount = 0;
+    // Score of the word ending at this node, used to rank completions
+    this.score = 0;
+    // Best-scoring words at or below this node as {word, score}, best first
+    this.best = [];
+  }
+}
+
+// Higher scores first, ties broken alphabetically
+function compareScores(a, b) {
+  return b.score - a.score || (a.word < b.word ? -1 : a.word > b.word ? 1 : 0);
+}
+
+// Insert an entry into a list sorted by compareScores, keeping at most limit entries
+function insertRanked(list, entry, limit) {
+  let i = list.length;
+  while (i > 0 && compareScores(entry, list[i - 1]) < 0) i--;
+  if (i < limit) {
+    list.splice(i, 0, entry);
+    if (list.length > limit) list.pop();
   }
 }
 
 class Trie {
-  constructor() {
+  /**
+   * @param {number} [cacheSize=10] - How many top completions each node caches
+   */
+  constructor(cacheSize = 10) {
     // Initialize the root node
     this.root = new TrieNode();
+    this.cacheSize = cacheSize;
   }
 
   /**
@@ -42,6 +88,51 @@ class Trie {
    * @param {string} word - The word to insert
    */
   insert(word) {
+    this._insertNode(word);
+  }
+
+  /**
+   * Stores a value under a word, inserting the word if needed
+   * @param {string} word - The key
+   * @param {*} value - The value to store
+   * @returns {Trie} The trie, so calls can be chained like Map.prototype.set
+   */
+  set(word, value) {
+    this._insertNode(word).value = value;
+    return this;
+  }
+
+  /**
+   * Gets the value stored under a word
+   * @param {string} word - The key
+   * @returns {*} The value, or undefined if the word is not in the trie
+   */
+  get(word) {
+    const node = this._findNode(word);
+    return node && node.isEndOfWord ? node.value : undefined;
+  }
+
+  /**
+   * Counts the words in the trie
+   * @returns {number} The number of stored words
+   */
+  size() {
+    return this.root.prefixCount;
+  }
+
+  /**
+   * Counts the words that start with a prefix
+   * @param {string} prefix - The prefix to count
+   * @returns {number} The number of stored words with the given prefix
+   */
+  countWithPrefix(prefix) {
+    const node = this._findNode(prefix);
+    return node ? node.prefixCount : 0;
+  }
+
+  // Create the path for a word, mark its end and return the final node
+  _insertNode(word) {
+    const path = [this.root];
     let node = this.root;
     // Iterate through each character in the word
     for (let char of word) {
@@ -51,9 +142,41 @@ class Trie {
       }
       // Move to the next node
       node = node.children[char];
+      path.push(node);
+    }
+    if (!node.isEndOfWord) {
+      // Mark the end of the word and count it on every node of its path
+      node.isEndOfWord = true;
+      path.forEach((pathNode) => pathNode.prefixCount++);
+      this._raiseBest(path, word, node.score);
+    }
+    return node;
+  }
+
+  // The nodes on a word's path from the root, with the string spelled down to each;
+  // the path stops early where the word leaves the trie
+  _walk(word) {
+    const path = [this.root];
+    const prefixes = [""];
+    for (let char of word) {
+      const next = path[path.length - 1].children[char];
+      if (!next) break;
+      path.push(next);
+      prefixes.push(prefixes[prefixes.length - 1] + char);
+    }
+    return { path, prefixes };
+  }
+
+  // Follow a string from the root; returns the node it ends at, or null
+  _findNode(prefix) {
+    let node = this.root;
+    for (let char of prefix) {
+      if (!node.children[char]) {
+        return null;
+      }
+      node = node.children[char];
     }
-    // Mark the end of the word
-    node.isEndOfWord = true;
+    return node;
   }
 
   /**
@@ -98,43 +221,133 @@ class Trie {
    * @returns {boolean} True if the word was deleted, false if it wasn't found
    */
   delete(word) {
-    return this._deleteHelper(this.root, word, 0);
-  }
-
-  _deleteHelper(node, word, index) {
-    // Base case: we've processed all characters of the word
-    if (index === word.length) {
-      // If it's not the end of a word, nothing to delete
-      if (!node.isEndOfWord) {
-        return false;
+    const { path, prefixes } = this._walk(word);
+    const end = path[path.length - 1];
+    if (prefixes[prefixes.length - 1] !== word || !end.isEndOfWord) {
+      return false;
+    }
+    let node = this.root;
+    node.prefixCount--;
+    for (let char of word) {
+      const child = node.children[char];
+      child.prefixCount--;
+      // No other word passes through this child, so the rest of the path can go
+      if (child.prefixCount === 0) {
+        delete node.children[char];
+        node = null;
+        break;
       }
-      // Mark it as not the end of a word
+      node = child;
+    }
+    if (node) {
+      // Other words continue below, so only unmark the end of this one
       node.isEndOfWord = false;
-      // Return true if this node has no children, indicating it can be deleted
-      return Object.keys(node.children).length === 0;
+      node.value = undefined;
+      node.score = 0;
     }
+    // Drop the word from the cached completions along its path
+    this._lowerBest(path, prefixes, word, null);
+    return true;
+  }
 
-    const char = word[index];
-    // If the character doesn't exist in the trie, the word doesn't exist
-    if (!node.children[char]) {
-      return false;
+  /**
+   * Gets the score of a word
+   * @param {string} word - The word
+   * @returns {number|undefined} The score, or undefined if the word is not in the trie
+   */
+  getScore(word) {
+    const node = this._findNode(word);
+    return node && node.isEndOfWord ? node.score : undefined;
+  }
+
+  /**
+   * Sets the score of a word, inserting the word if needed
+   * @param {string} word - The word
+   * @param {number} score - The new score; higher scores are suggested first
+   */
+  setScore(word, score) {
+    const node = this._insertNode(word);
+    const oldScore = node.score;
+    node.score = score;
+    const { path, prefixes } = this._walk(word);
+    if (score >= oldScore) {
+      this._raiseBest(path, word, score);
+    } else {
+      this._lowerBest(path, prefixes, word, score);
     }
+  }
 
-    // Recursively delete the rest of the word
-    const shouldDeleteChild = this._deleteHelper(
-      node.children[char],
-      word,
-      index + 1
-    );
+  /**
+   * Records that a word was used, e.g. picked from the suggestions, by raising its score
+   * @param {string} word - The word that was used
+   * @param {number} [amount=1] - How much to add to its score
+   * @returns {number} The new score
+   */
+  recordUse(word, amount = 1) {
+    this.setScore(word, (this.getScore(word) || 0) + amount);
+    return this.getScore(word);
+  }
 
-    // If the child should be deleted
-    if (shouldDeleteChild) {
-      delete node.children[char];
-      // Return true if this node has no children and is not the end of another word
-      return Object.keys(node.children).length === 0 && !node.isEndOfWord;
+  /**
+   * Finds the best-scoring words with the given prefix
+   *
+   * @description
+   * Reads the answer from the cache of the prefix's node when k fits in it, so the
+   * subtrie is never enumerated. Larger k falls back to collecting and sorting the words.
+   *
+   * @param {string} prefix - The prefix to complete
+   * @param {number} [k=this.cacheSize] - How many completions to return
+   * @returns {string[]} Up to k words, highest score first and alphabetical on ties
+   */
+  topCompletions(prefix, k = this.cacheSize) {
+    const node = this._findNode(prefix);
+    if (!node) {
+      return [];
     }
+    if (k <= this.cacheSize) {
+      return node.best.slice(0, k).map((entry) => entry.word);
+    }
+    return this.autoComplete(prefix)
+      .map((word) => ({ word, score: this._findNode(word).score }))
+      .sort(compareScores)
+      .slice(0, k)
+      .map((entry) => entry.word);
+  }
 
-    return false;
+  // A word's score went up (or it was just inserted): move it up in the caches on its
+  // path. Its entry only gets better, so no other entry can be lost except the last.
+  _raiseBest(path, word, score) {
+    for (const node of path) {
+      const index = node.best.findIndex((entry) => entry.word === word);
+      if (index !== -1) node.best.splice(index, 1);
+      insertRanked(node.best, { word, score }, this.cacheSize);
+    }
+  }
+
+  // A word's score went down, or it was deleted (score null): update the caches on its
+  // path that held it, from the bottom up. A full cache may now be missing a word that
+  // was just below the cut, so it is rebuilt from its own word and its children's caches.
+  _lowerBest(path, prefixes, word, score) {
+    for (let depth = path.length - 1; depth >= 0; depth--) {
+      const node = path[depth];
+      const index = node.best.findIndex((entry) => entry.word === word);
+      if (index === -1) continue;
+      if (node.best.length < this.cacheSize) {
+        // The cache holds every word below this node, so it stays complete
+        node.best.splice(index, 1);
+        if (score !== null) {
+          insertRanked(node.best, { word, score }, this.cacheSize);
+        }
+        continue;
+      }
+      const candidates = node.isEndOfWord
+        ? [{ word: prefixes[depth], score: node.score }]
+        : [];
+      for (let char in node.children) {
+        candidates.push(...node.children[char].best);
+      }
+      node.best = candidates.sort(compareScores).slice(0, this.cacheSize);
+    }
   }
 
   /**
@@ -143,29 +356,103 @@ class Trie {
    * @returns {string[]} An array of words with the given prefix
    */
   autoComplete(prefix) {
+    // Collect all words the generator produces
+    return [...this.wordsWithPrefix(prefix)];
+  }
+
+  /**
+   * Lazily yields the words in the trie with the given prefix, so callers
+   * can stop after the first few matches without walking the whole subtrie
+   * @param {string} prefix - The prefix to search for
+   * @yields {string} Each word with the given prefix
+   */
+  *wordsWithPrefix(prefix) {
     let node = this.root;
     // Traverse to the node representing the prefix
     for (let char of prefix) {
       if (!node.children[char]) {
-        return [];
+        return;
       }
       node = node.children[char];
     }
-    // Collect all words starting from this node
-    return this._collectWords(node, prefix);
+    // Yield all words starting from this node
+    yield* this._collectWords(node, prefix);
   }
 
-  _collectWords(node, prefix) {
-    let words = [];
+  *_collectWords(node, prefix) {
     if (node.isEndOfWord) {
-      words.push(prefix);
+      yield prefix;
+    }
+    for (let char in node.children) {
+      yield* this._collectWords(node.children[char], prefix + char);
+    }
+  }
+
+  /**
+   * Makes the trie iterable with for...of, yielding every stored word
+   * @returns {Iterator} An iterator over the words in the trie
+   */
+  [Symbol.iterator]() {
+    return this.wordsWithPrefix("");
+  }
+
+  /**
+   * Finds all words within an edit distance of a query
+   *
+   * @description
+   * Walks the trie while computing one row of the Levenshtein table per node: the row
+   * for a node holds the edit distances between the node's prefix and every prefix of
+   * the query. Following a child only adds one row, so words sharing a prefix share the
+   * work. This simulates a Levenshtein automaton on the trie: once every entry in a row
+   * exceeds the maximum distance, no word below that node can match and the branch is
+   * pruned.
+   *
+   * @param {string} query - The word to match
+   * @param {number} maxDistance - The largest edit distance to accept
+   * @returns {{word: string, distance: number, value: *}[]} Matches, closest first and
+   *   alphabetically within the same distance
+   */
+  fuzzySearch(query, maxDistance) {
+    const results = [];
+    // Row for the empty prefix: turning "" into query[0..j) takes j insertions
+    const firstRow = Array.from({ length: query.length + 1 }, (_, j) => j);
+    this._fuzzySearch(this.root, "", query, firstRow, maxDistance, results);
+    return results.sort(
+      (a, b) =>
+        a.distance - b.distance ||
+        (a.word < b.word ? -1 : a.word > b.word ? 1 : 0)
+    );
+  }
+
+  _fuzzySearch(node, prefix, query, row, maxDistance, results) {
+    const distance = row[query.length];
+    if (node.isEndOfWord && distance <= maxDistance) {
+      results.push({ word: prefix, distance, value: node.value });
+    }
+    if (Math.min(...row) > maxDistance) {
+      return;
     }
     for (let char in node.children) {
-      words = words.concat(
-        this._collectWords(node.children[char], prefix + char)
+      const nextRow = [row[0] + 1];
+      for (let j = 1; j <= query.length; j++) {
+        const cost = query[j - 1] === char ? 0 : 1;
+        nextRow.push(
+          Math.min(
+            nextRow[j - 1] + 1, // insertion
+            row[j] + 1, // deletion
+            row[j - 1] + cost // substitution or match
+          )
+        );
+      }
+      this._fuzzySearch(
+        node.children[char],
+        prefix + char,
+        query,
+        nextRow,
+        maxDistance,
+        results
       );
     }
-    return words;
   }
 
   /**
@@ -200,7 +487,8 @@ class Trie {
  *
  * @assumptions
  * - We have a list of correctly spelled words to populate the trie.
- * - We'll suggest corrections by finding words with similar prefixes.
+ * - We'll suggest corrections by fuzzy searching the trie for words within a small
+ *   edit distance, followed by words with a similar prefix.
  *
  * @returns {Object} An object with methods to check spelling and get suggestions
  */
@@ -225,38 +513,16 @@ function createSpellChecker(dictionary) {
     /**
      * Gets spelling suggestions for a word
      * @param {string} word - The word to get suggestions for
-     * @returns {string[]} An array of suggested correct spellings
+     * @param {number} [maxDistance=2] - The largest edit distance to suggest
+     * @returns {string[]} An array of suggested correct spellings, closest first
      */
-    getSuggestions: function (word) {
+    getSuggestions: function (word, maxDistance = 2) {
       word = word.toLowerCase();
-      let suggestions = [];
-      // Check if removing one character gives a valid word
-      for (let i = 0; i < word.length; i++) {
-        let suggestion = word.slice(0, i) + word.slice(i + 1);
-        if (trie.search(suggestion)) {
-          suggestions.push(suggestion);
-        }
-      }
-      // Check if changing one character gives a valid word
-      for (let i = 0; i < word.length; i++) {
-        for (let j = 0; j < 26; j++) {
-          let suggestion =
-            word.slice(0, i) + String.fromCharCode(97 + j) + word.slice(i + 1);
-          if (suggestion !== word && trie.search(suggestion)) {
-            suggestions.push(suggestion);
-          }
-        }
-      }
-      // Check if adding one character gives a valid word
-      for (let i = 0; i <= word.length; i++) {
-        for (let j = 0; j < 26; j++) {
-          let suggestion =
-            word.slice(0, i) + String.fromCharCode(97 + j) + word.slice(i);
-          if (trie.search(suggestion)) {
-            suggestions.push(suggestion);
-          }
-        }
-      }
+      // Words within the edit distance, closest first
+      let suggestions = trie
+        .fuzzySearch(word, maxDistance)
+        .filter((match) => match.word !== word)
+        .map((match) => match.word);
       // Add auto-complete suggestions
       suggestions = suggestions.concat(trie.autoComplete(word.slice(0, 3)));
       // Remove duplicates and limit the number of suggestions
@@ -265,18 +531,59 @@ function createSpellChecker(dictionary) {
   };
 }
 
+module.exports = { TrieNode, Trie, createSpellChecker };
+
 // Example usage of the spell checker
-const dictionary = ["apple", "banana", "cherry", "date", "elderberry"];
-const spellChecker = createSpellChecker(dictionary);
-
-console.log(spellChecker.checkSpelling("apple")); // true
-console.log(spellChecker.checkSpelling("aple")); // false
-console.log(spellChecker.getSuggestions("aple")); // ["apple"]
-console.log(spellChecker.getSuggestions("banan")); // ["banana"]
-
-// Demonstrate longest common prefix
-const trieForLCP = new Trie();
-trieForLCP.insert("flower");
-trieForLCP.insert("flow");
-trieForLCP.insert("flight");
-console.log(trieForLCP.longestCommonPrefix()); // "fl"
+if (require.main === module) {
+  const dictionary = ["apple", "banana", "cherry", "date", "elderberry"];
+  const spellChecker = createSpellChecker(dictionary);
+
+  console.log(spellChecker.checkSpelling("apple")); // true
+  console.log(spellChecker.checkSpelling("aple")); // false
+  console.log(spellChecker.getSuggestions("aple")); // ["apple"]
+  console.log(spellChecker.getSuggestions("banan")); // ["banana"]
+
+  // Demonstrate longest common prefix
+  const trieForLCP = new Trie();
+  trieForLCP.insert("flower");
+  trieForLCP.insert("flow");
+  trieForLCP.insert("flight");
+  console.log(trieForLCP.longestCommonPrefix()); // "fl"
+  console.log([...trieForLCP]); // ["flow", "flower", "flight"]
+
+  // Map-style usage with prefix counts
+  const population = new Trie();
+  population
+    .set("berlin", 3.7)
+    .set("bern", 0.13)
+    .set("bergen", 0.29)
+    .set("boston", 0.65);
+  console.log(population.get("bern")); // 0.13
+  console.log(population.get("ber")); // undefined
+  console.log(population.countWithPrefix("ber")); // 3
+  population.delete("bern");
+  console.log(population.countWithPrefix("ber"), population.size()); // 2 3
+
+  // Fuzzy search, checked against the plain edit distance
+  const { editDistance } = require("./8.4-strings.js");
+  const matches = population.fuzzySearch("bergin", 2);
+  console.log(matches.map((m) => `${m.word} (${m.distance})`)); // ["bergen (1)", "berlin (1)"]
+  console.log(
+    matches.every((m) => editDistance("bergin", m.word) === m.distance)
+  ); // true
+
+  // Frequency-weighted auto-completion
+  const searches = new Trie(3);
+  ["car", "card", "care", "careful", "cart", "cat"].forEach((w) =>
+    searches.insert(w)
+  );
+  searches.setScore("care", 5);
+  searches.recordUse("cart");
+  searches.recordUse("cart");
+  searches.recordUse("card");
+  console.log(searches.topCompletions("car")); // ["care", "cart", "card"]
+  searches.recordUse("careful", 10);
+  console.log(searches.topCompletions("car", 2)); // ["careful", "care"]
+  searches.delete("careful");
+  console.log(searches.topCompletions("ca", 5)); // ["care", "cart", "card", "car", "cat"]
+}
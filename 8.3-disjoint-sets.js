@@ -169,28 +169,31 @@ function findConnectedComponents(vertices, edges) {
   return Object.values(components);
 }
 
-// Example usage
+module.exports = { DisjointSet, kruskalMST, findConnectedComponents };
 
-// Kruskal's Algorithm
-const vertices = 4;
-const edges = [
-  [0, 1, 10],
-  [0, 2, 6],
-  [0, 3, 5],
-  [1, 3, 15],
-  [2, 3, 4],
-];
-
-console.log("Minimum Spanning Tree:");
-console.log(kruskalMST(vertices, edges));
-
-// Connected Components
-const graphVertices = 5;
-const graphEdges = [
-  [0, 1],
-  [1, 2],
-  [3, 4],
-];
-
-console.log("Connected Components:");
-console.log(findConnectedComponents(graphVertices, graphEdges));
+// Example usage
+if (require.main === module) {
+  // Kruskal's Algorithm
+  const vertices = 4;
+  const edges = [
+    [0, 1, 10],
+    [0, 2, 6],
+    [0, 3, 5],
+    [1, 3, 15],
+    [2, 3, 4],
+  ];
+
+  console.log("Minimum Spanning Tree:");
+  console.log(kruskalMST(vertices, edges));
+
+  // Connected Components
+  const graphVertices = 5;
+  const graphEdges = [
+    [0, 1],
+    [1, 2],
+    [3, 4],
+  ];
+
+  console.log("Connected Components:");
+  console.log(findConnectedComponents(graphVertices, graphEdges));
+}
@@ -2,6 +2,11 @@
  * String Algorithms and Problems
  */
 
+const {
+  computeLPSArray,
+} = require("./37-Knuth-Morris-Pratt-(KMP)-string-matching-algorithm.js");
+const { CircularBuffer } = require("./9.0-circular-buffer.js");
+
 /**
  * Brute Force Pattern Matching
  *
@@ -302,15 +307,6 @@ function compressString(str) {
   return compressed.length < str.length ? compressed : str;
 }
 
-// Example usage
-console.log(bruteForcePatternMatch("ABABDABACDABABCABAB", "ABABCABAB"));
-console.log(rabinKarp("ABABDABACDABABCABAB", "ABABCABAB"));
-console.log(kmp("ABABDABACDABABCABAB", "ABABCABAB"));
-console.log(longestCommonSubstring("ABCDGH", "ACDGHR"));
-console.log(editDistance("kitten", "sitting"));
-console.log(isPalindrome("racecar"));
-console.log(compressString("AABBBCCCC"));
-
 /**
  * Longest Palindromic Substring
  *
@@ -354,8 +350,6 @@ function longestPalindromicSubstring(s) {
   return s.substring(start, start + maxLength);
 }
 
-console.log(longestPalindromicSubstring("babad")); // "bab" or "aba"
-
 /**
  * Implement strStr() (Needle in a Haystack)
  *
@@ -418,9 +412,6 @@ function strStr(haystack, needle) {
   return -1;
 }
 
-console.log(strStr("hello", "ll")); // 2
-console.log(strStr("aaaaa", "bba")); // -1
-
 /**
  * Group Anagrams
  *
@@ -451,9 +442,6 @@ function groupAnagrams(strs) {
   return Array.from(anagramMap.values());
 }
 
-console.log(groupAnagrams(["eat", "tea", "tan", "ate", "nat", "bat"]));
-// [["eat","tea","ate"],["tan","nat"],["bat"]]
-
 /**
  * Longest Repeating Character Replacement
  *
@@ -492,5 +480,362 @@ function characterReplacement(s, k) {
   return maxLength;
 }
 
-console.log(characterReplacement("ABAB", 2)); // 4
-console.log(characterReplacement("AABABBA", 1)); // 4
+/**
+ * Aho-Corasick Multi-Pattern Matching
+ *
+ * @description
+ * Builds an automaton from a list of patterns and finds every occurrence of every pattern
+ * in a single pass over the text. The automaton is a trie of the patterns plus a failure
+ * link per state, pointing to the state for the longest proper suffix of its string that
+ * is also a prefix of some pattern.
+ *
+ * The matcher keeps its state between calls to `push`, so text can be fed in chunks (e.g.
+ * from a stream) and matches that straddle chunk boundaries are still found. Positions are
+ * relative to the start of the whole stream.
+ *
+ * Patterns and text are both read by UTF-16 code unit, so positions are string indices,
+ * and a character outside the Basic Multilingual Plane (e.g. an emoji) still matches when
+ * a chunk boundary falls between its two halves.
+ *
+ * @reasoning
+ * Running KMP once per pattern costs O(n * p) for p patterns. Aho-Corasick merges all the
+ * patterns into one automaton, so the text is read once whatever the number of patterns,
+ * which is what scanning logs for hundreds of keywords needs.
+ *
+ * @complexity
+ * Build time complexity: O(m), where m is the total length of the patterns
+ * Search time complexity: O(n + z), where n is the length of the text and z is the number of matches
+ * Space complexity: O(m + z_p), where z_p is the number of (state, pattern) outputs
+ *
+ * @param {string[]} patterns - The patterns to search for; must not be empty strings
+ */
+class AhoCorasick {
+  constructor(patterns) {
+    this.patterns = patterns;
+    this.transitions = [new Map()]; // Trie edges of each state
+    this.fail = [0]; // Failure link of each state
+    this.outputs = [[]]; // Indices of the patterns that end at each state
+
+    patterns.forEach((pattern, patternIndex) => {
+      if (pattern.length === 0) {
+        throw new Error("Patterns must not be empty");
+      }
+      let state = 0;
+      for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (!this.transitions[state].has(char)) {
+          this.transitions.push(new Map());
+          this.fail.push(0);
+          this.outputs.push([]);
+          this.transitions[state].set(char, this.transitions.length - 1);
+        }
+        state = this.transitions[state].get(char);
+      }
+      this.outputs[state].push(patternIndex);
+    });
+
+    // Breadth-first, so the failure link of a shorter string is ready before it is needed
+    const queue = [...this.transitions[0].values()];
+    for (let head = 0; head < queue.length; head++) {
+      const state = queue[head];
+      for (let [char, next] of this.transitions[state]) {
+        this.fail[next] = this._step(this.fail[state], char);
+        // Patterns ending at the failure state also end here
+        this.outputs[next] = this.outputs[next].concat(
+          this.outputs[this.fail[next]]
+        );
+        queue.push(next);
+      }
+    }
+
+    this.reset();
+  }
+
+  /**
+   * Forget the text pushed so far and start a new stream
+   */
+  reset() {
+    this.state = 0;
+    this.offset = 0;
+  }
+
+  /**
+   * Feed the next chunk of a stream
+   *
+   * @param {string} chunk - The next piece of text
+   * @returns {{patternIndex: number, position: number}[]} Matches that end in this chunk,
+   *   with positions counted from the start of the stream
+   */
+  push(chunk) {
+    const matches = [];
+    for (let i = 0; i < chunk.length; i++) {
+      this.state = this._step(this.state, chunk[i]);
+      for (let patternIndex of this.outputs[this.state]) {
+        matches.push({
+          patternIndex,
+          position: this.offset + i - this.patterns[patternIndex].length + 1,
+        });
+      }
+    }
+    this.offset += chunk.length;
+    return matches;
+  }
+
+  /**
+   * Find all matches in a complete text, independently of any stream in progress
+   *
+   * @param {string} text - The text to search in
+   * @returns {{patternIndex: number, position: number}[]} Matches in order of their end position
+   */
+  search(text) {
+    const { state, offset } = this;
+    this.reset();
+    const matches = this.push(text);
+    this.state = state;
+    this.offset = offset;
+    return matches;
+  }
+
+  // Follow failure links until a state has an edge for char (the root always does)
+  _step(state, char) {
+    while (state !== 0 && !this.transitions[state].has(char)) {
+      state = this.fail[state];
+    }
+    return this.transitions[state].get(char) || 0;
+  }
+}
+
+/**
+ * Streaming KMP Matcher
+ *
+ * @description
+ * Finds a pattern in text that arrives in chunks, e.g. from a Node stream. The only state
+ * kept between chunks is the length of the pattern prefix matched so far, so a match
+ * split across chunk boundaries is still found and memory does not grow with the input.
+ *
+ * @reasoning
+ * `kmp` and `KMPSearch` need the whole text as one string, which rules out multi-gigabyte
+ * log files. KMP never moves backwards in the text, so it can consume a stream as is.
+ *
+ * @assumptions
+ * - Chunks are strings. Streams of bytes must be decoded first (`stream.setEncoding("utf8")`)
+ *   so a multi-byte character is never split; offsets count UTF-16 code units.
+ *
+ * @complexity
+ * Time complexity: O(m) to build, O(c) per chunk of length c
+ * Space complexity: O(m), where m is the length of the pattern
+ *
+ * @param {string} pattern - The pattern to search for; must not be empty
+ */
+class KMPStreamMatcher {
+  constructor(pattern) {
+    if (pattern.length === 0) {
+      throw new Error("Pattern must not be empty");
+    }
+    this.pattern = pattern;
+    this.lps = computeLPSArray(pattern);
+    this.reset();
+  }
+
+  /**
+   * Forget the text pushed so far and start a new stream
+   */
+  reset() {
+    this.matched = 0; // Length of the pattern prefix that ends the text so far
+    this.offset = 0; // Number of characters pushed so far
+  }
+
+  /**
+   * Feed the next chunk of a stream
+   *
+   * @param {string} chunk - The next piece of text
+   * @returns {number[]} Start offsets, counted from the start of the stream, of the
+   *   matches that end in this chunk
+   */
+  push(chunk) {
+    const matches = [];
+    const m = this.pattern.length;
+    for (let i = 0; i < chunk.length; i++) {
+      while (this.matched > 0 && this.pattern[this.matched] !== chunk[i]) {
+        this.matched = this.lps[this.matched - 1];
+      }
+      if (this.pattern[this.matched] === chunk[i]) this.matched++;
+      if (this.matched === m) {
+        matches.push(this.offset + i - m + 1);
+        this.matched = this.lps[m - 1];
+      }
+    }
+    this.offset += chunk.length;
+    return matches;
+  }
+}
+
+/**
+ * Streaming Rabin-Karp Matcher
+ *
+ * @description
+ * Keeps the rolling hash of the last m characters of a chunked stream, along with the
+ * characters themselves in a circular buffer, so the window slides across chunk
+ * boundaries and hash hits can be verified without the rest of the text.
+ *
+ * @reasoning
+ * Like `rabinKarp`, but the window lives in the matcher instead of being read back from
+ * the text, so the text never has to be held in memory. A large prime keeps spurious
+ * hash hits, and therefore verifications, rare.
+ *
+ * @assumptions
+ * - Chunks are strings, as for KMPStreamMatcher.
+ *
+ * @complexity
+ * Average time complexity: O(c) per chunk of length c
+ * Worst case time complexity: O(c * m) when most windows collide with the pattern's hash
+ * Space complexity: O(m), where m is the length of the pattern
+ *
+ * @param {string} pattern - The pattern to search for; must not be empty
+ */
+class RabinKarpStreamMatcher {
+  constructor(pattern) {
+    if (pattern.length === 0) {
+      throw new Error("Pattern must not be empty");
+    }
+    this.BASE = 256;
+    this.PRIME = 1000000007;
+    this.pattern = pattern;
+
+    // Weight of the oldest character in the window: BASE^(m-1) % PRIME
+    this.h = 1;
+    for (let i = 0; i < pattern.length - 1; i++) {
+      this.h = (this.h * this.BASE) % this.PRIME;
+    }
+    this.patternHash = 0;
+    for (let i = 0; i < pattern.length; i++) {
+      this.patternHash =
+        (this.BASE * this.patternHash + pattern.charCodeAt(i)) % this.PRIME;
+    }
+    this.reset();
+  }
+
+  /**
+   * Forget the text pushed so far and start a new stream
+   */
+  reset() {
+    this.window = new CircularBuffer(this.pattern.length); // Last m characters
+    this.windowHash = 0; // Hash of the characters in the window
+    this.offset = 0; // Number of characters pushed so far
+  }
+
+  /**
+   * Feed the next chunk of a stream
+   *
+   * @param {string} chunk - The next piece of text
+   * @returns {number[]} Start offsets, counted from the start of the stream, of the
+   *   matches that end in this chunk
+   */
+  push(chunk) {
+    const matches = [];
+    const m = this.pattern.length;
+    for (let i = 0; i < chunk.length; i++) {
+      if (this.window.isFull()) {
+        // Drop the oldest character from the hash before it is overwritten
+        this.windowHash =
+          (this.windowHash -
+            ((this.window.get(0).charCodeAt(0) * this.h) % this.PRIME) +
+            this.PRIME) %
+          this.PRIME;
+      }
+      this.window.enqueue(chunk[i]);
+      this.windowHash =
+        (this.BASE * this.windowHash + chunk.charCodeAt(i)) % this.PRIME;
+
+      if (
+        this.window.isFull() &&
+        this.windowHash === this.patternHash &&
+        this._windowMatches()
+      ) {
+        matches.push(this.offset + i - m + 1);
+      }
+    }
+    this.offset += chunk.length;
+    return matches;
+  }
+
+  // Compare the window with the pattern character by character
+  _windowMatches() {
+    for (let j = 0; j < this.pattern.length; j++) {
+      if (this.window.get(j) !== this.pattern[j]) return false;
+    }
+    return true;
+  }
+}
+
+module.exports = {
+  bruteForcePatternMatch,
+  rabinKarp,
+  kmp,
+  longestCommonSubstring,
+  editDistance,
+  isPalindrome,
+  compressString,
+  longestPalindromicSubstring,
+  strStr,
+  groupAnagrams,
+  characterReplacement,
+  AhoCorasick,
+  KMPStreamMatcher,
+  RabinKarpStreamMatcher,
+};
+
+if (require.main === module) {
+  // Example usage
+  console.log(bruteForcePatternMatch("ABABDABACDABABCABAB", "ABABCABAB"));
+  console.log(rabinKarp("ABABDABACDABABCABAB", "ABABCABAB"));
+  console.log(kmp("ABABDABACDABABCABAB", "ABABCABAB"));
+  console.log(longestCommonSubstring("ABCDGH", "ACDGHR"));
+  console.log(editDistance("kitten", "sitting"));
+  console.log(isPalindrome("racecar"));
+  console.log(compressString("AABBBCCCC"));
+
+  console.log(longestPalindromicSubstring("babad")); // "bab" or "aba"
+
+  console.log(strStr("hello", "ll")); // 2
+  console.log(strStr("aaaaa", "bba")); // -1
+
+  console.log(groupAnagrams(["eat", "tea", "tan", "ate", "nat", "bat"]));
+  // [["eat","tea","ate"],["tan","nat"],["bat"]]
+
+  console.log(characterReplacement("ABAB", 2)); // 4
+  console.log(characterReplacement("AABABBA", 1)); // 4
+
+  const keywords = new AhoCorasick(["he", "she", "his", "hers"]);
+  console.log(keywords.search("ushers"));
+  // [{patternIndex: 1, position: 1}, {patternIndex: 0, position: 2}, {patternIndex: 3, position: 2}]
+
+  // Streaming: a match split across two chunks is still reported, with its stream offset
+  const errors = new AhoCorasick(["ERROR", "FATAL"]);
+  console.log(errors.push("ok\nERR")); // []
+  console.log(errors.push("OR disk\nFATAL oom\n"));
+  // [{patternIndex: 0, position: 3}, {patternIndex: 1, position: 14}]
+
+  // Astral characters take two code units, and positions count code units
+  const emoji = new AhoCorasick(["😀x", "b"]);
+  console.log(emoji.search("a😀xb"));
+  // [{patternIndex: 0, position: 1}, {patternIndex: 1, position: 4}]
+
+  // Single-pattern streaming matchers keep their state across chunks
+  const rk = new RabinKarpStreamMatcher("ABABCABAB");
+  console.log(rk.push("ABABDABACDABAB"), rk.push("CABAB")); // [] [10]
+
+  // Reading a Node stream chunk by chunk; a file works the same way with
+  // fs.createReadStream(path, { encoding: "utf8" })
+  const { Readable } = require("stream");
+  const timeouts = new KMPStreamMatcher("timeout");
+  const log = Readable.from([
+    "GET /a 200\nGET /b time",
+    "out\nGET /c timeout\n",
+  ]);
+  (async () => {
+    const offsets = [];
+    for await (const chunk of log) offsets.push(...timeouts.push(chunk));
+    console.log(offsets); // [18, 33]
+  })();
+}
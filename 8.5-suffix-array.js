@@ -0,0 +1,370 @@
+/**
+ * Suffix Array, LCP Array and Suffix Automaton
+ *
+ * @description
+ * Two index structures over all the suffixes of a text:
+ * - A suffix array lists the starting positions of the suffixes in sorted order. Together
+ *   with the LCP array (the longest common prefix of each pair of neighbouring suffixes)
+ *   it answers substring searches by binary search and many "longest ... substring"
+ *   questions with a single scan.
+ * - A suffix automaton is the smallest automaton accepting every substring of the text.
+ *   It is built online, one character at a time, and reads any other string in linear
+ *   time, which makes it the tool for comparing a text against other strings.
+ *
+ * @reasoning
+ * The DP in `longestCommonSubstring` (8.4-strings.js) needs O(n * m) time and memory,
+ * which is out of reach for inputs of a few hundred thousand characters. These
+ * structures are built in O(n log^2 n) and O(n), and the queries below run in time
+ * proportional to the input or the pattern.
+ *
+ * @assumptions
+ * - Strings are compared by UTF-16 code units, like JavaScript's < on strings.
+ * - The empty pattern occurs at every position 0..n, as with String.prototype.indexOf:
+ *   `find("")` lists them all, and `contains("")` is true even for an empty text.
+ *
+ * @complexity
+ * Time complexity:
+ *   - Suffix array (prefix doubling): O(n log^2 n)
+ *   - LCP array (Kasai): O(n)
+ *   - Suffix automaton: O(n) states and transitions, built in O(n) (times a Map lookup)
+ * Space complexity: O(n)
+ */
+
+/**
+ * Build the suffix array of a text by prefix doubling
+ *
+ * @description
+ * After round k the suffixes are sorted by their first 2^k characters, and rank[i] is the
+ * position of suffix i in that order (equal prefixes share a rank). Sorting by the pair
+ * (rank[i], rank[i + 2^k]) then sorts by the first 2^(k+1) characters. It stops as soon
+ * as all ranks are distinct.
+ *
+ * @param {string} text - The text to index
+ * @returns {number[]} Start positions of the suffixes in lexicographic order
+ */
+function buildSuffixArray(text) {
+  const n = text.length;
+  const sa = Array.from({ length: n }, (_, i) => i);
+  let rank = Array.from({ length: n }, (_, i) => text.charCodeAt(i));
+  let tmp = new Array(n);
+
+  for (let k = 1; ; k *= 2) {
+    // Suffixes shorter than k sort before any suffix that continues
+    const second = (i) => (i + k < n ? rank[i + k] : -1);
+    const compare = (a, b) => rank[a] - rank[b] || second(a) - second(b);
+    sa.sort(compare);
+
+    tmp[sa[0]] = 0;
+    for (let i = 1; i < n; i++) {
+      tmp[sa[i]] = tmp[sa[i - 1]] + (compare(sa[i - 1], sa[i]) < 0 ? 1 : 0);
+    }
+    [rank, tmp] = [tmp, rank];
+    if (n === 0 || rank[sa[n - 1]] === n - 1) break;
+  }
+  return sa;
+}
+
+/**
+ * Build the LCP array with Kasai's algorithm
+ *
+ * @description
+ * Visits the suffixes in text order. If suffix i shares h characters with the suffix
+ * before it in the suffix array, suffix i + 1 shares at least h - 1 with its own
+ * predecessor, so the comparison never restarts from zero and the total work is linear.
+ *
+ * @param {string} text - The indexed text
+ * @param {number[]} sa - The suffix array of the text
+ * @returns {number[]} lcp[i] = length of the common prefix of suffixes sa[i - 1] and
+ *   sa[i]; lcp[0] is 0
+ */
+function buildLcpArray(text, sa) {
+  const n = text.length;
+  const rank = new Array(n);
+  sa.forEach((start, i) => (rank[start] = i));
+  const lcp = new Array(n).fill(0);
+
+  let h = 0;
+  for (let i = 0; i < n; i++) {
+    if (rank[i] === 0) {
+      h = 0;
+      continue;
+    }
+    const j = sa[rank[i] - 1];
+    while (i + h < n && j + h < n && text[i + h] === text[j + h]) h++;
+    lcp[rank[i]] = h;
+    if (h > 0) h--;
+  }
+  return lcp;
+}
+
+class SuffixArray {
+  /**
+   * @param {string} text - The text to index
+   */
+  constructor(text) {
+    this.text = text;
+    this.sa = buildSuffixArray(text);
+    this.lcp = buildLcpArray(text, this.sa);
+  }
+
+  /**
+   * Find every occurrence of a pattern
+   *
+   * @description
+   * The suffixes starting with the pattern form one block of the suffix array; two
+   * binary searches find its bounds.
+   *
+   * @param {string} pattern - The pattern to search for
+   * @returns {number[]} Start positions of the occurrences, in increasing order; every
+   *   position from 0 to n for the empty pattern
+   *
+   * @complexity
+   * Time complexity: O(m log n + z log z), where m is the length of the pattern and z is the
+   * number of occurrences
+   */
+  find(pattern) {
+    const m = pattern.length;
+    // The empty pattern also occurs at n, after the last suffix
+    if (m === 0)
+      return Array.from({ length: this.text.length + 1 }, (_, i) => i);
+    // Compare the first m characters of a suffix with the pattern
+    const prefixOf = (i) => this.text.substr(this.sa[i], m);
+
+    let low = 0;
+    let high = this.sa.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (prefixOf(mid) < pattern) low = mid + 1;
+      else high = mid;
+    }
+    const first = low;
+
+    high = this.sa.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (prefixOf(mid) === pattern) low = mid + 1;
+      else high = mid;
+    }
+    return this.sa.slice(first, low).sort((a, b) => a - b);
+  }
+
+  // Check if the pattern occurs in the text
+  contains(pattern) {
+    return this.find(pattern).length > 0;
+  }
+
+  /**
+   * Count the distinct non-empty substrings of the text
+   *
+   * @description
+   * Every substring is a prefix of some suffix. Suffix sa[i] has n - sa[i] prefixes, of
+   * which lcp[i] were already counted for the suffix before it.
+   *
+   * @returns {number} The number of distinct substrings
+   */
+  countDistinctSubstrings() {
+    const n = this.text.length;
+    let count = 0;
+    for (let i = 0; i < n; i++) count += n - this.sa[i] - this.lcp[i];
+    return count;
+  }
+
+  /**
+   * Find the longest substring that occurs at least twice (occurrences may overlap)
+   *
+   * @returns {string} The longest repeated substring, or "" if no character repeats
+   */
+  longestRepeatedSubstring() {
+    let best = 0;
+    for (let i = 1; i < this.lcp.length; i++) {
+      if (this.lcp[i] > this.lcp[best]) best = i;
+    }
+    return this.text.substr(this.sa[best], this.lcp[best] || 0);
+  }
+}
+
+class SuffixAutomaton {
+  /**
+   * @param {string} [text=""] - Initial text; more can be appended with extend
+   */
+  constructor(text = "") {
+    this.length = [0]; // Length of the longest string reaching each state
+    this.link = [-1]; // Suffix link of each state
+    this.next = [new Map()]; // Transitions of each state
+    this.firstEnd = [-1]; // End position of the first occurrence of each state's strings
+    this.last = 0; // State of the whole text read so far
+    for (let i = 0; i < text.length; i++) this.extend(text[i]);
+  }
+
+  /**
+   * Append one character to the text
+   *
+   * @description
+   * Adds a state for the new whole text and walks the suffix links of the old one,
+   * adding transitions until some suffix can already be extended by the character. When
+   * that transition skips over characters, the target state is split (cloned) so every
+   * state keeps strings with the same set of end positions.
+   *
+   * @param {string} char - The character to append
+   *
+   * @complexity
+   * Time complexity: amortized O(1) Map operations
+   */
+  extend(char) {
+    const current = this._addState(
+      this.length[this.last] + 1,
+      this.firstEnd[this.last] + 1
+    );
+    let p = this.last;
+    while (p !== -1 && !this.next[p].has(char)) {
+      this.next[p].set(char, current);
+      p = this.link[p];
+    }
+
+    if (p === -1) {
+      this.link[current] = 0;
+    } else {
+      const q = this.next[p].get(char);
+      if (this.length[p] + 1 === this.length[q]) {
+        this.link[current] = q;
+      } else {
+        const clone = this._addState(this.length[p] + 1, this.firstEnd[q]);
+        this.next[clone] = new Map(this.next[q]);
+        this.link[clone] = this.link[q];
+        while (p !== -1 && this.next[p].get(char) === q) {
+          this.next[p].set(char, clone);
+          p = this.link[p];
+        }
+        this.link[q] = clone;
+        this.link[current] = clone;
+      }
+    }
+    this.last = current;
+  }
+
+  _addState(length, firstEnd) {
+    this.length.push(length);
+    this.link.push(-1);
+    this.next.push(new Map());
+    this.firstEnd.push(firstEnd);
+    return this.length.length - 1;
+  }
+
+  // Check if a pattern is a substring of the text (the empty pattern always is)
+  contains(pattern) {
+    let state = 0;
+    for (let i = 0; i < pattern.length; i++) {
+      state = this.next[state].get(pattern[i]);
+      if (state === undefined) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Count the distinct non-empty substrings of the text
+   *
+   * @description
+   * State v stands for the strings with lengths from length[link[v]] + 1 to length[v].
+   *
+   * @returns {number} The number of distinct substrings
+   */
+  countDistinctSubstrings() {
+    let count = 0;
+    for (let v = 1; v < this.length.length; v++) {
+      count += this.length[v] - this.length[this.link[v]];
+    }
+    return count;
+  }
+
+  /**
+   * Find the longest common substring of the text and another string
+   *
+   * @description
+   * Reads the other string through the automaton, tracking the longest suffix of what has
+   * been read that is still a substring of the text. On a missing transition it follows
+   * suffix links, which shortens that suffix just enough to continue.
+   *
+   * @param {string} other - The string to compare with
+   * @returns {string} A longest common substring (the first one found in `other`)
+   *
+   * @complexity
+   * Time complexity: O(m), where m is the length of the other string
+   */
+  longestCommonSubstring(other) {
+    let state = 0;
+    let length = 0;
+    let bestLength = 0;
+    let bestEnd = 0;
+    for (let i = 0; i < other.length; i++) {
+      const char = other[i];
+      while (state !== 0 && !this.next[state].has(char)) {
+        state = this.link[state];
+        length = this.length[state];
+      }
+      if (this.next[state].has(char)) {
+        state = this.next[state].get(char);
+        length++;
+      }
+      if (length > bestLength) {
+        bestLength = length;
+        bestEnd = i + 1;
+      }
+    }
+    return other.slice(bestEnd - bestLength, bestEnd);
+  }
+
+  /**
+   * Find the first position where a pattern occurs
+   *
+   * @param {string} pattern - The pattern to search for
+   * @returns {number} Start of the first occurrence (0 for the empty pattern), or -1 if
+   *   the pattern does not occur
+   */
+  indexOf(pattern) {
+    let state = 0;
+    for (let i = 0; i < pattern.length; i++) {
+      state = this.next[state].get(pattern[i]);
+      if (state === undefined) return -1;
+    }
+    return this.firstEnd[state] - pattern.length + 1;
+  }
+}
+
+module.exports = {
+  buildSuffixArray,
+  buildLcpArray,
+  SuffixArray,
+  SuffixAutomaton,
+};
+
+// Example usage
+if (require.main === module) {
+  const index = new SuffixArray("banana");
+  console.log(index.sa); // [5, 3, 1, 0, 4, 2]: a, ana, anana, banana, na, nana
+  console.log(index.lcp); // [0, 1, 3, 0, 0, 2]
+  console.log(index.find("ana")); // [1, 3]
+  console.log(index.countDistinctSubstrings()); // 15
+  console.log(index.longestRepeatedSubstring()); // "ana"
+  console.log(new SuffixArray("ab").find("")); // [0, 1, 2]
+
+  const automaton = new SuffixAutomaton("banana");
+  console.log(automaton.contains("nan"), automaton.contains("nab")); // true false
+  console.log(automaton.indexOf("na")); // 2
+  console.log(automaton.countDistinctSubstrings()); // 15
+  console.log(automaton.longestCommonSubstring("cabana")); // "bana"
+  console.log(
+    new SuffixArray("").contains(""),
+    new SuffixAutomaton("").contains("")
+  ); // true true
+
+  // Large input: both structures on a text of 200,000 characters
+  let text = "";
+  for (let i = 0; text.length < 200000; i++) text += (i * 7919).toString(36);
+  const bigIndex = new SuffixArray(text);
+  const bigAutomaton = new SuffixAutomaton(text);
+  console.log(
+    bigIndex.countDistinctSubstrings() ===
+      bigAutomaton.countDistinctSubstrings()
+  ); // true
+  console.log(bigIndex.longestRepeatedSubstring().length > 0); // true
+}
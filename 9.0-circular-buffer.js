@@ -112,14 +112,34 @@ class CircularBuffer {
    * @time O(n) where n is the size of the buffer
    */
   toArray() {
-    const result = [];
+    return [...this];
+  }
+
+  /**
+   * Iterate over the items from oldest to newest
+   * @yields {*} Each item in the buffer
+   * @time O(1) per item
+   */
+  *[Symbol.iterator]() {
     for (let i = 0; i < this.size; i++) {
-      result.push(this.get(i));
+      yield this.get(i);
+    }
+  }
+
+  /**
+   * Iterate over the items from newest to oldest
+   * @yields {*} Each item in the buffer
+   * @time O(1) per item
+   */
+  *reverse() {
+    for (let i = this.size - 1; i >= 0; i--) {
+      yield this.get(i);
     }
-    return result;
   }
 }
 
+module.exports = { CircularBuffer };
+
 /**
  * Test function to demonstrate CircularBuffer operations
  */
@@ -145,6 +165,9 @@ function testCircularBuffer() {
   console.log("Dequeued item:", buffer.dequeue());
   console.log("Buffer after dequeue:", buffer.toArray());
 
+  // Iterate from newest to oldest
+  console.log("Newest to oldest:", [...buffer.reverse()]);
+
   // Get item at index 2
   console.log("Item at index 2:", buffer.get(2));
 
@@ -159,4 +182,6 @@ function testCircularBuffer() {
 // This Circular Buffer implementation provides efficient O(1) operations for enqueueing, dequeueing, and accessing elements by index.
 // It's particularly useful for scenarios where you need to maintain a fixed-size history of recent items.
 // Run the test function
-testCircularBuffer();
+if (require.main === module) {
+  testCircularBuffer();
+}
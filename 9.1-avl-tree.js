@@ -4,11 +4,13 @@
  * between heights of left and right subtrees cannot be more than one for all nodes.
  */
 class AVLNode {
-  constructor(value) {
-    this.value = value; // The node's value
+  constructor(key, value) {
+    this.key = key; // The node's key, used for ordering
+    this.value = value; // The value stored under the key
     this.left = null; // Left child
     this.right = null; // Right child
     this.height = 1; // Height of the node, used for balancing
+    this.size = 1; // Number of nodes in the subtree rooted here, used for order statistics
   }
 }
 
@@ -16,8 +18,13 @@ class AVLNode {
  * AVL Tree implementation
  */
 class AVLTree {
-  constructor() {
+  /**
+   * @param {function} comparator - Returns a negative number, zero or a positive number
+   * when a is less than, equal to or greater than b
+   */
+  constructor(comparator = (a, b) => (a < b ? -1 : a > b ? 1 : 0)) {
     this.root = null; // Root of the AVL tree
+    this.comparator = comparator; // Comparison function used to order keys
   }
 
   /**
@@ -29,6 +36,15 @@ class AVLTree {
     return node ? node.height : 0;
   }
 
+  /**
+   * Get the number of nodes in a subtree
+   * @param {AVLNode} node - The root of the subtree, the whole tree by default
+   * @returns {number} - The number of nodes, or 0 if the node is null
+   */
+  size(node = this.root) {
+    return node ? node.size : 0;
+  }
+
   /**
    * Calculate the balance factor of a node
    * @param {AVLNode} node - The node to calculate the balance factor for
@@ -39,11 +55,12 @@ class AVLTree {
   }
 
   /**
-   * Update the height of a node based on its children's heights
+   * Update the height and subtree size of a node based on its children
    * @param {AVLNode} node - The node to update the height for
    */
   updateHeight(node) {
     node.height = 1 + Math.max(this.height(node.left), this.height(node.right));
+    node.size = 1 + this.size(node.left) + this.size(node.right);
   }
 
   /**
@@ -89,29 +106,33 @@ class AVLTree {
   }
 
   /**
-   * Insert a value into the AVL tree
-   * @param {*} value - The value to insert
+   * Insert a key-value pair into the AVL tree
+   * @param {*} key - The key to insert
+   * @param {*} [value=key] - The value stored under the key
    */
-  insert(value) {
-    this.root = this._insert(this.root, value);
+  insert(key, value = key) {
+    this.root = this._insert(this.root, key, value);
   }
 
   /**
-   * Recursive helper function to insert a value
+   * Recursive helper function to insert a key-value pair
    * @param {AVLNode} node - The current node in the recursion
-   * @param {*} value - The value to insert
+   * @param {*} key - The key to insert
+   * @param {*} value - The value stored under the key
    * @returns {AVLNode} - The new root of the modified subtree
    */
-  _insert(node, value) {
+  _insert(node, key, value) {
     // Perform standard BST insert
-    if (!node) return new AVLNode(value);
+    if (!node) return new AVLNode(key, value);
 
-    if (value < node.value) {
-      node.left = this._insert(node.left, value);
-    } else if (value > node.value) {
-      node.right = this._insert(node.right, value);
+    const cmp = this.comparator(key, node.key);
+    if (cmp < 0) {
+      node.left = this._insert(node.left, key, value);
+    } else if (cmp > 0) {
+      node.right = this._insert(node.right, key, value);
     } else {
-      // Duplicate values are not allowed
+      // Duplicate keys are not allowed, replace the stored value instead
+      node.value = value;
       return node;
     }
 
@@ -123,7 +144,7 @@ class AVLTree {
 
     // Left Heavy
     if (balance > 1) {
-      if (value < node.left.value) {
+      if (this.comparator(key, node.left.key) < 0) {
         // Left Left Case
         return this.rotateRight(node);
       } else {
@@ -135,7 +156,7 @@ class AVLTree {
 
     // Right Heavy
     if (balance < -1) {
-      if (value > node.right.value) {
+      if (this.comparator(key, node.right.key) > 0) {
         // Right Right Case
         return this.rotateLeft(node);
       } else {
@@ -149,6 +170,217 @@ class AVLTree {
     return node;
   }
 
+  /**
+   * Restore the AVL property at a node whose subtrees may differ in height by two
+   * @param {AVLNode} node - The node to rebalance
+   * @returns {AVLNode} - The new root of the rebalanced subtree
+   */
+  _rebalance(node) {
+    this.updateHeight(node);
+    let balance = this.balanceFactor(node);
+
+    // Left Heavy
+    if (balance > 1) {
+      if (this.balanceFactor(node.left) < 0) {
+        // Left Right Case
+        node.left = this.rotateLeft(node.left);
+      }
+      return this.rotateRight(node);
+    }
+
+    // Right Heavy
+    if (balance < -1) {
+      if (this.balanceFactor(node.right) > 0) {
+        // Right Left Case
+        node.right = this.rotateRight(node.right);
+      }
+      return this.rotateLeft(node);
+    }
+
+    return node;
+  }
+
+  /**
+   * Delete a key from the AVL tree
+   * @param {*} key - The key to delete
+   */
+  delete(key) {
+    this.root = this._delete(this.root, key);
+  }
+
+  /**
+   * Recursive helper function to delete a key
+   * @param {AVLNode} node - The current node in the recursion
+   * @param {*} key - The key to delete
+   * @returns {AVLNode} - The new root of the modified subtree
+   *
+   * @complexity
+   * Time complexity: O(log n), with at most one rotation (or double rotation) per level
+   */
+  _delete(node, key) {
+    if (!node) return null;
+
+    const cmp = this.comparator(key, node.key);
+    if (cmp < 0) {
+      node.left = this._delete(node.left, key);
+    } else if (cmp > 0) {
+      node.right = this._delete(node.right, key);
+    } else {
+      // Node with at most one child is replaced by that child
+      if (!node.left) return node.right;
+      if (!node.right) return node.left;
+
+      // Node with two children takes over its inorder successor,
+      // which is then removed from the right subtree
+      let successor = node.right;
+      while (successor.left) successor = successor.left;
+      node.key = successor.key;
+      node.value = successor.value;
+      node.right = this._delete(node.right, successor.key);
+    }
+
+    // Unlike insertion, deletion may need to rebalance every ancestor
+    return this._rebalance(node);
+  }
+
+  /**
+   * Verify the AVL invariants: keys in order, stored heights and sizes correct
+   * and the heights of every node's subtrees differing by at most one
+   * @returns {boolean} - true if the tree is valid
+   * @throws {Error} - Describing the first violation found
+   */
+  checkInvariants() {
+    const check = (node, lower, upper) => {
+      if (!node) return 0;
+      if (
+        (lower !== undefined && this.comparator(node.key, lower) <= 0) ||
+        (upper !== undefined && this.comparator(node.key, upper) >= 0)
+      ) {
+        throw new Error(`Key ${node.key} is out of order`);
+      }
+      const leftHeight = check(node.left, lower, node.key);
+      const rightHeight = check(node.right, node.key, upper);
+      if (node.height !== 1 + Math.max(leftHeight, rightHeight)) {
+        throw new Error(`Node ${node.key} has a stale height`);
+      }
+      if (node.size !== 1 + this.size(node.left) + this.size(node.right)) {
+        throw new Error(`Node ${node.key} has a stale size`);
+      }
+      if (Math.abs(leftHeight - rightHeight) > 1) {
+        throw new Error(`Node ${node.key} is unbalanced`);
+      }
+      return node.height;
+    };
+    check(this.root);
+    return true;
+  }
+
+  /**
+   * Search for a key in the AVL tree
+   * @param {*} key - The key to search for
+   * @returns {AVLNode|null} - The node holding the key, or null if not found
+   */
+  search(key) {
+    let node = this.root;
+    while (node) {
+      const cmp = this.comparator(key, node.key);
+      if (cmp === 0) return node;
+      node = cmp < 0 ? node.left : node.right;
+    }
+    return null;
+  }
+
+  /**
+   * Get the value stored under a key
+   * @param {*} key - The key to look up
+   * @returns {*} - The stored value, or null if the key is not in the tree
+   */
+  get(key) {
+    const node = this.search(key);
+    return node ? node.value : null;
+  }
+
+  /**
+   * Make the tree iterable with for...of, yielding keys in ascending order
+   */
+  [Symbol.iterator]() {
+    return this.inorder();
+  }
+
+  /**
+   * Lazily iterate over the keys in ascending order
+   * @yields {*} - Each key, smallest first
+   */
+  *inorder() {
+    for (const node of this._inorderNodes()) yield node.key;
+  }
+
+  /**
+   * Lazily iterate over the keys in descending order
+   * @yields {*} - Each key, largest first
+   */
+  *reverse() {
+    for (const node of this._inorderNodes(true)) yield node.key;
+  }
+
+  /**
+   * Lazily iterate over the keys in preorder (node, left subtree, right subtree)
+   * @yields {*} - Each key
+   */
+  *preorder() {
+    const stack = this.root ? [this.root] : [];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      yield node.key;
+      if (node.right) stack.push(node.right);
+      if (node.left) stack.push(node.left);
+    }
+  }
+
+  /**
+   * Lazily iterate over the keys level by level, from the root down
+   * @yields {*} - Each key
+   */
+  *levelOrder() {
+    const queue = this.root ? [this.root] : [];
+    for (let i = 0; i < queue.length; i++) {
+      const node = queue[i];
+      yield node.key;
+      if (node.left) queue.push(node.left);
+      if (node.right) queue.push(node.right);
+    }
+  }
+
+  /**
+   * Lazily iterate over the [key, value] pairs in ascending key order
+   * @yields {Array} - Each [key, value] pair
+   */
+  *entries() {
+    for (const node of this._inorderNodes()) yield [node.key, node.value];
+  }
+
+  /**
+   * Walk the nodes in order without recursion, so iteration can stop early
+   * and deep trees cannot overflow the call stack
+   * @param {boolean} reverse - Visit the nodes in descending order instead
+   * @yields {AVLNode} - Each node of the tree
+   */
+  *_inorderNodes(reverse = false) {
+    const first = reverse ? "right" : "left";
+    const second = reverse ? "left" : "right";
+    const stack = [];
+    let node = this.root;
+    while (node || stack.length > 0) {
+      while (node) {
+        stack.push(node);
+        node = node[first];
+      }
+      node = stack.pop();
+      yield node;
+      node = node[second];
+    }
+  }
+
   /**
    * Perform an inorder traversal of the AVL tree
    * @param {AVLNode} node - The current node in the traversal
@@ -156,7 +388,7 @@ class AVLTree {
   inorderTraversal(node = this.root) {
     if (node) {
       this.inorderTraversal(node.left);
-      console.log(`Value: ${node.value}, Height: ${node.height}`);
+      console.log(`Key: ${node.key}, Height: ${node.height}`);
       this.inorderTraversal(node.right);
     }
   }
@@ -164,39 +396,150 @@ class AVLTree {
   /**
    * Find the kth smallest element in the AVL tree
    *
-   * @param {number} k - The k value for kth smallest
-   * @returns {number|null} The kth smallest value or null if not found
+   * @param {number} k - The k value for kth smallest (1-based)
+   * @returns {*} The kth smallest key or null if not found
    *
    * @complexity
-   * Time complexity: O(log n + k)
-   * Space complexity: O(log n) for the recursive call stack
+   * Time complexity: O(log n), using the subtree sizes
+   * Space complexity: O(1)
    */
   kthSmallest(k) {
-    const result = { count: 0, value: null };
-    this._kthSmallestHelper(this.root, k, result);
-    return result.value;
+    return this.select(k - 1);
   }
 
-  _kthSmallestHelper(node, k, result) {
-    if (!node) return;
-
-    this._kthSmallestHelper(node.left, k, result);
+  /**
+   * Count the keys smaller than a given key
+   *
+   * @param {*} key - The key to rank, which need not be in the tree
+   * @returns {number} The number of keys less than key
+   *
+   * @complexity
+   * Time complexity: O(log n)
+   */
+  rank(key) {
+    let rank = 0;
+    let node = this.root;
+    while (node) {
+      const cmp = this.comparator(key, node.key);
+      if (cmp <= 0) {
+        node = node.left;
+      } else {
+        // Every key in the left subtree, and this node, is smaller
+        rank += this.size(node.left) + 1;
+        node = node.right;
+      }
+    }
+    return rank;
+  }
 
-    result.count++;
-    if (result.count === k) {
-      result.value = node.value;
-      return;
+  /**
+   * Find the key with a given rank, so that select(rank(key)) === key
+   *
+   * @param {number} k - The 0-based rank of the key
+   * @returns {*} The key with k smaller keys, or null if k is out of range
+   *
+   * @complexity
+   * Time complexity: O(log n)
+   */
+  select(k) {
+    if (k < 0 || k >= this.size()) return null;
+    let node = this.root;
+    while (node) {
+      const leftSize = this.size(node.left);
+      if (k < leftSize) {
+        node = node.left;
+      } else if (k > leftSize) {
+        k -= leftSize + 1;
+        node = node.right;
+      } else {
+        return node.key;
+      }
     }
+    return null;
+  }
+
+  /**
+   * Find the largest key less than or equal to a given key
+   * @param {*} key - The key to compare against
+   * @returns {*} The floor key, or null if every key is greater
+   */
+  floor(key) {
+    return this._closest(key, true, true);
+  }
+
+  /**
+   * Find the smallest key greater than or equal to a given key
+   * @param {*} key - The key to compare against
+   * @returns {*} The ceiling key, or null if every key is smaller
+   */
+  ceiling(key) {
+    return this._closest(key, false, true);
+  }
+
+  /**
+   * Find the largest key strictly less than a given key
+   * @param {*} key - The key to compare against
+   * @returns {*} The predecessor key, or null if there is none
+   */
+  predecessor(key) {
+    return this._closest(key, true, false);
+  }
 
-    this._kthSmallestHelper(node.right, k, result);
+  /**
+   * Find the smallest key strictly greater than a given key
+   * @param {*} key - The key to compare against
+   * @returns {*} The successor key, or null if there is none
+   */
+  successor(key) {
+    return this._closest(key, false, false);
+  }
+
+  /**
+   * Walk down from the root remembering the best candidate seen so far
+   *
+   * @param {*} key - The key to compare against
+   * @param {boolean} below - Look for keys below the key (floor/predecessor) instead of above
+   * @param {boolean} inclusive - Whether the key itself is an acceptable answer
+   * @returns {*} The closest key on the requested side, or null
+   *
+   * @complexity
+   * Time complexity: O(log n)
+   */
+  _closest(key, below, inclusive) {
+    let best = null;
+    let node = this.root;
+    while (node) {
+      const cmp = this.comparator(node.key, key);
+      if (cmp === 0 && inclusive) return node.key;
+      if (below ? cmp < 0 : cmp > 0) {
+        best = node.key;
+        node = below ? node.right : node.left;
+      } else {
+        node = below ? node.left : node.right;
+      }
+    }
+    return best;
   }
 }
 
+module.exports = { AVLNode, AVLTree };
+
 //   This AVL tree implementation ensures that the tree remains balanced after each insertion,
 //  maintaining a time complexity of O(log n) for insertions and searches.
 // Test AVL Tree
-const avl = new AVLTree();
-[10, 20, 30, 40, 50, 25].forEach((val) => avl.insert(val));
-console.log("AVL Tree Inorder Traversal:");
-avl.inorderTraversal(); // Output: 10, 20, 25, 30, 40, 50
-console.log(avl.kthSmallest(3)); // Output: 25
+if (require.main === module) {
+  const avl = new AVLTree();
+  [10, 20, 30, 40, 50, 25].forEach((val) => avl.insert(val));
+  console.log("AVL Tree Inorder Traversal:");
+  avl.inorderTraversal(); // Output: 10, 20, 25, 30, 40, 50
+  console.log(avl.kthSmallest(3)); // Output: 25
+  console.log(avl.rank(30), avl.select(4)); // Output: 3 40
+  console.log(avl.floor(35), avl.ceiling(35)); // Output: 30 40
+  console.log(avl.predecessor(10), avl.successor(50)); // Output: null null
+
+  [20, 40, 10].forEach((val) => avl.delete(val));
+  console.log("After deleting 20, 40 and 10:");
+  avl.inorderTraversal(); // Output: 25, 30, 50
+  console.log("Balanced:", avl.checkInvariants());
+  console.log("Level order:", [...avl.levelOrder()]);
+}
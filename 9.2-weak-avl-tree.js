@@ -4,8 +4,9 @@
  * allowing for fewer rotations during insertions and deletions.
  */
 class WAVLNode {
-  constructor(value) {
-    this.value = value; // The node's value
+  constructor(key, value) {
+    this.key = key; // The node's key, used for ordering
+    this.value = value; // The value stored under the key
     this.left = null; // Left child
     this.right = null; // Right child
     this.rank = 0; // Rank of the node, used for balancing
@@ -16,8 +17,13 @@ class WAVLNode {
  * WAVL Tree implementation
  */
 class WAVLTree {
-  constructor() {
+  /**
+   * @param {function} comparator - Returns a negative number, zero or a positive number
+   * when a is less than, equal to or greater than b
+   */
+  constructor(comparator = (a, b) => (a < b ? -1 : a > b ? 1 : 0)) {
     this.root = null; // Root of the WAVL tree
+    this.comparator = comparator; // Comparison function used to order keys
   }
 
   /**
@@ -30,29 +36,33 @@ class WAVLTree {
   }
 
   /**
-   * Insert a value into the WAVL tree
-   * @param {*} value - The value to insert
+   * Insert a key-value pair into the WAVL tree
+   * @param {*} key - The key to insert
+   * @param {*} [value=key] - The value stored under the key
    */
-  insert(value) {
-    this.root = this._insert(this.root, value);
+  insert(key, value = key) {
+    this.root = this._insert(this.root, key, value);
   }
 
   /**
-   * Recursive helper function to insert a value
+   * Recursive helper function to insert a key-value pair
    * @param {WAVLNode} node - The current node in the recursion
-   * @param {*} value - The value to insert
+   * @param {*} key - The key to insert
+   * @param {*} value - The value stored under the key
    * @returns {WAVLNode} - The new root of the modified subtree
    */
-  _insert(node, value) {
+  _insert(node, key, value) {
     // Perform standard BST insert
-    if (!node) return new WAVLNode(value);
+    if (!node) return new WAVLNode(key, value);
 
-    if (value < node.value) {
-      node.left = this._insert(node.left, value);
-    } else if (value > node.value) {
-      node.right = this._insert(node.right, value);
+    const cmp = this.comparator(key, node.key);
+    if (cmp < 0) {
+      node.left = this._insert(node.left, key, value);
+    } else if (cmp > 0) {
+      node.right = this._insert(node.right, key, value);
     } else {
-      // Duplicate values are not allowed
+      // Duplicate keys are not allowed, replace the stored value instead
+      node.value = value;
       return node;
     }
 
@@ -62,29 +72,57 @@ class WAVLTree {
 
   /**
    * Rebalance the WAVL tree after insertion
+   *
+   * Every rank difference (parent rank minus child rank, with missing
+   * children at rank -1) must be 1 or 2. An insertion can only create a
+   * 0-difference below this node, which is fixed by promoting the node or,
+   * when its other child is a 2-child, by one single or double rotation.
+   *
    * @param {WAVLNode} node - The node to rebalance
    * @returns {WAVLNode} - The new root of the rebalanced subtree
    */
   rebalance(node) {
-    let leftRank = this.rank(node.left);
-    let rightRank = this.rank(node.right);
+    const leftDiff = node.rank - this.rank(node.left);
+    const rightDiff = node.rank - this.rank(node.right);
 
-    // Check if the node violates the WAVL conditions
-    if (node.rank - leftRank > 2 || node.rank - rightRank > 2) {
-      // Demote the node
-      node.rank--;
-      if (leftRank > rightRank) {
-        // Left child is higher, rotate right
+    if (leftDiff === 0) {
+      if (rightDiff === 1) {
+        // 0,1 node: promote and let the parent check itself
+        node.rank++;
+        return node;
+      }
+      const x = node.left;
+      if (x.rank - this.rank(x.right) === 2) {
+        // Single rotation: the grown child is on the outside
+        node.rank--;
         return this.rotateRight(node);
-      } else {
-        // Right child is higher, rotate left
-        return this.rotateLeft(node);
       }
+      // Double rotation: the grown child is on the inside
+      const y = x.right;
+      node.left = this.rotateLeft(x);
+      y.rank++;
+      x.rank--;
+      node.rank--;
+      return this.rotateRight(node);
     }
 
-    // Check if the node needs promotion
-    if (node.rank - leftRank === 0 || node.rank - rightRank === 0) {
-      node.rank++;
+    if (rightDiff === 0) {
+      // Same as above, with "left" and "right" exchanged
+      if (leftDiff === 1) {
+        node.rank++;
+        return node;
+      }
+      const x = node.right;
+      if (x.rank - this.rank(x.left) === 2) {
+        node.rank--;
+        return this.rotateLeft(node);
+      }
+      const y = x.left;
+      node.right = this.rotateRight(x);
+      y.rank++;
+      x.rank--;
+      node.rank--;
+      return this.rotateLeft(node);
     }
 
     return node;
@@ -92,6 +130,7 @@ class WAVLTree {
 
   /**
    * Perform a right rotation
+   * Ranks are left untouched, the rebalancing code adjusts them
    * @param {WAVLNode} y - The node to rotate
    * @returns {WAVLNode} - The new root of the rotated subtree
    */
@@ -99,14 +138,12 @@ class WAVLTree {
     let x = y.left;
     y.left = x.right;
     x.right = y;
-    // Update ranks
-    y.rank = Math.min(this.rank(y.left), this.rank(y.right)) + 1;
-    x.rank = Math.min(this.rank(x.left), y.rank) + 1;
     return x;
   }
 
   /**
    * Perform a left rotation
+   * Ranks are left untouched, the rebalancing code adjusts them
    * @param {WAVLNode} x - The node to rotate
    * @returns {WAVLNode} - The new root of the rotated subtree
    */
@@ -114,12 +151,270 @@ class WAVLTree {
     let y = x.right;
     x.right = y.left;
     y.left = x;
-    // Update ranks
-    x.rank = Math.min(this.rank(x.left), this.rank(x.right)) + 1;
-    y.rank = Math.min(this.rank(y.right), x.rank) + 1;
     return y;
   }
 
+  /**
+   * Delete a key from the WAVL tree
+   * @param {*} key - The key to delete
+   */
+  delete(key) {
+    this.root = this._delete(this.root, key);
+  }
+
+  /**
+   * Recursive helper function to delete a key
+   * @param {WAVLNode} node - The current node in the recursion
+   * @param {*} key - The key to delete
+   * @returns {WAVLNode} - The new root of the modified subtree
+   *
+   * @complexity
+   * Time complexity: O(log n), with at most two rotations per deletion
+   */
+  _delete(node, key) {
+    if (!node) return null;
+
+    const cmp = this.comparator(key, node.key);
+    if (cmp < 0) {
+      node.left = this._delete(node.left, key);
+    } else if (cmp > 0) {
+      node.right = this._delete(node.right, key);
+    } else {
+      // Node with at most one child is replaced by that child
+      if (!node.left) return node.right;
+      if (!node.right) return node.left;
+
+      // Node with two children takes over its inorder successor,
+      // which is then removed from the right subtree
+      let successor = node.right;
+      while (successor.left) successor = successor.left;
+      node.key = successor.key;
+      node.value = successor.value;
+      node.right = this._delete(node.right, successor.key);
+    }
+
+    return this.rebalanceDelete(node);
+  }
+
+  /**
+   * Rebalance the WAVL tree after deletion
+   *
+   * A deletion can leave a 3-difference below this node, or turn it into a
+   * leaf with rank 1 (a 2,2 leaf). Both are fixed by demotions, which may
+   * move the problem up to the parent, or by one single or double rotation,
+   * which ends the rebalancing.
+   *
+   * @param {WAVLNode} node - The node to rebalance
+   * @returns {WAVLNode} - The new root of the rebalanced subtree
+   */
+  rebalanceDelete(node) {
+    // 2,2 leaf: demote it to rank 0
+    if (!node.left && !node.right) {
+      node.rank = 0;
+      return node;
+    }
+
+    if (node.rank - this.rank(node.left) === 3) {
+      const y = node.right;
+      if (node.rank - y.rank === 2) {
+        // 3,2 node: demote
+        node.rank--;
+        return node;
+      }
+      const w = y.right;
+      if (y.rank - this.rank(y.left) === 2 && y.rank - this.rank(w) === 2) {
+        // Sibling is a 2,2 node: demote both
+        node.rank--;
+        y.rank--;
+        return node;
+      }
+      if (y.rank - this.rank(w) === 1) {
+        // Single rotation
+        const root = this.rotateLeft(node);
+        y.rank++;
+        node.rank--;
+        if (!node.left && !node.right) node.rank--;
+        return root;
+      }
+      // Double rotation
+      const v = y.left;
+      node.right = this.rotateRight(y);
+      const root = this.rotateLeft(node);
+      v.rank += 2;
+      y.rank--;
+      node.rank -= 2;
+      return root;
+    }
+
+    if (node.rank - this.rank(node.right) === 3) {
+      // Same as above, with "left" and "right" exchanged
+      const y = node.left;
+      if (node.rank - y.rank === 2) {
+        node.rank--;
+        return node;
+      }
+      const w = y.left;
+      if (y.rank - this.rank(y.right) === 2 && y.rank - this.rank(w) === 2) {
+        node.rank--;
+        y.rank--;
+        return node;
+      }
+      if (y.rank - this.rank(w) === 1) {
+        const root = this.rotateRight(node);
+        y.rank++;
+        node.rank--;
+        if (!node.left && !node.right) node.rank--;
+        return root;
+      }
+      const v = y.right;
+      node.left = this.rotateLeft(y);
+      const root = this.rotateRight(node);
+      v.rank += 2;
+      y.rank--;
+      node.rank -= 2;
+      return root;
+    }
+
+    return node;
+  }
+
+  /**
+   * Verify the WAVL invariants: keys in order, every rank difference
+   * equal to 1 or 2 and every leaf at rank 0
+   * @returns {boolean} - true if the tree is valid
+   * @throws {Error} - Describing the first violation found
+   */
+  checkInvariants() {
+    const check = (node, lower, upper) => {
+      if (!node) return;
+      if (
+        (lower !== undefined && this.comparator(node.key, lower) <= 0) ||
+        (upper !== undefined && this.comparator(node.key, upper) >= 0)
+      ) {
+        throw new Error(`Key ${node.key} is out of order`);
+      }
+      if (!node.left && !node.right && node.rank !== 0) {
+        throw new Error(`Leaf ${node.key} has rank ${node.rank}`);
+      }
+      for (const child of [node.left, node.right]) {
+        const diff = node.rank - this.rank(child);
+        if (diff !== 1 && diff !== 2) {
+          throw new Error(`Node ${node.key} has a rank difference of ${diff}`);
+        }
+      }
+      check(node.left, lower, node.key);
+      check(node.right, node.key, upper);
+    };
+    check(this.root);
+    return true;
+  }
+
+  /**
+   * Search for a key in the WAVL tree
+   * @param {*} key - The key to search for
+   * @returns {WAVLNode|null} - The node holding the key, or null if not found
+   */
+  search(key) {
+    let node = this.root;
+    while (node) {
+      const cmp = this.comparator(key, node.key);
+      if (cmp === 0) return node;
+      node = cmp < 0 ? node.left : node.right;
+    }
+    return null;
+  }
+
+  /**
+   * Get the value stored under a key
+   * @param {*} key - The key to look up
+   * @returns {*} - The stored value, or null if the key is not in the tree
+   */
+  get(key) {
+    const node = this.search(key);
+    return node ? node.value : null;
+  }
+
+  /**
+   * Make the tree iterable with for...of, yielding keys in ascending order
+   */
+  [Symbol.iterator]() {
+    return this.inorder();
+  }
+
+  /**
+   * Lazily iterate over the keys in ascending order
+   * @yields {*} - Each key, smallest first
+   */
+  *inorder() {
+    for (const node of this._inorderNodes()) yield node.key;
+  }
+
+  /**
+   * Lazily iterate over the keys in descending order
+   * @yields {*} - Each key, largest first
+   */
+  *reverse() {
+    for (const node of this._inorderNodes(true)) yield node.key;
+  }
+
+  /**
+   * Lazily iterate over the keys in preorder (node, left subtree, right subtree)
+   * @yields {*} - Each key
+   */
+  *preorder() {
+    const stack = this.root ? [this.root] : [];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      yield node.key;
+      if (node.right) stack.push(node.right);
+      if (node.left) stack.push(node.left);
+    }
+  }
+
+  /**
+   * Lazily iterate over the keys level by level, from the root down
+   * @yields {*} - Each key
+   */
+  *levelOrder() {
+    const queue = this.root ? [this.root] : [];
+    for (let i = 0; i < queue.length; i++) {
+      const node = queue[i];
+      yield node.key;
+      if (node.left) queue.push(node.left);
+      if (node.right) queue.push(node.right);
+    }
+  }
+
+  /**
+   * Lazily iterate over the [key, value] pairs in ascending key order
+   * @yields {Array} - Each [key, value] pair
+   */
+  *entries() {
+    for (const node of this._inorderNodes()) yield [node.key, node.value];
+  }
+
+  /**
+   * Walk the nodes in order without recursion, so iteration can stop early
+   * and deep trees cannot overflow the call stack
+   * @param {boolean} reverse - Visit the nodes in descending order instead
+   * @yields {WAVLNode} - Each node of the tree
+   */
+  *_inorderNodes(reverse = false) {
+    const first = reverse ? "right" : "left";
+    const second = reverse ? "left" : "right";
+    const stack = [];
+    let node = this.root;
+    while (node || stack.length > 0) {
+      while (node) {
+        stack.push(node);
+        node = node[first];
+      }
+      node = stack.pop();
+      yield node;
+      node = node[second];
+    }
+  }
+
   /**
    * Perform an inorder traversal of the WAVL tree
    * @param {WAVLNode} node - The current node in the traversal
@@ -127,15 +422,25 @@ class WAVLTree {
   inorderTraversal(node = this.root) {
     if (node) {
       this.inorderTraversal(node.left);
-      console.log(`Value: ${node.value}, Rank: ${node.rank}`);
+      console.log(`Key: ${node.key}, Rank: ${node.rank}`);
       this.inorderTraversal(node.right);
     }
   }
 }
+module.exports = { WAVLNode, WAVLTree };
+
 //   The WAVL tree maintains balance with fewer rotations than an AVL tree,
 // potentially offering better performance for insertions and deletions.
 // Test WAVL Tree
-const wavl = new WAVLTree();
-[10, 20, 30, 40, 50, 25].forEach((val) => wavl.insert(val));
-console.log("WAVL Tree Inorder Traversal:");
-wavl.inorderTraversal();
+if (require.main === module) {
+  const wavl = new WAVLTree();
+  [10, 20, 30, 40, 50, 25].forEach((val) => wavl.insert(val));
+  console.log("WAVL Tree Inorder Traversal:");
+  wavl.inorderTraversal();
+
+  [20, 40, 10].forEach((val) => wavl.delete(val));
+  console.log("After deleting 20, 40 and 10:");
+  wavl.inorderTraversal();
+  console.log("Valid:", wavl.checkInvariants());
+  console.log("Descending:", [...wavl.reverse()]);
+}
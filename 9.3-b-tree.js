@@ -18,25 +18,29 @@ class BTreeNode {
   constructor(leaf = false) {
     this.leaf = leaf; // Boolean indicating if this is a leaf node
     this.keys = []; // Array to store the keys
+    this.values = []; // Array to store the value of each key
     this.children = []; // Array to store child nodes
   }
 }
 
 class BTree {
-  constructor(t) {
+  // The comparator returns a negative number, zero or a positive number
+  // when a is less than, equal to or greater than b
+  constructor(t, comparator = (a, b) => (a < b ? -1 : a > b ? 1 : 0)) {
     this.root = new BTreeNode(true); // Create the root node
     this.t = t; // Minimum degree (defines the range for number of keys)
+    this.comparator = comparator; // Comparison function used to order keys
   }
 
   // Search a key in the B-tree
   search(k, node = this.root) {
     let i = 0;
     // Find the first key greater than or equal to k
-    while (i < node.keys.length && k > node.keys[i]) {
+    while (i < node.keys.length && this.comparator(k, node.keys[i]) > 0) {
       i++;
     }
     // If the found key is equal to k, return this node
-    if (i < node.keys.length && k === node.keys[i]) {
+    if (i < node.keys.length && this.comparator(k, node.keys[i]) === 0) {
       return node;
     }
     // If key is not found and this is a leaf node, return null
@@ -47,8 +51,23 @@ class BTree {
     return this.search(k, node.children[i]);
   }
 
-  // Insert a key in the B-tree
-  insert(k) {
+  // Get the value stored under a key, or null if the key is not in the tree
+  get(k) {
+    const node = this.search(k);
+    if (!node) return null;
+    const i = node.keys.findIndex((key) => this.comparator(k, key) === 0);
+    return node.values[i];
+  }
+
+  // Insert a key-value pair in the B-tree, replacing the value of an existing key
+  insert(k, v = k) {
+    const existing = this.search(k);
+    if (existing) {
+      const i = existing.keys.findIndex((key) => this.comparator(k, key) === 0);
+      existing.values[i] = v;
+      return;
+    }
+
     let root = this.root;
     // If root is full, create a new root
     if (root.keys.length === 2 * this.t - 1) {
@@ -56,40 +75,207 @@ class BTree {
       this.root = newRoot;
       newRoot.children.push(root);
       this.splitChild(newRoot, 0);
-      this.insertNonFull(newRoot, k);
+      this.insertNonFull(newRoot, k, v);
     } else {
-      this.insertNonFull(root, k);
+      this.insertNonFull(root, k, v);
     }
   }
 
-  // Insert a key in a non-full node
-  insertNonFull(node, k) {
+  // Insert a key-value pair in a non-full node
+  insertNonFull(node, k, v) {
     let i = node.keys.length - 1;
     // If this is a leaf node
     if (node.leaf) {
       // Find the location of new key to be inserted
       node.keys.push(null);
-      while (i >= 0 && k < node.keys[i]) {
+      node.values.push(null);
+      while (i >= 0 && this.comparator(k, node.keys[i]) < 0) {
         node.keys[i + 1] = node.keys[i];
+        node.values[i + 1] = node.values[i];
         i--;
       }
       // Insert the new key at found location
       node.keys[i + 1] = k;
+      node.values[i + 1] = v;
     } else {
       // Find the child which is going to have the new key
-      while (i >= 0 && k < node.keys[i]) {
+      while (i >= 0 && this.comparator(k, node.keys[i]) < 0) {
         i--;
       }
       i++;
       // If the child is full, split it
       if (node.children[i].keys.length === 2 * this.t - 1) {
         this.splitChild(node, i);
-        if (k > node.keys[i]) {
+        if (this.comparator(k, node.keys[i]) > 0) {
           i++;
         }
       }
-      this.insertNonFull(node.children[i], k);
+      this.insertNonFull(node.children[i], k, v);
+    }
+  }
+
+  // Delete a key from the B-tree
+  delete(k) {
+    this.deleteFromNode(this.root, k);
+    // If the root lost its last key, its only child becomes the new root
+    if (this.root.keys.length === 0 && !this.root.leaf) {
+      this.root = this.root.children[0];
+    }
+  }
+
+  // Delete a key from the subtree rooted at node. Every node we descend
+  // into is first given at least t keys, so a key can always be removed
+  // from it without underflowing.
+  deleteFromNode(node, k) {
+    let t = this.t;
+    let i = 0;
+    while (i < node.keys.length && this.comparator(k, node.keys[i]) > 0) {
+      i++;
+    }
+
+    if (i < node.keys.length && this.comparator(k, node.keys[i]) === 0) {
+      if (node.leaf) {
+        // Case 1: the key is in a leaf, remove it directly
+        node.keys.splice(i, 1);
+        node.values.splice(i, 1);
+      } else if (node.children[i].keys.length >= t) {
+        // Case 2a: replace the key with its predecessor
+        let pred = node.children[i];
+        while (!pred.leaf) pred = pred.children[pred.children.length - 1];
+        let last = pred.keys.length - 1;
+        node.keys[i] = pred.keys[last];
+        node.values[i] = pred.values[last];
+        this.deleteFromNode(node.children[i], node.keys[i]);
+      } else if (node.children[i + 1].keys.length >= t) {
+        // Case 2b: replace the key with its successor
+        let succ = node.children[i + 1];
+        while (!succ.leaf) succ = succ.children[0];
+        node.keys[i] = succ.keys[0];
+        node.values[i] = succ.values[0];
+        this.deleteFromNode(node.children[i + 1], node.keys[i]);
+      } else {
+        // Case 2c: both children have t-1 keys, merge them around the key
+        this.merge(node, i);
+        this.deleteFromNode(node.children[i], k);
+      }
+      return;
+    }
+
+    // The key is not in this node; stop if there is nowhere left to look
+    if (node.leaf) return;
+
+    // Case 3: make sure the child we descend into has at least t keys
+    if (node.children[i].keys.length < t) {
+      i = this.fill(node, i);
+    }
+    this.deleteFromNode(node.children[i], k);
+  }
+
+  // Give the child at index i at least t keys by borrowing from a sibling
+  // or merging with one. Returns the index of the child that now covers
+  // the keys of the original child.
+  fill(node, i) {
+    let t = this.t;
+    if (i > 0 && node.children[i - 1].keys.length >= t) {
+      this.borrowFromPrev(node, i);
+    } else if (i < node.keys.length && node.children[i + 1].keys.length >= t) {
+      this.borrowFromNext(node, i);
+    } else if (i < node.keys.length) {
+      this.merge(node, i);
+    } else {
+      this.merge(node, i - 1);
+      i--;
+    }
+    return i;
+  }
+
+  // Move a key from the left sibling through the parent into the child
+  borrowFromPrev(node, i) {
+    let child = node.children[i];
+    let sibling = node.children[i - 1];
+
+    child.keys.unshift(node.keys[i - 1]);
+    child.values.unshift(node.values[i - 1]);
+    if (!child.leaf) child.children.unshift(sibling.children.pop());
+
+    node.keys[i - 1] = sibling.keys.pop();
+    node.values[i - 1] = sibling.values.pop();
+  }
+
+  // Move a key from the right sibling through the parent into the child
+  borrowFromNext(node, i) {
+    let child = node.children[i];
+    let sibling = node.children[i + 1];
+
+    child.keys.push(node.keys[i]);
+    child.values.push(node.values[i]);
+    if (!child.leaf) child.children.push(sibling.children.shift());
+
+    node.keys[i] = sibling.keys.shift();
+    node.values[i] = sibling.values.shift();
+  }
+
+  // Merge the child at index i+1 and the key between them into the child at index i
+  merge(node, i) {
+    let child = node.children[i];
+    let sibling = node.children[i + 1];
+
+    child.keys.push(node.keys[i], ...sibling.keys);
+    child.values.push(node.values[i], ...sibling.values);
+    child.children.push(...sibling.children);
+
+    node.keys.splice(i, 1);
+    node.values.splice(i, 1);
+    node.children.splice(i + 1, 1);
+  }
+
+  // Lazily yield the keys in ascending order
+  *inorder(node = this.root) {
+    for (let i = 0; i < node.keys.length; i++) {
+      if (!node.leaf) yield* this.inorder(node.children[i]);
+      yield node.keys[i];
     }
+    if (!node.leaf) yield* this.inorder(node.children[node.keys.length]);
+  }
+
+  // Lazily yield the keys in descending order
+  *reverse(node = this.root) {
+    if (!node.leaf) yield* this.reverse(node.children[node.keys.length]);
+    for (let i = node.keys.length - 1; i >= 0; i--) {
+      yield node.keys[i];
+      if (!node.leaf) yield* this.reverse(node.children[i]);
+    }
+  }
+
+  // Lazily yield the keys node by node: a node's keys, then each child subtree
+  *preorder(node = this.root) {
+    yield* node.keys;
+    if (!node.leaf) {
+      for (const child of node.children) yield* this.preorder(child);
+    }
+  }
+
+  // Lazily yield the keys level by level, from the root down
+  *levelOrder() {
+    const queue = [this.root];
+    for (let i = 0; i < queue.length; i++) {
+      yield* queue[i].keys;
+      if (!queue[i].leaf) queue.push(...queue[i].children);
+    }
+  }
+
+  // Lazily yield [key, value] pairs in ascending key order
+  *entries(node = this.root) {
+    for (let i = 0; i < node.keys.length; i++) {
+      if (!node.leaf) yield* this.entries(node.children[i]);
+      yield [node.keys[i], node.values[i]];
+    }
+    if (!node.leaf) yield* this.entries(node.children[node.keys.length]);
+  }
+
+  // Make the tree iterable with for...of, yielding keys in ascending order
+  [Symbol.iterator]() {
+    return this.inorder();
   }
 
   // Split the child of a node
@@ -100,10 +286,16 @@ class BTree {
 
     // Insert the middle key of child in parent
     parent.keys.splice(i, 0, child.keys[t - 1]);
+    parent.values.splice(i, 0, child.values[t - 1]);
     parent.children.splice(i + 1, 0, newChild);
 
     // Copy the last (t-1) keys of child to newChild
     newChild.keys = child.keys.splice(t, t - 1);
+    newChild.values = child.values.splice(t, t - 1);
+
+    // Remove the middle key, which now lives in the parent
+    child.keys.pop();
+    child.values.pop();
 
     // Copy the last t children of child to newChild
     if (!child.leaf) {
@@ -112,8 +304,26 @@ class BTree {
   }
 }
 
+module.exports = { BTreeNode, BTree };
+
 // Example usage
-let bTree = new BTree(3);
-[10, 20, 5, 6, 12, 30, 7, 17].forEach((k) => bTree.insert(k));
-console.log(bTree.search(6) ? "Found 6" : "Not found 6");
-console.log(bTree.search(15) ? "Found 15" : "Not found 15");
+if (require.main === module) {
+  let bTree = new BTree(3);
+  [10, 20, 5, 6, 12, 30, 7, 17].forEach((k) => bTree.insert(k));
+  console.log(bTree.search(6) ? "Found 6" : "Not found 6");
+  console.log(bTree.search(15) ? "Found 15" : "Not found 15");
+
+  // Keys can carry values and be ordered by a custom comparator
+  let words = new BTree(2, (a, b) => a.localeCompare(b));
+  words.insert("pear", 3);
+  words.insert("apple", 5);
+  words.insert("fig", 1);
+  words.insert("apple", 7);
+  console.log("apple ->", words.get("apple"));
+
+  [6, 10, 20].forEach((k) => bTree.delete(k));
+  console.log(bTree.search(6) ? "Found 6" : "Not found 6");
+  console.log(bTree.search(12) ? "Found 12" : "Not found 12");
+  console.log("Keys in order:", [...bTree]);
+  console.log("Keys level by level:", [...bTree.levelOrder()]);
+}
@@ -5,6 +5,10 @@
  * A trie is a tree-like data structure used to store and retrieve strings efficiently.
  * It's particularly useful for prefix-based operations.
  *
+ * This file used to carry its own copy of the trie; it now extends the one in
+ * 8.2-trie.js, so values, prefix counts and fuzzy search are available here too.
+ * `findWordsWithPrefix` is kept as the name this file has always used for auto-completion.
+ *
  * @reasoning
  * Tries provide fast lookups and insertions for string data, especially when dealing
  * with large datasets with many common prefixes.
@@ -13,51 +17,9 @@
  * Time complexity: O(m) for insert and search, where m is the length of the string
  * Space complexity: O(n * m), where n is the number of strings and m is the average length
  */
-class TrieNode {
-  constructor() {
-    this.children = new Map();
-    this.isEndOfWord = false;
-  }
-}
-
-class Trie {
-  constructor() {
-    this.root = new TrieNode();
-  }
-
-  insert(word) {
-    let node = this.root;
-    for (let char of word) {
-      if (!node.children.has(char)) {
-        node.children.set(char, new TrieNode());
-      }
-      node = node.children.get(char);
-    }
-    node.isEndOfWord = true;
-  }
-
-  search(word) {
-    let node = this.root;
-    for (let char of word) {
-      if (!node.children.has(char)) {
-        return false;
-      }
-      node = node.children.get(char);
-    }
-    return node.isEndOfWord;
-  }
-
-  startsWith(prefix) {
-    let node = this.root;
-    for (let char of prefix) {
-      if (!node.children.has(char)) {
-        return false;
-      }
-      node = node.children.get(char);
-    }
-    return true;
-  }
+const { TrieNode, Trie: BaseTrie } = require("./8.2-trie.js");
 
+class Trie extends BaseTrie {
   /**
    * Find all words in the trie with a given prefix
    *
@@ -69,31 +31,20 @@ class Trie {
    * Space complexity: O(m), where m is the total length of all matching words
    */
   findWordsWithPrefix(prefix) {
-    let node = this.root;
-    for (let char of prefix) {
-      if (!node.children.has(char)) {
-        return [];
-      }
-      node = node.children.get(char);
-    }
-    return this._findAllWords(node, prefix);
-  }
-
-  _findAllWords(node, prefix) {
-    let results = [];
-    if (node.isEndOfWord) {
-      results.push(prefix);
-    }
-    for (let [char, childNode] of node.children) {
-      results = results.concat(this._findAllWords(childNode, prefix + char));
-    }
-    return results;
+    return this.autoComplete(prefix);
   }
 }
 
+module.exports = { TrieNode, Trie };
+
 // Example usage
-let trie = new Trie();
-["apple", "app", "apricot", "banana"].forEach((word) => trie.insert(word));
-console.log(trie.search("app")); // true
-console.log(trie.startsWith("ban")); // true
-console.log(trie.findWordsWithPrefix("app")); // ["app", "apple", "appeal"]
+if (require.main === module) {
+  let trie = new Trie();
+  ["apple", "app", "apricot", "banana"].forEach((word) => trie.insert(word));
+  console.log(trie.search("app")); // true
+  console.log(trie.startsWith("ban")); // true
+  console.log(trie.findWordsWithPrefix("app")); // ["app", "apple"]
+  console.log([...trie]); // ["app", "apple", "apricot", "banana"]
+  console.log(trie.countWithPrefix("ap")); // 3
+  console.log(trie.fuzzySearch("aple", 1).map((match) => match.word)); // ["apple"]
+}
@@ -3,131 +3,356 @@
  *
  * @description
  * A Segment Tree is a tree data structure used for storing information about intervals,
- * or segments. It allows querying which of the stored segments contain a given point.
+ * or segments. Each node stores the combined value of the elements in its segment, so
+ * any range can be answered by combining O(log n) nodes.
+ *
+ * The tree is generic over a monoid: an associative `combine(a, b)` function with an
+ * `identity` value (combine(identity, x) === x). Ready-made operations for sum, min,
+ * max and gcd are available in `SegmentOperations`.
  *
  * @reasoning
  * Segment Trees are useful for range query problems, where we need to perform operations
- * on ranges of elements efficiently.
+ * on ranges of elements efficiently. Lazy propagation lets whole ranges be added to or
+ * assigned in O(log n) as well: an update stops at the nodes that cover the range and
+ * records a pending tag there, which is pushed to the children only when a later
+ * operation needs to look inside.
+ *
+ * @assumptions
+ * - Ranges are inclusive, 0-based [l, r].
+ * - Range assign works for every operation: the value of `length` copies of v is computed
+ *   by repeated combining (O(log length)) unless the operation provides `repeat`.
+ * - Range add needs `applyAdd(aggregate, delta, length)`, which only exists for operations
+ *   where adding to every element can be reflected in the aggregate (sum, min, max).
+ *
+ * Migrating from the sum-only tree: `new SegmentTree(arr)` still builds a sum tree, and
+ * `rangeSum(l, r)` and `rangeMax(l, r)` remain as wrappers over `query(l, r)`. One tree
+ * now holds one aggregate, so `rangeMax` needs a tree built with `SegmentOperations.max`
+ * and `rangeSum` one built with `SegmentOperations.sum`; keep one tree of each to ask both.
  *
  * @complexity
  * Time complexity:
  *   - Build: O(n)
  *   - Query: O(log n)
- *   - Update: O(log n)
+ *   - Point update: O(log n)
+ *   - Range add / range assign: O(log n)
  * Space complexity: O(n)
  */
+
+function gcd(a, b) {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b !== 0) [a, b] = [b, a % b];
+  return a;
+}
+
+/**
+ * Common operations for SegmentTree
+ *
+ * Each operation has `combine` and `identity`, and optionally
+ * `applyAdd(aggregate, delta, length)` (enables rangeAdd),
+ * `repeat(value, length)` (a shortcut for rangeAssign) and
+ * `leaf(value)` (the aggregate of a single element, if it isn't the element itself).
+ */
+const SegmentOperations = {
+  sum: {
+    combine: (a, b) => a + b,
+    identity: 0,
+    applyAdd: (aggregate, delta, length) => aggregate + delta * length,
+    repeat: (value, length) => value * length,
+  },
+  min: {
+    combine: (a, b) => Math.min(a, b),
+    identity: Infinity,
+    applyAdd: (aggregate, delta) => aggregate + delta,
+    repeat: (value) => value,
+  },
+  max: {
+    combine: (a, b) => Math.max(a, b),
+    identity: -Infinity,
+    applyAdd: (aggregate, delta) => aggregate + delta,
+    repeat: (value) => value,
+  },
+  gcd: {
+    combine: gcd,
+    identity: 0,
+    repeat: (value) => Math.abs(value),
+    // gcd(x, 0) is |x|, so a single element must give the same result as a combined one
+    leaf: (value) => Math.abs(value),
+  },
+};
+
 class SegmentTree {
-  constructor(arr) {
+  /**
+   * @param {Array} arr - The initial elements
+   * @param {Object} [operation=SegmentOperations.sum] - The monoid to aggregate with
+   * @param {function(*, *): *} operation.combine - Associative combine function
+   * @param {*} operation.identity - Identity element of combine
+   * @param {function(*, number, number): *} [operation.applyAdd] - Aggregate after adding
+   *   delta to each of `length` elements; required for rangeAdd
+   * @param {function(*, number): *} [operation.repeat] - Aggregate of `length` copies of a value
+   * @param {function(*): *} [operation.leaf] - Aggregate of a single element
+   */
+  constructor(arr, operation = SegmentOperations.sum) {
     this.n = arr.length;
-    this.tree = new Array(4 * this.n).fill(0);
-    this.build(arr, 0, 0, this.n - 1);
+    this.operation = operation;
+    this.leaf = operation.leaf || ((value) => value);
+    this.combine = operation.combine;
+    this.identity = operation.identity;
+    this.applyAdd = operation.applyAdd || null;
+    this.repeat =
+      operation.repeat || ((value, length) => this._power(value, length));
+    this.tree = new Array(4 * this.n).fill(this.identity);
+    // Pending tags: lazyAssign[node] is undefined when no assignment is pending
+    this.lazyAdd = new Array(4 * this.n).fill(0);
+    this.lazyAssign = new Array(4 * this.n).fill(undefined);
+    if (this.n > 0) this.build(arr, 0, 0, this.n - 1);
   }
 
   build(arr, node, start, end) {
     if (start === end) {
-      this.tree[node] = arr[start];
+      this.tree[node] = this.leaf(arr[start]);
       return;
     }
     let mid = Math.floor((start + end) / 2);
     this.build(arr, 2 * node + 1, start, mid);
     this.build(arr, 2 * node + 2, mid + 1, end);
-    this.tree[node] = this.tree[2 * node + 1] + this.tree[2 * node + 2];
+    this.tree[node] = this.combine(
+      this.tree[2 * node + 1],
+      this.tree[2 * node + 2]
+    );
   }
 
-  query(node, start, end, l, r) {
-    if (l > end || r < start) return 0;
-    if (l <= start && end <= r) return this.tree[node];
-    let mid = Math.floor((start + end) / 2);
-    let leftSum = this.query(2 * node + 1, start, mid, l, r);
-    let rightSum = this.query(2 * node + 2, mid + 1, end, l, r);
-    return leftSum + rightSum;
+  /**
+   * Combine the elements in the inclusive range [l, r]
+   *
+   * @param {number} l - Left bound of the range
+   * @param {number} r - Right bound of the range
+   * @returns {*} The combined value of arr[l..r]
+   *
+   * @complexity
+   * Time complexity: O(log n)
+   */
+  query(l, r) {
+    this._checkRange(l, r);
+    return this._query(0, 0, this.n - 1, l, r);
   }
 
-  update(node, start, end, index, value) {
-    if (start === end) {
-      this.tree[node] = value;
-      return;
-    }
-    let mid = Math.floor((start + end) / 2);
-    if (index <= mid) {
-      this.update(2 * node + 1, start, mid, index, value);
-    } else {
-      this.update(2 * node + 2, mid + 1, end, index, value);
+  /**
+   * Sum of the elements in the inclusive range [l, r], kept from the sum-only tree
+   *
+   * @param {number} l - Left bound of the range
+   * @param {number} r - Right bound of the range
+   * @returns {number} The sum of arr[l..r]
+   * @throws {Error} If the tree was not built with SegmentOperations.sum
+   */
+  rangeSum(l, r) {
+    if (this.operation !== SegmentOperations.sum) {
+      throw new Error("rangeSum needs a tree built with SegmentOperations.sum");
     }
-    this.tree[node] = this.tree[2 * node + 1] + this.tree[2 * node + 2];
+    return this.query(l, r);
   }
 
-  rangeSum(l, r) {
-    return this.query(0, 0, this.n - 1, l, r);
+  /**
+   * Maximum of the elements in the inclusive range [l, r], kept from the sum-only tree
+   *
+   * @param {number} l - Left bound of the range
+   * @param {number} r - Right bound of the range
+   * @returns {number} The maximum of arr[l..r]
+   * @throws {Error} If the tree was not built with SegmentOperations.max
+   */
+  rangeMax(l, r) {
+    if (this.operation !== SegmentOperations.max) {
+      throw new Error("rangeMax needs a tree built with SegmentOperations.max");
+    }
+    return this.query(l, r);
   }
 
+  /**
+   * Set a single element
+   *
+   * @param {number} index - Position of the element
+   * @param {*} value - The new value
+   *
+   * @complexity
+   * Time complexity: O(log n)
+   */
   updateValue(index, value) {
-    this.update(0, 0, this.n - 1, index, value);
+    this._checkRange(index, index);
+    this._update(0, 0, this.n - 1, index, value);
   }
 
   /**
-   * Find the maximum value in a given range
+   * Add `delta` to every element in the inclusive range [l, r]
    *
    * @param {number} l - Left bound of the range
    * @param {number} r - Right bound of the range
-   * @returns {number} Maximum value in the range
+   * @param {number} delta - Amount to add
+   * @throws {Error} If the operation has no applyAdd (e.g. gcd)
    *
    * @complexity
    * Time complexity: O(log n)
-   * Space complexity: O(log n) for the recursive call stack
    */
-  rangeMax(l, r) {
-    return this.queryMax(0, 0, this.n - 1, l, r);
+  rangeAdd(l, r, delta) {
+    if (!this.applyAdd) {
+      throw new Error("Range add is not supported by this operation");
+    }
+    this._checkRange(l, r);
+    this._rangeUpdate(0, 0, this.n - 1, l, r, (node, length) =>
+      this._applyAdd(node, delta, length)
+    );
   }
 
-  queryMax(node, start, end, l, r) {
-    if (l > end || r < start) return -Infinity;
+  /**
+   * Set every element in the inclusive range [l, r] to `value`
+   *
+   * @param {number} l - Left bound of the range
+   * @param {number} r - Right bound of the range
+   * @param {*} value - The new value
+   *
+   * @complexity
+   * Time complexity: O(log n), times O(log n) for repeat() when the operation
+   * has no shortcut for it
+   */
+  rangeAssign(l, r, value) {
+    this._checkRange(l, r);
+    this._rangeUpdate(0, 0, this.n - 1, l, r, (node, length) =>
+      this._applyAssign(node, value, length)
+    );
+  }
+
+  _checkRange(l, r) {
+    if (l < 0 || r >= this.n || l > r) {
+      throw new Error("Index out of bounds");
+    }
+  }
+
+  _query(node, start, end, l, r) {
+    if (l > end || r < start) return this.identity;
     if (l <= start && end <= r) return this.tree[node];
+    this._push(node, start, end);
     let mid = Math.floor((start + end) / 2);
-    let leftMax = this.queryMax(2 * node + 1, start, mid, l, r);
-    let rightMax = this.queryMax(2 * node + 2, mid + 1, end, l, r);
-    return Math.max(leftMax, rightMax);
+    let left = this._query(2 * node + 1, start, mid, l, r);
+    let right = this._query(2 * node + 2, mid + 1, end, l, r);
+    return this.combine(left, right);
   }
 
-  // Modify the build and update methods to store max instead of sum
-  build(arr, node, start, end) {
+  _update(node, start, end, index, value) {
     if (start === end) {
-      this.tree[node] = arr[start];
+      this.tree[node] = this.leaf(value);
       return;
     }
+    this._push(node, start, end);
     let mid = Math.floor((start + end) / 2);
-    this.build(arr, 2 * node + 1, start, mid);
-    this.build(arr, 2 * node + 2, mid + 1, end);
-    this.tree[node] = Math.max(
+    if (index <= mid) {
+      this._update(2 * node + 1, start, mid, index, value);
+    } else {
+      this._update(2 * node + 2, mid + 1, end, index, value);
+    }
+    this.tree[node] = this.combine(
       this.tree[2 * node + 1],
       this.tree[2 * node + 2]
     );
   }
 
-  update(node, start, end, index, value) {
-    if (start === end) {
-      this.tree[node] = value;
+  /**
+   * Apply `apply(node, length)` to the nodes that exactly cover [l, r] and
+   * recompute their ancestors
+   */
+  _rangeUpdate(node, start, end, l, r, apply) {
+    if (l > end || r < start) return;
+    if (l <= start && end <= r) {
+      apply(node, end - start + 1);
       return;
     }
+    this._push(node, start, end);
     let mid = Math.floor((start + end) / 2);
-    if (index <= mid) {
-      this.update(2 * node + 1, start, mid, index, value);
-    } else {
-      this.update(2 * node + 2, mid + 1, end, index, value);
-    }
-    this.tree[node] = Math.max(
+    this._rangeUpdate(2 * node + 1, start, mid, l, r, apply);
+    this._rangeUpdate(2 * node + 2, mid + 1, end, l, r, apply);
+    this.tree[node] = this.combine(
       this.tree[2 * node + 1],
       this.tree[2 * node + 2]
     );
   }
+
+  // Add delta to every element under a node and remember it for its children
+  _applyAdd(node, delta, length) {
+    this.tree[node] = this.applyAdd(this.tree[node], delta, length);
+    if (this.lazyAssign[node] !== undefined) {
+      // A pending assignment absorbs the addition
+      this.lazyAssign[node] += delta;
+    } else {
+      this.lazyAdd[node] += delta;
+    }
+  }
+
+  // Set every element under a node to value; this overrides any pending addition
+  _applyAssign(node, value, length) {
+    this.tree[node] = this.repeat(value, length);
+    this.lazyAssign[node] = value;
+    this.lazyAdd[node] = 0;
+  }
+
+  // Hand a node's pending tags down to its two children
+  _push(node, start, end) {
+    let mid = Math.floor((start + end) / 2);
+    let leftLength = mid - start + 1;
+    let rightLength = end - mid;
+    if (this.lazyAssign[node] !== undefined) {
+      this._applyAssign(2 * node + 1, this.lazyAssign[node], leftLength);
+      this._applyAssign(2 * node + 2, this.lazyAssign[node], rightLength);
+      this.lazyAssign[node] = undefined;
+    }
+    if (this.lazyAdd[node] !== 0) {
+      this._applyAdd(2 * node + 1, this.lazyAdd[node], leftLength);
+      this._applyAdd(2 * node + 2, this.lazyAdd[node], rightLength);
+      this.lazyAdd[node] = 0;
+    }
+  }
+
+  // Combine `length` copies of value by repeated doubling
+  _power(value, length) {
+    let result = this.identity;
+    let base = value;
+    while (length > 0) {
+      if (length & 1) result = this.combine(result, base);
+      base = this.combine(base, base);
+      length >>= 1;
+    }
+    return result;
+  }
 }
 
+module.exports = { SegmentTree, SegmentOperations };
+
 // Example usage
-let arr = [1, 3, 5, 7, 9, 11];
-let segTree = new SegmentTree(arr);
-console.log(segTree.rangeSum(1, 3)); // 15
-segTree.updateValue(2, 10);
-console.log(segTree.rangeSum(1, 3)); // 20
-console.log(segTree.rangeMax(1, 3)); // 7
-segTree.updateValue(2, 10);
-console.log(segTree.rangeMax(1, 3)); // 10
+if (require.main === module) {
+  let arr = [1, 3, 5, 7, 9, 11];
+  let sumTree = new SegmentTree(arr);
+  console.log(sumTree.query(1, 3)); // 15
+  sumTree.updateValue(2, 10);
+  console.log(sumTree.query(1, 3)); // 20
+
+  let maxTree = new SegmentTree(arr, SegmentOperations.max);
+  console.log(maxTree.query(1, 3)); // 7
+  maxTree.updateValue(2, 10);
+  console.log(maxTree.query(1, 3)); // 10
+  // The sum-only tree's methods, now one per operation
+  console.log(sumTree.rangeSum(1, 3), maxTree.rangeMax(1, 3)); // 20 10
+
+  // Lazy range updates
+  sumTree.rangeAdd(0, 5, 2); // [3, 5, 12, 9, 11, 13]
+  console.log(sumTree.query(0, 2)); // 20
+  sumTree.rangeAssign(1, 4, 4); // [3, 4, 4, 4, 4, 13]
+  console.log(sumTree.query(0, 5)); // 32
+
+  let minTree = new SegmentTree(arr, SegmentOperations.min);
+  minTree.rangeAdd(0, 2, 10); // [11, 13, 15, 7, 9, 11]
+  console.log(minTree.query(0, 3)); // 7
+
+  let gcdTree = new SegmentTree([12, 18, 24, 36], SegmentOperations.gcd);
+  console.log(gcdTree.query(0, 3)); // 6
+  gcdTree.rangeAssign(0, 1, 8); // [8, 8, 24, 36]
+  console.log(gcdTree.query(0, 2)); // 8
+  gcdTree.updateValue(3, -20); // [8, 8, 24, -20]
+  console.log(gcdTree.query(3, 3), gcdTree.query(2, 3)); // 20 4
+}
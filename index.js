@@ -0,0 +1,347 @@
+/**
+ * Package Entry Point
+ *
+ * @description
+ * Re-exports every data structure and algorithm from the numbered study files
+ * under a single, stable set of names. Each study file only runs its example
+ * code when executed directly (`node 8.1-heap.js`), so requiring this module
+ * has no side effects.
+ *
+ * @assumptions
+ * - Where two study files implement the same thing, the more complete one is
+ *   exported under the plain name and the other one under a prefixed name
+ *   (e.g. `Graph` from 7-advanced-graph.js, `SimpleGraph` from 6-graph.js).
+ * - index.mjs mirrors this list for ES module consumers.
+ */
+
+// Linear data structures
+const { ArrayStructure } = require("./1-array.js");
+const { LinkedList } = require("./2-linked-list.js");
+const { Stack, isBalancedParentheses } = require("./3-stack.js");
+const { Queue, bfs } = require("./4-queue.js");
+const { CircularBuffer } = require("./9.0-circular-buffer.js");
+
+// Trees
+const { BinarySearchTree } = require("./5-binary-search-tree.js");
+const { AVLTree } = require("./9.1-avl-tree.js");
+const { WAVLTree } = require("./9.2-weak-avl-tree.js");
+const { BTree } = require("./9.3-b-tree.js");
+const { SegmentTree, SegmentOperations } = require("./9.5-segment-tree.js");
+const { RedBlackTree } = require("./11-red-black-tree.js");
+const { SkipList } = require("./12-skip-list.js");
+const {
+  FenwickTree,
+  RangeFenwickTree,
+  FenwickTree2D,
+  RangeFenwickTree2D,
+} = require("./14-fenwick-tree.js");
+const { Point, Rectangle, Circle, Quadtree } = require("./15-quad-tree.js");
+const {
+  Point3D,
+  Box,
+  Frustum,
+  Octree,
+  LooseOctree,
+} = require("./16-octtree.js");
+const { PointND, RectangleND, SphereND, KDTree } = require("./17-kd-tree.js");
+const { CartesianTree } = require("./18-cartesian-tree.js");
+const { Treap, ImplicitTreap } = require("./19-treap.js");
+const { RadixTree } = require("./20-radix-tree.js");
+const { BPlusTree } = require("./21-b+tree.js");
+
+// Hashing, heaps, tries and sets
+const {
+  HashTable,
+  LinearProbingHashTable,
+  QuadraticProbingHashTable,
+  DoubleHashingHashTable,
+  murmurHash3,
+  doubleHashIndices,
+  BloomFilter,
+  CountingBloomFilter,
+  CuckooFilter,
+  CountMinSketch,
+  HyperLogLog,
+  createSpellChecker: createBloomSpellChecker,
+  LRUCache,
+} = require("./8-hashtable.js");
+const {
+  Heap,
+  IndexedPriorityQueue,
+  DAryHeap,
+  PairingHeap,
+  FibonacciHeap,
+  heapSort,
+  findKthLargest,
+  medianOfStream,
+  slidingWindowMaximum,
+} = require("./8.1-heap.js");
+const { Trie, createSpellChecker } = require("./8.2-trie.js");
+const {
+  DisjointSet,
+  kruskalMST,
+  findConnectedComponents,
+} = require("./8.3-disjoint-sets.js");
+
+// Graphs
+const { Graph: SimpleGraph } = require("./6-graph.js");
+const { Graph, UnionFind } = require("./7-advanced-graph.js");
+const { dfs } = require("./26-depth-first-search-algorithm-graph.js");
+const { floydWarshall } = require("./28-floyd-warshall-graph-algorithm.js");
+const {
+  Vertex: DijkstraVertex,
+  dijkstra,
+  getPath: getDijkstraPath,
+} = require("./34-dijikstra-algorithm.js");
+const {
+  Edge,
+  bellmanFord,
+  getPath: getBellmanFordPath,
+} = require("./35-bellman-ford-algorithm.js");
+const {
+  Vertex: TopologicalVertex,
+  topologicalSort,
+} = require("./36-topological-sort-and-the-Knuth-Morris-Pratt-(KMP)-algorithm.js");
+const {
+  Cell,
+  DijkstraCell,
+  manhattanDistance,
+  findPathAStar,
+  findPathBFS,
+  findPathDijkstra,
+} = require("./41-path-finding-algorithms.js");
+
+// Strings
+const {
+  bruteForcePatternMatch,
+  rabinKarp,
+  kmp,
+  longestCommonSubstring,
+  editDistance,
+  isPalindrome,
+  compressString,
+  longestPalindromicSubstring,
+  strStr,
+  groupAnagrams,
+  characterReplacement,
+  AhoCorasick,
+  KMPStreamMatcher,
+  RabinKarpStreamMatcher,
+} = require("./8.4-strings.js");
+const {
+  buildSuffixArray,
+  buildLcpArray,
+  SuffixArray,
+  SuffixAutomaton,
+} = require("./8.5-suffix-array.js");
+const {
+  computeLPSArray,
+  KMPSearch,
+} = require("./37-Knuth-Morris-Pratt-(KMP)-string-matching-algorithm.js");
+const {
+  buildHuffmanTree,
+  generateHuffmanCodes,
+  huffmanCompress,
+  huffmanDecompress,
+  canonicalHuffmanCodes,
+  BitWriter,
+  BitReader,
+  huffmanEncode,
+  huffmanDecode,
+} = require("./38-huffman-coding-algorithm.js");
+const {
+  runLengthEncode,
+  runLengthDecode,
+  lzssEncode,
+  lzssDecode,
+  lzwEncode,
+  lzwDecode,
+  bwtEncode,
+  bwtDecode,
+  moveToFrontEncode,
+  moveToFrontDecode,
+  CompressionCodecs,
+  chainCodecs,
+  bzipLike,
+  compareCodecs,
+} = require("./40-compression-codecs.js");
+
+// Sorting, searching and array algorithms
+const {
+  mergeSort,
+  mergeSortStrings,
+  mergeSortObjects,
+} = require("./23-mergesort-algorithm.js");
+const {
+  quickSort,
+  inPlaceQuickSort,
+  quickSelect,
+  threeWayQuickSort,
+} = require("./24-quicksort-algorithm.js");
+const { binarySearch } = require("./25-binary-search-algorithm.js");
+const { kadanesAlgorithm } = require("./30-kadane-array-sum-algorithm.js");
+const { leeAlgorithm } = require("./31-lee-maze-array-algorithm.js");
+const { floodFill } = require("./32-flood-fill-algorithm.js");
+const {
+  ListNode,
+  floydCycleDetection,
+  createLinkedListWithCycle,
+} = require("./33-floyd-cycles-algorithm.js");
+const {
+  findMajorityElement,
+} = require("./39-Boyer–Moore-majority-vote-algorithm.js");
+
+module.exports = {
+  // Linear data structures
+  ArrayStructure,
+  LinkedList,
+  Stack,
+  isBalancedParentheses,
+  Queue,
+  bfs,
+  CircularBuffer,
+
+  // Trees
+  BinarySearchTree,
+  AVLTree,
+  WAVLTree,
+  BTree,
+  SegmentTree,
+  SegmentOperations,
+  RedBlackTree,
+  SkipList,
+  FenwickTree,
+  RangeFenwickTree,
+  FenwickTree2D,
+  RangeFenwickTree2D,
+  Point,
+  Rectangle,
+  Circle,
+  Quadtree,
+  Point3D,
+  Box,
+  Frustum,
+  Octree,
+  LooseOctree,
+  PointND,
+  RectangleND,
+  SphereND,
+  KDTree,
+  CartesianTree,
+  Treap,
+  ImplicitTreap,
+  RadixTree,
+  BPlusTree,
+
+  // Hashing, heaps, tries and sets
+  HashTable,
+  LinearProbingHashTable,
+  QuadraticProbingHashTable,
+  DoubleHashingHashTable,
+  murmurHash3,
+  doubleHashIndices,
+  BloomFilter,
+  CountingBloomFilter,
+  CuckooFilter,
+  CountMinSketch,
+  HyperLogLog,
+  createBloomSpellChecker,
+  LRUCache,
+  Heap,
+  IndexedPriorityQueue,
+  DAryHeap,
+  PairingHeap,
+  FibonacciHeap,
+  heapSort,
+  findKthLargest,
+  medianOfStream,
+  slidingWindowMaximum,
+  Trie,
+  createSpellChecker,
+  DisjointSet,
+  kruskalMST,
+  findConnectedComponents,
+
+  // Graphs
+  SimpleGraph,
+  Graph,
+  UnionFind,
+  dfs,
+  floydWarshall,
+  DijkstraVertex,
+  dijkstra,
+  getDijkstraPath,
+  Edge,
+  bellmanFord,
+  getBellmanFordPath,
+  TopologicalVertex,
+  topologicalSort,
+  Cell,
+  DijkstraCell,
+  manhattanDistance,
+  findPathAStar,
+  findPathBFS,
+  findPathDijkstra,
+
+  // Strings
+  bruteForcePatternMatch,
+  rabinKarp,
+  kmp,
+  longestCommonSubstring,
+  editDistance,
+  isPalindrome,
+  compressString,
+  longestPalindromicSubstring,
+  strStr,
+  groupAnagrams,
+  characterReplacement,
+  AhoCorasick,
+  KMPStreamMatcher,
+  RabinKarpStreamMatcher,
+  buildSuffixArray,
+  buildLcpArray,
+  SuffixArray,
+  SuffixAutomaton,
+  computeLPSArray,
+  KMPSearch,
+  buildHuffmanTree,
+  generateHuffmanCodes,
+  huffmanCompress,
+  huffmanDecompress,
+  canonicalHuffmanCodes,
+  BitWriter,
+  BitReader,
+  huffmanEncode,
+  huffmanDecode,
+  runLengthEncode,
+  runLengthDecode,
+  lzssEncode,
+  lzssDecode,
+  lzwEncode,
+  lzwDecode,
+  bwtEncode,
+  bwtDecode,
+  moveToFrontEncode,
+  moveToFrontDecode,
+  CompressionCodecs,
+  chainCodecs,
+  bzipLike,
+  compareCodecs,
+
+  // Sorting, searching and array algorithms
+  mergeSort,
+  mergeSortStrings,
+  mergeSortObjects,
+  quickSort,
+  inPlaceQuickSort,
+  quickSelect,
+  threeWayQuickSort,
+  binarySearch,
+  kadanesAlgorithm,
+  leeAlgorithm,
+  floodFill,
+  ListNode,
+  floydCycleDetection,
+  createLinkedListWithCycle,
+  findMajorityElement,
+};
@@ -0,0 +1,166 @@
+/**
+ * ES Module Entry Point
+ *
+ * @description
+ * Exposes the same named exports as index.js for `import` consumers. The
+ * study files are CommonJS, so this wrapper loads index.js once and re-exports
+ * each binding by name.
+ */
+import pkg from "./index.js";
+
+export const {
+  // Linear data structures
+  ArrayStructure,
+  LinkedList,
+  Stack,
+  isBalancedParentheses,
+  Queue,
+  bfs,
+  CircularBuffer,
+
+  // Trees
+  BinarySearchTree,
+  AVLTree,
+  WAVLTree,
+  BTree,
+  SegmentTree,
+  SegmentOperations,
+  RedBlackTree,
+  SkipList,
+  FenwickTree,
+  RangeFenwickTree,
+  FenwickTree2D,
+  RangeFenwickTree2D,
+  Point,
+  Rectangle,
+  Circle,
+  Quadtree,
+  Point3D,
+  Box,
+  Frustum,
+  Octree,
+  LooseOctree,
+  PointND,
+  RectangleND,
+  SphereND,
+  KDTree,
+  CartesianTree,
+  Treap,
+  ImplicitTreap,
+  RadixTree,
+  BPlusTree,
+
+  // Hashing, heaps, tries and sets
+  HashTable,
+  LinearProbingHashTable,
+  QuadraticProbingHashTable,
+  DoubleHashingHashTable,
+  murmurHash3,
+  doubleHashIndices,
+  BloomFilter,
+  CountingBloomFilter,
+  CuckooFilter,
+  CountMinSketch,
+  HyperLogLog,
+  createBloomSpellChecker,
+  LRUCache,
+  Heap,
+  IndexedPriorityQueue,
+  DAryHeap,
+  PairingHeap,
+  FibonacciHeap,
+  heapSort,
+  findKthLargest,
+  medianOfStream,
+  slidingWindowMaximum,
+  Trie,
+  createSpellChecker,
+  DisjointSet,
+  kruskalMST,
+  findConnectedComponents,
+
+  // Graphs
+  SimpleGraph,
+  Graph,
+  UnionFind,
+  dfs,
+  floydWarshall,
+  DijkstraVertex,
+  dijkstra,
+  getDijkstraPath,
+  Edge,
+  bellmanFord,
+  getBellmanFordPath,
+  TopologicalVertex,
+  topologicalSort,
+  Cell,
+  DijkstraCell,
+  manhattanDistance,
+  findPathAStar,
+  findPathBFS,
+  findPathDijkstra,
+
+  // Strings
+  bruteForcePatternMatch,
+  rabinKarp,
+  kmp,
+  longestCommonSubstring,
+  editDistance,
+  isPalindrome,
+  compressString,
+  longestPalindromicSubstring,
+  strStr,
+  groupAnagrams,
+  characterReplacement,
+  AhoCorasick,
+  KMPStreamMatcher,
+  RabinKarpStreamMatcher,
+  buildSuffixArray,
+  buildLcpArray,
+  SuffixArray,
+  SuffixAutomaton,
+  computeLPSArray,
+  KMPSearch,
+  buildHuffmanTree,
+  generateHuffmanCodes,
+  huffmanCompress,
+  huffmanDecompress,
+  canonicalHuffmanCodes,
+  BitWriter,
+  BitReader,
+  huffmanEncode,
+  huffmanDecode,
+  runLengthEncode,
+  runLengthDecode,
+  lzssEncode,
+  lzssDecode,
+  lzwEncode,
+  lzwDecode,
+  bwtEncode,
+  bwtDecode,
+  moveToFrontEncode,
+  moveToFrontDecode,
+  CompressionCodecs,
+  chainCodecs,
+  bzipLike,
+  compareCodecs,
+
+  // Sorting, searching and array algorithms
+  mergeSort,
+  mergeSortStrings,
+  mergeSortObjects,
+  quickSort,
+  inPlaceQuickSort,
+  quickSelect,
+  threeWayQuickSort,
+  binarySearch,
+  kadanesAlgorithm,
+  leeAlgorithm,
+  floodFill,
+  ListNode,
+  floydCycleDetection,
+  createLinkedListWithCycle,
+  findMajorityElement,
+} = pkg;
+
+export default pkg;
@@ -376,17 +376,18 @@ function isValidPath(path, selectedModes) {
  * @returns {PathNode[][]} An array of paths.
  */
 function findAllPaths(start, goal, selectedModes, modeParams) {
-  let openSet = new PriorityQueue();
+  // IndexedPriorityQueue comes from 8.1-heap.js, loaded before this script
+  let openSet = new IndexedPriorityQueue();
   let closedSet = new Set();
   let paths = [];
 
   let startNode = new PathNode(start, null, null);
   startNode.h = heuristic(start, goal);
   startNode.calculateF();
-  openSet.enqueue(startNode, startNode.f);
+  openSet.insert(startNode, startNode.f);
 
   while (!openSet.isEmpty()) {
-    let current = openSet.dequeue();
+    let current = openSet.extract().element;
 
     if (current.cell === goal) {
       paths.push(reconstructPath(current));
@@ -423,7 +424,7 @@ function findAllPaths(start, goal, selectedModes, modeParams) {
 
         let neighborKey = `${neighbor.row},${neighbor.col},${mode}`;
         if (!closedSet.has(neighborKey)) {
-          openSet.enqueue(neighborNode, neighborNode.f);
+          openSet.insert(neighborNode, neighborNode.f);
         }
       }
     }
@@ -828,25 +829,3 @@ function drawLegend2() {
     });
   });
 }
-
-/**
- * Priority Queue implementation for A* algorithm.
- */
-class PriorityQueue {
-  constructor() {
-    this.elements = [];
-  }
-
-  enqueue(element, priority) {
-    this.elements.push({ element, priority });
-    this.elements.sort((a, b) => a.priority - b.priority);
-  }
-
-  dequeue() {
-    return this.elements.shift().element;
-  }
-
-  isEmpty() {
-    return this.elements.length === 0;
-  }
-}
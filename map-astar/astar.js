@@ -194,45 +194,6 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
-/**
- * @class PriorityQueue
- * @description A priority queue implementation for the A* algorithm
- */
-class PriorityQueue {
-  constructor() {
-    this.elements = [];
-  }
-
-  /**
-   * @method enqueue
-   * @description Adds an element to the queue with a given priority
-   * @param {*} element - The element to add
-   * @param {number} priority - The priority of the element
-   */
-  enqueue(element, priority) {
-    this.elements.push({ element, priority });
-    this.elements.sort((a, b) => a.priority - b.priority);
-  }
-
-  /**
-   * @method dequeue
-   * @description Removes and returns the element with the highest priority
-   * @returns {*} The element with the highest priority
-   */
-  dequeue() {
-    return this.elements.shift().element;
-  }
-
-  /**
-   * @method isEmpty
-   * @description Checks if the queue is empty
-   * @returns {boolean} True if the queue is empty, false otherwise
-   */
-  isEmpty() {
-    return this.elements.length === 0;
-  }
-}
-
 /**
  * @function aStar
  * @description Implements the A* pathfinding algorithm
@@ -243,18 +204,19 @@ class PriorityQueue {
  * @returns {string[]|null} Array of node IDs representing the path, or null if no path found
  */
 function aStar(graph, start, goal, preferredModes) {
-  const openSet = new PriorityQueue();
+  // IndexedPriorityQueue comes from 8.1-heap.js, loaded before this script
+  const openSet = new IndexedPriorityQueue();
   const closedSet = new Set();
   const cameFrom = new Map();
   const gScore = new Map();
   const fScore = new Map();
 
-  openSet.enqueue(start, 0);
+  openSet.insert(start, 0);
   gScore.set(start, 0);
   fScore.set(start, heuristic(graph.nodes.get(start), graph.nodes.get(goal)));
 
   while (!openSet.isEmpty()) {
-    const current = openSet.dequeue();
+    const current = openSet.extract().element;
 
     if (current === goal) {
       return reconstructPath(cameFrom, current);
@@ -278,7 +240,11 @@ function aStar(graph, start, goal, preferredModes) {
             heuristic(graph.nodes.get(edge.to), graph.nodes.get(goal))
         );
 
-        openSet.enqueue(edge.to, fScore.get(edge.to));
+        if (openSet.contains(edge.to)) {
+          openSet.decreaseKey(edge.to, fScore.get(edge.to));
+        } else {
+          openSet.insert(edge.to, fScore.get(edge.to));
+        }
       }
     }
   }
@@ -1,9 +1,9 @@
 // pathfinder-worker.js
 
 /**
- * @description Import the A* algorithm and related functions
+ * @description Import the indexed priority queue, the A* algorithm and related functions
  */
-importScripts("astar.js");
+importScripts("../8.1-heap.js", "astar.js");
 
 /**
  * @event self.onmessage